@@ -0,0 +1,430 @@
+/**
+ * CSV Memory Adapter
+ * Serves sales data from the CSV file loaded into memory at startup
+ * The file is watched and hot-reloaded; each request works on one dataset snapshot
+ */
+
+const {
+  loadSalesData,
+  reloadSalesData,
+  appendSalesData,
+  getSaleById,
+  createSale,
+  updateSale,
+  removeSale,
+  watchSalesFile,
+  isReloading,
+  getDataset,
+  getCsvProfile
+} = require('../services/dataService');
+const {
+  applySearch,
+  applyFilters,
+  createRecordFilter,
+  applySorting,
+  applyPagination,
+  extractUniqueValues,
+  hasActiveFilters,
+  computeStats
+} = require('../utils/dataUtils');
+const { MATCH_MODES } = require('../utils/phonetic');
+const { LIST_FILTER_FIELDS } = require('../utils/queryParser');
+const { rankByRelevance } = require('../utils/relevance');
+
+// Cache for filter options and stats (computed once after data load)
+let filterOptionsCache = null;
+let statsCache = null;
+let lastDataVersion = 0;
+
+/**
+ * Invalidate cache when data changes
+ */
+const invalidateCache = () => {
+  filterOptionsCache = null;
+  statsCache = null;
+};
+
+/**
+ * Check if cache needs refresh
+ */
+const checkCacheValidity = (dataset) => {
+  if (dataset.version !== lastDataVersion) {
+    lastDataVersion = dataset.version;
+    invalidateCache();
+  }
+};
+
+/**
+ * Apply search and filters to the in-memory dataset
+ */
+const getMatchingRecords = (filters, dataset = getDataset()) => {
+  let data = dataset.records;
+
+  if (filters.search) {
+    data = applySearch(data, filters.search, dataset.searchIndex, filters.matchMode);
+  }
+
+  return applyFilters(data, filters);
+};
+
+/**
+ * Sort matching records; sortBy=relevance ranks by match quality (newest first on ties)
+ * Without a search every record is equally relevant, so the date desc order is kept
+ */
+const sortRecords = (data, filters, sorting) => {
+  if (sorting.sortBy === 'relevance') {
+    return filters.search
+      ? rankByRelevance(data, filters.search, { matchMode: filters.matchMode })
+      : data;
+  }
+  return applySorting(data, sorting);
+};
+
+/**
+ * Load the CSV file into memory and start watching it for changes
+ * CSV_WATCH=false disables the watcher; CSV_WATCH_INTERVAL sets the polling interval (ms)
+ */
+const init = async () => {
+  await loadSalesData();
+
+  if (process.env.CSV_WATCH !== 'false' && process.env.VERCEL !== '1') {
+    watchSalesFile(parseInt(process.env.CSV_WATCH_INTERVAL, 10) || 2000);
+  }
+};
+
+/**
+ * Re-read the CSV file and swap in the new dataset
+ */
+const reload = async () => {
+  return await reloadSalesData();
+};
+
+/**
+ * Append normalized records to the CSV file and the in-memory dataset
+ */
+const append = async (records) => {
+  return await appendSalesData(records);
+};
+
+/**
+ * Get a single record by id
+ */
+const getById = async (id) => {
+  return getSaleById(id);
+};
+
+/**
+ * Add a single normalized record (written to the CSV file)
+ */
+const create = async (record) => {
+  return await createSale(record);
+};
+
+/**
+ * Replace a record's fields (null if the id does not exist)
+ */
+const update = async (id, record) => {
+  return await updateSale(id, record);
+};
+
+/**
+ * Delete a record (false if the id does not exist)
+ */
+const remove = async (id) => {
+  return await removeSale(id);
+};
+
+/**
+ * Build the paginated query result
+ */
+const toPageResult = (data, totalItems, pagination) => {
+  const totalPages = Math.ceil(totalItems / pagination.limit);
+
+  return {
+    data,
+    currentPage: pagination.page,
+    totalPages,
+    totalItems,
+    itemsPerPage: pagination.limit,
+    hasNextPage: pagination.page < totalPages,
+    hasPrevPage: pagination.page > 1
+  };
+};
+
+/**
+ * Search with the default sort: records are pre-sorted by date desc, so the index walks
+ * its matches in record order and only the requested page is kept (no match array, no sort)
+ */
+const querySearchInRecordOrder = (filters, pagination, { records, searchIndex }) => {
+  console.time('Lazy search time');
+  const matches = searchIndex.matchIterator(filters.search, records, { matchMode: filters.matchMode });
+  const recordFilter = createRecordFilter(filters);
+  const start = (pagination.page - 1) * pagination.limit;
+  const end = start + pagination.limit;
+  const pageData = [];
+  let totalItems = 0;
+
+  for (const index of matches) {
+    const record = records[index];
+    if (recordFilter && !recordFilter(record)) continue;
+    if (totalItems >= start && totalItems < end) {
+      pageData.push(record);
+    }
+    totalItems++;
+  }
+
+  console.timeEnd('Lazy search time');
+  console.log(`Search matched ${totalItems} records (page kept lazily)`);
+
+  return toPageResult(pageData, totalItems, pagination);
+};
+
+/**
+ * Get filtered, sorted, and paginated sales data
+ */
+const query = async (filters, sorting, pagination) => {
+  console.time('Total query time');
+
+  const dataset = getDataset();
+  const { records, searchIndex } = dataset;
+  const isDefaultSort = (sorting.sortBy === 'date' && sorting.sortOrder === 'desc') ||
+    (sorting.sortBy === 'relevance' && !filters.search);
+
+  if (filters.search && isDefaultSort) {
+    const result = querySearchInRecordOrder(filters, pagination, dataset);
+    console.timeEnd('Total query time');
+    return result;
+  }
+
+  let data = records;
+  console.log(`Starting with ${data.length} records`);
+
+  // Apply search
+  if (filters.search) {
+    console.time('Search time');
+    data = applySearch(data, filters.search, searchIndex, filters.matchMode);
+    console.timeEnd('Search time');
+    console.log(`After search: ${data.length} records`);
+  }
+
+  // Apply filters
+  console.time('Filter time');
+  data = applyFilters(data, filters);
+  console.timeEnd('Filter time');
+  console.log(`After filters: ${data.length} records`);
+
+  // Get total count before pagination
+  const totalItems = data.length;
+
+  // Apply sorting - OPTIMIZE: Skip if using default sort (date desc) since data is pre-sorted
+  console.time('Sort time');
+
+  if (isDefaultSort && !filters.search && !hasActiveFilters(filters)) {
+    // Data is already sorted by date desc, no need to re-sort
+    console.log('Using pre-sorted data (date desc)');
+  } else {
+    if (data.length > 50000) {
+      // For large datasets (>50K), sorting is expensive
+      console.log(`Sorting ${data.length} records...`);
+    }
+    data = sortRecords(data, filters, sorting);
+  }
+  console.timeEnd('Sort time');
+
+  // Apply pagination
+  const paginatedData = applyPagination(data, pagination);
+
+  console.timeEnd('Total query time');
+
+  return toPageResult(paginatedData, totalItems, pagination);
+};
+
+/**
+ * Count records matching the filters
+ */
+const count = async (filters) => {
+  return getMatchingRecords(filters).length;
+};
+
+/**
+ * Compute statistics for records matching the filters (cached when unfiltered)
+ */
+const aggregate = async (filters = {}) => {
+  if (!filters.search && !hasActiveFilters(filters)) {
+    const dataset = getDataset();
+    checkCacheValidity(dataset);
+
+    if (!statsCache) {
+      console.log('Computing stats (first time or cache invalidated)...');
+      statsCache = computeStats(dataset.records);
+    }
+    return statsCache;
+  }
+
+  return computeStats(getMatchingRecords(filters));
+};
+
+/**
+ * Stream filtered, sorted records to the caller in batches
+ */
+const exportStream = async (filters, sorting, onBatch) => {
+  console.log('Exporting from CSV data');
+  const data = sortRecords(getMatchingRecords(filters), filters, sorting);
+
+  // Send all data in batches
+  const BATCH_SIZE = 10000;
+  let totalExported = 0;
+
+  for (let i = 0; i < data.length; i += BATCH_SIZE) {
+    const batch = data.slice(i, i + BATCH_SIZE);
+    await onBatch(batch);
+    totalExported += batch.length;
+  }
+
+  return totalExported;
+};
+
+/**
+ * Extract unique tags from data (tags can be comma-separated)
+ */
+const extractUniqueTags = (data) => {
+  const tagsSet = new Set();
+  data.forEach(item => {
+    if (item.tags) {
+      const tagList = item.tags.split(',').map(t => t.trim());
+      tagList.forEach(tag => {
+        if (tag) tagsSet.add(tag);
+      });
+    }
+  });
+  return Array.from(tagsSet).sort();
+};
+
+/**
+ * Get age range from data (optimized for large datasets)
+ */
+const getAgeRange = (data) => {
+  let min = Infinity;
+  let max = -Infinity;
+
+  for (let i = 0; i < data.length; i++) {
+    const age = data[i].age;
+    if (age > 0) {
+      if (age < min) min = age;
+      if (age > max) max = age;
+    }
+  }
+
+  if (min === Infinity) return { min: 0, max: 100 };
+  return { min, max };
+};
+
+/**
+ * Get date range from data (optimized for large datasets)
+ */
+const getDateRange = (data) => {
+  let minTime = Infinity;
+  let maxTime = -Infinity;
+
+  for (let i = 0; i < data.length; i++) {
+    const dateStr = data[i].date;
+    if (dateStr) {
+      const time = new Date(dateStr).getTime();
+      if (!isNaN(time)) {
+        if (time < minTime) minTime = time;
+        if (time > maxTime) maxTime = time;
+      }
+    }
+  }
+
+  if (minTime === Infinity) {
+    const today = new Date();
+    const yearAgo = new Date();
+    yearAgo.setFullYear(yearAgo.getFullYear() - 1);
+    return {
+      min: yearAgo.toISOString().split('T')[0],
+      max: today.toISOString().split('T')[0]
+    };
+  }
+
+  return {
+    min: new Date(minTime).toISOString().split('T')[0],
+    max: new Date(maxTime).toISOString().split('T')[0]
+  };
+};
+
+/**
+ * Get available filter options (uses precomputed values from startup)
+ */
+const getFilterOptions = async () => {
+  const dataset = getDataset();
+  if (dataset.filterOptions) {
+    return dataset.filterOptions;
+  }
+
+  // Fallback to computing (should rarely happen)
+  checkCacheValidity(dataset);
+
+  if (filterOptionsCache) {
+    return filterOptionsCache;
+  }
+
+  console.log('Computing filter options (fallback - precomputed not available)...');
+  const data = dataset.records;
+
+  filterOptionsCache = {
+    // regions, genders, categories, paymentMethods, brands, ... (see LIST_FILTER_FIELDS)
+    ...Object.fromEntries(Object.entries(LIST_FILTER_FIELDS).map(([key, field]) => [key, extractUniqueValues(data, field)])),
+    tags: extractUniqueTags(data),
+    ageRange: getAgeRange(data),
+    dateRange: getDateRange(data)
+  };
+
+  return filterOptionsCache;
+};
+
+/**
+ * Autocomplete suggestions from the current dataset's search index
+ */
+const suggest = async (prefix, limit) => {
+  return getDataset().searchIndex.suggest(prefix, limit);
+};
+
+/**
+ * Get search status - for CSV mode, search is always instant
+ */
+const getStatus = () => {
+  const dataset = getDataset();
+  return {
+    isReady: true,
+    isLoading: false,
+    isReloading: isReloading(),
+    recordCount: dataset.records.length,
+    dataVersion: dataset.version,
+    loadedAt: dataset.loadedAt,
+    profile: getCsvProfile().name,
+    searchIndex: dataset.searchIndex.getStats(),
+    mode: 'csv'
+  };
+};
+
+module.exports = {
+  name: 'csv',
+  label: 'CSV file',
+  matchModes: MATCH_MODES,
+  init,
+  query,
+  count,
+  aggregate,
+  exportStream,
+  getFilterOptions,
+  getStatus,
+  suggest,
+  invalidateCache,
+  reload,
+  append,
+  getById,
+  create,
+  update,
+  remove
+};
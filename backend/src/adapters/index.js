@@ -0,0 +1,98 @@
+/**
+ * Data Source Adapter Registry
+ * Selects the storage backend that serves /api/sales from configuration
+ *
+ * Every adapter implements the same interface:
+ *   name, label                                - identifiers used in logs and /api/health
+ *   init()                                     - connect / load data (called once at startup)
+ *   query(filters, sorting, pagination)        - paginated result ({ data, totalItems, ... })
+ *   count(filters)                             - number of matching records
+ *   aggregate(filters)                         - stats ({ totalRecords, totalSales, ... })
+ *   exportStream(filters, sorting, onBatch)    - stream matching records, resolves to total exported
+ *   getFilterOptions()                         - option lists and ranges for the filter UI
+ *   getStatus()                                - search/readiness status
+ *
+ * Optional properties:
+ *   matchModes                                 - search match modes besides 'default' that the
+ *                                                adapter handles (filters.matchMode, e.g. 'phonetic')
+ *
+ * Optional:
+ *   invalidateCache()                          - drop cached filter options / stats
+ *   suggest(prefix, limit)                     - autocomplete: up to limit values per suggest field
+ *                                                ({ type, value, count }, see utils/suggestionIndex.js)
+ *   reload()                                   - re-read the source data without a restart
+ *   append(records)                            - add normalized records, resolves to the number added
+ *   getById(id), create(record),               - single-record access; update resolves to null and
+ *   update(id, record), remove(id)               remove to false when the id does not exist.
+ *                                                Ids come straight from the URL (strings)
+ *   close()                                    - release connections (tests and shutdown)
+ *
+ * Set DATA_SOURCE to pick a backend explicitly. When unset, Supabase is used
+ * if SUPABASE_URL and SUPABASE_KEY are present, otherwise the CSV file.
+ */
+
+const adapters = {
+  csv: () => require('./csvAdapter'),
+  supabase: () => require('./supabaseAdapter'),
+  postgres: () => require('./postgresAdapter'),
+  sqlite: () => require('./sqliteAdapter')
+};
+
+let activeAdapter = null;
+
+/**
+ * Register an additional adapter factory under a name
+ */
+const registerAdapter = (name, factory) => {
+  adapters[name] = factory;
+};
+
+/**
+ * Resolve the configured data source name
+ */
+const resolveAdapterName = () => {
+  const configured = (process.env.DATA_SOURCE || '').trim().toLowerCase();
+  if (configured) return configured;
+  return process.env.SUPABASE_URL && process.env.SUPABASE_KEY ? 'supabase' : 'csv';
+};
+
+/**
+ * Initialize the configured adapter (call once at startup)
+ */
+const initDataSource = async () => {
+  const name = resolveAdapterName();
+  const factory = adapters[name];
+
+  if (!factory) {
+    throw new Error(`Unknown DATA_SOURCE "${name}". Available: ${Object.keys(adapters).join(', ')}`);
+  }
+
+  const adapter = factory();
+  await adapter.init();
+  activeAdapter = adapter;
+  console.log(`✓ Data source initialized: ${adapter.label}`);
+  return adapter;
+};
+
+/**
+ * Get the active adapter
+ */
+const getAdapter = () => {
+  if (!activeAdapter) {
+    throw new Error('Data source not initialized');
+  }
+  return activeAdapter;
+};
+
+/**
+ * Check if a data source has been initialized
+ */
+const isDataSourceReady = () => activeAdapter !== null;
+
+module.exports = {
+  initDataSource,
+  getAdapter,
+  isDataSourceReady,
+  registerAdapter,
+  resolveAdapterName
+};
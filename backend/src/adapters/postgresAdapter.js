@@ -0,0 +1,360 @@
+/**
+ * PostgreSQL Adapter
+ * Serves sales data from a plain PostgreSQL database through node-postgres (pg)
+ * Runs parameterized SQL for filtering, COUNT and aggregates, and uses a
+ * server-side cursor for exports (development and on-prem installs)
+ */
+
+const { Pool, types } = require('pg');
+const { transformRow, transformRows, toRowId } = require('../utils/dataUtils');
+const { toSalesRow } = require('../services/dataService');
+const {
+  SALES_COLUMNS,
+  buildWhereClause,
+  buildOrderBy,
+  buildSuggestQuery,
+  buildInsert,
+  buildUpdate,
+  toColumn
+} = require('../utils/sqlBuilder');
+const { getSuggestFields } = require('../utils/suggestionIndex');
+const { LIST_FILTER_FIELDS } = require('../utils/queryParser');
+
+const TABLE = 'sales';
+const EXPORT_BATCH_SIZE = 5000;
+const INSERT_BATCH_SIZE = 1000;
+const FILTER_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+let pool = null;
+let filterOptionsCache = null;
+let filterOptionsCacheTime = 0;
+
+// Return NUMERIC/BIGINT as numbers and DATE as 'YYYY-MM-DD' (no timezone shifts)
+const typeParsers = {
+  [types.builtins.NUMERIC]: parseFloat,
+  [types.builtins.INT8]: (value) => parseInt(value, 10),
+  [types.builtins.DATE]: (value) => value
+};
+const getTypeParser = (oid, format) => typeParsers[oid] || types.getTypeParser(oid, format);
+
+const placeholder = (index) => `$${index}`;
+// Tags are matched through the generated tag_list array column (postgres-schema.sql)
+const whereOptions = { tagStorage: 'array' };
+const selectColumns = SALES_COLUMNS.join(', ');
+
+/**
+ * The connection pool (throws until init has created it)
+ */
+const getPool = () => {
+  if (!pool) throw new Error('PostgreSQL adapter not initialized');
+  return pool;
+};
+
+/**
+ * Run a query on the pool
+ */
+const run = async (text, params = []) => {
+  return await getPool().query(text, params);
+};
+
+/**
+ * Connect to PostgreSQL (DATABASE_URL, or the standard PG* environment variables)
+ */
+const init = async () => {
+  pool = new Pool({
+    connectionString: process.env.DATABASE_URL || undefined,
+    max: parseInt(process.env.PG_POOL_SIZE, 10) || 10,
+    types: { getTypeParser }
+  });
+
+  pool.on('error', (err) => {
+    console.error('[Postgres] Idle client error:', err.message);
+  });
+
+  const { rows } = await run(`SELECT COUNT(*) AS count FROM ${TABLE}`);
+  console.log(`✓ PostgreSQL connected (${rows[0].count} records in ${TABLE})`);
+};
+
+/**
+ * Get filtered, sorted, and paginated sales data
+ */
+const query = async (filters, sorting, pagination) => {
+  const startTime = Date.now();
+  const { where, params } = buildWhereClause(filters, placeholder, whereOptions);
+  const orderBy = buildOrderBy(sorting, filters.search, params, placeholder);
+  const offset = (pagination.page - 1) * pagination.limit;
+
+  const dataSql = `SELECT ${selectColumns} FROM ${TABLE} ${where} ${orderBy} ` +
+    `LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
+
+  const [dataResult, totalItems] = await Promise.all([
+    run(dataSql, [...params, pagination.limit, offset]),
+    count(filters)
+  ]);
+
+  const totalPages = Math.ceil(totalItems / pagination.limit);
+  console.log(`[Postgres] Query completed in ${Date.now() - startTime}ms, ${dataResult.rows.length} rows, total: ${totalItems}`);
+
+  return {
+    data: transformRows(dataResult.rows),
+    currentPage: pagination.page,
+    totalPages,
+    totalItems,
+    itemsPerPage: pagination.limit,
+    hasNextPage: pagination.page < totalPages,
+    hasPrevPage: pagination.page > 1
+  };
+};
+
+/**
+ * Count records matching the filters
+ */
+const count = async (filters) => {
+  const { where, params } = buildWhereClause(filters, placeholder, whereOptions);
+  const { rows } = await run(`SELECT COUNT(*) AS count FROM ${TABLE} ${where}`, params);
+  return rows[0].count;
+};
+
+/**
+ * Compute statistics for records matching the filters
+ */
+const aggregate = async (filters = {}) => {
+  const { where, params } = buildWhereClause(filters, placeholder, whereOptions);
+  const { rows } = await run(
+    `SELECT
+       COUNT(*) AS total_records,
+       COALESCE(ROUND(SUM(final_amount)::NUMERIC, 2), 0) AS total_sales,
+       COALESCE(SUM(quantity), 0)::BIGINT AS total_quantity,
+       COALESCE(ROUND(SUM(total_amount - final_amount)::NUMERIC, 2), 0) AS total_discount,
+       COALESCE(ROUND(AVG(final_amount)::NUMERIC, 2), 0) AS average_order_value
+     FROM ${TABLE} ${where}`,
+    params
+  );
+  const stats = rows[0];
+
+  return {
+    totalRecords: stats.total_records,
+    totalSales: stats.total_sales,
+    totalQuantity: stats.total_quantity,
+    totalDiscount: stats.total_discount,
+    averageOrderValue: stats.average_order_value
+  };
+};
+
+/**
+ * Stream filtered, sorted records through a server-side cursor
+ */
+const exportStream = async (filters, sorting, onBatch) => {
+  const { where, params } = buildWhereClause(filters, placeholder, whereOptions);
+  const orderBy = buildOrderBy(sorting, filters.search, params, placeholder);
+  const client = await getPool().connect();
+  let totalExported = 0;
+
+  try {
+    // Cursors only live inside a transaction
+    await client.query('BEGIN');
+    await client.query(
+      `DECLARE export_cursor NO SCROLL CURSOR FOR SELECT ${selectColumns} FROM ${TABLE} ${where} ${orderBy}`,
+      params
+    );
+
+    while (true) {
+      const { rows } = await client.query(`FETCH ${EXPORT_BATCH_SIZE} FROM export_cursor`);
+      if (rows.length === 0) break;
+
+      await onBatch(transformRows(rows));
+      totalExported += rows.length;
+    }
+
+    await client.query('CLOSE export_cursor');
+    await client.query('COMMIT');
+    console.log(`[Postgres] Export completed: ${totalExported} records`);
+    return totalExported;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Get available filter options (cached in memory)
+ */
+const getFilterOptions = async () => {
+  const now = Date.now();
+  if (filterOptionsCache && (now - filterOptionsCacheTime) < FILTER_CACHE_TTL) {
+    return filterOptionsCache;
+  }
+
+  const distinct = async (column) => {
+    const { rows } = await run(
+      `SELECT DISTINCT ${column} AS value FROM ${TABLE} WHERE ${column} IS NOT NULL AND ${column} <> '' ORDER BY 1`
+    );
+    return rows.map(row => row.value);
+  };
+
+  const listKeys = Object.keys(LIST_FILTER_FIELDS);
+  const [listValues, tagsResult, rangesResult] = await Promise.all([
+    Promise.all(listKeys.map(key => distinct(toColumn(LIST_FILTER_FIELDS[key])))),
+    run(
+      `SELECT DISTINCT TRIM(tag) AS value
+       FROM ${TABLE}, UNNEST(STRING_TO_ARRAY(tags, ',')) AS tag
+       WHERE TRIM(tag) <> '' ORDER BY 1`
+    ),
+    run(
+      `SELECT MIN(age) FILTER (WHERE age > 0) AS min_age, MAX(age) AS max_age,
+              MIN(date)::TEXT AS min_date, MAX(date)::TEXT AS max_date
+       FROM ${TABLE}`
+    )
+  ]);
+
+  const ranges = rangesResult.rows[0] || {};
+  const today = new Date().toISOString().split('T')[0];
+
+  filterOptionsCache = {
+    // regions, genders, categories, paymentMethods, brands, ... (see LIST_FILTER_FIELDS)
+    ...Object.fromEntries(listKeys.map((key, i) => [key, listValues[i]])),
+    tags: tagsResult.rows.map(row => row.value),
+    ageRange: { min: ranges.min_age ?? 0, max: ranges.max_age ?? 100 },
+    dateRange: { min: ranges.min_date || today, max: ranges.max_date || today }
+  };
+  filterOptionsCacheTime = now;
+
+  return filterOptionsCache;
+};
+
+/**
+ * Insert normalized records in a single transaction
+ * @returns {Promise<number>} Number of records inserted
+ */
+const append = async (records) => {
+  const client = await getPool().connect();
+
+  try {
+    await client.query('BEGIN');
+    for (let i = 0; i < records.length; i += INSERT_BATCH_SIZE) {
+      const rows = records.slice(i, i + INSERT_BATCH_SIZE).map(record => toSalesRow(record));
+      const { text, params } = buildInsert(TABLE, rows, placeholder);
+      await client.query(text, params);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  invalidateCache();
+  console.log(`[Postgres] Inserted ${records.length} records`);
+  return records.length;
+};
+
+/**
+ * Get a single record by id
+ */
+const getById = async (id) => {
+  const rowId = toRowId(id);
+  if (rowId === null) return null;
+
+  const { rows } = await run(`SELECT ${selectColumns} FROM ${TABLE} WHERE id = $1`, [rowId]);
+  return rows.length > 0 ? transformRow(rows[0]) : null;
+};
+
+/**
+ * Insert a single normalized record
+ */
+const create = async (record) => {
+  const { text, params } = buildInsert(TABLE, [toSalesRow(record)], placeholder);
+  const { rows } = await run(`${text} RETURNING ${selectColumns}`, params);
+  invalidateCache();
+  return transformRow(rows[0]);
+};
+
+/**
+ * Replace a record's fields (null if the id does not exist)
+ */
+const update = async (id, record) => {
+  const rowId = toRowId(id);
+  if (rowId === null) return null;
+
+  const { text, params } = buildUpdate(TABLE, toSalesRow(record), rowId, placeholder);
+  const { rows } = await run(`${text} RETURNING ${selectColumns}`, params);
+  invalidateCache();
+  return rows.length > 0 ? transformRow(rows[0]) : null;
+};
+
+/**
+ * Delete a record (false if the id does not exist)
+ */
+const remove = async (id) => {
+  const rowId = toRowId(id);
+  if (rowId === null) return false;
+
+  const { rowCount } = await run(`DELETE FROM ${TABLE} WHERE id = $1`, [rowId]);
+  invalidateCache();
+  return rowCount > 0;
+};
+
+/**
+ * Autocomplete suggestions: top values per suggest field starting with prefix
+ */
+const suggest = async (prefix, limit) => {
+  const groups = await Promise.all(getSuggestFields(prefix).map(async (field) => {
+    const { text, params } = buildSuggestQuery(TABLE, field, prefix, limit, placeholder);
+    const { rows } = await run(text, params);
+    return rows.map(row => ({ type: field, value: row.value, count: Number(row.match_count) }));
+  }));
+  return groups.flat();
+};
+
+/**
+ * Invalidate cached filter options
+ */
+const invalidateCache = () => {
+  filterOptionsCache = null;
+};
+
+/**
+ * Close the connection pool
+ */
+const close = async () => {
+  if (!pool) return;
+  const closing = pool;
+  pool = null;
+  await closing.end();
+};
+
+/**
+ * Get data source status
+ */
+const getStatus = async () => {
+  const recordCount = await count({});
+  return {
+    isReady: true,
+    isLoading: false,
+    recordCount,
+    mode: 'postgres'
+  };
+};
+
+module.exports = {
+  name: 'postgres',
+  label: 'PostgreSQL',
+  init,
+  query,
+  count,
+  aggregate,
+  exportStream,
+  getFilterOptions,
+  getStatus,
+  suggest,
+  invalidateCache,
+  append,
+  getById,
+  create,
+  update,
+  remove,
+  close
+};
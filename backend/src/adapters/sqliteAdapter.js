@@ -0,0 +1,576 @@
+/**
+ * SQLite Adapter
+ * Serves sales data from an embedded SQLite file for single-node deployments
+ * The CSV is imported once into an indexed database file; later boots only open
+ * the file (re-importing when the CSV changes, unless the database has changes of its own)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+const Database = require('better-sqlite3');
+const { getCsvPath, toSalesRow } = require('../services/dataService');
+const { getProfile } = require('../utils/csvProfiles');
+const {
+  SALES_COLUMNS,
+  INSERT_COLUMNS,
+  buildWhereClause,
+  buildOrderBy,
+  buildSuggestQuery,
+  buildInsert,
+  buildUpdate,
+  toColumn
+} = require('../utils/sqlBuilder');
+const { getSuggestFields } = require('../utils/suggestionIndex');
+const { LIST_FILTER_FIELDS, normalizeTags } = require('../utils/queryParser');
+const { transformRow, transformRows, toRowId } = require('../utils/dataUtils');
+
+const TABLE = 'sales';
+const TAGS_TABLE = 'sale_tags';
+// Tables a re-import fills before they replace the live ones
+const STAGING_TABLE = 'sales_import';
+const STAGING_TAGS_TABLE = 'sale_tags_import';
+const IMPORT_BATCH_SIZE = 10000;
+// Rows read per batch when the sale_tags table is filled for an existing database
+const TAG_INDEX_BATCH_SIZE = 10000;
+const EXPORT_BATCH_SIZE = 5000;
+
+let db = null;
+let dbPath = null;
+let insertMany = null;
+let writeTags = null;
+let filterOptionsCache = null;
+
+const placeholder = () => '?';
+const selectColumns = SALES_COLUMNS.join(', ');
+
+// Sales and sale_tags tables (a re-import creates them under the staging names first)
+const createTablesSql = (table, tagsTable) => `
+  CREATE TABLE IF NOT EXISTS ${table} (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    transaction_id TEXT,
+    date TEXT,
+    customer_id TEXT,
+    customer_name TEXT,
+    phone_number TEXT,
+    gender TEXT,
+    age INTEGER,
+    customer_region TEXT,
+    customer_type TEXT,
+    product_id TEXT,
+    product_name TEXT,
+    brand TEXT,
+    product_category TEXT,
+    tags TEXT,
+    quantity INTEGER,
+    price_per_unit REAL,
+    discount_percentage REAL,
+    total_amount REAL,
+    final_amount REAL,
+    payment_method TEXT,
+    order_status TEXT,
+    delivery_type TEXT,
+    store_id TEXT,
+    store_location TEXT,
+    salesperson_id TEXT,
+    employee_name TEXT
+  );
+
+  -- Normalized tags (lowercase, trimmed) of each sale, so tag filters use the primary key index
+  CREATE TABLE IF NOT EXISTS ${tagsTable} (
+    tag TEXT NOT NULL,
+    sale_id INTEGER NOT NULL,
+    PRIMARY KEY (tag, sale_id)
+  ) WITHOUT ROWID;
+`;
+
+const SCHEMA = `
+  ${createTablesSql(TABLE, TAGS_TABLE)}
+  CREATE INDEX IF NOT EXISTS idx_sale_tags_sale_id ON ${TAGS_TABLE}(sale_id);
+
+  CREATE TABLE IF NOT EXISTS import_meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+`;
+
+// Created after the bulk insert (much faster than maintaining them row by row)
+const INDEXES = `
+  CREATE INDEX IF NOT EXISTS idx_sales_date ON ${TABLE}(date DESC, id DESC);
+  CREATE INDEX IF NOT EXISTS idx_sales_final_amount ON ${TABLE}(final_amount);
+  CREATE INDEX IF NOT EXISTS idx_sales_quantity ON ${TABLE}(quantity);
+  CREATE INDEX IF NOT EXISTS idx_sales_customer_name ON ${TABLE}(customer_name);
+  CREATE INDEX IF NOT EXISTS idx_sales_customer_region ON ${TABLE}(customer_region);
+  CREATE INDEX IF NOT EXISTS idx_sales_gender ON ${TABLE}(gender);
+  CREATE INDEX IF NOT EXISTS idx_sales_product_category ON ${TABLE}(product_category);
+  CREATE INDEX IF NOT EXISTS idx_sales_payment_method ON ${TABLE}(payment_method);
+  CREATE INDEX IF NOT EXISTS idx_sales_age ON ${TABLE}(age);
+  CREATE INDEX IF NOT EXISTS idx_sales_brand ON ${TABLE}(brand);
+  CREATE INDEX IF NOT EXISTS idx_sales_store_location ON ${TABLE}(store_location);
+  CREATE INDEX IF NOT EXISTS idx_sales_store_id ON ${TABLE}(store_id);
+  CREATE INDEX IF NOT EXISTS idx_sales_employee_name ON ${TABLE}(employee_name);
+  CREATE INDEX IF NOT EXISTS idx_sales_customer_region_lower ON ${TABLE}(LOWER(customer_region));
+  CREATE INDEX IF NOT EXISTS idx_sales_gender_lower ON ${TABLE}(LOWER(gender));
+  CREATE INDEX IF NOT EXISTS idx_sales_product_category_lower ON ${TABLE}(LOWER(product_category));
+  CREATE INDEX IF NOT EXISTS idx_sales_payment_method_lower ON ${TABLE}(LOWER(payment_method));
+  CREATE INDEX IF NOT EXISTS idx_sales_brand_lower ON ${TABLE}(LOWER(brand));
+  CREATE INDEX IF NOT EXISTS idx_sales_store_location_lower ON ${TABLE}(LOWER(store_location));
+  CREATE INDEX IF NOT EXISTS idx_sales_store_id_lower ON ${TABLE}(LOWER(store_id));
+  CREATE INDEX IF NOT EXISTS idx_sales_employee_name_lower ON ${TABLE}(LOWER(employee_name));
+`;
+
+/**
+ * Path of the SQLite database file (SQLITE_PATH overrides the default)
+ */
+const getDatabasePath = () => {
+  return process.env.SQLITE_PATH || path.join(__dirname, '../../data/sales.db');
+};
+
+/**
+ * Fingerprint of the source CSV (size + modification time)
+ */
+const getSourceFingerprint = (csvPath) => {
+  const stat = fs.statSync(csvPath);
+  return `${stat.size}:${stat.mtimeMs}:${getProfile().name}`;
+};
+
+/**
+ * Read a value from the import_meta table
+ */
+const getMeta = (key) => {
+  const row = db.prepare('SELECT value FROM import_meta WHERE key = ?').get(key);
+  return row ? row.value : null;
+};
+
+/**
+ * Write a value to the import_meta table
+ */
+const setMeta = (key, value) => {
+  db.prepare('INSERT OR REPLACE INTO import_meta (key, value) VALUES (?, ?)').run(key, value);
+};
+
+/**
+ * Create the transactional bulk insert for sales rows (snake_case objects), and the tags
+ * writer that keeps a sale's tag rows in line with its tags column
+ * @returns {{ insertMany: Function, writeTags: Function }}
+ */
+const createWriters = (table, tagsTable) => {
+  const insert = db.prepare(
+    `INSERT INTO ${table} (${INSERT_COLUMNS.join(', ')}) VALUES (${INSERT_COLUMNS.map(() => '?').join(', ')})`
+  );
+  const deleteTags = db.prepare(`DELETE FROM ${tagsTable} WHERE sale_id = ?`);
+  const insertTag = db.prepare(`INSERT OR IGNORE INTO ${tagsTable} (tag, sale_id) VALUES (?, ?)`);
+
+  const writeTagRows = (saleId, tags) => {
+    deleteTags.run(saleId);
+    for (const tag of normalizeTags(tags)) {
+      insertTag.run(tag, saleId);
+    }
+  };
+  const insertRows = db.transaction((rows) => {
+    for (const row of rows) {
+      const { lastInsertRowid } = insert.run(INSERT_COLUMNS.map(column => row[column]));
+      writeTagRows(lastInsertRowid, row.tags);
+    }
+  });
+
+  return { insertMany: insertRows, writeTags: writeTagRows };
+};
+
+/**
+ * Prepare the writers of the live sales and sale_tags tables
+ */
+const prepareInsert = () => {
+  ({ insertMany, writeTags } = createWriters(TABLE, TAGS_TABLE));
+};
+
+/**
+ * Record that the database has rows created, changed or deleted through the API, which a
+ * re-import of the CSV would lose
+ */
+const markLocalChanges = () => {
+  setMeta('local_changes', '1');
+};
+
+/**
+ * Fill sale_tags from the tags column (databases imported before the table existed)
+ */
+const indexTags = () => {
+  console.log('[SQLite] Indexing tags...');
+  const readBatch = db.prepare(`SELECT id, tags FROM ${TABLE} WHERE id > ? ORDER BY id LIMIT ?`);
+  const writeBatch = db.transaction((rows) => {
+    for (const row of rows) writeTags(row.id, row.tags);
+  });
+
+  let lastId = 0;
+  let rows;
+  while ((rows = readBatch.all(lastId, TAG_INDEX_BATCH_SIZE)).length > 0) {
+    writeBatch(rows);
+    lastId = rows[rows.length - 1].id;
+  }
+  setMeta('tags_indexed', '1');
+};
+
+/**
+ * Import the CSV file, replacing the sales rows
+ * Rows are loaded into staging tables first; the old tables are swapped out in a single
+ * transaction, so a failed import leaves the database as it was
+ */
+const importCsv = async (csvPath) => {
+  console.log(`[SQLite] Importing ${csvPath} into ${dbPath}...`);
+  console.time('[SQLite] Import time');
+
+  db.exec(`DROP TABLE IF EXISTS ${STAGING_TABLE}; DROP TABLE IF EXISTS ${STAGING_TAGS_TABLE}`);
+  db.exec(createTablesSql(STAGING_TABLE, STAGING_TAGS_TABLE));
+  const staging = createWriters(STAGING_TABLE, STAGING_TAGS_TABLE);
+
+  const profile = getProfile();
+  let batch = [];
+  let imported = 0;
+
+  for await (const row of fs.createReadStream(csvPath).pipe(csv({ separator: profile.delimiter }))) {
+    batch.push(toSalesRow(row, profile));
+
+    if (batch.length >= IMPORT_BATCH_SIZE) {
+      staging.insertMany(batch);
+      imported += batch.length;
+      batch = [];
+
+      if (imported % 100000 === 0) {
+        console.log(`[SQLite] Imported ${imported} records...`);
+      }
+    }
+  }
+
+  if (batch.length > 0) {
+    staging.insertMany(batch);
+    imported += batch.length;
+  }
+
+  console.log('[SQLite] Creating indexes...');
+  db.transaction(() => {
+    db.exec(`
+      DROP TABLE IF EXISTS ${TABLE};
+      DROP TABLE IF EXISTS ${TAGS_TABLE};
+      ALTER TABLE ${STAGING_TABLE} RENAME TO ${TABLE};
+      ALTER TABLE ${STAGING_TAGS_TABLE} RENAME TO ${TAGS_TABLE};
+      CREATE INDEX IF NOT EXISTS idx_sale_tags_sale_id ON ${TAGS_TABLE}(sale_id);
+    `);
+    db.exec(INDEXES);
+    setMeta('source_fingerprint', getSourceFingerprint(csvPath));
+    setMeta('tags_indexed', '1');
+    setMeta('local_changes', '0');
+  })();
+  prepareInsert();
+  db.exec('ANALYZE');
+
+  console.timeEnd('[SQLite] Import time');
+  console.log(`[SQLite] Imported ${imported} records`);
+};
+
+/**
+ * Whether the database has rows the CSV file does not: changes made through the API, or rows
+ * of a database that was never imported from a CSV file
+ */
+const hasLocalChanges = () => {
+  if (getMeta('source_fingerprint') === null) return count({}) > 0;
+  return getMeta('local_changes') === '1';
+};
+
+/**
+ * Open the database file, importing the CSV if the file is new or out of date
+ * A changed CSV is not re-imported over local changes: they would be lost
+ */
+const init = async () => {
+  dbPath = getDatabasePath();
+  db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = NORMAL');
+  db.exec(SCHEMA);
+  prepareInsert();
+
+  const csvPath = getCsvPath();
+  if (fs.existsSync(csvPath)) {
+    if (getMeta('source_fingerprint') === getSourceFingerprint(csvPath)) {
+      console.log('[SQLite] Database is up to date with the CSV file, skipping import');
+    } else if (hasLocalChanges()) {
+      console.warn(`[SQLite] ${csvPath} changed, but ${dbPath} has changes made through the API; ` +
+        `keeping the database (delete it to re-import the CSV)`);
+    } else {
+      await importCsv(csvPath);
+    }
+  } else if (count({}) === 0) {
+    console.warn(`[SQLite] CSV file not found (${csvPath}) and database is empty`);
+  }
+
+  if (getMeta('tags_indexed') !== '1') {
+    indexTags();
+  }
+  // Adds indexes introduced after the database was imported (no-op otherwise)
+  db.exec(INDEXES);
+
+  console.log(`✓ SQLite database ready (${count({})} records in ${dbPath})`);
+};
+
+/**
+ * Count records matching the filters (synchronous)
+ */
+const count = (filters) => {
+  const { where, params } = buildWhereClause(filters, placeholder);
+  return db.prepare(`SELECT COUNT(*) AS count FROM ${TABLE} ${where}`).get(params).count;
+};
+
+/**
+ * Get filtered, sorted, and paginated sales data
+ */
+const query = async (filters, sorting, pagination) => {
+  const startTime = Date.now();
+  const { where, params } = buildWhereClause(filters, placeholder);
+  const orderBy = buildOrderBy(sorting, filters.search, params, placeholder);
+  const offset = (pagination.page - 1) * pagination.limit;
+
+  const rows = db
+    .prepare(`SELECT ${selectColumns} FROM ${TABLE} ${where} ${orderBy} LIMIT ? OFFSET ?`)
+    .all([...params, pagination.limit, offset]);
+  const totalItems = count(filters);
+  const totalPages = Math.ceil(totalItems / pagination.limit);
+
+  console.log(`[SQLite] Query completed in ${Date.now() - startTime}ms, ${rows.length} rows, total: ${totalItems}`);
+
+  return {
+    data: transformRows(rows),
+    currentPage: pagination.page,
+    totalPages,
+    totalItems,
+    itemsPerPage: pagination.limit,
+    hasNextPage: pagination.page < totalPages,
+    hasPrevPage: pagination.page > 1
+  };
+};
+
+/**
+ * Compute statistics for records matching the filters
+ */
+const aggregate = async (filters = {}) => {
+  const { where, params } = buildWhereClause(filters, placeholder);
+  const stats = db.prepare(
+    `SELECT
+       COUNT(*) AS total_records,
+       ROUND(COALESCE(SUM(final_amount), 0), 2) AS total_sales,
+       COALESCE(SUM(quantity), 0) AS total_quantity,
+       ROUND(COALESCE(SUM(total_amount - final_amount), 0), 2) AS total_discount,
+       ROUND(COALESCE(AVG(final_amount), 0), 2) AS average_order_value
+     FROM ${TABLE} ${where}`
+  ).get(params);
+
+  return {
+    totalRecords: stats.total_records,
+    totalSales: stats.total_sales,
+    totalQuantity: stats.total_quantity,
+    totalDiscount: stats.total_discount,
+    averageOrderValue: stats.average_order_value
+  };
+};
+
+/**
+ * Stream filtered, sorted records in batches
+ * Uses a dedicated read-only connection so other requests can use the main
+ * connection while the export iterator is open between batches
+ */
+const exportStream = async (filters, sorting, onBatch) => {
+  const { where, params } = buildWhereClause(filters, placeholder);
+  const orderBy = buildOrderBy(sorting, filters.search, params, placeholder);
+  const reader = new Database(dbPath, { readonly: true });
+  let totalExported = 0;
+
+  try {
+    const iterator = reader
+      .prepare(`SELECT ${selectColumns} FROM ${TABLE} ${where} ${orderBy}`)
+      .iterate(params);
+
+    let batch = [];
+    for (const row of iterator) {
+      batch.push(row);
+      if (batch.length >= EXPORT_BATCH_SIZE) {
+        await onBatch(transformRows(batch));
+        totalExported += batch.length;
+        batch = [];
+      }
+    }
+
+    if (batch.length > 0) {
+      await onBatch(transformRows(batch));
+      totalExported += batch.length;
+    }
+
+    console.log(`[SQLite] Export completed: ${totalExported} records`);
+    return totalExported;
+  } finally {
+    reader.close();
+  }
+};
+
+/**
+ * Get available filter options (cached until the data changes)
+ */
+const getFilterOptions = async () => {
+  if (filterOptionsCache) {
+    return filterOptionsCache;
+  }
+
+  const distinct = (column) => db
+    .prepare(`SELECT DISTINCT ${column} AS value FROM ${TABLE} WHERE ${column} IS NOT NULL AND ${column} <> '' ORDER BY 1`)
+    .all()
+    .map(row => row.value);
+
+  // Tags are comma-separated - split the (few) distinct combinations in JS
+  const tagsSet = new Set();
+  for (const value of distinct('tags')) {
+    value.split(',').forEach(tag => {
+      const trimmed = tag.trim();
+      if (trimmed) tagsSet.add(trimmed);
+    });
+  }
+
+  const ranges = db.prepare(
+    `SELECT MIN(CASE WHEN age > 0 THEN age END) AS min_age, MAX(age) AS max_age,
+            MIN(date) AS min_date, MAX(date) AS max_date
+     FROM ${TABLE}`
+  ).get();
+  const today = new Date().toISOString().split('T')[0];
+
+  filterOptionsCache = {
+    // regions, genders, categories, paymentMethods, brands, ... (see LIST_FILTER_FIELDS)
+    ...Object.fromEntries(Object.entries(LIST_FILTER_FIELDS).map(([key, field]) => [key, distinct(toColumn(field))])),
+    tags: Array.from(tagsSet).sort(),
+    ageRange: { min: ranges.min_age ?? 0, max: ranges.max_age ?? 100 },
+    dateRange: { min: ranges.min_date || today, max: ranges.max_date || today }
+  };
+
+  return filterOptionsCache;
+};
+
+/**
+ * Insert normalized records in a single transaction
+ * @returns {Promise<number>} Number of records inserted
+ */
+const append = async (records) => {
+  insertMany(records.map(record => toSalesRow(record)));
+  markLocalChanges();
+  invalidateCache();
+  console.log(`[SQLite] Inserted ${records.length} records`);
+  return records.length;
+};
+
+/**
+ * Get a single record by id
+ */
+const getById = async (id) => {
+  const rowId = toRowId(id);
+  if (rowId === null) return null;
+
+  const row = db.prepare(`SELECT ${selectColumns} FROM ${TABLE} WHERE id = ?`).get(rowId);
+  return row ? transformRow(row) : null;
+};
+
+/**
+ * Insert a single normalized record
+ */
+const create = async (record) => {
+  const { text, params } = buildInsert(TABLE, [toSalesRow(record)], placeholder);
+  const row = db.transaction(() => {
+    const inserted = db.prepare(`${text} RETURNING ${selectColumns}`).get(params);
+    writeTags(inserted.id, inserted.tags);
+    markLocalChanges();
+    return inserted;
+  })();
+  invalidateCache();
+  return transformRow(row);
+};
+
+/**
+ * Replace a record's fields (null if the id does not exist)
+ */
+const update = async (id, record) => {
+  const rowId = toRowId(id);
+  if (rowId === null) return null;
+
+  const { text, params } = buildUpdate(TABLE, toSalesRow(record), rowId, placeholder);
+  const row = db.transaction(() => {
+    const updated = db.prepare(`${text} RETURNING ${selectColumns}`).get(params);
+    if (updated) {
+      writeTags(updated.id, updated.tags);
+      markLocalChanges();
+    }
+    return updated;
+  })();
+  invalidateCache();
+  return row ? transformRow(row) : null;
+};
+
+/**
+ * Delete a record (false if the id does not exist)
+ */
+const remove = async (id) => {
+  const rowId = toRowId(id);
+  if (rowId === null) return false;
+
+  const { changes } = db.transaction(() => {
+    db.prepare(`DELETE FROM ${TAGS_TABLE} WHERE sale_id = ?`).run(rowId);
+    const result = db.prepare(`DELETE FROM ${TABLE} WHERE id = ?`).run(rowId);
+    if (result.changes > 0) markLocalChanges();
+    return result;
+  })();
+  invalidateCache();
+  return changes > 0;
+};
+
+/**
+ * Invalidate cached filter options
+ */
+const invalidateCache = () => {
+  filterOptionsCache = null;
+};
+
+/**
+ * Autocomplete suggestions: top values per suggest field starting with prefix
+ */
+const suggest = async (prefix, limit) => {
+  return getSuggestFields(prefix).flatMap((field) => {
+    const { text, params } = buildSuggestQuery(TABLE, field, prefix, limit, placeholder);
+    return db.prepare(text).all(...params)
+      .map(row => ({ type: field, value: row.value, count: row.match_count }));
+  });
+};
+
+/**
+ * Get data source status
+ */
+const getStatus = () => {
+  return {
+    isReady: true,
+    isLoading: false,
+    recordCount: count({}),
+    mode: 'sqlite',
+    databasePath: dbPath
+  };
+};
+
+module.exports = {
+  name: 'sqlite',
+  label: 'SQLite',
+  init,
+  query,
+  count,
+  aggregate,
+  exportStream,
+  getFilterOptions,
+  getStatus,
+  suggest,
+  invalidateCache,
+  append,
+  getById,
+  create,
+  update,
+  remove
+};
@@ -0,0 +1,182 @@
+/**
+ * Supabase Adapter
+ * Serves sales data from a Supabase PostgreSQL project via databaseService
+ */
+
+const {
+  initSupabase,
+  getAllSalesFromDB,
+  getFilteredSalesFromDB,
+  getFilterOptionsFromDB,
+  exportSalesFromDB,
+  aggregateSalesFromDB,
+  insertSalesToDB,
+  getSaleByIdFromDB,
+  createSaleInDB,
+  updateSaleInDB,
+  deleteSaleFromDB,
+  getSuggestionsFromDB,
+  getSearchCacheStatus
+} = require('../services/databaseService');
+const { toSalesRow } = require('../services/dataService');
+const { hasActiveFilters, computeStats, toRowId } = require('../utils/dataUtils');
+const { MATCH_MODES } = require('../utils/phonetic');
+
+const DEFAULT_SORTING = { sortBy: 'date', sortOrder: 'desc' };
+
+/**
+ * Connect to Supabase (requires SUPABASE_URL and SUPABASE_KEY)
+ */
+const init = async () => {
+  if (!initSupabase()) {
+    throw new Error('Supabase data source requires SUPABASE_URL and SUPABASE_KEY');
+  }
+};
+
+/**
+ * Get filtered, sorted, and paginated sales data
+ */
+const query = async (filters, sorting, pagination) => {
+  console.log('[SupabaseAdapter] Delegating to database query');
+  return await getFilteredSalesFromDB(filters, sorting, pagination);
+};
+
+/**
+ * Count records matching the filters (may be estimated for multi-filter queries)
+ */
+const count = async (filters) => {
+  const result = await getFilteredSalesFromDB(filters, DEFAULT_SORTING, { page: 1, limit: 1 });
+  return result?.totalItems || 0;
+};
+
+/**
+ * Get global stats from the pre-computed stats table / RPC function
+ */
+const getGlobalStats = async () => {
+  console.log('Getting stats from database');
+  const stats = await getAllSalesFromDB();
+
+  if (stats && stats.total_records !== undefined) {
+    // Using RPC function result
+    return {
+      totalRecords: Number(stats.total_records) || 0,
+      totalSales: Number(stats.total_sales) || 0,
+      totalQuantity: Number(stats.total_quantity) || 0,
+      totalDiscount: Number(stats.total_discount) || 0,
+      averageOrderValue: Number(stats.average_order_value) || 0
+    };
+  }
+
+  if (stats && stats.count !== undefined) {
+    // Fallback: only have count
+    return {
+      totalRecords: stats.count,
+      totalSales: 0,
+      totalQuantity: 0,
+      totalDiscount: 0,
+      averageOrderValue: 0
+    };
+  }
+
+  return computeStats([]);
+};
+
+/**
+ * Compute statistics for records matching the filters
+ */
+const aggregate = async (filters = {}) => {
+  if (!filters.search && !hasActiveFilters(filters)) {
+    return await getGlobalStats();
+  }
+
+  console.log('Computing filtered stats from database');
+  return await aggregateSalesFromDB(filters) || computeStats([]);
+};
+
+/**
+ * Stream filtered records to the caller in batches
+ */
+const exportStream = async (filters, sorting, onBatch) => {
+  console.log('Exporting from database with streaming');
+  return await exportSalesFromDB(filters, sorting, onBatch);
+};
+
+/**
+ * Get available filter options
+ */
+const getFilterOptions = async () => {
+  console.log('Getting filter options from database');
+  return await getFilterOptionsFromDB();
+};
+
+/**
+ * Get search cache status
+ */
+const getStatus = () => {
+  return getSearchCacheStatus();
+};
+
+/**
+ * Autocomplete suggestions (search cache, search_index and sales tables)
+ */
+const suggest = async (prefix, limit) => {
+  return await getSuggestionsFromDB(prefix, limit);
+};
+
+/**
+ * Insert normalized records into the sales table
+ * Note: the pre-computed sales_stats / filter_options tables are not refreshed here
+ */
+const append = async (records) => {
+  return await insertSalesToDB(records.map(record => toSalesRow(record)));
+};
+
+/**
+ * Get a single record by id
+ */
+const getById = async (id) => {
+  const rowId = toRowId(id);
+  return rowId === null ? null : await getSaleByIdFromDB(rowId);
+};
+
+/**
+ * Insert a single normalized record
+ */
+const create = async (record) => {
+  return await createSaleInDB(toSalesRow(record));
+};
+
+/**
+ * Replace a record's fields (null if the id does not exist)
+ */
+const update = async (id, record) => {
+  const rowId = toRowId(id);
+  return rowId === null ? null : await updateSaleInDB(rowId, toSalesRow(record));
+};
+
+/**
+ * Delete a record (false if the id does not exist)
+ */
+const remove = async (id) => {
+  const rowId = toRowId(id);
+  return rowId === null ? false : await deleteSaleFromDB(rowId);
+};
+
+module.exports = {
+  name: 'supabase',
+  label: 'Supabase PostgreSQL',
+  matchModes: MATCH_MODES,
+  init,
+  query,
+  count,
+  aggregate,
+  exportStream,
+  getFilterOptions,
+  getStatus,
+  suggest,
+  append,
+  getById,
+  create,
+  update,
+  remove
+};
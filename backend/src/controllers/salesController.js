@@ -1,4 +1,20 @@
 const salesService = require('../services/salesService');
+const importService = require('../services/importService');
+const qualityService = require('../services/qualityService');
+const {
+  applySearchQuery,
+  parseTagsMode,
+  LIST_FILTER_FIELDS,
+  EXCLUDE_FILTER_KEYS,
+  RANGE_FILTER_FIELDS
+} = require('../utils/queryParser');
+const { parseFilterExpression } = require('../utils/filterExpression');
+const { hasActiveFilters } = require('../utils/dataUtils');
+const { parseSuggestLimit } = require('../utils/suggestionIndex');
+const { parseMatchMode } = require('../utils/phonetic');
+
+// Shortest prefix that returns suggestions (matches the search box minimum)
+const MIN_SUGGEST_LENGTH = 2;
 
 /**
  * Parse comma-separated filter values to array
@@ -9,6 +25,97 @@ const parseArrayFilter = (value) => {
   return value.split(',').map(v => v.trim()).filter(v => v.length > 0);
 };
 
+/**
+ * Parse the multi-select filters (regions, genders, categories, paymentMethods, brands,
+ * orderStatuses, deliveryTypes, storeLocations, storeIds, customerTypes, employeeNames) and
+ * every exclude list (excludeRegions, ..., excludeTags)
+ */
+const parseListFilters = (query) => {
+  const keys = [...Object.keys(LIST_FILTER_FIELDS), ...Object.values(EXCLUDE_FILTER_KEYS)];
+  return Object.fromEntries(keys.map(key => [key, parseArrayFilter(query[key])]));
+};
+
+/**
+ * Parse the numeric range filters (minFinalAmount / maxFinalAmount, minTotalAmount, minQuantity,
+ * minDiscountPercentage, minPricePerUnit, ...); missing or non-numeric bounds are null
+ */
+const parseRangeFilters = (query) => {
+  const keys = Object.values(RANGE_FILTER_FIELDS).flat();
+  return Object.fromEntries(keys.map(key => {
+    const value = typeof query[key] === 'string' && query[key].trim() !== '' ? Number(query[key]) : NaN;
+    return [key, Number.isFinite(value) ? value : null];
+  }));
+};
+
+/**
+ * Parse page / limit (limit up to 1M records, for exports)
+ */
+const parsePagination = (page, limit) => {
+  const requestedLimit = parseInt(limit, 10) || 10;
+  return {
+    page: Math.max(1, parseInt(page, 10) || 1),
+    limit: Math.min(1000000, Math.max(1, requestedLimit))
+  };
+};
+
+/**
+ * Response body for a page of sales
+ */
+const toSalesPage = (result, query) => ({
+  success: true,
+  data: result.data,
+  pagination: {
+    currentPage: result.currentPage,
+    totalPages: result.totalPages,
+    totalItems: result.totalItems,
+    // true when totalItems is estimated rather than counted
+    countIsEstimate: !!result.countIsEstimate,
+    itemsPerPage: result.itemsPerPage,
+    hasNextPage: result.hasNextPage,
+    hasPrevPage: result.hasPrevPage
+  },
+  query
+});
+
+/**
+ * Merge fielded search terms (region:North amount>5000 ...) into the filters
+ * Filter values are matched to the spelling of the filter options
+ */
+const resolveSearchQuery = async (filters) => {
+  const filterOptions = filters.search ? await salesService.getFilterOptions() : null;
+  return applySearchQuery(filters, filterOptions);
+};
+
+/**
+ * Send the error response for a failed create / update / delete
+ */
+const sendWriteError = (res, error, message) => {
+  console.error(`${message}:`, error);
+
+  if (error.issues) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: error.message,
+      issues: error.issues
+    });
+  }
+
+  if (error.message?.includes('not supported')) {
+    return res.status(400).json({
+      success: false,
+      error: 'Operation not supported',
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: message,
+    message: error.message
+  });
+};
+
 /**
  * Get sales data with search, filter, sort, and pagination
  */
@@ -17,15 +124,14 @@ const getSales = async (req, res) => {
     const {
       // Search
       search = '',
+      matchMode = '',
       
-      // Filters
-      regions = '',
-      genders = '',
+      // Filters (multi-select filters, their exclude lists and numeric range filters are read
+      // by parseListFilters and parseRangeFilters)
       minAge = '',
       maxAge = '',
-      categories = '',
       tags = '',
-      paymentMethods = '',
+      tagsMode = '',
       startDate = '',
       endDate = '',
       
@@ -38,18 +144,18 @@ const getSales = async (req, res) => {
       limit = 10
     } = req.query;
 
-    const filters = {
+    const { filters, query } = await resolveSearchQuery({
       search: search ? search.trim() : '',
-      regions: parseArrayFilter(regions),
-      genders: parseArrayFilter(genders),
+      matchMode: parseMatchMode(matchMode),
+      ...parseListFilters(req.query),
+      ...parseRangeFilters(req.query),
       minAge: minAge ? parseInt(minAge, 10) : null,
       maxAge: maxAge ? parseInt(maxAge, 10) : null,
-      categories: parseArrayFilter(categories),
       tags: parseArrayFilter(tags),
-      paymentMethods: parseArrayFilter(paymentMethods),
+      tagsMode: parseTagsMode(tagsMode),
       startDate: startDate || null,
       endDate: endDate || null
-    };
+    });
 
     // Debug log - show raw query params and parsed filters
     console.log('[Controller getSales] Raw query:', req.query);
@@ -63,11 +169,7 @@ const getSales = async (req, res) => {
     };
 
     // Allow up to 1M records for export
-    const requestedLimit = parseInt(limit, 10) || 10;
-    const pagination = {
-      page: Math.max(1, parseInt(page, 10) || 1),
-      limit: Math.min(1000000, Math.max(1, requestedLimit))
-    };
+    const pagination = parsePagination(page, limit);
 
     // Log for debugging large exports
     if (pagination.limit > 1000) {
@@ -81,21 +183,27 @@ const getSales = async (req, res) => {
       console.log(`Export result: ${result.data.length} records`);
     }
 
-    res.json({
-      success: true,
-      data: result.data,
-      pagination: {
-        currentPage: result.currentPage,
-        totalPages: result.totalPages,
-        totalItems: result.totalItems,
-        itemsPerPage: result.itemsPerPage,
-        hasNextPage: result.hasNextPage,
-        hasPrevPage: result.hasPrevPage
-      }
-    });
+    res.json(toSalesPage(result, query));
   } catch (error) {
     console.error('Error fetching sales:', error);
     
+    if (error.queryErrors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid search query',
+        message: error.message,
+        errors: error.queryErrors
+      });
+    }
+
+    if (error.message?.includes('not supported')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Match mode not supported',
+        message: error.message
+      });
+    }
+    
     // Handle specific errors with appropriate status codes
     if (error.message?.includes('timeout')) {
       return res.status(408).json({
@@ -122,6 +230,89 @@ const getSales = async (req, res) => {
   }
 };
 
+/**
+ * Query sales with a JSON filter expression (see utils/filterExpression)
+ * Body: { filter, search, matchMode, sortBy, sortOrder, page, limit }
+ */
+const querySales = async (req, res) => {
+  try {
+    const {
+      filter = null,
+      search = '',
+      matchMode = '',
+      sortBy = 'date',
+      sortOrder = 'desc',
+      page = 1,
+      limit = 10
+    } = req.body || {};
+
+    const { filters, query } = await resolveSearchQuery({
+      search: typeof search === 'string' ? search.trim() : '',
+      matchMode: parseMatchMode(matchMode),
+      ...parseListFilters({}),
+      ...parseRangeFilters({}),
+      minAge: null,
+      maxAge: null,
+      tags: [],
+      tagsMode: 'any',
+      startDate: null,
+      endDate: null,
+      expression: parseFilterExpression(filter)
+    });
+
+    const sorting = {
+      sortBy: String(sortBy),
+      sortOrder: String(sortOrder).toLowerCase() === 'asc' ? 'asc' : 'desc'
+    };
+
+    const result = await salesService.getSalesData(filters, sorting, parsePagination(page, limit));
+    res.json(toSalesPage(result, query));
+  } catch (error) {
+    console.error('Error querying sales:', error);
+
+    if (error.expressionErrors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid filter expression',
+        message: error.message,
+        errors: error.expressionErrors
+      });
+    }
+
+    if (error.queryErrors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid search query',
+        message: error.message,
+        errors: error.queryErrors
+      });
+    }
+
+    if (error.message?.includes('not supported')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Match mode not supported',
+        message: error.message
+      });
+    }
+
+    if (error.message?.includes('timeout')) {
+      return res.status(408).json({
+        success: false,
+        error: 'Query timeout',
+        message: error.message,
+        hint: 'Narrow the filter expression or navigate to an earlier page'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to query sales data',
+      message: error.message
+    });
+  }
+};
+
 /**
  * Get available filter options
  */
@@ -169,29 +360,27 @@ const getFilteredStats = async (req, res) => {
   try {
     const {
       search = '',
-      regions = '',
-      genders = '',
+      matchMode = '',
       minAge = '',
       maxAge = '',
-      categories = '',
       tags = '',
-      paymentMethods = '',
+      tagsMode = '',
       startDate = '',
       endDate = ''
     } = req.query;
 
-    const filters = {
+    const { filters } = await resolveSearchQuery({
       search: search.trim(),
-      regions: regions ? regions.split(',').map(r => r.trim()) : [],
-      genders: genders ? genders.split(',').map(g => g.trim()) : [],
+      matchMode: parseMatchMode(matchMode),
+      ...parseListFilters(req.query),
+      ...parseRangeFilters(req.query),
       minAge: minAge ? parseInt(minAge, 10) : null,
       maxAge: maxAge ? parseInt(maxAge, 10) : null,
-      categories: categories ? categories.split(',').map(c => c.trim()) : [],
       tags: tags ? tags.split(',').map(t => t.trim()) : [],
-      paymentMethods: paymentMethods ? paymentMethods.split(',').map(p => p.trim()) : [],
+      tagsMode: parseTagsMode(tagsMode),
       startDate: startDate || null,
       endDate: endDate || null
-    };
+    });
 
     const stats = await salesService.getFilteredStats(filters);
     res.json({
@@ -200,6 +389,24 @@ const getFilteredStats = async (req, res) => {
     });
   } catch (error) {
     console.error('Error fetching filtered stats:', error);
+
+    if (error.queryErrors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid search query',
+        message: error.message,
+        errors: error.queryErrors
+      });
+    }
+
+    if (error.message?.includes('not supported')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Match mode not supported',
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: 'Failed to fetch filtered statistics',
@@ -219,13 +426,11 @@ const exportSales = async (req, res) => {
     
     const {
       search = '',
-      regions = '',
-      genders = '',
+      matchMode = '',
       minAge = '',
       maxAge = '',
-      categories = '',
       tags = '',
-      paymentMethods = '',
+      tagsMode = '',
       startDate = '',
       endDate = '',
       sortBy = 'date',
@@ -233,18 +438,18 @@ const exportSales = async (req, res) => {
     } = req.query;
 
     // Use shared parseArrayFilter function (defined at top of file)
-    const filters = {
+    const { filters } = await resolveSearchQuery({
       search: search ? search.trim() : '',
-      regions: parseArrayFilter(regions),
-      genders: parseArrayFilter(genders),
+      matchMode: parseMatchMode(matchMode),
+      ...parseListFilters(req.query),
+      ...parseRangeFilters(req.query),
       minAge: minAge ? parseInt(minAge, 10) : null,
       maxAge: maxAge ? parseInt(maxAge, 10) : null,
-      categories: parseArrayFilter(categories),
       tags: parseArrayFilter(tags),
-      paymentMethods: parseArrayFilter(paymentMethods),
+      tagsMode: parseTagsMode(tagsMode),
       startDate: startDate || null,
       endDate: endDate || null
-    };
+    });
 
     // Debug log for filter parsing
     console.log('[exportSales] Parsed filters:', JSON.stringify(filters));
@@ -255,17 +460,11 @@ const exportSales = async (req, res) => {
     };
 
     // Check if any filters are active
-    const hasActiveFilters = filters.search || 
-      filters.regions.length > 0 || 
-      filters.genders.length > 0 || 
-      filters.categories.length > 0 || 
-      filters.tags.length > 0 || 
-      filters.paymentMethods.length > 0 ||
-      filters.minAge || filters.maxAge ||
-      filters.startDate || filters.endDate;
-    
-    console.log('Has active filters:', hasActiveFilters);
+    console.log('Has active filters:', !!filters.search || hasActiveFilters(filters));
     console.log('=== END EXPORT RECEIVED ===');
+
+    // Checked before the CSV headers go out, so the error can still be sent as JSON
+    salesService.assertMatchMode(filters);
     
     console.time('Export time');
 
@@ -346,6 +545,24 @@ const exportSales = async (req, res) => {
     
   } catch (error) {
     console.error('Error exporting sales:', error);
+
+    if (error.queryErrors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid search query',
+        message: error.message,
+        errors: error.queryErrors
+      });
+    }
+
+    if (error.message?.includes('not supported')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Match mode not supported',
+        message: error.message
+      });
+    }
+
     // If headers haven't been sent yet, send error response
     if (!res.headersSent) {
       res.status(500).json({
@@ -360,6 +577,45 @@ const exportSales = async (req, res) => {
   }
 };
 
+/**
+ * Get autocomplete suggestions for the search box
+ * q is the typed prefix; limit caps the suggestions per field (default 5, max 20)
+ */
+const getSuggestions = async (req, res) => {
+  try {
+    const prefix = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const limit = parseSuggestLimit(req.query.limit);
+
+    const suggestions = prefix.length >= MIN_SUGGEST_LENGTH
+      ? await salesService.getSuggestions(prefix, limit)
+      : [];
+
+    res.json({
+      success: true,
+      data: {
+        query: prefix,
+        suggestions
+      }
+    });
+  } catch (error) {
+    console.error('Error getting suggestions:', error);
+
+    if (error.message?.includes('not supported')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Suggestions not supported',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get suggestions',
+      message: error.message
+    });
+  }
+};
+
 /**
  * Get search cache status
  */
@@ -380,11 +636,259 @@ const getSearchStatus = async (req, res) => {
   }
 };
 
+/**
+ * Get the data-quality report for the active dataset
+ */
+const getQualityReport = async (req, res) => {
+  try {
+    const report = await qualityService.getQualityReport();
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error building quality report:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build quality report',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Reload the dataset from the CSV file without restarting the server
+ */
+const reloadData = async (req, res) => {
+  try {
+    const result = await salesService.reloadData();
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error reloading data:', error);
+
+    if (error.message?.includes('not supported')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Reload not supported',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reload data',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Import a CSV upload (body sent as text/csv)
+ * mode=dryRun (default) only validates; mode=commit appends the rows.
+ * A commit is rejected when any row is invalid unless skipInvalid=true.
+ * profile names the column-mapping profile of the upload (defaults to CSV_PROFILE).
+ */
+const importSales = async (req, res) => {
+  try {
+    const { mode = 'dryRun', skipInvalid = 'false', profile } = req.query;
+
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing CSV data',
+        message: 'Send the CSV file as the request body with Content-Type: text/csv'
+      });
+    }
+
+    if (mode !== 'dryRun' && mode !== 'commit') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid mode',
+        message: 'mode must be "dryRun" or "commit"'
+      });
+    }
+
+    const report = await importService.importSalesCsv(req.body, {
+      commit: mode === 'commit',
+      skipInvalid: skipInvalid === 'true',
+      profile
+    });
+
+    if (report.totalRows === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No rows found',
+        message: 'The CSV needs a header line and at least one data row'
+      });
+    }
+
+    if (mode === 'commit' && !report.committed) {
+      return res.status(422).json({
+        success: false,
+        error: 'Import rejected',
+        message: `${report.invalidRows} of ${report.totalRows} rows are invalid; fix them or retry with skipInvalid=true`,
+        data: report
+      });
+    }
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error importing sales:', error);
+
+    if (error.message?.includes('CSV profile')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid profile',
+        message: error.message
+      });
+    }
+
+    if (error.message?.includes('not supported')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Import not supported',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import sales data',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get a single sale with all of its fields
+ * Ids are Transaction IDs (or content hashes) in CSV mode and row ids in database modes
+ */
+const getSale = async (req, res) => {
+  try {
+    const sale = await salesService.getSale(req.params.id);
+    if (!sale) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sale not found',
+        message: `No sale with id ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: sale
+    });
+  } catch (error) {
+    console.error('Error fetching sale:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch sale',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Create a sale (POST /api/sales, JSON body with record fields)
+ */
+const createSale = async (req, res) => {
+  if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid request body',
+      message: 'Send the sale as a JSON object'
+    });
+  }
+
+  try {
+    const sale = await salesService.createSale(req.body);
+    res.status(201).json({
+      success: true,
+      data: sale
+    });
+  } catch (error) {
+    sendWriteError(res, error, 'Failed to create sale');
+  }
+};
+
+/**
+ * Update a sale - PUT replaces every field, PATCH only the fields sent
+ */
+const updateSale = async (req, res) => {
+  const { id } = req.params;
+
+  if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid request body',
+      message: 'Send the sale fields as a JSON object'
+    });
+  }
+
+  try {
+    const sale = await salesService.updateSale(id, req.body, req.method === 'PATCH');
+    if (!sale) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sale not found',
+        message: `No sale with id ${id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: sale
+    });
+  } catch (error) {
+    sendWriteError(res, error, 'Failed to update sale');
+  }
+};
+
+/**
+ * Delete a sale
+ */
+const deleteSale = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const removed = await salesService.deleteSale(id);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sale not found',
+        message: `No sale with id ${id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { id }
+    });
+  } catch (error) {
+    sendWriteError(res, error, 'Failed to delete sale');
+  }
+};
+
 module.exports = {
   getSales,
+  querySales,
   getFilterOptions,
   getStats,
   getFilteredStats,
   exportSales,
-  getSearchStatus
+  getSuggestions,
+  getSearchStatus,
+  getQualityReport,
+  reloadData,
+  importSales,
+  getSale,
+  createSale,
+  updateSale,
+  deleteSale
 };
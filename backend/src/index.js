@@ -3,8 +3,7 @@ const express = require('express');
 const cors = require('cors');
 const morgan = require('morgan');
 const salesRoutes = require('./routes/salesRoutes');
-const { loadSalesData } = require('./services/dataService');
-const { initSupabase, isUsingDatabase } = require('./services/databaseService');
+const { initDataSource, getAdapter, isDataSourceReady } = require('./adapters');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -25,7 +24,7 @@ const corsOptions = {
     'http://localhost:5173',
     /\.vercel\.app$/  // Allow all Vercel subdomains
   ],
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization'],
   credentials: true
 };
@@ -41,7 +40,7 @@ app.use('/api/sales', salesRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
-  const dataSource = isUsingDatabase() ? 'Supabase PostgreSQL' : 'CSV file';
+  const dataSource = isDataSourceReady() ? getAdapter().label : 'Initializing';
   res.json({ 
     status: 'OK', 
     message: 'Server is running',
@@ -66,17 +65,12 @@ app.use((req, res) => {
 // Initialize data and start server
 const startServer = async () => {
   try {
-    // Initialize Supabase if credentials are available
-    await initSupabase();
-    
-    // Load CSV data only if not using database
-    if (!isUsingDatabase()) {
-      await loadSalesData();
-    }
+    // Initialize the configured data source (DATA_SOURCE, or Supabase/CSV auto-detection)
+    await initDataSource();
     
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
-      console.log(`Data source: ${isUsingDatabase() ? 'Supabase PostgreSQL' : 'CSV file'}`);
+      console.log(`Data source: ${getAdapter().label}`);
     });
   } catch (error) {
     console.error('Failed to start server:', error);
@@ -91,10 +85,7 @@ if (process.env.VERCEL !== '1') {
   // Initialize for serverless
   (async () => {
     try {
-      await initSupabase();
-      if (!isUsingDatabase()) {
-        await loadSalesData();
-      }
+      await initDataSource();
     } catch (error) {
       console.error('Failed to initialize:', error);
     }
@@ -5,6 +5,9 @@ const salesController = require('../controllers/salesController');
 // GET /api/sales - Get paginated sales with search, filter, sort
 router.get('/', salesController.getSales);
 
+// POST /api/sales/query - Paginated sales matching a JSON filter expression (and / or / not)
+router.post('/query', salesController.querySales);
+
 // GET /api/sales/export - Export all filtered data as CSV (streaming)
 router.get('/export', salesController.exportSales);
 
@@ -17,7 +20,36 @@ router.get('/stats', salesController.getStats);
 // GET /api/sales/filtered-stats - Get statistics for filtered data
 router.get('/filtered-stats', salesController.getFilteredStats);
 
+// GET /api/sales/suggest - Autocomplete names, phone numbers, products and brands by prefix
+router.get('/suggest', salesController.getSuggestions);
+
 // GET /api/sales/search-status - Get search cache status
 router.get('/search-status', salesController.getSearchStatus);
 
+// GET /api/sales/quality - Data-quality report (null/zero rates, bad dates, amount mismatches, duplicates, outliers)
+router.get('/quality', salesController.getQualityReport);
+
+// POST /api/sales/reload - Reload the CSV dataset without a restart
+router.post('/reload', salesController.reloadData);
+
+// POST /api/sales/import - Validate (mode=dryRun) or append (mode=commit) a CSV upload
+router.post(
+  '/import',
+  express.text({ type: ['text/csv', 'text/plain'], limit: '100mb' }),
+  salesController.importSales
+);
+
+// GET /api/sales/:id - Get a single sale with all fields (keep after the named GET routes)
+router.get('/:id', salesController.getSale);
+
+// POST /api/sales - Create a sale
+router.post('/', salesController.createSale);
+
+// PUT /api/sales/:id - Replace a sale; PATCH /api/sales/:id - Update some of its fields
+router.put('/:id', salesController.updateSale);
+router.patch('/:id', salesController.updateSale);
+
+// DELETE /api/sales/:id - Delete a sale
+router.delete('/:id', salesController.deleteSale);
+
 module.exports = router;
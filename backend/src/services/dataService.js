@@ -1,13 +1,51 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const csv = require('csv-parser');
 const { generateSampleData } = require('../utils/sampleDataGenerator');
-const { buildSearchIndex } = require('../utils/dataUtils');
+const { SearchIndex } = require('../utils/searchIndex');
+const { toIsoDate } = require('../utils/dataUtils');
+const { LIST_FILTER_FIELDS } = require('../utils/queryParser');
+const {
+  DEFAULT_PROFILE,
+  CANONICAL_FIELDS,
+  getProfile,
+  getFieldValue,
+  delocalizeNumber,
+  parseDate,
+  formatValue
+} = require('../utils/csvProfiles');
 
-let salesData = [];
+// Active dataset - records, filter options and search index are always swapped
+// together so a request never pairs new records with a stale index
+let dataset = {
+  records: [], // sorted by date (desc)
+  fileRecords: [], // same records in CSV file order
+  byId: new Map(),
+  filterOptions: null,
+  searchIndex: new SearchIndex(),
+  version: 0,
+  loadedAt: null
+};
+
+// Hot reload state
+let reloadPromise = null;
+let reloadTimer = null;
+let watchedPath = null;
+// Modification time of our own last write to the CSV file (the watcher ignores it)
+let ownWriteMtimeMs = null;
+// Mapping profile of the CSV file (set by loadSalesData, used for reloads and writes)
+let csvProfile = null;
+// Record changes waiting for the next write: { records (file order, changes applied),
+// appended, rewrite, addedIds, written } - see getPendingChanges
+let pendingChanges = null;
 
-// Pre-computed filter options cache
-let filterOptionsPrecomputed = null;
+const RELOAD_DEBOUNCE_MS = 1000;
+// Changes made within this window share one CSV write and one dataset rebuild
+const WRITE_BATCH_MS = 100;
+
+// Numeric fields checked by validateRecord
+const NUMERIC_FIELDS = ['quantity', 'pricePerUnit', 'discountPercentage', 'totalAmount', 'finalAmount'];
 
 /**
  * Pre-compute filter options during data load
@@ -15,21 +53,19 @@ let filterOptionsPrecomputed = null;
 const precomputeFilterOptions = (data) => {
   console.time('Pre-compute filter options');
   
-  const regions = new Set();
-  const genders = new Set();
-  const categories = new Set();
+  // Multi-select filter options: [filters key, record field, Set of values]
+  const lists = Object.entries(LIST_FILTER_FIELDS).map(([key, field]) => [key, field, new Set()]);
   const tagsSet = new Set();
-  const paymentMethods = new Set();
   let minAge = Infinity, maxAge = -Infinity;
   let minDate = Infinity, maxDate = -Infinity;
   
   for (let i = 0; i < data.length; i++) {
     const item = data[i];
     
-    if (item.customerRegion) regions.add(item.customerRegion);
-    if (item.gender) genders.add(item.gender);
-    if (item.productCategory) categories.add(item.productCategory);
-    if (item.paymentMethod) paymentMethods.add(item.paymentMethod);
+    for (let j = 0; j < lists.length; j++) {
+      const value = item[lists[j][1]];
+      if (value) lists[j][2].add(value);
+    }
     
     if (item.tags) {
       const tagList = item.tags.split(',').map(t => t.trim());
@@ -51,12 +87,9 @@ const precomputeFilterOptions = (data) => {
     }
   }
   
-  filterOptionsPrecomputed = {
-    regions: Array.from(regions).sort(),
-    genders: Array.from(genders).sort(),
-    categories: Array.from(categories).sort(),
+  const filterOptions = {
+    ...Object.fromEntries(lists.map(([key, , values]) => [key, Array.from(values).sort()])),
     tags: Array.from(tagsSet).sort(),
-    paymentMethods: Array.from(paymentMethods).sort(),
     ageRange: { min: minAge === Infinity ? 0 : minAge, max: maxAge === -Infinity ? 100 : maxAge },
     dateRange: {
       min: minDate === Infinity ? new Date().toISOString().split('T')[0] : new Date(minDate).toISOString().split('T')[0],
@@ -65,103 +98,736 @@ const precomputeFilterOptions = (data) => {
   };
   
   console.timeEnd('Pre-compute filter options');
+  return filterOptions;
 };
 
 /**
  * Get pre-computed filter options
  */
 const getPrecomputedFilterOptions = () => {
-  return filterOptionsPrecomputed;
+  return dataset.filterOptions;
 };
 
 /**
- * Load sales data from CSV file or generate sample data
+ * Path of the sales CSV file (SALES_CSV_PATH overrides the bundled data file)
+ */
+const getCsvPath = () => {
+  return process.env.SALES_CSV_PATH || path.join(__dirname, '../../data/sales_data.csv');
+};
+
+/**
+ * Mapping profile of the CSV file (CSV_PROFILE until loadSalesData picks one)
+ */
+const getCsvProfile = () => {
+  return csvProfile || getProfile();
+};
+
+/**
+ * Parse a CSV file into normalized records (file order)
  */
-const loadSalesData = () => {
+const parseCsvFile = (csvPath, profile) => {
   return new Promise((resolve, reject) => {
-    const csvPath = path.join(__dirname, '../../data/sales_data.csv');
-    
-    // Check if CSV file exists
-    if (fs.existsSync(csvPath)) {
-      const results = [];
-      fs.createReadStream(csvPath)
-        .pipe(csv())
-        .on('data', (data) => {
-          results.push(normalizeRecord(data));
-        })
-        .on('end', () => {
-          salesData = results;
-          console.log(`Loaded ${salesData.length} records from CSV`);
-          
-          // Pre-compute filter options (do this first, before sorting)
-          precomputeFilterOptions(salesData);
-          
-          // Pre-sort by date (descending) - this is the default sort
-          console.time('Pre-sort by date');
-          salesData.sort((a, b) => {
-            const dateA = new Date(a.date);
-            const dateB = new Date(b.date);
-            return dateB.getTime() - dateA.getTime(); // Descending
-          });
-          console.timeEnd('Pre-sort by date');
-          
-          // Build search index for faster search
-          buildSearchIndex(salesData);
-          resolve(salesData);
-        })
-        .on('error', (error) => {
-          console.error('Error reading CSV:', error);
-          reject(error);
-        });
-    } else {
-      // Generate sample data if CSV doesn't exist
-      console.log('CSV file not found, generating sample data...');
-      salesData = generateSampleData(500);
-      console.log(`Generated ${salesData.length} sample records`);
-      // Build search index for faster search
-      buildSearchIndex(salesData);
-      resolve(salesData);
+    const results = [];
+    fs.createReadStream(csvPath)
+      .pipe(csv({ separator: profile.delimiter }))
+      .on('data', (data) => {
+        results.push(normalizeRecord(data, profile));
+      })
+      .on('end', () => resolve(results))
+      .on('error', (error) => {
+        console.error('Error reading CSV:', error);
+        reject(error);
+      });
+  });
+};
+
+/**
+ * Hash of a record's fields (id for rows without a Transaction ID)
+ */
+const hashRecord = (record) => {
+  const content = CANONICAL_FIELDS.map(field => record[field] ?? '').join('\u001f');
+  return `h${crypto.createHash('sha1').update(content).digest('hex').substring(0, 16)}`;
+};
+
+/**
+ * Give records stable ids: the Transaction ID when present, otherwise a hash of the fields
+ * Repeats get an occurrence suffix in file order (TXN1, TXN1~2, ...), so ids survive reloads
+ * and restarts. Records whose id changes are copied, never mutated.
+ * @param {Array} records - Normalized records in file order
+ * @returns {Array} New array of records with ids
+ */
+const assignRecordIds = (records) => {
+  const occurrences = new Map();
+
+  return records.map(record => {
+    const baseId = record.transactionId || hashRecord(record);
+    const count = (occurrences.get(baseId) || 0) + 1;
+    occurrences.set(baseId, count);
+
+    const id = count === 1 ? baseId : `${baseId}~${count}`;
+    const { id: previousId, ...fields } = record;
+    return previousId === id ? record : { id, ...fields };
+  });
+};
+
+/**
+ * Base id of a record that has an id: its Transaction ID, or its field hash without the ~n suffix
+ */
+const getBaseId = (record) => {
+  return record.transactionId || record.id.replace(/~\d+$/, '');
+};
+
+/**
+ * Give records appended to the dataset the ids assignRecordIds gives them when the file is read
+ * again (the next ~n suffix of their base id), without renumbering existing records. An id
+ * already taken by a pinned record moves to the next free suffix and is pinned itself.
+ * @param {Array} records - New normalized records
+ * @param {Object} changes - Pending changes the records are added to
+ * @returns {Array} New array of the new records with ids
+ */
+const assignNewRecordIds = (records, changes) => {
+  const baseIds = records.map(record => record.transactionId || hashRecord(record));
+  const newBaseIds = new Set(baseIds);
+  const occurrences = new Map();
+  const assigned = new Set();
+  const isTaken = (id) => dataset.byId.has(id) || changes.addedIds.has(id) || assigned.has(id);
+
+  for (const record of changes.records) {
+    const baseId = getBaseId(record);
+    if (newBaseIds.has(baseId)) occurrences.set(baseId, (occurrences.get(baseId) || 0) + 1);
+  }
+
+  return records.map((record, index) => {
+    const baseId = baseIds[index];
+    const count = (occurrences.get(baseId) || 0) + 1;
+    const { id: previousId, ...fields } = record;
+    let id = count === 1 ? baseId : `${baseId}~${count}`;
+
+    if (!isTaken(id)) {
+      occurrences.set(baseId, count);
+      assigned.add(id);
+      return { id, ...fields };
     }
+
+    let suffix = count + 1;
+    while (isTaken(`${baseId}~${suffix}`)) suffix++;
+    id = `${baseId}~${suffix}`;
+    assigned.add(id);
+    return { id, ...fields, transactionId: id };
   });
 };
 
+/**
+ * Pin (store as the Transaction ID) the ids of records whose ~n suffix would shift when the
+ * file is read again, because an earlier record with the same base id was removed or changed
+ * @param {Array} records - Records with ids, in file order
+ * @param {string} baseId - Base id of the removed or changed record
+ * @returns {Array} New array of records (unaffected records are not copied)
+ */
+const pinShiftedIds = (records, baseId) => {
+  let count = 0;
+
+  return records.map(record => {
+    if (getBaseId(record) !== baseId) return record;
+
+    const id = count === 0 ? baseId : `${baseId}~${count + 1}`;
+    if (id !== record.id) return { ...record, transactionId: record.id };
+    count++;
+    return record;
+  });
+};
+
+/**
+ * Build a complete dataset (filter options, date-sorted records, id lookup, search index)
+ * Nothing is shared with the active dataset, so this can run while requests are served
+ * @param {Array} fileRecords - Records with ids, in file order
+ */
+const buildDataset = (fileRecords) => {
+  // Pre-compute filter options (do this first, before sorting)
+  const filterOptions = precomputeFilterOptions(fileRecords);
+
+  const byId = new Map();
+  for (const record of fileRecords) {
+    byId.set(record.id, record);
+  }
+
+  // Pre-sort by date (descending) - this is the default sort
+  // (dates are parsed once up front rather than in every comparison)
+  console.time('Pre-sort by date');
+  const records = fileRecords
+    .map(record => ({ record, time: new Date(record.date).getTime() }))
+    .sort((a, b) => b.time - a.time)
+    .map(entry => entry.record);
+  console.timeEnd('Pre-sort by date');
+
+  // Build search index for faster search
+  const searchIndex = new SearchIndex();
+  searchIndex.build(records);
+
+  return { records, fileRecords, byId, filterOptions, searchIndex };
+};
+
+/**
+ * Make a built dataset the active one (a single reference swap)
+ */
+const activateDataset = (built) => {
+  dataset = {
+    ...built,
+    version: dataset.version + 1,
+    loadedAt: new Date().toISOString()
+  };
+};
+
+/**
+ * Load sales data from CSV file or generate sample data
+ * @param {string} profileName - Mapping profile of the file (defaults to CSV_PROFILE)
+ */
+const loadSalesData = async (profileName) => {
+  const csvPath = getCsvPath();
+  csvProfile = getProfile(profileName);
+  let records;
+
+  // Check if CSV file exists
+  if (fs.existsSync(csvPath)) {
+    records = await parseCsvFile(csvPath, csvProfile);
+    console.log(`Loaded ${records.length} records from CSV (profile: ${csvProfile.name})`);
+  } else {
+    // Generate sample data if CSV doesn't exist
+    console.log('CSV file not found, generating sample data...');
+    records = generateSampleData(500);
+    console.log(`Generated ${records.length} sample records`);
+  }
+
+  activateDataset(buildDataset(assignRecordIds(records)));
+  return dataset.records;
+};
+
+/**
+ * Re-read the CSV file and swap it in once it is fully parsed and indexed
+ * Requests keep using the previous dataset until the swap; concurrent calls share one reload
+ * @returns {Promise<Object>} Summary of the new dataset
+ */
+const reloadSalesData = () => {
+  if (reloadPromise) {
+    return reloadPromise;
+  }
+
+  reloadPromise = (async () => {
+    await waitForPendingChanges();
+
+    const csvPath = getCsvPath();
+    const startTime = Date.now();
+    console.log(`[DataService] Reloading ${csvPath}...`);
+
+    const records = await parseCsvFile(csvPath, getCsvProfile());
+    if (records.length === 0) {
+      throw new Error(`No records found in ${csvPath}, keeping the current dataset`);
+    }
+
+    activateDataset(buildDataset(assignRecordIds(records)));
+
+    const durationMs = Date.now() - startTime;
+    console.log(`[DataService] Reloaded ${records.length} records in ${durationMs}ms (version ${dataset.version})`);
+
+    return {
+      recordCount: records.length,
+      version: dataset.version,
+      loadedAt: dataset.loadedAt,
+      durationMs
+    };
+  })().finally(() => {
+    reloadPromise = null;
+  });
+
+  return reloadPromise;
+};
+
+/**
+ * Schedule a reload after writes to the file settle (retries while a reload is running)
+ */
+const scheduleReload = () => {
+  clearTimeout(reloadTimer);
+  reloadTimer = setTimeout(() => {
+    if (reloadPromise) {
+      scheduleReload();
+      return;
+    }
+    reloadSalesData().catch(error => {
+      console.error('[DataService] Reload failed:', error.message);
+    });
+  }, RELOAD_DEBOUNCE_MS);
+  reloadTimer.unref();
+};
+
+/**
+ * Watch the CSV file and reload the dataset when it changes
+ * Uses stat polling, which also catches editors and deploy tools that replace the file
+ * @param {number} interval - Polling interval in milliseconds
+ */
+const watchSalesFile = (interval = 2000) => {
+  if (watchedPath) return;
+
+  watchedPath = getCsvPath();
+  fs.watchFile(watchedPath, { interval, persistent: false }, (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+    if (curr.mtimeMs === ownWriteMtimeMs) return;
+
+    if (curr.mtimeMs === 0) {
+      console.warn(`[DataService] ${watchedPath} was removed, keeping the current dataset`);
+      return;
+    }
+
+    console.log(`[DataService] ${watchedPath} changed, scheduling reload`);
+    scheduleReload();
+  });
+
+  console.log(`[DataService] Watching ${watchedPath} for changes`);
+};
+
+/**
+ * Stop watching the CSV file
+ */
+const unwatchSalesFile = () => {
+  if (!watchedPath) return;
+  fs.unwatchFile(watchedPath);
+  clearTimeout(reloadTimer);
+  watchedPath = null;
+};
+
+/**
+ * Read the column headers of an existing CSV file
+ */
+const readCsvHeader = (csvPath, delimiter) => {
+  const buffer = Buffer.alloc(64 * 1024);
+  const fd = fs.openSync(csvPath, 'r');
+  try {
+    const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    const firstLine = buffer.toString('utf8', 0, bytesRead).split(/\r?\n/)[0];
+    return firstLine.replace(/^\uFEFF/, '').split(delimiter).map(header => header.trim().replace(/^"|"$/g, ''));
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+/**
+ * Escape a value for a CSV line
+ */
+const escapeCsvValue = (value, delimiter = ',') => {
+  const str = String(value ?? '');
+  if (/["\r\n]/.test(str) || str.includes(delimiter)) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+};
+
+/**
+ * Format a normalized record as a CSV line in the profile's column order and formats
+ */
+const toCsvLine = (record, headers, profile) => {
+  return headers
+    .map(header => {
+      const field = profile.columns[header];
+      return escapeCsvValue(field ? formatValue(record[field], field, profile) : '', profile.delimiter);
+    })
+    .join(profile.delimiter);
+};
+
+/**
+ * Append normalized records to the CSV file, following the file's own column order
+ */
+const appendToCsvFile = (csvPath, records) => {
+  const profile = getCsvProfile();
+  const headers = readCsvHeader(csvPath, profile.delimiter);
+  const lines = records.map(record => toCsvLine(record, headers, profile));
+
+  // Make sure the first appended row starts on its own line
+  const { size } = fs.statSync(csvPath);
+  let prefix = '';
+  if (size > 0) {
+    const lastByte = Buffer.alloc(1);
+    const fd = fs.openSync(csvPath, 'r');
+    fs.readSync(fd, lastByte, 0, 1, size - 1);
+    fs.closeSync(fd);
+    if (lastByte[0] !== 0x0a) prefix = '\n';
+  }
+
+  fs.appendFileSync(csvPath, prefix + lines.join('\n') + '\n');
+  ownWriteMtimeMs = fs.statSync(csvPath).mtimeMs;
+};
+
+/**
+ * Rewrite the CSV file with the given records (in file order)
+ * Writes to a temporary file first so readers never see a half-written file
+ */
+const writeCsvFile = (csvPath, records) => {
+  const profile = getCsvProfile();
+  const headers = readCsvHeader(csvPath, profile.delimiter);
+  const tmpPath = `${csvPath}.tmp`;
+  const fd = fs.openSync(tmpPath, 'w');
+
+  try {
+    fs.writeSync(fd, headers.map(header => escapeCsvValue(header, profile.delimiter)).join(profile.delimiter) + '\n');
+    for (let i = 0; i < records.length; i += 10000) {
+      const lines = records.slice(i, i + 10000).map(record => toCsvLine(record, headers, profile));
+      fs.writeSync(fd, lines.join('\n') + '\n');
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  fs.renameSync(tmpPath, csvPath);
+  ownWriteMtimeMs = fs.statSync(csvPath).mtimeMs;
+};
+
+/**
+ * Wait for a running reload so it cannot swap out a change made afterwards
+ */
+const waitForReload = async () => {
+  if (reloadPromise) {
+    await reloadPromise.catch(() => {});
+  }
+};
+
+/**
+ * Wait until queued record changes are written, so a reload reads them from the file
+ */
+const waitForPendingChanges = async () => {
+  if (pendingChanges) {
+    await pendingChanges.written.catch(() => {});
+  }
+};
+
+/**
+ * Persist the records to the CSV file and swap in a dataset built from them
+ * Without a CSV file (sample data mode) changes are only kept in memory
+ * @param {Array} records - The complete new record list (with ids, in file order)
+ * @param {Array} appended - When set, only these records are appended to the file
+ */
+const commitRecords = (records, appended = null) => {
+  const csvPath = getCsvPath();
+  if (!fs.existsSync(csvPath)) {
+    console.warn(`[DataService] ${csvPath} not found, changes are kept in memory only`);
+  } else if (appended) {
+    appendToCsvFile(csvPath, appended);
+  } else {
+    writeCsvFile(csvPath, records);
+  }
+
+  activateDataset(buildDataset(records));
+};
+
+/**
+ * Write the queued changes in one go: a single CSV write (an append when records were only
+ * added) and a single dataset rebuild for the whole batch
+ */
+const flushPendingChanges = () => {
+  const changes = pendingChanges;
+  pendingChanges = null;
+  commitRecords(changes.records, changes.rewrite ? null : changes.appended);
+  console.log(`[DataService] Wrote ${changes.count} change(s) (version ${dataset.version})`);
+};
+
+/**
+ * Changes of the current write batch, started on the first change
+ * Creates, updates and deletes edit `records` right away (later changes in the batch see them)
+ * and wait for `written`, which resolves once the batch is in the file and the active dataset;
+ * `count` is the number of changes in the batch
+ */
+const getPendingChanges = () => {
+  if (!pendingChanges) {
+    pendingChanges = {
+      records: [...dataset.fileRecords],
+      appended: [],
+      rewrite: false,
+      addedIds: new Set(),
+      count: 0
+    };
+    pendingChanges.written = new Promise(resolve => setTimeout(resolve, WRITE_BATCH_MS))
+      .then(flushPendingChanges);
+  }
+  pendingChanges.count++;
+  return pendingChanges;
+};
+
+/**
+ * Records in file order with the queued changes applied
+ */
+const getCurrentRecords = () => {
+  return pendingChanges ? pendingChanges.records : dataset.fileRecords;
+};
+
+/**
+ * Position of a record in getCurrentRecords (-1 if the id does not exist)
+ */
+const findRecordIndex = (id) => {
+  return getCurrentRecords().findIndex(record => record.id === id);
+};
+
+/**
+ * Store a generated id as the record's Transaction ID, so editing the record later keeps its id
+ */
+const pinRecordId = (record) => {
+  return record.transactionId ? record : { ...record, transactionId: record.id };
+};
+
+/**
+ * Give new records ids and append them to the CSV file and the dataset
+ * @returns {Promise<Array>} The appended records (with ids)
+ */
+const appendRecords = async (records) => {
+  await waitForReload();
+
+  const changes = getPendingChanges();
+  const created = assignNewRecordIds(records, changes).map(pinRecordId);
+  for (const record of created) {
+    changes.records.push(record);
+    changes.appended.push(record);
+    changes.addedIds.add(record.id);
+  }
+
+  await changes.written;
+  console.log(`[DataService] Appended ${created.length} records (version ${dataset.version})`);
+  return created;
+};
+
+/**
+ * Append normalized records to the CSV file and swap in a dataset that includes them
+ * @returns {Promise<number>} Number of records appended
+ */
+const appendSalesData = async (records) => {
+  const created = await appendRecords(records);
+  return created.length;
+};
+
+/**
+ * Get a single record by id
+ */
+const getSaleById = (id) => {
+  return dataset.byId.get(id) || null;
+};
+
+/**
+ * Add a single normalized record
+ * @returns {Promise<Object>} The created record (with id)
+ */
+const createSale = async (record) => {
+  const [created] = await appendRecords([record]);
+  return created;
+};
+
+/**
+ * Id for a record given a new Transaction ID: the Transaction ID itself, or the first free
+ * ~n suffix of it (stored as the Transaction ID) when another record already uses it
+ */
+const getNewTransactionId = (transactionId) => {
+  const records = getCurrentRecords();
+  const inUse = (id) => dataset.byId.has(id) || records.some(record => record.id === id || getBaseId(record) === id);
+  if (!inUse(transactionId)) return transactionId;
+
+  let count = 2;
+  while (inUse(`${transactionId}~${count}`)) count++;
+  return `${transactionId}~${count}`;
+};
+
+/**
+ * Replace a record's fields
+ * The id is kept (stored as the Transaction ID when the row had none) unless a new
+ * Transaction ID is given; other records keep their ids
+ * @returns {Promise<Object|null>} The updated record, or null if the id does not exist
+ */
+const updateSale = async (id, record) => {
+  await waitForReload();
+
+  const index = findRecordIndex(id);
+  if (index === -1) return null;
+
+  const existing = getCurrentRecords()[index];
+  const transactionId = record.transactionId || id;
+  const isNewTransactionId = transactionId !== id && transactionId !== existing.transactionId;
+  const newId = isNewTransactionId ? getNewTransactionId(transactionId) : id;
+  const { id: previousId, ...fields } = record;
+  const updated = {
+    id: newId,
+    ...fields,
+    transactionId: newId === id || newId === transactionId ? transactionId : newId
+  };
+
+  const changes = getPendingChanges();
+  changes.records[index] = updated;
+  changes.records = pinShiftedIds(changes.records, getBaseId(existing));
+  changes.addedIds.add(newId);
+  changes.rewrite = true;
+
+  await changes.written;
+  console.log(`[DataService] Updated record ${id} (version ${dataset.version})`);
+  return updated;
+};
+
+/**
+ * Delete a record
+ * @returns {Promise<boolean>} False if the id does not exist
+ */
+const removeSale = async (id) => {
+  await waitForReload();
+
+  const index = findRecordIndex(id);
+  if (index === -1) return false;
+
+  const changes = getPendingChanges();
+  const [existing] = changes.records.splice(index, 1);
+  changes.records = pinShiftedIds(changes.records, getBaseId(existing));
+  changes.rewrite = true;
+
+  await changes.written;
+  console.log(`[DataService] Deleted record ${id} (version ${dataset.version})`);
+  return true;
+};
+
+/**
+ * Read a raw field from a CSV row (profile column or camelCase key), trimmed
+ */
+const getRawValue = (record, field, profile) => {
+  return String(getFieldValue(record, field, profile)).trim();
+};
+
+/**
+ * Validate a raw CSV row before it is normalized
+ * normalizeRecord silently turns bad values into 0 / '', so this reports them instead
+ * @param {Object} record - Raw row
+ * @param {Object} profile - Mapping profile the row follows (defaults to the default profile)
+ * @returns {Array<{field: string, message: string, value?: string}>} Issues (empty when valid)
+ */
+const validateRecord = (record, profile = getProfile(DEFAULT_PROFILE)) => {
+  const issues = [];
+
+  if (!getRawValue(record, 'customerName', profile)) {
+    issues.push({ field: 'customerName', message: 'Customer name is missing' });
+  }
+
+  const date = getRawValue(record, 'date', profile);
+  if (!date) {
+    issues.push({ field: 'date', message: 'Date is missing' });
+  } else if (!parseDate(date, profile)) {
+    issues.push({ field: 'date', message: 'Date could not be parsed', value: date });
+  }
+
+  for (const field of NUMERIC_FIELDS) {
+    const value = getRawValue(record, field, profile);
+    if (value && !Number.isFinite(Number(delocalizeNumber(value, profile)))) {
+      const label = profile.headers[field] || field;
+      issues.push({ field, message: `${label} is not a number`, value });
+    }
+  }
+
+  return issues;
+};
+
+/**
+ * Check that an API payload only uses record fields (camelCase or CSV header) with scalar values
+ * The id is read-only and ignored
+ * @returns {Array<{field: string, message: string}>} Issues (empty when valid)
+ */
+const validateFields = (input) => {
+  const headers = Object.keys(getProfile(DEFAULT_PROFILE).columns);
+  const knownFields = new Set([...headers, ...CANONICAL_FIELDS, 'id']);
+  const issues = [];
+
+  for (const [field, value] of Object.entries(input)) {
+    if (!knownFields.has(field)) {
+      issues.push({ field, message: 'Unknown field' });
+    } else if (value !== null && typeof value === 'object') {
+      issues.push({ field, message: 'Must be a string or number' });
+    }
+  }
+
+  return issues;
+};
+
 /**
  * Normalize a record from CSV
+ * Profiles with a date format store ISO dates; "auto" profiles keep the date as written
+ * @param {Object} record - Raw row (profile columns) or camelCase record
+ * @param {Object} profile - Mapping profile (defaults to the default profile)
  */
-const normalizeRecord = (record) => {
+const normalizeRecord = (record, profile = getProfile(DEFAULT_PROFILE)) => {
+  const text = (field) => getFieldValue(record, field, profile);
+  const integer = (field) => parseInt(delocalizeNumber(text(field), profile), 10) || 0;
+  const decimal = (field) => parseFloat(delocalizeNumber(text(field), profile)) || 0;
+  const date = text('date');
+
   return {
+    // Transaction Fields
+    transactionId: text('transactionId'),
+
     // Customer Fields
-    customerId: record['Customer ID'] || record.customerId || '',
-    customerName: record['Customer Name'] || record.customerName || '',
-    phoneNumber: record['Phone Number'] || record.phoneNumber || '',
-    gender: record['Gender'] || record.gender || '',
-    age: parseInt(record['Age'] || record.age, 10) || 0,
-    customerRegion: record['Customer Region'] || record.customerRegion || '',
-    customerType: record['Customer Type'] || record.customerType || '',
+    customerId: text('customerId'),
+    customerName: text('customerName'),
+    phoneNumber: text('phoneNumber'),
+    gender: text('gender'),
+    age: integer('age'),
+    customerRegion: text('customerRegion'),
+    customerType: text('customerType'),
     
     // Product Fields
-    productId: record['Product ID'] || record.productId || '',
-    productName: record['Product Name'] || record.productName || '',
-    brand: record['Brand'] || record.brand || '',
-    productCategory: record['Product Category'] || record.productCategory || '',
-    tags: record['Tags'] || record.tags || '',
+    productId: text('productId'),
+    productName: text('productName'),
+    brand: text('brand'),
+    productCategory: text('productCategory'),
+    tags: text('tags'),
     
     // Sales Fields
-    quantity: parseInt(record['Quantity'] || record.quantity, 10) || 0,
-    pricePerUnit: parseFloat(record['Price per Unit'] || record.pricePerUnit) || 0,
-    discountPercentage: parseFloat(record['Discount Percentage'] || record.discountPercentage) || 0,
-    totalAmount: parseFloat(record['Total Amount'] || record.totalAmount) || 0,
-    finalAmount: parseFloat(record['Final Amount'] || record.finalAmount) || 0,
+    quantity: integer('quantity'),
+    pricePerUnit: decimal('pricePerUnit'),
+    discountPercentage: decimal('discountPercentage'),
+    totalAmount: decimal('totalAmount'),
+    finalAmount: decimal('finalAmount'),
     
     // Operational Fields
-    date: record['Date'] || record.date || '',
-    paymentMethod: record['Payment Method'] || record.paymentMethod || '',
-    orderStatus: record['Order Status'] || record.orderStatus || '',
-    deliveryType: record['Delivery Type'] || record.deliveryType || '',
-    storeId: record['Store ID'] || record.storeId || '',
-    storeLocation: record['Store Location'] || record.storeLocation || '',
-    salespersonId: record['Salesperson ID'] || record.salespersonId || '',
-    employeeName: record['Employee Name'] || record.employeeName || ''
+    date: profile.datePattern ? (parseDate(date, profile) || date) : date,
+    paymentMethod: text('paymentMethod'),
+    orderStatus: text('orderStatus'),
+    deliveryType: text('deliveryType'),
+    storeId: text('storeId'),
+    storeLocation: text('storeLocation'),
+    salespersonId: text('salespersonId'),
+    employeeName: text('employeeName')
+  };
+};
+
+/**
+ * Map a raw CSV row to a sales table row (snake_case columns, ISO date)
+ * @param {Object} row - Raw row or normalized record
+ * @param {Object} profile - Mapping profile of raw rows (defaults to the default profile)
+ */
+const toSalesRow = (row, profile) => {
+  const record = normalizeRecord(row, profile);
+  return {
+    transaction_id: record.transactionId || null,
+    date: toIsoDate(record.date) || null,
+    customer_id: record.customerId,
+    customer_name: record.customerName,
+    phone_number: record.phoneNumber,
+    gender: record.gender,
+    age: record.age || null,
+    customer_region: record.customerRegion,
+    customer_type: record.customerType,
+    product_id: record.productId,
+    product_name: record.productName,
+    brand: record.brand,
+    product_category: record.productCategory,
+    tags: record.tags,
+    quantity: record.quantity,
+    price_per_unit: record.pricePerUnit,
+    discount_percentage: record.discountPercentage,
+    total_amount: record.totalAmount,
+    final_amount: record.finalAmount,
+    payment_method: record.paymentMethod,
+    order_status: record.orderStatus,
+    delivery_type: record.deliveryType,
+    store_id: record.storeId,
+    store_location: record.storeLocation,
+    salesperson_id: record.salespersonId,
+    employee_name: record.employeeName
   };
 };
 
@@ -169,20 +835,48 @@ const normalizeRecord = (record) => {
  * Get all sales data
  */
 const getSalesData = () => {
-  return salesData;
+  return dataset.records;
 };
 
+/**
+ * Get the active dataset snapshot ({ records, fileRecords, byId, filterOptions, searchIndex, version, loadedAt })
+ * Read it once per request so every step works on the same records and index
+ */
+const getDataset = () => {
+  return dataset;
+};
+
+/**
+ * Check if a reload is in progress
+ */
+const isReloading = () => reloadPromise !== null;
+
 /**
  * Set sales data (for testing or direct loading)
  */
 const setSalesData = (data) => {
-  salesData = data.map(normalizeRecord);
+  activateDataset(buildDataset(assignRecordIds(data.map(record => normalizeRecord(record)))));
 };
 
 module.exports = {
   loadSalesData,
+  reloadSalesData,
+  appendSalesData,
+  getSaleById,
+  createSale,
+  updateSale,
+  removeSale,
+  watchSalesFile,
+  unwatchSalesFile,
+  isReloading,
   getSalesData,
+  getDataset,
   setSalesData,
   normalizeRecord,
+  validateRecord,
+  validateFields,
+  toSalesRow,
+  getCsvPath,
+  getCsvProfile,
   getPrecomputedFilterOptions
 };
@@ -1,5 +1,19 @@
 const { createClient } = require('@supabase/supabase-js');
-const { searchCache } = require('../utils/searchCache');
+const { searchCache, MISSING_SCHEMA_CODES } = require('../utils/searchCache');
+const { transformRows, addStatsTotals, toStats } = require('../utils/dataUtils');
+const { SORT_COLUMNS, escapeLike, toColumn } = require('../utils/sqlBuilder');
+const { rankByRelevance } = require('../utils/relevance');
+const {
+  LIST_FILTER_FIELDS,
+  EXCLUDE_FILTER_KEYS,
+  SEARCH_FIELDS,
+  tokenizeSearch,
+  getRangePredicates,
+  getListExclusions,
+  normalizeTags
+} = require('../utils/queryParser');
+const { hasTagsCondition } = require('../utils/filterExpression');
+const { getSuggestFields, countSuggestions, toDisplayName } = require('../utils/suggestionIndex');
 
 // Supabase configuration
 const supabaseUrl = process.env.SUPABASE_URL || '';
@@ -8,35 +22,57 @@ const supabaseKey = process.env.SUPABASE_KEY || '';
 let supabase = null;
 let useDatabase = false;
 
+// Whether sales has the tag_list array column (step12-tag-list.sql); null until checked
+let hasTagList = null;
+
 // Cache for filter options (computed once, reused)
 let filterOptionsCache = null;
 let filterOptionsCacheTime = 0;
 const FILTER_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 
-/**
- * Convert snake_case to camelCase
- */
-const snakeToCamel = (str) => str.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+// Most ids a phonetic search resolves to outside the paged cache search (exports and
+// the phonetic_search RPC)
+const PHONETIC_MAX_RESULTS = 500;
 
-/**
- * Transform database row (snake_case) to API format (camelCase)
- */
-const transformRow = (row) => {
-  if (!row) return row;
-  const transformed = {};
-  for (const [key, value] of Object.entries(row)) {
-    transformed[snakeToCamel(key)] = value;
-  }
-  return transformed;
-};
+// Search rows ranked in memory for sortBy=relevance when the search cache is not ready
+// (one PostgREST response)
+const RELEVANCE_MAX_ROWS = 1000;
+
+// Rows per PostgREST response (the Supabase max rows default); also the most rows one
+// search page returns
+const PAGE_FETCH_SIZE = 1000;
+
+// Search cache matches are streamed into the sales query in id chunks of this size
+// (keeps the id=in.(...) URL short), this many chunks at a time
+const ID_CHUNK_SIZE = 500;
+const ID_CHUNK_CONCURRENCY = 4;
+
+// Match sets of recent cached searches, so paging does not stream every id again
+// (cleared when rows are inserted, updated or deleted; keyed on the search cache version,
+// so a sync that changes the cache's matches starts a new set)
+const SEARCH_MATCH_TTL = 60 * 1000; // 1 minute
+const SEARCH_MATCH_CACHE_SIZE = 20;
+const searchMatchCache = new Map();
+
+// Count of search_sales_with_filters stops here (step8-fast-search.sql)
+const RPC_COUNT_LIMIT = 50000;
+
+// Multi-select filters search_sales_with_filters has parameters for
+const RPC_LIST_FILTERS = ['regions', 'genders', 'categories', 'paymentMethods'];
+
+// p_sort_column values of search_sales_with_filters (it has no other sort columns)
+const RPC_SORT_COLUMNS = { date: 'date', final_amount: 'amount', customer_name: 'customer' };
 
 /**
- * Transform array of rows
+ * search_sales_with_filters parameters for the numeric range filters (p_min_final_amount,
+ * p_max_quantity, ...); only set bounds are sent, so older versions of the function still
+ * answer searches without them
  */
-const transformRows = (rows) => {
-  if (!Array.isArray(rows)) return rows;
-  return rows.map(transformRow);
-};
+const toRpcRangeParams = (rangePredicates) => Object.fromEntries(rangePredicates.map(({ field, op, value }) =>
+  [`p_${op === 'gte' ? 'min' : 'max'}_${toColumn(field)}`, value]));
+
+// Rows fetched per field when suggestions are counted from the database (PostgREST has no GROUP BY)
+const SUGGEST_SAMPLE_SIZE = 1000;
 
 /**
  * Initialize Supabase client
@@ -61,6 +97,219 @@ const initSupabase = () => {
   return false;
 };
 
+/**
+ * Add search query predicates ({ field, op, value }) to a PostgREST query
+ * Text comparisons use ILIKE so they ignore case like the other data sources
+ */
+const applyPredicates = (query, predicates = []) => {
+  for (const { field, op, value } of predicates) {
+    const column = toColumn(field);
+
+    if (op === 'contains') {
+      query = query.ilike(column, `%${escapeLike(value)}%`);
+    } else if (op === 'eq' && typeof value === 'string' && column !== 'date') {
+      query = query.ilike(column, escapeLike(value));
+    } else if (['eq', 'gt', 'gte', 'lt', 'lte'].includes(op)) {
+      query = query[op](column, value);
+    } else {
+      throw new Error(`Unsupported predicate operator "${op}"`);
+    }
+  }
+  return query;
+};
+
+// Columns the free-text search looks in; the search strategies below cover name and phone,
+// so single-word searches add only the other columns
+const SEARCH_COLUMNS = SEARCH_FIELDS.map(toColumn);
+const TERM_COLUMNS = SEARCH_COLUMNS.filter(column => column !== 'customer_name' && column !== 'phone_number');
+
+/**
+ * Quote a value for a PostgREST or() condition (commas and parentheses in it stay literal)
+ */
+const quoteFilterValue = (value) => `"${String(value).replace(/["\\]/g, (ch) => `\\${ch}`)}"`;
+
+/**
+ * PostgREST or() condition: a search word contained in any of the columns
+ */
+const buildWordCondition = (word, columns = SEARCH_COLUMNS) => {
+  const pattern = quoteFilterValue(`%${escapeLike(word)}%`);
+  return columns.map(column => `${column}.ilike.${pattern}`).join(',');
+};
+
+/**
+ * Add search words to a PostgREST query: every word must be contained in one of the columns
+ */
+const applyWordConditions = (query, words, columns = SEARCH_COLUMNS) => {
+  for (const word of words) {
+    query = query.or(buildWordCondition(word, columns));
+  }
+  return query;
+};
+
+/**
+ * Add the free-text search to a PostgREST query: every word must be contained in one of
+ * the searched columns
+ */
+const applySearchWords = (query, search) => applyWordConditions(query, tokenizeSearch(search));
+
+/**
+ * Whether every search word is contained in one of the columns of a sales row
+ * (the in-memory version of applyWordConditions)
+ */
+const matchesWords = (row, words, columns) => words.every(word =>
+  columns.some(column => String(row[column] ?? '').toLowerCase().includes(word)));
+
+/**
+ * Check once whether sales has the tag_list column (other errors are retried on the next call)
+ */
+const checkTagList = async () => {
+  if (hasTagList !== null) return hasTagList;
+
+  const { error } = await supabase.from('sales').select('tag_list').limit(1);
+  if (!error) {
+    hasTagList = true;
+  } else if (MISSING_SCHEMA_CODES.includes(error.code)) {
+    console.log('[DB] No tag_list column (run step12-tag-list.sql); tags are matched with ILIKE patterns');
+    hasTagList = false;
+  }
+  return !!hasTagList;
+};
+
+/**
+ * ILIKE patterns of a whole tag in the comma-separated tags column (separated by "," or ", ")
+ */
+const getTagPatterns = (tag) => {
+  const escaped = escapeLike(tag);
+  return [escaped, `${escaped},%`, `%,${escaped}`, `%, ${escaped}`, `%,${escaped},%`, `%, ${escaped},%`];
+};
+
+/**
+ * Add the tags filter to a PostgREST query: records with any, all or none of the selected tags
+ * Uses the GIN-indexed tag_list column when checkTagList found it
+ */
+const applyTagsFilter = (query, filters) => {
+  const tags = normalizeTags(filters.tags || []);
+  if (tags.length === 0) return query;
+  const mode = filters.tagsMode || 'any';
+
+  if (hasTagList) {
+    const list = `{${tags.map(quoteFilterValue).join(',')}}`;
+    if (mode === 'all') return query.filter('tag_list', 'cs', list);
+    if (mode === 'none') return query.not('tag_list', 'ov', list);
+    return query.filter('tag_list', 'ov', list);
+  }
+
+  const toConditions = (tag) => getTagPatterns(tag).map(pattern => `tags.ilike.${quoteFilterValue(pattern)}`);
+  if (mode === 'all') {
+    for (const tag of tags) {
+      query = query.or(toConditions(tag).join(','));
+    }
+    return query;
+  }
+  if (mode === 'none') {
+    for (const pattern of tags.flatMap(getTagPatterns)) {
+      query = query.or(`tags.is.null,tags.not.ilike.${quoteFilterValue(pattern)}`);
+    }
+    return query;
+  }
+  return query.or(tags.flatMap(toConditions).join(','));
+};
+
+/**
+ * PostgREST logic tree condition (for or()) of a normalized filter expression
+ * (see utils/filterExpression); negated conditions keep rows without a value
+ * Text comparisons use ILIKE like applyPredicates; tags use tag_list when checkTagList found it
+ */
+const buildExpressionCondition = (node) => {
+  if (node.type === 'and' || node.type === 'or') {
+    return `${node.type}(${node.nodes.map(buildExpressionCondition).join(',')})`;
+  }
+
+  if (node.type === 'tags') {
+    if (hasTagList) {
+      const list = `{${node.tags.map(quoteFilterValue).join(',')}}`;
+      return `tag_list.${node.negated ? 'not.' : ''}ov.${list}`;
+    }
+    const patterns = node.tags.flatMap(getTagPatterns).map(quoteFilterValue);
+    if (node.negated) {
+      return `or(tags.is.null,and(${patterns.map(pattern => `tags.not.ilike.${pattern}`).join(',')}))`;
+    }
+    return `or(${patterns.map(pattern => `tags.ilike.${pattern}`).join(',')})`;
+  }
+
+  const column = toColumn(node.field);
+  let condition;
+  if (node.op === 'contains') {
+    condition = `ilike.${quoteFilterValue(`%${escapeLike(node.value)}%`)}`;
+  } else if (node.op === 'eq' && typeof node.value === 'string' && column !== 'date') {
+    condition = `ilike.${quoteFilterValue(escapeLike(node.value))}`;
+  } else {
+    condition = `${node.op}.${quoteFilterValue(node.value)}`;
+  }
+  return node.negated ? `or(${column}.is.null,${column}.not.${condition})` : `${column}.${condition}`;
+};
+
+/**
+ * PostgREST or() condition: the column equals one of the values, ignoring case like the other
+ * data sources (ILIKE without wildcards)
+ */
+const buildListCondition = (column, values) => {
+  return values.map(value => `${column}.ilike.${quoteFilterValue(escapeLike(value))}`).join(',');
+};
+
+/**
+ * Add the exclude lists to a PostgREST query: values compare ignoring case, rows without a
+ * value are kept (like the SQL adapters), excludeTags drops rows with any of the listed tags
+ */
+const applyExclusions = (query, filters) => {
+  for (const [field, values] of getListExclusions(filters)) {
+    const column = toColumn(field);
+    const conditions = values.map(value => `${column}.not.ilike.${quoteFilterValue(escapeLike(value))}`);
+    query = query.or(`${column}.is.null,and(${conditions.join(',')})`);
+  }
+  return applyTagsFilter(query, { tags: filters.excludeTags, tagsMode: 'none' });
+};
+
+/**
+ * Whether any exclude list (excludeRegions, ..., excludeTags) has values
+ */
+const hasExclusions = (filters) => Object.values(EXCLUDE_FILTER_KEYS).some(key => filters[key]?.length > 0);
+
+/**
+ * Add the filters other than the free-text search to a PostgREST query
+ * (call checkTagList first when tags, excluded tags or a tags expression are used)
+ */
+const applyRecordFilters = (query, filters) => {
+  for (const [key, field] of Object.entries(LIST_FILTER_FIELDS)) {
+    if (filters[key]?.length > 0) {
+      query = query.or(buildListCondition(toColumn(field), filters[key]));
+    }
+  }
+  query = applyTagsFilter(query, filters);
+  query = applyExclusions(query, filters);
+  if (filters.expression) {
+    query = query.or(buildExpressionCondition(filters.expression));
+  }
+  if (filters.minAge !== null && filters.minAge !== undefined) {
+    query = query.gte('age', filters.minAge);
+  }
+  if (filters.maxAge !== null && filters.maxAge !== undefined) {
+    query = query.lte('age', filters.maxAge);
+  }
+  if (filters.startDate) {
+    query = query.gte('date', filters.startDate);
+  }
+  if (filters.endDate) {
+    query = query.lte('date', filters.endDate);
+  }
+  return applyPredicates(query, [...getRangePredicates(filters), ...(filters.predicates || [])]);
+};
+
+/**
+ * Sales column of the sortBy option (SORT_COLUMNS; relevance and unknown values sort by date)
+ */
+const getSortColumn = (sorting) => SORT_COLUMNS[sorting.sortBy] || 'date';
+
 /**
  * Check if using database
  */
@@ -121,6 +370,311 @@ const getAllSalesFromDB = async () => {
   }
 };
 
+/**
+ * Ids of records whose customer name sounds like the search term (matchMode=phonetic)
+ * Uses the search cache when it is ready, otherwise the phonetic_search RPC
+ * (COMPLETE_SEARCH_SETUP.sql); an empty list when neither is available
+ */
+const findPhoneticMatchIds = async (searchTerm) => {
+  const cached = searchCache.search(searchTerm, PHONETIC_MAX_RESULTS, 'phonetic');
+  if (cached) {
+    console.log(`[DB] Cache found ${cached.length} phonetic matches`);
+    return cached;
+  }
+
+  const { data, error } = await supabase
+    .rpc('phonetic_search', { search_term: searchTerm, max_results: PHONETIC_MAX_RESULTS });
+
+  if (error) {
+    console.log('[DB] phonetic_search RPC not available:', error.message);
+    return [];
+  }
+  console.log(`[DB] phonetic_search RPC found ${data.length} matches`);
+  return data.map(row => row.matching_id);
+};
+
+// Columns the filtered stats add up (addStatsTotals)
+const STATS_COLUMNS = ['id', 'final_amount', 'quantity', 'total_amount'];
+
+// Columns of the match rows a cached search pages through: the sort columns, the
+// searched columns and the stats columns (full rows are fetched for the returned page only)
+const MATCH_COLUMNS = [...new Set(['id', ...Object.values(SORT_COLUMNS), ...STATS_COLUMNS, ...SEARCH_COLUMNS])].join(',');
+
+/**
+ * Split ids into ID_CHUNK_SIZE chunks and run `fetchChunk` on them, ID_CHUNK_CONCURRENCY
+ * chunks at a time
+ * @returns {Promise<Map>} id -> row of every row returned
+ */
+const fetchByIdChunks = async (ids, fetchChunk) => {
+  const chunks = [];
+  for (let i = 0; i < ids.length; i += ID_CHUNK_SIZE) {
+    chunks.push(ids.slice(i, i + ID_CHUNK_SIZE));
+  }
+
+  const rowsById = new Map();
+  for (let i = 0; i < chunks.length; i += ID_CHUNK_CONCURRENCY) {
+    const results = await Promise.all(chunks.slice(i, i + ID_CHUNK_CONCURRENCY).map(fetchChunk));
+    for (const { data, error } of results) {
+      if (error) throw error;
+      for (const row of data || []) rowsById.set(row.id, row);
+    }
+  }
+  return rowsById;
+};
+
+/**
+ * Count the rows whose columns contain every search word and that pass the other filters
+ * Falls back to the planner's estimate when the exact count fails (e.g. a statement timeout)
+ * @returns {Promise<Object>} { count, isEstimate }
+ */
+const countWordMatches = async (words, columns, filters) => {
+  const countQuery = (count) => applyRecordFilters(
+    applyWordConditions(supabase.from('sales').select('id', { count, head: true }), words, columns),
+    filters
+  );
+
+  const exact = await countQuery('exact');
+  if (!exact.error) return { count: exact.count || 0, isEstimate: false };
+
+  console.log('[DB] Exact search count failed, using the planner estimate:', exact.error.message);
+  const planned = await countQuery('planned');
+  if (planned.error) throw planned.error;
+  return { count: planned.count || 0, isEstimate: true };
+};
+
+/**
+ * Rows [start, end) of the rows whose columns contain every search word and that pass the
+ * other filters, in sort order (MATCH_COLUMNS only); rows in `skipIds` are left out
+ */
+const fetchWordMatchRows = async (words, columns, filters, order, start, end, skipIds = null) => {
+  const rows = [];
+  // Without skipped rows the database can skip to `start` itself
+  let position = skipIds ? 0 : start;
+  for (let offset = position; position < end; offset += PAGE_FETCH_SIZE) {
+    const query = applyRecordFilters(
+      applyWordConditions(supabase.from('sales').select(MATCH_COLUMNS), words, columns),
+      filters
+    )
+      .order(order.column, { ascending: order.ascending })
+      .order('id', { ascending: order.ascending })
+      .range(offset, offset + PAGE_FETCH_SIZE - 1);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    for (const row of data) {
+      if (skipIds?.has(row.id)) continue;
+      if (position >= start && position < end) rows.push(row);
+      position++;
+    }
+    if (data.length < PAGE_FETCH_SIZE) break;
+  }
+  return rows;
+};
+
+// Sort columns whose values compare by the database collation (getSortColumn)
+const TEXT_SORT_COLUMNS = ['customer_name'];
+
+/**
+ * Compare match rows like ORDER BY column, id (descending when not ascending), NULL last
+ * ascending as in Postgres. With `ranks` (rankValuesInDatabase) values compare by rank:
+ * JavaScript's < does not follow the database collation for text
+ */
+const compareRows = (column, ascending, ranks = null) => (a, b) => {
+  const x = ranks ? ranks.get(a[column]) : a[column];
+  const y = ranks ? ranks.get(b[column]) : b[column];
+  let order;
+  if (x === y) order = a.id - b.id;
+  else if (x === null || x === undefined) order = 1;
+  else if (y === null || y === undefined) order = -1;
+  else order = x < y ? -1 : 1;
+  return ascending ? order : -order;
+};
+
+/**
+ * Rank the distinct `column` values of match rows in the database's sort order, so rows
+ * of separate queries merge like one ORDER BY. The database orders one row per value,
+ * ID_CHUNK_SIZE rows per query; more values are merge sorted half a chunk of each side
+ * at a time
+ * @returns {Promise<Map>} value -> rank (ascending, NULL last)
+ */
+const rankValuesInDatabase = async (rows, column) => {
+  const valueIds = new Map();
+  for (const row of rows) {
+    if (!valueIds.has(row[column])) valueIds.set(row[column], row.id);
+  }
+
+  const orderIds = async (ids) => {
+    const { data, error } = await supabase
+      .from('sales')
+      .select(`id,${column}`)
+      .in('id', ids)
+      .order(column, { ascending: true })
+      .order('id', { ascending: true });
+    if (error) throw error;
+    return data.map(row => row.id);
+  };
+
+  // Each query places every id up to the last of one side's window: the rest of both
+  // sides sorts after it
+  const mergeIds = async (left, right) => {
+    const merged = [];
+    const size = ID_CHUNK_SIZE / 2;
+    let i = 0;
+    let j = 0;
+    while (i < left.length && j < right.length) {
+      const leftWindow = left.slice(i, i + size);
+      const rightWindow = right.slice(j, j + size);
+      const ordered = await orderIds([...leftWindow, ...rightWindow]);
+      const last = Math.min(
+        ordered.indexOf(leftWindow[leftWindow.length - 1]),
+        ordered.indexOf(rightWindow[rightWindow.length - 1])
+      );
+      const leftIds = new Set(leftWindow);
+      for (const id of ordered.slice(0, last + 1)) {
+        merged.push(id);
+        if (leftIds.has(id)) i++;
+        else j++;
+      }
+    }
+    return merged.concat(left.slice(i), right.slice(j));
+  };
+
+  const sortIds = async (ids) => {
+    if (ids.length <= ID_CHUNK_SIZE) return orderIds(ids);
+    const middle = Math.ceil(ids.length / 2);
+    return mergeIds(await sortIds(ids.slice(0, middle)), await sortIds(ids.slice(middle)));
+  };
+
+  const values = new Map([...valueIds].map(([value, id]) => [id, value]));
+  const sortedIds = await sortIds([...valueIds.values()]);
+  return new Map(sortedIds.map((id, rank) => [values.get(id), rank]));
+};
+
+/**
+ * The complete match set of a cached search, kept for SEARCH_MATCH_TTL:
+ * - idRows: the cache's matches that pass the other filters (streamed in id chunks), in
+ *   cache rank order
+ * - wordMatchCount: rows matching every search word in the database columns (these
+ *   overlap idRows in `overlapIds`)
+ */
+const getSearchMatches = async (filters, matchIds, words, columns) => {
+  const key = `${searchCache.version}:${JSON.stringify(filters)}`;
+  const cached = searchMatchCache.get(key);
+  if (cached && Date.now() - cached.time < SEARCH_MATCH_TTL) {
+    console.log('[DB] Using cached search matches');
+    return cached;
+  }
+
+  const rowsById = await fetchByIdChunks(matchIds, chunk =>
+    applyRecordFilters(supabase.from('sales').select(MATCH_COLUMNS).in('id', chunk), filters));
+  const idRows = matchIds.filter(id => rowsById.has(id)).map(id => rowsById.get(id));
+
+  let wordCount = { count: 0, isEstimate: false };
+  const overlapIds = new Set();
+  if (words.length > 0) {
+    wordCount = await countWordMatches(words, columns, filters);
+    for (const row of idRows) {
+      if (matchesWords(row, words, columns)) overlapIds.add(row.id);
+    }
+  }
+
+  const matches = {
+    time: Date.now(),
+    idRows,
+    overlapIds,
+    wordMatchCount: wordCount.count,
+    totalItems: idRows.length + Math.max(0, wordCount.count - overlapIds.size),
+    isEstimate: wordCount.isEstimate
+  };
+
+  searchMatchCache.delete(key);
+  searchMatchCache.set(key, matches);
+  if (searchMatchCache.size > SEARCH_MATCH_CACHE_SIZE) {
+    searchMatchCache.delete(searchMatchCache.keys().next().value);
+  }
+  return matches;
+};
+
+/**
+ * Search with the search cache ready: pages through every match instead of the first
+ * few hundred. The cache's name / phone matches are streamed into the sales query in id
+ * chunks, rows matching every search word in the other columns are counted and paged in
+ * the database, and the page merges both in sort order (relevance: cache matches first,
+ * ranked by rankByRelevance, then the other rows newest first).
+ * The count is exact unless the database count timed out (countIsEstimate)
+ */
+const querySearchMatches = async (filters, sorting, pagination, matchIds) => {
+  const startTime = Date.now();
+  const isPhonetic = filters.matchMode === 'phonetic';
+  // Phonetic searches only match names; single words: the cache covered name and phone
+  const words = isPhonetic ? [] : tokenizeSearch(filters.search);
+  const columns = words.length > 1 ? SEARCH_COLUMNS : TERM_COLUMNS;
+
+  const matches = await getSearchMatches(filters, matchIds, words, columns);
+  const { idRows, overlapIds, wordMatchCount, totalItems } = matches;
+
+  const start = (pagination.page - 1) * pagination.limit;
+  const end = Math.min(start + Math.min(pagination.limit, PAGE_FETCH_SIZE), totalItems);
+  let pageRows = [];
+
+  if (start < end && sorting.sortBy === 'relevance') {
+    if (!matches.rankedRows) {
+      matches.rankedRows = rankByRelevance(transformRows(idRows), filters.search, { matchMode: filters.matchMode });
+    }
+    pageRows = matches.rankedRows.slice(start, end);
+    if (end > idRows.length && wordMatchCount > 0) {
+      const order = { column: 'date', ascending: false };
+      pageRows.push(...await fetchWordMatchRows(words, columns, filters, order,
+        Math.max(0, start - idRows.length), end - idRows.length, overlapIds));
+    }
+  } else if (start < end) {
+    const order = { column: getSortColumn(sorting), ascending: sorting.sortOrder === 'asc' };
+    const idOnlyRows = idRows.filter(row => !overlapIds.has(row.id));
+
+    if (idOnlyRows.length === 0) {
+      pageRows = await fetchWordMatchRows(words, columns, filters, order, start, end);
+    } else {
+      // Merge the two sorted lists up to the end of the page
+      const wordRows = wordMatchCount > 0
+        ? await fetchWordMatchRows(words, columns, filters, order, 0, end)
+        : [];
+      const ranks = TEXT_SORT_COLUMNS.includes(order.column)
+        ? await rankValuesInDatabase([...idOnlyRows, ...wordRows], order.column)
+        : null;
+      const compare = compareRows(order.column, order.ascending, ranks);
+      idOnlyRows.sort(compare);
+      let i = 0;
+      let j = 0;
+      while (i + j < end && (i < idOnlyRows.length || j < wordRows.length)) {
+        const takeId = j >= wordRows.length || (i < idOnlyRows.length && compare(idOnlyRows[i], wordRows[j]) <= 0);
+        const row = takeId ? idOnlyRows[i++] : wordRows[j++];
+        if (i + j > start) pageRows.push(row);
+      }
+    }
+  }
+
+  // Full rows of the page, in page order
+  const pageIds = pageRows.map(row => row.id);
+  const fullRows = await fetchByIdChunks(pageIds, chunk => supabase.from('sales').select('*').in('id', chunk));
+  const data = transformRows(pageIds.filter(id => fullRows.has(id)).map(id => fullRows.get(id)));
+
+  const totalPages = Math.ceil(totalItems / pagination.limit);
+  const queryTime = ((Date.now() - startTime) / 1000).toFixed(3);
+  console.log(`[DB] Cached search completed: ${queryTime}s, ${data.length} records, total: ${totalItems}` +
+    ` (${idRows.length} cache matches, ${wordMatchCount} word matches)`);
+
+  return {
+    data,
+    totalItems,
+    countIsEstimate: matches.isEstimate,
+    currentPage: pagination.page,
+    totalPages,
+    itemsPerPage: pagination.limit,
+    hasNextPage: pagination.page < totalPages,
+    hasPrevPage: pagination.page > 1
+  };
+};
+
 /**
  * Get filtered sales data from database
  * Uses optimized RPC function if available, falls back to direct queries
@@ -134,17 +688,35 @@ const getFilteredSalesFromDB = async (filters, sorting, pagination) => {
   try {
     const startTime = Date.now();
     
+    // Multi-select filters with a selection (regions, brands, storeIds, ...)
+    const activeListFilters = Object.keys(LIST_FILTER_FIELDS).filter(key => filters[key]?.length > 0);
+    
+    // Amount, quantity, discount and unit price bounds as { field, op, value }
+    const rangePredicates = getRangePredicates(filters);
+    
+    const hasTags = normalizeTags(filters.tags || []).length > 0;
+    // Exclude lists (excludeRegions, ..., excludeTags)
+    const isExcluding = hasExclusions(filters);
+    // JSON filter expression (POST /api/sales/query)
+    const hasExpression = !!filters.expression;
+    if (hasTags || filters.excludeTags?.length > 0 || hasTagsCondition(filters.expression)) await checkTagList();
+    
     // Try using RPC function for better performance
-    const useRPC = filters.search && filters.search.length >= 3;
+    // The RPC function has no parameters for search query predicates, tags, exclude lists,
+    // filter expressions, phonetic matching, relevance ranking, quantity sorting or the
+    // multi-select filters other than regions, genders, categories and payment methods
+    const hasPredicates = filters.predicates?.length > 0;
+    const isPhonetic = filters.matchMode === 'phonetic';
+    const isRelevance = sorting.sortBy === 'relevance';
+    const rpcSupportsListFilters = activeListFilters.every(key => RPC_LIST_FILTERS.includes(key));
+    const rpcSortColumn = RPC_SORT_COLUMNS[getSortColumn(sorting)];
+    const useRPC = filters.search && filters.search.length >= 3 && !hasPredicates && !hasTags && !isExcluding &&
+      !hasExpression && !isPhonetic && !isRelevance && rpcSupportsListFilters && rpcSortColumn;
     
     if (useRPC) {
       console.log('[DB] Attempting RPC-based search for better performance...');
       try {
         const offset = (pagination.page - 1) * pagination.limit;
-        const sortColumn = sorting.sortBy === 'date' ? 'date' : 
-                          sorting.sortBy === 'amount' ? 'amount' : 
-                          sorting.sortBy === 'customer' ? 'customer' : 'date';
-        
         const { data: rpcData, error: rpcError } = await supabase.rpc('search_sales_with_filters', {
           p_search: filters.search.trim(),
           p_regions: filters.regions?.length > 0 ? filters.regions : null,
@@ -157,8 +729,9 @@ const getFilteredSalesFromDB = async (filters, sorting, pagination) => {
           p_end_date: filters.endDate || null,
           p_page_offset: offset,
           p_page_limit: pagination.limit,
-          p_sort_column: sortColumn,
-          p_sort_asc: sorting.sortOrder === 'asc'
+          p_sort_column: rpcSortColumn,
+          p_sort_asc: sorting.sortOrder === 'asc',
+          ...toRpcRangeParams(rangePredicates)
         });
         
         if (!rpcError && rpcData && rpcData.length > 0) {
@@ -169,6 +742,7 @@ const getFilteredSalesFromDB = async (filters, sorting, pagination) => {
           return {
             data: transformRows(rpcData) || [],
             totalItems: totalCount,
+            countIsEstimate: totalCount >= RPC_COUNT_LIMIT,
             currentPage: pagination.page,
             totalPages: Math.ceil(totalCount / pagination.limit),
             itemsPerPage: pagination.limit,
@@ -189,45 +763,31 @@ const getFilteredSalesFromDB = async (filters, sorting, pagination) => {
     const applyFilters = (query) => {
       console.log('[DB] Applying filters to query...');
       
-      // Search - uses OR between multiple fields
-      // Only apply search if it has 3+ characters (faster and more meaningful results)
+      // Search - every word must match one of the searched columns (AND between words,
+      // OR between columns). Only apply search if it has 3+ characters
       if (filters.search && filters.search.length >= 3) {
         console.log('[DB] Adding search filter:', filters.search);
-        // OPTIMIZED: Use prefix matching ONLY on customer_name (uses trigram index)
-        // This is MUCH faster than contains matching with leading %
-        const searchTerm = filters.search.trim();
-        // Only use prefix matching - contains is too slow on 1M records
-        query = query.ilike('customer_name', `${searchTerm}%`);
+        query = applySearchWords(query, filters.search);
       } else if (filters.search && filters.search.length > 0 && filters.search.length < 3) {
         console.log('[DB] Search term too short, skipping:', filters.search);
       }
       
-      // All these use AND (chained .in() and comparison operators)
-      if (filters.regions && Array.isArray(filters.regions) && filters.regions.length > 0) {
-        console.log('[DB] Adding regions filter:', filters.regions);
-        query = query.in('customer_region', filters.regions);
+      // All these use AND (chained or() lists and comparison operators)
+      for (const key of activeListFilters) {
+        console.log(`[DB] Adding ${key} filter:`, filters[key]);
+        query = query.or(buildListCondition(toColumn(LIST_FILTER_FIELDS[key]), filters[key]));
       }
-      if (filters.genders && Array.isArray(filters.genders) && filters.genders.length > 0) {
-        console.log('[DB] Adding genders filter:', filters.genders);
-        query = query.in('gender', filters.genders);
-      }
-      if (filters.categories && Array.isArray(filters.categories) && filters.categories.length > 0) {
-        console.log('[DB] Adding categories filter:', filters.categories);
-        query = query.in('product_category', filters.categories);
-      }
-      if (filters.paymentMethods && Array.isArray(filters.paymentMethods) && filters.paymentMethods.length > 0) {
-        console.log('[DB] Adding paymentMethods filter:', filters.paymentMethods);
-        query = query.in('payment_method', filters.paymentMethods);
+      
+      // Tags filter - whole tags, combined by tagsMode (any / all / none)
+      if (hasTags) {
+        console.log(`[DB] Adding tags filter (${filters.tagsMode || 'any'}):`, filters.tags);
+        query = applyTagsFilter(query, filters);
       }
       
-      // Tags filter - tags are stored as comma-separated string
-      if (filters.tags && Array.isArray(filters.tags) && filters.tags.length === 1) {
-        console.log('[DB] Adding single tag filter:', filters.tags[0]);
-        query = query.ilike('tags', `%${filters.tags[0]}%`);
-      } else if (filters.tags && Array.isArray(filters.tags) && filters.tags.length > 1) {
-        console.log('[DB] Adding multiple tags filter:', filters.tags);
-        const tagPatterns = filters.tags.map(tag => `tags.ilike.%${tag}%`).join(',');
-        query = query.or(tagPatterns);
+      // Exclude lists - rows with none of the excluded values
+      if (isExcluding) {
+        console.log('[DB] Adding exclude filters');
+        query = applyExclusions(query, filters);
       }
       
       if (filters.minAge !== null && filters.minAge !== undefined) {
@@ -246,6 +806,18 @@ const getFilteredSalesFromDB = async (filters, sorting, pagination) => {
         console.log('[DB] Adding endDate filter:', filters.endDate);
         query = query.lte('date', filters.endDate);
       }
+      if (rangePredicates.length > 0) {
+        console.log('[DB] Adding range filters:', JSON.stringify(rangePredicates));
+        query = applyPredicates(query, rangePredicates);
+      }
+      if (hasPredicates) {
+        console.log('[DB] Adding search query predicates:', JSON.stringify(filters.predicates));
+        query = applyPredicates(query, filters.predicates);
+      }
+      if (hasExpression) {
+        console.log('[DB] Adding filter expression:', JSON.stringify(filters.expression));
+        query = query.or(buildExpressionCondition(filters.expression));
+      }
       
       console.log('[DB] Filters applied successfully');
       return query;
@@ -254,29 +826,31 @@ const getFilteredSalesFromDB = async (filters, sorting, pagination) => {
     // Check if any filters are active - be more explicit
     const hasFilters = !!(
       filters.search || 
-      (filters.regions && filters.regions.length > 0) || 
-      (filters.genders && filters.genders.length > 0) || 
-      (filters.categories && filters.categories.length > 0) || 
-      (filters.paymentMethods && filters.paymentMethods.length > 0) || 
-      (filters.tags && filters.tags.length > 0) ||
+      activeListFilters.length > 0 || 
+      hasTags ||
+      isExcluding ||
       (filters.minAge !== null && filters.minAge !== undefined) || 
       (filters.maxAge !== null && filters.maxAge !== undefined) || 
       filters.startDate || 
-      filters.endDate
+      filters.endDate ||
+      rangePredicates.length > 0 ||
+      hasPredicates ||
+      hasExpression
     );
     
     // Count how many filter types are active
     const activeFilterCount = [
       filters.search,
-      filters.regions?.length > 0,
-      filters.genders?.length > 0,
-      filters.categories?.length > 0,
-      filters.paymentMethods?.length > 0,
-      filters.tags?.length > 0,
+      ...activeListFilters,
+      hasTags,
+      isExcluding,
       filters.minAge !== null && filters.minAge !== undefined,
       filters.maxAge !== null && filters.maxAge !== undefined,
       filters.startDate,
-      filters.endDate
+      filters.endDate,
+      ...rangePredicates,
+      ...(filters.predicates || []),
+      hasExpression
     ].filter(Boolean).length;
     
     console.log('[DB] hasFilters:', hasFilters, '| activeFilterCount:', activeFilterCount);
@@ -290,20 +864,28 @@ const getFilteredSalesFromDB = async (filters, sorting, pagination) => {
       console.log('[DB] Search detected, using multi-strategy search');
       const searchTerm = filters.search.trim().toLowerCase();
       
-      // Get matching IDs using various strategies
-      let matchingIds = null;
-      let searchMethod = 'none';
-      
       // Try 1: In-memory cache FIRST (instant if loaded - most reliable)
+      // Every match is counted and paged through
       const cacheStatus = searchCache.getStatus();
       if (cacheStatus.isReady) {
-        matchingIds = searchCache.search(searchTerm, 500); // Increased from 200 to 500
-        if (matchingIds && matchingIds.length > 0) {
-          searchMethod = 'cache';
-          console.log(`[DB] Cache found ${matchingIds.length} matches`);
-        }
-      } else {
-        console.log(`[DB] Cache status: ${cacheStatus.isLoading ? 'loading...' : 'not started'}, records: ${cacheStatus.recordCount}`);
+        const cacheIds = searchCache.search(searchTerm, Infinity, isPhonetic ? 'phonetic' : 'default');
+        console.log(`[DB] Cache found ${cacheIds.length} matches`);
+        return await querySearchMatches(filters, sorting, pagination, cacheIds);
+      }
+      console.log(`[DB] Cache status: ${cacheStatus.isLoading ? 'loading...' : 'not started'}, records: ${cacheStatus.recordCount}`);
+      
+      // The strategies below return the first few hundred matches: a full list of
+      // them means the count is only a lower bound
+      let matchingIds = null;
+      let searchMethod = 'none';
+      let isCapped = false;
+      
+      // Phonetic mode has its own lookup; the strategies below only match spellings
+      // (an empty list also skips them and ends in "no matches")
+      if (isPhonetic) {
+        matchingIds = await findPhoneticMatchIds(searchTerm);
+        searchMethod = 'phonetic';
+        isCapped = matchingIds.length >= PHONETIC_MAX_RESULTS;
       }
       
       // Try 2: fast_search RPC function (if cache not ready)
@@ -315,6 +897,7 @@ const getFilteredSalesFromDB = async (filters, sorting, pagination) => {
           if (!rpcError && searchIds && searchIds.length > 0) {
             matchingIds = searchIds.map(r => r.matching_id);
             searchMethod = 'fast_search';
+            isCapped = matchingIds.length >= 200;
             console.log(`[DB] fast_search RPC found ${matchingIds.length} matches`);
           } else if (rpcError) {
             console.log('[DB] fast_search RPC not available:', rpcError.message);
@@ -333,6 +916,7 @@ const getFilteredSalesFromDB = async (filters, sorting, pagination) => {
           if (!rpcError && searchIds && searchIds.length > 0) {
             matchingIds = searchIds.map(r => r.matching_id);
             searchMethod = 'search_with_ids';
+            isCapped = matchingIds.length >= 200;
             console.log(`[DB] search_with_ids RPC found ${matchingIds.length} matches`);
           } else if (rpcError) {
             console.log('[DB] search_with_ids RPC not available:', rpcError.message);
@@ -355,6 +939,7 @@ const getFilteredSalesFromDB = async (filters, sorting, pagination) => {
           if (!indexError && indexData && indexData.length > 0) {
             matchingIds = indexData.map(r => r.id);
             searchMethod = 'search_index';
+            isCapped = matchingIds.length >= 200;
             console.log(`[DB] search_index found ${matchingIds.length} matches`);
           } else if (indexError) {
             console.log('[DB] search_index not available:', indexError.message);
@@ -404,6 +989,8 @@ const getFilteredSalesFromDB = async (filters, sorting, pagination) => {
           if (foundIds.length > 0) {
             matchingIds = foundIds.slice(0, 500);
             searchMethod = 'id_range_scan';
+            // Only the first ids were scanned
+            isCapped = true;
             console.log(`[DB] ID range scan found ${matchingIds.length} total matches`);
           }
         } catch (e) {
@@ -428,9 +1015,9 @@ const getFilteredSalesFromDB = async (filters, sorting, pagination) => {
         };
       }
       
-      // If no matches found after all strategies, return empty result
-      if (!matchingIds || matchingIds.length === 0) {
-        console.log('[DB] No search matches found after all strategies');
+      // Phonetic searches only match names: no phonetic matches means no results
+      if (isPhonetic && matchingIds.length === 0) {
+        console.log('[DB] No phonetic matches found');
         const elapsed = ((Date.now() - startTime) / 1000).toFixed(3);
         return {
           data: [],
@@ -443,54 +1030,37 @@ const getFilteredSalesFromDB = async (filters, sorting, pagination) => {
         };
       }
       
-      // If we have matching IDs, query sales table with those IDs + other filters
-      console.log(`[DB] Querying sales table with ${matchingIds.length} matching IDs`);
+      // Query sales table with the matching IDs + other filters
+      // The IDs come from name / phone matches of the whole search. A record also matches
+      // when every search word is found in one of the searched columns ("priya 9876");
+      // for a single word only the columns the strategies above did not cover are checked.
+      console.log(`[DB] Querying sales table with ${matchingIds?.length || 0} matching IDs`);
       
-      // Build query with ID filter and other filters
       let query = supabase.from('sales').select('*', { count: 'exact' });
-      query = query.in('id', matchingIds);
-      
-      // Apply additional filters
-      if (filters.regions?.length > 0) {
-        query = query.in('customer_region', filters.regions);
-      }
-      if (filters.genders?.length > 0) {
-        query = query.in('gender', filters.genders);
-      }
-      if (filters.categories?.length > 0) {
-        query = query.in('product_category', filters.categories);
-      }
-      if (filters.paymentMethods?.length > 0) {
-        query = query.in('payment_method', filters.paymentMethods);
-      }
-      if (filters.tags?.length === 1) {
-        query = query.ilike('tags', `%${filters.tags[0]}%`);
-      } else if (filters.tags?.length > 1) {
-        const tagPatterns = filters.tags.map(tag => `tags.ilike.%${tag}%`).join(',');
-        query = query.or(tagPatterns);
-      }
-      if (filters.minAge !== null && filters.minAge !== undefined) {
-        query = query.gte('age', filters.minAge);
-      }
-      if (filters.maxAge !== null && filters.maxAge !== undefined) {
-        query = query.lte('age', filters.maxAge);
-      }
-      if (filters.startDate) {
-        query = query.gte('date', filters.startDate);
-      }
-      if (filters.endDate) {
-        query = query.lte('date', filters.endDate);
+      if (isPhonetic) {
+        query = query.in('id', matchingIds);
+      } else {
+        const words = tokenizeSearch(searchTerm);
+        const columns = words.length > 1 ? SEARCH_COLUMNS : TERM_COLUMNS;
+        const wordConditions = words.map(word => `or(${buildWordCondition(word, columns)})`);
+        const searchConditions = [`and(${wordConditions.join(',')})`];
+        if (matchingIds?.length > 0) {
+          searchConditions.unshift(`id.in.(${matchingIds.join(',')})`);
+        }
+        query = query.or(searchConditions.join(','));
       }
       
-      // Apply sorting
-      const sortColumn = sorting.sortBy === 'date' ? 'date' : 
-                        sorting.sortBy === 'amount' ? 'final_amount' : 
-                        sorting.sortBy === 'customer' ? 'customer_name' : 'date';
-      query = query.order(sortColumn, { ascending: sorting.sortOrder === 'asc' });
+      // Apply additional filters
+      query = applyRecordFilters(query, filters);
       
-      // Apply pagination
+      // Apply sorting and pagination (relevance ranks the first matched rows here instead)
       const offset = (pagination.page - 1) * pagination.limit;
-      query = query.range(offset, offset + pagination.limit - 1);
+      if (isRelevance) {
+        query = query.range(0, RELEVANCE_MAX_ROWS - 1);
+      } else {
+        query = query.order(getSortColumn(sorting), { ascending: sorting.sortOrder === 'asc' });
+        query = query.range(offset, offset + pagination.limit - 1);
+      }
       
       const { data: searchData, error: searchError, count } = await query;
       
@@ -499,9 +1069,16 @@ const getFilteredSalesFromDB = async (filters, sorting, pagination) => {
         const queryTime = ((Date.now() - startTime) / 1000).toFixed(3);
         console.log(`[DB] Search+filters completed: ${queryTime}s, ${searchData?.length || 0} records, total: ${totalCount}`);
         
+        let rows = transformRows(searchData) || [];
+        if (isRelevance) {
+          rows = rankByRelevance(rows, filters.search, { matchMode: filters.matchMode })
+            .slice(offset, offset + pagination.limit);
+        }
+        
         return {
-          data: transformRows(searchData) || [],
+          data: rows,
           totalItems: totalCount,
+          countIsEstimate: isCapped,
           currentPage: pagination.page,
           totalPages: Math.ceil(totalCount / pagination.limit),
           itemsPerPage: pagination.limit,
@@ -514,6 +1091,7 @@ const getFilteredSalesFromDB = async (filters, sorting, pagination) => {
     
     // Get total count with filters (use pre-computed stats if no filters)
     let totalCount;
+    let countIsEstimate = false;
     
     if (!hasFilters) {
       // No filters - use cached count from sales_stats table (instant!)
@@ -523,6 +1101,7 @@ const getFilteredSalesFromDB = async (filters, sorting, pagination) => {
         .eq('id', 1)
         .single();
       totalCount = statsData?.total_records || 1000000;
+      countIsEstimate = !statsData?.total_records;
       console.log('[DB] No filters - using cached count:', totalCount);
     } else {
       // Has filters - get count WITH data query (more reliable than separate count)
@@ -534,9 +1113,7 @@ const getFilteredSalesFromDB = async (filters, sorting, pagination) => {
     const offset = (pagination.page - 1) * pagination.limit;
     
     // Determine sort column
-    const sortColumn = sorting.sortBy === 'date' ? 'date' : 
-                       sorting.sortBy === 'amount' ? 'final_amount' : 
-                       sorting.sortBy === 'customer' ? 'customer_name' : 'date';
+    const sortColumn = getSortColumn(sorting);
     const sortAsc = sorting.sortOrder === 'asc';
     
     let data;
@@ -614,6 +1191,7 @@ const getFilteredSalesFromDB = async (filters, sorting, pagination) => {
             console.log('[DB] Exact count (last page):', totalCount);
           } else {
             totalCount = Math.max(estimatedCount, pagination.limit * 10);
+            countIsEstimate = true;
             console.log('[DB] Estimated count (multi-filter):', totalCount, `(${activeFilterCount} filters, selectivity: ${(estimatedSelectivity * 100).toFixed(1)}%)`);
           }
         }
@@ -631,6 +1209,7 @@ const getFilteredSalesFromDB = async (filters, sorting, pagination) => {
     return {
       data: transformedData || [],
       totalItems: totalCount || 0,
+      countIsEstimate,
       currentPage: pagination.page,
       totalPages: Math.ceil((totalCount || 0) / pagination.limit),
       itemsPerPage: pagination.limit,
@@ -647,6 +1226,32 @@ const getFilteredSalesFromDB = async (filters, sorting, pagination) => {
   }
 };
 
+/**
+ * filter_options column of a multi-select filter (paymentMethods -> payment_methods)
+ */
+const toOptionsColumn = (key) => key.replace(/[A-Z]/g, (ch) => `_${ch.toLowerCase()}`);
+
+/**
+ * Distinct values of a sales column among the first `limit` rows (PostgREST has no DISTINCT)
+ */
+const sampleDistinctValues = async (column, limit) => {
+  const { data } = await supabase.from('sales').select(column).limit(limit);
+  return [...new Set(data?.map(row => row[column]).filter(Boolean))].sort();
+};
+
+/**
+ * Multi-select filter options from a filter_options row; lists the table has no column
+ * for (created before step6-filter-options.sql added it) are sampled from the sales table
+ */
+const readListOptions = async (cachedOptions) => {
+  const keys = Object.keys(LIST_FILTER_FIELDS);
+  const values = await Promise.all(keys.map(key => {
+    const stored = cachedOptions[toOptionsColumn(key)];
+    return stored || sampleDistinctValues(toColumn(LIST_FILTER_FIELDS[key]), 10000);
+  }));
+  return Object.fromEntries(keys.map((key, i) => [key, values[i]]));
+};
+
 /**
  * Get filter options from database using efficient queries
  */
@@ -671,10 +1276,7 @@ const getFilterOptionsFromDB = async () => {
     if (!cacheError && cachedOptions && cachedOptions.tags && cachedOptions.tags.length > 0) {
       console.log('Using cached filter options from DB table (with tags)');
       const result = {
-        regions: cachedOptions.regions || [],
-        genders: cachedOptions.genders || [],
-        categories: cachedOptions.categories || [],
-        paymentMethods: cachedOptions.payment_methods || [],
+        ...await readListOptions(cachedOptions),
         tags: cachedOptions.tags || [],
         ageRange: { min: cachedOptions.min_age || 18, max: cachedOptions.max_age || 70 },
         dateRange: { min: cachedOptions.min_date || '2021-01-01', max: cachedOptions.max_date || '2023-12-31' }
@@ -697,10 +1299,7 @@ const getFilterOptionsFromDB = async () => {
       )].sort();
       
       const result = {
-        regions: cachedOptions.regions || [],
-        genders: cachedOptions.genders || [],
-        categories: cachedOptions.categories || [],
-        paymentMethods: cachedOptions.payment_methods || [],
+        ...await readListOptions(cachedOptions),
         tags: tags,
         ageRange: { min: cachedOptions.min_age || 18, max: cachedOptions.max_age || 70 },
         dateRange: { min: cachedOptions.min_date || '2021-01-01', max: cachedOptions.max_date || '2023-12-31' }
@@ -712,11 +1311,10 @@ const getFilterOptionsFromDB = async () => {
     
     // Fallback: Query directly with larger sampling to ensure we get all unique values
     console.log('Computing filter options from database...');
-    const [regionsResult, gendersResult, categoriesResult, paymentMethodsResult, tagsResult, ageResult, dateResult] = await Promise.all([
-      supabase.from('sales').select('customer_region').limit(100000), // Larger sample for regions
-      supabase.from('sales').select('gender').limit(10000),
-      supabase.from('sales').select('product_category').limit(10000),
-      supabase.from('sales').select('payment_method').limit(10000),
+    const listKeys = Object.keys(LIST_FILTER_FIELDS);
+    const [listValues, tagsResult, ageResult, dateResult] = await Promise.all([
+      // Larger sample for regions
+      Promise.all(listKeys.map(key => sampleDistinctValues(toColumn(LIST_FILTER_FIELDS[key]), key === 'regions' ? 100000 : 10000))),
       supabase.from('sales').select('tags').limit(100000), // Sample for tags (comma-separated)
       supabase.from('sales').select('age').order('age', { ascending: true }).limit(1),
       supabase.from('sales').select('date').order('date', { ascending: true }).limit(1)
@@ -727,20 +1325,13 @@ const getFilterOptionsFromDB = async () => {
       supabase.from('sales').select('date').order('date', { ascending: false }).limit(1)
     ]);
     
-    const regions = [...new Set(regionsResult.data?.map(r => r.customer_region).filter(Boolean))].sort();
-    const genders = [...new Set(gendersResult.data?.map(g => g.gender).filter(Boolean))].sort();
-    const categories = [...new Set(categoriesResult.data?.map(c => c.product_category).filter(Boolean))].sort();
-    const paymentMethods = [...new Set(paymentMethodsResult.data?.map(p => p.payment_method).filter(Boolean))].sort();
     // Extract unique tags from comma-separated strings
     const tags = [...new Set(
       tagsResult.data?.flatMap(t => t.tags ? t.tags.split(',').map(tag => tag.trim()) : []).filter(Boolean)
     )].sort();
     
     const result = {
-      regions,
-      genders,
-      categories,
-      paymentMethods,
+      ...Object.fromEntries(listKeys.map((key, i) => [key, listValues[i]])),
       tags,
       ageRange: { 
         min: ageResult.data?.[0]?.age || 18, 
@@ -765,6 +1356,13 @@ const getFilterOptionsFromDB = async () => {
       genders: ['Female', 'Male'],
       categories: ['Beauty', 'Clothing', 'Electronics'],
       paymentMethods: ['Cash', 'Credit Card', 'Debit Card', 'EMI', 'Net Banking', 'UPI'],
+      brands: [],
+      orderStatuses: [],
+      deliveryTypes: [],
+      storeLocations: [],
+      storeIds: [],
+      customerTypes: [],
+      employeeNames: [],
       tags: ['accessories', 'beauty', 'casual', 'cotton', 'fashion', 'formal', 'fragrance-free', 'gadgets', 'makeup', 'organic', 'portable', 'skincare', 'smart', 'unisex', 'wireless'],
       ageRange: { min: 18, max: 70 },
       dateRange: { min: '2021-01-01', max: '2023-12-31' }
@@ -773,8 +1371,27 @@ const getFilterOptionsFromDB = async () => {
 };
 
 /**
- * Export sales data in batches for large CSV exports
- * Uses cursor-based pagination with parallel fetching for speed
+ * PostgREST or() condition: the rows after `row` in ORDER BY column, id (both ascending or
+ * both descending, NULL last ascending as in Postgres)
+ */
+const buildAfterCondition = (column, ascending, row) => {
+  const value = row[column];
+  const idCondition = `id.${ascending ? 'gt' : 'lt'}.${row.id}`;
+  if (value === null || value === undefined) {
+    return ascending
+      ? `and(${column}.is.null,${idCondition})`
+      : `and(${column}.is.null,${idCondition}),${column}.not.is.null`;
+  }
+  const quoted = quoteFilterValue(value);
+  const conditions = [`${column}.${ascending ? 'gt' : 'lt'}.${quoted}`, `and(${column}.eq.${quoted},${idCondition})`];
+  if (ascending) conditions.push(`${column}.is.null`);
+  return conditions.join(',');
+};
+
+/**
+ * Export sales data in batches for large CSV exports, in sort order
+ * Pages with a cursor on the sort column and id (no deep offsets); the rows of each batch
+ * are fetched in id chunks in parallel
  * @param {Object} filters - Filter criteria
  * @param {Object} sorting - Sort options
  * @param {Function} onBatch - Callback function called with each batch of data
@@ -784,164 +1401,86 @@ const exportSalesFromDB = async (filters, sorting, onBatch) => {
   if (!supabase) return 0;
   
   const BATCH_SIZE = 1000; // Supabase max per request
-  const PARALLEL_BATCHES = 5; // Fetch 5 batches in parallel for 5x speed
   let totalExported = 0;
-  let hasMore = true;
-  let lastId = 0;
+  // Sort value and id of the last exported row
+  let lastRow = null;
   
   // Check if any filters are active
   const hasFilters = !!(
     filters.search || 
-    filters.regions?.length > 0 || 
-    filters.genders?.length > 0 || 
-    filters.categories?.length > 0 || 
-    filters.paymentMethods?.length > 0 || 
+    Object.keys(LIST_FILTER_FIELDS).some(key => filters[key]?.length > 0) || 
     filters.tags?.length > 0 ||
+    hasExclusions(filters) ||
     filters.minAge || filters.maxAge ||
-    filters.startDate || filters.endDate
+    filters.startDate || filters.endDate ||
+    getRangePredicates(filters).length > 0 ||
+    filters.predicates?.length > 0
   );
   
   console.log('[Export] Starting export with filters:', JSON.stringify(filters));
+  if (filters.tags?.length > 0 || filters.excludeTags?.length > 0) await checkTagList();
   console.log('[Export] Has active filters:', hasFilters);
   const startTime = Date.now();
   
+  // Phonetic search is resolved to ids up front (PostgREST cannot compare names by sound)
+  const phoneticIds = filters.search && filters.matchMode === 'phonetic'
+    ? await findPhoneticMatchIds(filters.search.trim().toLowerCase())
+    : null;
+  if (phoneticIds && phoneticIds.length === 0) return 0;
+  
   // Build filter function
   const applyFilters = (query) => {
-    if (filters.search) {
-      query = query.or(`customer_name.ilike.%${filters.search}%,phone_number.ilike.%${filters.search}%`);
-    }
-    if (filters.regions?.length > 0) {
-      query = query.in('customer_region', filters.regions);
-    }
-    if (filters.genders?.length > 0) {
-      query = query.in('gender', filters.genders);
-    }
-    if (filters.categories?.length > 0) {
-      query = query.in('product_category', filters.categories);
-    }
-    if (filters.paymentMethods?.length > 0) {
-      query = query.in('payment_method', filters.paymentMethods);
-    }
-    if (filters.tags?.length === 1) {
-      query = query.ilike('tags', `%${filters.tags[0]}%`);
-    } else if (filters.tags?.length > 1) {
-      const tagPatterns = filters.tags.map(tag => `tags.ilike.%${tag}%`).join(',');
-      query = query.or(tagPatterns);
+    if (phoneticIds) {
+      query = query.in('id', phoneticIds);
+    } else if (filters.search) {
+      query = applySearchWords(query, filters.search);
     }
-    if (filters.minAge) {
-      query = query.gte('age', filters.minAge);
-    }
-    if (filters.maxAge) {
-      query = query.lte('age', filters.maxAge);
-    }
-    if (filters.startDate) {
-      query = query.gte('date', filters.startDate);
-    }
-    if (filters.endDate) {
-      query = query.lte('date', filters.endDate);
-    }
-    return query;
+    return applyRecordFilters(query, filters);
   };
 
-  // Fetch a single batch starting from a given ID (cursor-based)
-  const fetchBatch = async (startId) => {
-    let query = supabase.from('sales').select('*');
-    query = applyFilters(query);
-    query = query.gt('id', startId);
-    query = query.order('id', { ascending: true });
-    query = query.limit(BATCH_SIZE);
+  const column = getSortColumn(sorting);
+  const ascending = sorting.sortOrder === 'asc';
+
+  // Sort column and id of the next batch of rows, after lastRow
+  const fetchBatchKeys = async () => {
+    let query = applyFilters(supabase.from('sales').select(`id,${column}`));
+    if (lastRow) query = query.or(buildAfterCondition(column, ascending, lastRow));
+    query = query
+      .order(column, { ascending })
+      .order('id', { ascending })
+      .limit(BATCH_SIZE);
     
     const { data, error } = await query;
     if (error) throw error;
     return data || [];
   };
-
-  // Fetch multiple batches in parallel using ID ranges
-  const fetchParallelBatches = async (startId, numBatches) => {
-    // First, get IDs at intervals to define ranges for parallel fetching
-    let query = supabase.from('sales').select('id');
-    query = applyFilters(query);
-    query = query.gt('id', startId);
-    query = query.order('id', { ascending: true });
-    query = query.limit(BATCH_SIZE * numBatches);
-    
-    const { data: allIds, error: idsError } = await query;
-    if (idsError) throw idsError;
-    if (!allIds || allIds.length === 0) return [];
-    
-    // Split into chunks and fetch data for each chunk in parallel
-    const chunks = [];
-    for (let i = 0; i < numBatches && i * BATCH_SIZE < allIds.length; i++) {
-      const startIdx = i * BATCH_SIZE;
-      const endIdx = Math.min((i + 1) * BATCH_SIZE, allIds.length);
-      if (startIdx < allIds.length) {
-        const chunkStartId = i === 0 ? startId : allIds[startIdx - 1].id;
-        const chunkEndId = allIds[endIdx - 1]?.id;
-        if (chunkEndId) {
-          chunks.push({ startId: chunkStartId, endId: chunkEndId });
-        }
-      }
-    }
-    
-    // Fetch all chunks in parallel
-    const batchPromises = chunks.map(async (chunk) => {
-      let q = supabase.from('sales').select('*');
-      q = applyFilters(q);
-      q = q.gt('id', chunk.startId);
-      q = q.lte('id', chunk.endId);
-      q = q.order('id', { ascending: true });
-      
-      const { data, error } = await q;
-      if (error) throw error;
-      return data || [];
-    });
-    
-    const results = await Promise.all(batchPromises);
-    return results.flat();
-  };
   
   try {
-    // Use parallel fetching for faster exports
-    while (hasMore) {
-      let batch;
-      
-      // Try parallel fetching first (faster for large exports)
-      try {
-        batch = await fetchParallelBatches(lastId, PARALLEL_BATCHES);
-      } catch (parallelError) {
-        console.log('[Export] Parallel fetch failed, falling back to sequential:', parallelError.message);
-        batch = await fetchBatch(lastId);
-      }
+    while (true) {
+      const keys = await fetchBatchKeys();
+      if (keys.length === 0) break;
       
-      if (!batch || batch.length === 0) {
-        hasMore = false;
-        break;
-      }
+      // Full rows of the batch, in sort order
+      const ids = keys.map(row => row.id);
+      const rowsById = await fetchByIdChunks(ids, chunk => supabase.from('sales').select('*').in('id', chunk));
+      const batch = ids.filter(id => rowsById.has(id)).map(id => rowsById.get(id));
       
-      // Process batch
       await onBatch(transformRows(batch));
       totalExported += batch.length;
-      
-      // Update cursor to last ID in this batch
-      lastId = batch[batch.length - 1].id;
-      
-      // Check if this was the last batch (less than expected parallel batch size)
-      if (batch.length < BATCH_SIZE * PARALLEL_BATCHES) {
-        hasMore = false;
-        // Don't break - still need to process this batch
-      }
+      lastRow = keys[keys.length - 1];
       
       // Log progress every 25k records (more frequent for faster exports)
-      if (totalExported % 25000 < BATCH_SIZE * PARALLEL_BATCHES) {
+      if (totalExported % 25000 < BATCH_SIZE) {
         const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
         const rate = Math.round(totalExported / parseFloat(elapsed));
         console.log(`[Export] Progress: ${totalExported} records in ${elapsed}s (${rate} rec/s)`);
       }
       
-      // Safety limit
+      // Last batch, or the safety limit
+      if (keys.length < BATCH_SIZE) break;
       if (totalExported >= 1000000) {
         console.log('[Export] Reached 1M record limit');
-        hasMore = false;
+        break;
       }
     }
     
@@ -955,6 +1494,212 @@ const exportSalesFromDB = async (filters, sorting, onBatch) => {
   }
 };
 
+/**
+ * Summary statistics (toStats) of every row matching the filters, read PAGE_FETCH_SIZE
+ * rows at a time in id order. With the search cache ready a search adds up the matches
+ * the list pages through (querySearchMatches); otherwise every search word must match,
+ * as in the export
+ * @param {Object} filters - Filter criteria
+ * @returns {Promise<Object|null>} Stats, or null without a database
+ */
+const aggregateSalesFromDB = async (filters) => {
+  if (!supabase) return null;
+
+  const startTime = Date.now();
+  if (filters.tags?.length > 0 || filters.excludeTags?.length > 0) await checkTagList();
+  let totals = addStatsTotals([]);
+
+  // Add every row of a query, except the rows in skipIds
+  const addQueryRows = async (applyConditions, skipIds = null) => {
+    for (let lastId = 0; ;) {
+      const query = applyConditions(supabase.from('sales').select(STATS_COLUMNS.join(',')))
+        .gt('id', lastId)
+        .order('id', { ascending: true })
+        .limit(PAGE_FETCH_SIZE);
+
+      const { data, error } = await query;
+      if (error) throw error;
+      totals = addStatsTotals(transformRows(data.filter(row => !skipIds?.has(row.id))), totals);
+      if (data.length < PAGE_FETCH_SIZE) return;
+      lastId = data[data.length - 1].id;
+    }
+  };
+
+  const searchTerm = (filters.search || '').trim().toLowerCase();
+  const isPhonetic = filters.matchMode === 'phonetic';
+
+  if (searchTerm.length >= 2 && searchCache.getStatus().isReady) {
+    const words = isPhonetic ? [] : tokenizeSearch(filters.search);
+    const columns = words.length > 1 ? SEARCH_COLUMNS : TERM_COLUMNS;
+    const matchIds = searchCache.search(searchTerm, Infinity, isPhonetic ? 'phonetic' : 'default');
+    const { idRows, overlapIds } = await getSearchMatches(filters, matchIds, words, columns);
+
+    totals = addStatsTotals(transformRows(idRows), totals);
+    if (words.length > 0) {
+      await addQueryRows(query => applyRecordFilters(applyWordConditions(query, words, columns), filters), overlapIds);
+    }
+  } else {
+    // Phonetic search is resolved to ids up front (PostgREST cannot compare names by sound)
+    const phoneticIds = searchTerm && isPhonetic ? await findPhoneticMatchIds(searchTerm) : null;
+    if (!phoneticIds || phoneticIds.length > 0) {
+      await addQueryRows(query => {
+        if (phoneticIds) query = query.in('id', phoneticIds);
+        else if (searchTerm) query = applySearchWords(query, filters.search);
+        return applyRecordFilters(query, filters);
+      });
+    }
+  }
+
+  console.log(`[DB] Stats of ${totals.count} records computed in ${((Date.now() - startTime) / 1000).toFixed(3)}s`);
+  return toStats(totals);
+};
+
+/**
+ * Insert sales rows (snake_case, see toSalesRow) in batches
+ * New rows are added to the search cache; cached filter options and search matches are dropped
+ * @returns {Promise<number>} Number of rows inserted
+ */
+const insertSalesToDB = async (rows) => {
+  if (!supabase) throw new Error('Supabase not initialized');
+
+  const BATCH_SIZE = 1000;
+  let inserted = 0;
+
+  for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from('sales')
+      .insert(rows.slice(i, i + BATCH_SIZE))
+      .select('id, customer_name, phone_number');
+
+    if (error) {
+      console.error('Database insert error:', error);
+      throw error;
+    }
+
+    searchCache.addRecords(data || []);
+    searchMatchCache.clear();
+    inserted += (data || []).length;
+  }
+
+  filterOptionsCache = null;
+  console.log(`Inserted ${inserted} records into sales`);
+  return inserted;
+};
+
+/**
+ * Get a single sales row by id (null if it does not exist)
+ */
+const getSaleByIdFromDB = async (id) => {
+  if (!supabase) throw new Error('Supabase not initialized');
+
+  const { data, error } = await supabase.from('sales').select('*').eq('id', id).maybeSingle();
+  if (error) throw error;
+  return data ? transformRows([data])[0] : null;
+};
+
+/**
+ * Insert a single sales row (snake_case) and return it
+ */
+const createSaleInDB = async (row) => {
+  if (!supabase) throw new Error('Supabase not initialized');
+
+  const { data, error } = await supabase.from('sales').insert(row).select('*').single();
+  if (error) throw error;
+
+  searchCache.addRecords([data]);
+  searchMatchCache.clear();
+  filterOptionsCache = null;
+  return transformRows([data])[0];
+};
+
+/**
+ * Replace the columns of a sales row (null if the id does not exist)
+ */
+const updateSaleInDB = async (id, row) => {
+  if (!supabase) throw new Error('Supabase not initialized');
+
+  const { data, error } = await supabase.from('sales').update(row).eq('id', id).select('*').maybeSingle();
+  if (error) throw error;
+  if (!data) return null;
+
+  searchCache.updateRecord(data);
+  searchMatchCache.clear();
+  filterOptionsCache = null;
+  return transformRows([data])[0];
+};
+
+/**
+ * Delete a sales row (false if the id does not exist)
+ */
+const deleteSaleFromDB = async (id) => {
+  if (!supabase) throw new Error('Supabase not initialized');
+
+  const { data, error } = await supabase.from('sales').delete().eq('id', id).select('id');
+  if (error) throw error;
+  if (!data || data.length === 0) return false;
+
+  searchCache.removeRecord(id);
+  searchMatchCache.clear();
+  filterOptionsCache = null;
+  return true;
+};
+
+/**
+ * Fetch one column of the rows where it matches a LIKE pattern (case-insensitive)
+ */
+const fetchSuggestValues = async (table, column, pattern) => {
+  const { data, error } = await supabase
+    .from(table)
+    .select(column)
+    .ilike(column, pattern)
+    .limit(SUGGEST_SAMPLE_SIZE);
+
+  if (error) throw error;
+  return (data || []).map(row => row[column]);
+};
+
+/**
+ * Fetch customer name or phone values from the search_index table,
+ * falling back to the sales table when search_index is not available
+ */
+const fetchIndexedSuggestValues = async (field, prefix) => {
+  const isPhone = field === 'phoneNumber';
+  const pattern = isPhone
+    ? `%${prefix.replace(/\D/g, '')}%`
+    : `%${escapeLike(prefix.toLowerCase().trim())}%`;
+
+  try {
+    const values = await fetchSuggestValues('search_index', isPhone ? 'phone_digits' : 'name_lower', pattern);
+    return isPhone ? values : values.map(value => value && toDisplayName(value));
+  } catch (error) {
+    console.log('[DB] search_index not available for suggestions:', error.message);
+    return await fetchSuggestValues('sales', toColumn(field), pattern);
+  }
+};
+
+/**
+ * Get autocomplete suggestions: top values per suggest field starting with prefix
+ * (database rows are fetched by substring and kept when a word starts with the prefix)
+ * Names and phone numbers come from the search cache when it is ready, otherwise from the
+ * search_index table; product names and brands from the sales table. Database counts cover
+ * at most SUGGEST_SAMPLE_SIZE fetched rows per field.
+ */
+const getSuggestionsFromDB = async (prefix, limit) => {
+  if (!supabase) throw new Error('Supabase not initialized');
+
+  const groups = await Promise.all(getSuggestFields(prefix).map(async (field) => {
+    const cached = searchCache.suggest(prefix, field, limit);
+    if (cached) return cached;
+
+    const values = field === 'customerName' || field === 'phoneNumber'
+      ? await fetchIndexedSuggestValues(field, prefix)
+      : await fetchSuggestValues('sales', toColumn(field), `%${escapeLike(prefix.toLowerCase().trim())}%`);
+    return countSuggestions(values, field, prefix, limit);
+  }));
+
+  return groups.flat();
+};
+
 /**
  * Get search cache status
  */
@@ -969,5 +1714,12 @@ module.exports = {
   getFilteredSalesFromDB,
   getFilterOptionsFromDB,
   exportSalesFromDB,
+  aggregateSalesFromDB,
+  insertSalesToDB,
+  getSaleByIdFromDB,
+  createSaleInDB,
+  updateSaleInDB,
+  deleteSaleFromDB,
+  getSuggestionsFromDB,
   getSearchCacheStatus
 };
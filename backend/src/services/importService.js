@@ -0,0 +1,78 @@
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const { normalizeRecord, validateRecord } = require('./dataService');
+const { getProfile } = require('../utils/csvProfiles');
+const salesService = require('./salesService');
+
+// Keep the report readable for large uploads (counts stay exact)
+const MAX_REPORTED_ROWS = 1000;
+
+/**
+ * Parse CSV text into raw rows (header line required)
+ */
+const parseCsvText = (text, delimiter) => {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    Readable.from([text])
+      .pipe(csv({ separator: delimiter }))
+      .on('data', (row) => rows.push(row))
+      .on('end', () => resolve(rows))
+      .on('error', reject);
+  });
+};
+
+/**
+ * Validate an uploaded CSV and optionally append it to the active data source
+ * Dry runs only validate. Commits are all-or-nothing unless skipInvalid is set,
+ * in which case only the valid rows are appended.
+ * @param {string} text - CSV file contents
+ * @param {Object} options - { commit: boolean, skipInvalid: boolean, profile: mapping profile name }
+ * @returns {Promise<Object>} Validation report (line numbers count the header as line 1)
+ */
+const importSalesCsv = async (text, { commit = false, skipInvalid = false, profile: profileName } = {}) => {
+  const profile = getProfile(profileName);
+  const rows = await parseCsvText(text, profile.delimiter);
+  const validRecords = [];
+  const errors = [];
+  let invalidRows = 0;
+
+  rows.forEach((row, index) => {
+    const issues = validateRecord(row, profile);
+
+    if (issues.length === 0) {
+      validRecords.push(normalizeRecord(row, profile));
+      return;
+    }
+
+    invalidRows++;
+    if (errors.length < MAX_REPORTED_ROWS) {
+      errors.push({ line: index + 2, issues });
+    }
+  });
+
+  const report = {
+    mode: commit ? 'commit' : 'dryRun',
+    profile: profile.name,
+    totalRows: rows.length,
+    validRows: validRecords.length,
+    invalidRows,
+    errors,
+    errorsTruncated: invalidRows > errors.length,
+    committed: false,
+    imported: 0
+  };
+
+  if (!commit || validRecords.length === 0 || (invalidRows > 0 && !skipInvalid)) {
+    return report;
+  }
+
+  report.imported = await salesService.appendSalesData(validRecords);
+  report.committed = true;
+  console.log(`[Import] Imported ${report.imported} of ${rows.length} rows`);
+
+  return report;
+};
+
+module.exports = {
+  importSalesCsv
+};
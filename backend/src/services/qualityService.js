@@ -0,0 +1,185 @@
+const salesService = require('./salesService');
+const { CANONICAL_FIELDS } = require('../utils/csvProfiles');
+const { toIsoDate } = require('../utils/dataUtils');
+
+// Numeric fields checked for zeros and outliers
+const NUMERIC_FIELDS = ['age', 'quantity', 'pricePerUnit', 'discountPercentage', 'totalAmount', 'finalAmount'];
+
+// Sample row ids reported per issue
+const MAX_SAMPLE_IDS = 10;
+
+// Allowed difference between finalAmount and quantity × pricePerUnit × (1 − discount)
+const AMOUNT_TOLERANCE = 0.01;
+
+// Tukey fence multiplier (3 × IQR flags only extreme values)
+const OUTLIER_IQR_FACTOR = 3;
+
+/**
+ * Issue counter that keeps the first few row ids as samples
+ */
+const createIssue = () => ({ count: 0, sampleIds: [] });
+
+const addIssue = (issue, id) => {
+  issue.count++;
+  if (issue.sampleIds.length < MAX_SAMPLE_IDS) {
+    issue.sampleIds.push(id);
+  }
+};
+
+const toRate = (count, total) => (total > 0 ? Math.round((count / total) * 10000) / 10000 : 0);
+
+const isMissing = (value) => value === null || value === undefined || String(value).trim() === '';
+
+/**
+ * Value at quantile q of a sorted array (linear interpolation)
+ */
+const quantile = (sorted, q) => {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+/**
+ * Flag values outside the Tukey fences of one numeric column
+ * @param {Array<number>} values - Column values by row (NaN when missing)
+ * @param {Array} ids - Row ids, aligned with values
+ */
+const findOutliers = (values, ids) => {
+  const present = Float64Array.from(values.filter(value => !Number.isNaN(value))).sort();
+  const result = { ...createIssue(), lowerFence: null, upperFence: null };
+  if (present.length < 4) return result;
+
+  const q1 = quantile(present, 0.25);
+  const q3 = quantile(present, 0.75);
+  const spread = (q3 - q1) * OUTLIER_IQR_FACTOR;
+  result.lowerFence = Math.round((q1 - spread) * 100) / 100;
+  result.upperFence = Math.round((q3 + spread) * 100) / 100;
+
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] < result.lowerFence || values[i] > result.upperFence) {
+      addIssue(result, ids[i]);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Key that identifies the same transaction (Transaction ID, or every field when it has none)
+ */
+const getDuplicateKey = (record) => {
+  if (record.transactionId) return `t:${record.transactionId}`;
+  return `f:${CANONICAL_FIELDS.map(field => record[field] ?? '').join('\u001f')}`;
+};
+
+/**
+ * Build a data-quality report for the whole active dataset
+ * Streams every record through the adapter's exportStream, so it works for every data source.
+ * Note that the CSV source stores missing numbers as 0, so they show up as zeros there.
+ * @returns {Promise<Object>} Per-column null / zero rates and row-level issues with sample ids
+ */
+const getQualityReport = async () => {
+  const startTime = Date.now();
+  console.time('[Quality] Report');
+
+  const columns = {};
+  for (const field of CANONICAL_FIELDS) {
+    columns[field] = { nulls: createIssue() };
+    if (NUMERIC_FIELDS.includes(field)) {
+      columns[field].zeros = createIssue();
+    }
+  }
+
+  const unparseableDates = createIssue();
+  const amountMismatches = createIssue();
+  const duplicates = createIssue();
+  const occurrences = new Map();
+  const numericValues = Object.fromEntries(NUMERIC_FIELDS.map(field => [field, []]));
+  const ids = [];
+
+  const totalRecords = await salesService.exportSalesData({}, { sortBy: 'date', sortOrder: 'desc' }, (batch) => {
+    for (const record of batch) {
+      const id = record.id;
+      ids.push(id);
+
+      for (const field of CANONICAL_FIELDS) {
+        const value = record[field];
+        if (isMissing(value)) {
+          addIssue(columns[field].nulls, id);
+        } else if (columns[field].zeros && Number(value) === 0) {
+          addIssue(columns[field].zeros, id);
+        }
+      }
+
+      for (const field of NUMERIC_FIELDS) {
+        const value = isMissing(record[field]) ? NaN : Number(record[field]);
+        numericValues[field].push(value);
+      }
+
+      if (!isMissing(record.date) && !toIsoDate(record.date)) {
+        addIssue(unparseableDates, id);
+      }
+
+      const quantity = Number(record.quantity) || 0;
+      const pricePerUnit = Number(record.pricePerUnit) || 0;
+      const discount = Number(record.discountPercentage) || 0;
+      const expected = quantity * pricePerUnit * (1 - discount / 100);
+      if (Math.abs((Number(record.finalAmount) || 0) - expected) > AMOUNT_TOLERANCE) {
+        addIssue(amountMismatches, id);
+      }
+
+      const key = getDuplicateKey(record);
+      const seen = occurrences.get(key) || 0;
+      occurrences.set(key, seen + 1);
+      if (seen > 0) {
+        addIssue(duplicates, id);
+      }
+    }
+  });
+
+  let duplicateGroups = 0;
+  for (const count of occurrences.values()) {
+    if (count > 1) duplicateGroups++;
+  }
+
+  const columnReport = {};
+  for (const [field, { nulls, zeros }] of Object.entries(columns)) {
+    columnReport[field] = {
+      nullCount: nulls.count,
+      nullRate: toRate(nulls.count, totalRecords),
+      nullSampleIds: nulls.sampleIds
+    };
+    if (zeros) {
+      Object.assign(columnReport[field], {
+        zeroCount: zeros.count,
+        zeroRate: toRate(zeros.count, totalRecords),
+        zeroSampleIds: zeros.sampleIds
+      });
+    }
+  }
+
+  const outliers = {};
+  for (const field of NUMERIC_FIELDS) {
+    outliers[field] = findOutliers(numericValues[field], ids);
+  }
+
+  console.timeEnd('[Quality] Report');
+
+  return {
+    totalRecords,
+    generatedAt: new Date().toISOString(),
+    durationMs: Date.now() - startTime,
+    columns: columnReport,
+    issues: {
+      unparseableDates,
+      amountMismatches: { ...amountMismatches, tolerance: AMOUNT_TOLERANCE },
+      duplicateTransactions: { ...duplicates, groups: duplicateGroups },
+      outliers
+    }
+  };
+};
+
+module.exports = {
+  getQualityReport
+};
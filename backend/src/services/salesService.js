@@ -1,410 +1,160 @@
-const { getSalesData, getPrecomputedFilterOptions } = require('./dataService');
-const { isUsingDatabase, getFilteredSalesFromDB, getFilterOptionsFromDB, getAllSalesFromDB, exportSalesFromDB, getSearchCacheStatus } = require('./databaseService');
-const { 
-  applySearch, 
-  applyFilters, 
-  applySorting, 
-  applyPagination,
-  extractUniqueValues 
-} = require('../utils/dataUtils');
+const { getAdapter } = require('../adapters');
+const { normalizeRecord, validateRecord, validateFields } = require('./dataService');
+const { annotateMatches } = require('../utils/relevance');
 
-// Cache for filter options and stats (computed once after data load)
-let filterOptionsCache = null;
-let statsCache = null;
-let lastDataLength = 0;
+/**
+ * Get the active adapter, checking that it supports an optional method
+ */
+const requireAdapterMethod = (method, action) => {
+  const adapter = getAdapter();
+  if (typeof adapter[method] !== 'function') {
+    throw new Error(`${action} is not supported by the ${adapter.label} data source`);
+  }
+  return adapter;
+};
 
 /**
- * Invalidate cache when data changes
+ * Check that the active adapter supports the search match mode of the filters
  */
-const invalidateCache = () => {
-  filterOptionsCache = null;
-  statsCache = null;
+const assertMatchMode = (filters = {}) => {
+  const adapter = getAdapter();
+  const mode = filters.matchMode || 'default';
+  if (mode !== 'default' && !(adapter.matchModes || []).includes(mode)) {
+    throw new Error(`Match mode "${mode}" is not supported by the ${adapter.label} data source`);
+  }
 };
 
 /**
- * Check if cache needs refresh
+ * Throw a validation error carrying the issues (the controller returns them with a 400)
  */
-const checkCacheValidity = () => {
-  const currentLength = getSalesData().length;
-  if (currentLength !== lastDataLength) {
-    lastDataLength = currentLength;
-    invalidateCache();
+const assertValid = (issues) => {
+  if (issues.length > 0) {
+    const error = new Error('Invalid sale record');
+    error.issues = issues;
+    throw error;
   }
 };
 
 /**
- * Check if any filters are active
+ * Validate an API payload and normalize it
  */
-const hasActiveFilters = (filters) => {
-  return (
-    (filters.regions && filters.regions.length > 0) ||
-    (filters.genders && filters.genders.length > 0) ||
-    (filters.categories && filters.categories.length > 0) ||
-    (filters.tags && filters.tags.length > 0) ||
-    (filters.paymentMethods && filters.paymentMethods.length > 0) ||
-    (filters.minAge !== null && !isNaN(filters.minAge)) ||
-    (filters.maxAge !== null && !isNaN(filters.maxAge)) ||
-    filters.startDate ||
-    filters.endDate
-  );
+const toValidRecord = (input) => {
+  assertValid([...validateFields(input), ...validateRecord(input)]);
+  return normalizeRecord(input);
 };
 
 /**
- * Get filtered, sorted, and paginated sales data
- * OPTIMIZED: Uses database when available, otherwise falls back to CSV
+ * Get filtered, sorted, and paginated sales data from the active data source
  */
 const getSalesDataFiltered = async (filters, sorting, pagination) => {
   // Debug log
   console.log('[SalesService] getSalesDataFiltered called');
   console.log('[SalesService] Filters received:', JSON.stringify(filters));
-  
-  // If using database, delegate to database service
-  if (isUsingDatabase()) {
-    console.log('[SalesService] Delegating to database query');
-    return await getFilteredSalesFromDB(filters, sorting, pagination);
-  }
-  
-  // Otherwise use CSV in-memory processing
-  console.time('Total query time');
-  
-  let data = getSalesData();
-  console.log(`Starting with ${data.length} records`);
-  
-  // Apply search
-  if (filters.search) {
-    console.time('Search time');
-    data = applySearch(data, filters.search);
-    console.timeEnd('Search time');
-    console.log(`After search: ${data.length} records`);
-  }
-  
-  // Apply filters
-  console.time('Filter time');
-  data = applyFilters(data, filters);
-  console.timeEnd('Filter time');
-  console.log(`After filters: ${data.length} records`);
-  
-  // Get total count before pagination
-  const totalItems = data.length;
-  
-  // Apply sorting - OPTIMIZE: Skip if using default sort (date desc) since data is pre-sorted
-  console.time('Sort time');
-  const isDefaultSort = sorting.sortBy === 'date' && sorting.sortOrder === 'desc';
-  
-  if (isDefaultSort && !filters.search && !hasActiveFilters(filters)) {
-    // Data is already sorted by date desc, no need to re-sort
-    console.log('Using pre-sorted data (date desc)');
-  } else if (data.length <= 50000) {
-    // Full sort for smaller datasets
-    data = applySorting(data, sorting);
-  } else {
-    // For large datasets (>50K), sorting is expensive
-    // We still need to sort but log a warning
-    console.log(`Sorting ${data.length} records...`);
-    data = applySorting(data, sorting);
+
+  assertMatchMode(filters);
+  const result = await getAdapter().query(filters, sorting, pagination);
+
+  // Search results carry their relevance score and matched ranges (for highlighting)
+  if (filters.search && result.data) {
+    result.data = annotateMatches(result.data, filters.search, { matchMode: filters.matchMode });
   }
-  console.timeEnd('Sort time');
-  
-  // Apply pagination
-  const paginatedData = applyPagination(data, pagination);
-  
-  const totalPages = Math.ceil(totalItems / pagination.limit);
-  
-  console.timeEnd('Total query time');
-  
-  return {
-    data: paginatedData,
-    currentPage: pagination.page,
-    totalPages,
-    totalItems,
-    itemsPerPage: pagination.limit,
-    hasNextPage: pagination.page < totalPages,
-    hasPrevPage: pagination.page > 1
-  };
+  return result;
 };
 
 /**
- * Partial sorting for large datasets - only sorts enough to get current page
+ * Get available filter options from the active data source
  */
-const applyPartialSorting = (data, sorting, pagination) => {
-  const { sortBy, sortOrder } = sorting;
-  const { page, limit } = pagination;
-  const neededElements = page * limit;
-  
-  // For first few pages, use partial sort (heap-based selection)
-  if (neededElements <= 1000) {
-    return getTopN(data, neededElements, sortBy, sortOrder);
-  }
-  
-  // For later pages, fall back to full sort
-  return applySorting(data, sorting);
+const getFilterOptions = async () => {
+  return await getAdapter().getFilterOptions();
 };
 
 /**
- * Get top N elements efficiently without full sort
+ * Get global sales statistics
  */
-const getTopN = (data, n, sortBy, sortOrder) => {
-  const compareFn = getCompareFn(sortBy, sortOrder);
-  
-  // Use a simple approach: sort and slice
-  // For production, could use a heap-based algorithm
-  const sorted = [...data].sort(compareFn);
-  return sorted;
+const getStats = async () => {
+  return await getAdapter().aggregate({});
 };
 
 /**
- * Get comparison function for sorting
+ * Get filtered statistics (computes stats for filtered data)
  */
-const getCompareFn = (sortBy, sortOrder) => {
-  return (a, b) => {
-    let comparison = 0;
-    
-    switch (sortBy) {
-      case 'date':
-        const dateA = new Date(a.date);
-        const dateB = new Date(b.date);
-        comparison = dateA.getTime() - dateB.getTime();
-        break;
-      case 'quantity':
-        comparison = (a.quantity || 0) - (b.quantity || 0);
-        break;
-      case 'customerName':
-        const nameA = (a.customerName || '').toLowerCase();
-        const nameB = (b.customerName || '').toLowerCase();
-        comparison = nameA.localeCompare(nameB);
-        break;
-      case 'finalAmount':
-        comparison = (a.finalAmount || 0) - (b.finalAmount || 0);
-        break;
-      default:
-        comparison = 0;
-    }
-    
-    return sortOrder === 'desc' ? -comparison : comparison;
-  };
+const getFilteredStats = async (filters) => {
+  assertMatchMode(filters);
+  return await getAdapter().aggregate(filters);
 };
 
 /**
- * Get available filter options from the dataset (uses precomputed values from startup)
+ * Invalidate cached filter options and stats (if the adapter caches them)
  */
-const getFilterOptions = async () => {
-  // If using database, get from database
-  if (isUsingDatabase()) {
-    console.log('Getting filter options from database');
-    return await getFilterOptionsFromDB();
-  }
-  
-  // Use precomputed filter options from data load (instant)
-  const precomputed = getPrecomputedFilterOptions();
-  if (precomputed) {
-    return precomputed;
-  }
-  
-  // Fallback to computing (should rarely happen)
-  checkCacheValidity();
-  
-  if (filterOptionsCache) {
-    return filterOptionsCache;
+const invalidateCache = () => {
+  const adapter = getAdapter();
+  if (typeof adapter.invalidateCache === 'function') {
+    adapter.invalidateCache();
   }
-  
-  console.log('Computing filter options (fallback - precomputed not available)...');
-  const data = getSalesData();
-  
-  filterOptionsCache = {
-    regions: extractUniqueValues(data, 'customerRegion'),
-    genders: extractUniqueValues(data, 'gender'),
-    categories: extractUniqueValues(data, 'productCategory'),
-    tags: extractUniqueTags(data),
-    paymentMethods: extractUniqueValues(data, 'paymentMethod'),
-    ageRange: getAgeRange(data),
-    dateRange: getDateRange(data)
-  };
-  
-  return filterOptionsCache;
 };
 
 /**
- * Extract unique tags from data (tags can be comma-separated)
+ * Reload the dataset from its source file (data sources that support hot reload)
  */
-const extractUniqueTags = (data) => {
-  const tagsSet = new Set();
-  data.forEach(item => {
-    if (item.tags) {
-      const tagList = item.tags.split(',').map(t => t.trim());
-      tagList.forEach(tag => {
-        if (tag) tagsSet.add(tag);
-      });
-    }
-  });
-  return Array.from(tagsSet).sort();
+const reloadData = async () => {
+  return await requireAdapterMethod('reload', 'Reload').reload();
 };
 
 /**
- * Get age range from data (optimized for large datasets)
+ * Append normalized records to the active data source
  */
-const getAgeRange = (data) => {
-  let min = Infinity;
-  let max = -Infinity;
-  
-  for (let i = 0; i < data.length; i++) {
-    const age = data[i].age;
-    if (age > 0) {
-      if (age < min) min = age;
-      if (age > max) max = age;
-    }
-  }
-  
-  if (min === Infinity) return { min: 0, max: 100 };
-  return { min, max };
+const appendSalesData = async (records) => {
+  const appended = await requireAdapterMethod('append', 'Import').append(records);
+  invalidateCache();
+  return appended;
 };
 
 /**
- * Get date range from data (optimized for large datasets)
+ * Get a single sale by id (null if it does not exist)
  */
-const getDateRange = (data) => {
-  let minTime = Infinity;
-  let maxTime = -Infinity;
-  
-  for (let i = 0; i < data.length; i++) {
-    const dateStr = data[i].date;
-    if (dateStr) {
-      const date = new Date(dateStr);
-      const time = date.getTime();
-      if (!isNaN(time)) {
-        if (time < minTime) minTime = time;
-        if (time > maxTime) maxTime = time;
-      }
-    }
-  }
-  
-  if (minTime === Infinity) {
-    const today = new Date();
-    const yearAgo = new Date();
-    yearAgo.setFullYear(yearAgo.getFullYear() - 1);
-    return {
-      min: yearAgo.toISOString().split('T')[0],
-      max: today.toISOString().split('T')[0]
-    };
-  }
-  
-  return {
-    min: new Date(minTime).toISOString().split('T')[0],
-    max: new Date(maxTime).toISOString().split('T')[0]
-  };
+const getSale = async (id) => {
+  return await requireAdapterMethod('getById', 'Fetching single sales').getById(id);
 };
 
 /**
- * Get sales statistics (cached)
+ * Create a single sale from an API payload
  */
-const getStats = async () => {
-  // If using database, get stats from RPC function
-  if (isUsingDatabase()) {
-    console.log('Getting stats from database');
-    const stats = await getAllSalesFromDB();
-    
-    if (stats && stats.total_records !== undefined) {
-      // Using RPC function result
-      return {
-        totalRecords: Number(stats.total_records) || 0,
-        totalSales: Number(stats.total_sales) || 0,
-        totalQuantity: Number(stats.total_quantity) || 0,
-        totalDiscount: Number(stats.total_discount) || 0,
-        averageOrderValue: Number(stats.average_order_value) || 0
-      };
-    } else if (stats && stats.count !== undefined) {
-      // Fallback: only have count
-      return {
-        totalRecords: stats.count,
-        totalSales: 0,
-        totalQuantity: 0,
-        totalDiscount: 0,
-        averageOrderValue: 0
-      };
-    }
-  }
-  
-  checkCacheValidity();
-  
-  if (statsCache) {
-    return statsCache;
-  }
-  
-  console.log('Computing stats (first time or cache invalidated)...');
-  const data = getSalesData();
-  
-  const totalSales = data.reduce((sum, item) => sum + (item.finalAmount || 0), 0);
-  const totalQuantity = data.reduce((sum, item) => sum + (item.quantity || 0), 0);
-  const totalDiscount = data.reduce((sum, item) => {
-    const discount = (item.totalAmount || 0) - (item.finalAmount || 0);
-    return sum + discount;
-  }, 0);
-  const averageOrderValue = data.length > 0 ? totalSales / data.length : 0;
-  
-  statsCache = {
-    totalRecords: data.length,
-    totalSales: Math.round(totalSales * 100) / 100,
-    totalQuantity,
-    totalDiscount: Math.round(totalDiscount * 100) / 100,
-    averageOrderValue: Math.round(averageOrderValue * 100) / 100
-  };
-  
-  return statsCache;
+const createSale = async (input) => {
+  const record = toValidRecord(input);
+  const created = await requireAdapterMethod('create', 'Creating sales').create(record);
+  invalidateCache();
+  return created;
 };
 
 /**
- * Get filtered statistics (computes stats for filtered data)
+ * Update a sale - replaces all fields, or only the given ones when `partial` is set
+ * @returns {Promise<Object|null>} The updated record, or null if the id does not exist
  */
-const getFilteredStats = async (filters) => {
-  // If using database, fetch filtered data and compute stats
-  if (isUsingDatabase()) {
-    console.log('Computing filtered stats from database');
-    // Get all matching records without pagination
-    const result = await getFilteredSalesFromDB(filters, { sortBy: 'date', sortOrder: 'desc' }, { page: 1, limit: 1000000 });
-    const data = result.data;
-    
-    const totalSales = data.reduce((sum, item) => sum + (item.finalAmount || 0), 0);
-    const totalQuantity = data.reduce((sum, item) => sum + (item.quantity || 0), 0);
-    const totalDiscount = data.reduce((sum, item) => {
-      const discount = (item.totalAmount || 0) - (item.finalAmount || 0);
-      return sum + discount;
-    }, 0);
-    const averageOrderValue = data.length > 0 ? totalSales / data.length : 0;
-    
-    return {
-      totalRecords: data.length,
-      totalSales: Math.round(totalSales * 100) / 100,
-      totalQuantity,
-      totalDiscount: Math.round(totalDiscount * 100) / 100,
-      averageOrderValue: Math.round(averageOrderValue * 100) / 100
-    };
-  }
-  
-  let data = getSalesData();
-  
-  // Apply search if present
-  if (filters.search) {
-    data = applySearch(data, filters.search);
+const updateSale = async (id, input, partial = false) => {
+  const adapter = requireAdapterMethod('update', 'Updating sales');
+  let payload = input;
+
+  if (partial) {
+    assertValid(validateFields(input));
+
+    const existing = await adapter.getById(id);
+    if (!existing) return null;
+    payload = { ...existing, ...input };
   }
-  
-  // Apply filters
-  data = applyFilters(data, filters);
-  
-  // Compute stats on filtered data
-  const totalSales = data.reduce((sum, item) => sum + (item.finalAmount || 0), 0);
-  const totalQuantity = data.reduce((sum, item) => sum + (item.quantity || 0), 0);
-  const totalDiscount = data.reduce((sum, item) => {
-    const discount = (item.totalAmount || 0) - (item.finalAmount || 0);
-    return sum + discount;
-  }, 0);
-  const averageOrderValue = data.length > 0 ? totalSales / data.length : 0;
-  
-  return {
-    totalRecords: data.length,
-    totalSales: Math.round(totalSales * 100) / 100,
-    totalQuantity,
-    totalDiscount: Math.round(totalDiscount * 100) / 100,
-    averageOrderValue: Math.round(averageOrderValue * 100) / 100
-  };
+
+  const updated = await adapter.update(id, toValidRecord(payload));
+  invalidateCache();
+  return updated;
+};
+
+/**
+ * Delete a sale
+ * @returns {Promise<boolean>} False if the id does not exist
+ */
+const deleteSale = async (id) => {
+  const removed = await requireAdapterMethod('remove', 'Deleting sales').remove(id);
+  invalidateCache();
+  return removed;
 };
 
 /**
@@ -415,62 +165,41 @@ const getFilteredStats = async (filters) => {
  * @returns {Promise<number>} Total records exported
  */
 const exportSalesData = async (filters, sorting, onBatch) => {
-  // If using database, use the dedicated export function
-  if (isUsingDatabase()) {
-    console.log('Exporting from database with streaming');
-    return await exportSalesFromDB(filters, sorting, onBatch);
-  }
-  
-  // Otherwise use CSV in-memory processing
-  console.log('Exporting from CSV data');
-  let data = getSalesData();
-  
-  // Apply search
-  if (filters.search) {
-    data = applySearch(data, filters.search);
-  }
-  
-  // Apply filters
-  data = applyFilters(data, filters);
-  
-  // Apply sorting
-  data = applySorting(data, sorting);
-  
-  // Send all data in batches
-  const BATCH_SIZE = 10000;
-  let totalExported = 0;
-  
-  for (let i = 0; i < data.length; i += BATCH_SIZE) {
-    const batch = data.slice(i, i + BATCH_SIZE);
-    await onBatch(batch);
-    totalExported += batch.length;
-  }
-  
-  return totalExported;
+  assertMatchMode(filters);
+  return await getAdapter().exportStream(filters, sorting, onBatch);
+};
+
+/**
+ * Get autocomplete suggestions for a search prefix
+ * @param {string} prefix - Typed text
+ * @param {number} limit - Suggestions per field (customer name, phone, product name, brand)
+ * @returns {Promise<Array<{ type: string, value: string, count: number }>>}
+ */
+const getSuggestions = async (prefix, limit) => {
+  return await requireAdapterMethod('suggest', 'Search suggestions').suggest(prefix, limit);
 };
 
 /**
  * Get search cache status
  */
 const getSearchStatus = () => {
-  if (isUsingDatabase()) {
-    return getSearchCacheStatus();
-  }
-  // For CSV mode, search is always instant
-  return {
-    isReady: true,
-    isLoading: false,
-    recordCount: getSalesData().length,
-    mode: 'csv'
-  };
+  return getAdapter().getStatus();
 };
 
 module.exports = {
+  assertMatchMode,
   getSalesData: getSalesDataFiltered,
   getFilterOptions,
   getStats,
   getFilteredStats,
   invalidateCache,
+  reloadData,
+  appendSalesData,
+  getSale,
+  createSale,
+  updateSale,
+  deleteSale,
   exportSalesData,
+  getSuggestions,
   getSearchStatus
 };
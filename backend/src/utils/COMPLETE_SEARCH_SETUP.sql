@@ -34,13 +34,79 @@ RAISE NOTICE 'Step 1 complete: Basic indexes created';
 -- =====================================================
 -- Small, optimized table just for search lookups
 
+-- Phonetic keys for matchMode=phonetic: Double Metaphone (fuzzystrmatch) plus an
+-- Indic transliteration key. indic_phonetic_key() mirrors indicKey() in utils/phonetic.js
+-- (except that accented letters are dropped here instead of being folded to plain letters)
+CREATE EXTENSION IF NOT EXISTS fuzzystrmatch;
+
+CREATE OR REPLACE FUNCTION indic_phonetic_key(word TEXT)
+RETURNS TEXT
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+  k TEXT;
+BEGIN
+  k := REGEXP_REPLACE(LOWER(COALESCE(word, '')), '[^a-z]', '', 'g');
+  IF k = '' THEN
+    RETURN NULL;
+  END IF;
+
+  -- y after the first letter is a vowel (Vijay / Vijai)
+  k := LEFT(k, 1) || REPLACE(SUBSTR(k, 2), 'y', 'i');
+
+  -- Transliteration variants, in this order
+  k := REPLACE(k, 'x', 'ks');
+  k := REPLACE(k, 'ksh', 'ks');
+  k := REPLACE(k, 'chh', 'c');
+  k := REPLACE(k, 'ch', 'c');
+  k := REPLACE(k, 'ph', 'f');
+  k := REPLACE(k, 'kh', 'k');
+  k := REPLACE(k, 'gh', 'g');
+  k := REPLACE(k, 'jh', 'j');
+  k := REPLACE(k, 'th', 't');
+  k := REPLACE(k, 'dh', 'd');
+  k := REPLACE(k, 'bh', 'b');
+  k := REPLACE(k, 'sh', 's');
+  k := REPLACE(k, 'ck', 'k');
+  k := REPLACE(k, 'q', 'k');
+  k := REPLACE(k, 'z', 'j');
+  k := REPLACE(k, 'w', 'v');
+
+  -- Silent h, doubled letters, then the vowels after the first letter
+  k := LEFT(k, 1) || REPLACE(SUBSTR(k, 2), 'h', '');
+  k := REGEXP_REPLACE(k, '(.)\1+', '\1', 'g');
+  k := CASE WHEN LEFT(k, 1) IN ('a', 'e', 'i', 'o', 'u') THEN 'a' ELSE LEFT(k, 1) END
+    || REGEXP_REPLACE(SUBSTR(k, 2), '[aeiou]', '', 'g');
+
+  RETURN UPPER(k);
+END;
+$$;
+
+-- All phonetic keys of a name's words ('M:' Double Metaphone, 'I:' Indic)
+CREATE OR REPLACE FUNCTION phonetic_keys(name TEXT)
+RETURNS TEXT[]
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT COALESCE(ARRAY_AGG(DISTINCT keys.k), '{}')
+  FROM REGEXP_SPLIT_TO_TABLE(LOWER(COALESCE(name, '')), '\s+') AS token,
+  LATERAL (VALUES
+    ('M:' || dmetaphone(token)),
+    ('M:' || dmetaphone_alt(token)),
+    ('I:' || indic_phonetic_key(token))
+  ) AS keys(k)
+  WHERE token <> '' AND keys.k IS NOT NULL AND keys.k NOT IN ('M:', 'I:')
+$$;
+
 DROP TABLE IF EXISTS search_index;
 
 CREATE TABLE search_index (
   id BIGINT PRIMARY KEY,
   name_lower VARCHAR(255),        -- Full name in lowercase
   first_name VARCHAR(100),        -- First word of name (for prefix search)
-  phone_digits VARCHAR(20)        -- Phone number digits only
+  phone_digits VARCHAR(20),       -- Phone number digits only
+  name_phonetic TEXT[]            -- Phonetic keys of the name words (phonetic_keys)
 );
 
 RAISE NOTICE 'Step 2 complete: search_index table created';
@@ -58,6 +124,9 @@ CREATE EXTENSION IF NOT EXISTS pg_trgm;
 CREATE INDEX idx_si_name_trgm ON search_index USING gin(name_lower gin_trgm_ops);
 CREATE INDEX idx_si_phone_trgm ON search_index USING gin(phone_digits gin_trgm_ops);
 
+-- Array index for phonetic key overlap (name_phonetic && keys)
+CREATE INDEX idx_si_name_phonetic ON search_index USING gin(name_phonetic);
+
 RAISE NOTICE 'Step 3 complete: search_index indexes created';
 
 -- =====================================================
@@ -65,17 +134,19 @@ RAISE NOTICE 'Step 3 complete: search_index indexes created';
 -- =====================================================
 -- This may take 1-2 minutes for 1M records
 
-INSERT INTO search_index (id, name_lower, first_name, phone_digits)
+INSERT INTO search_index (id, name_lower, first_name, phone_digits, name_phonetic)
 SELECT 
   id,
   LOWER(customer_name) as name_lower,
   LOWER(SPLIT_PART(customer_name, ' ', 1)) as first_name,
-  REGEXP_REPLACE(COALESCE(phone_number, ''), '[^0-9]', '', 'g') as phone_digits
+  REGEXP_REPLACE(COALESCE(phone_number, ''), '[^0-9]', '', 'g') as phone_digits,
+  phonetic_keys(customer_name) as name_phonetic
 FROM sales
 ON CONFLICT (id) DO UPDATE SET
   name_lower = EXCLUDED.name_lower,
   first_name = EXCLUDED.first_name,
-  phone_digits = EXCLUDED.phone_digits;
+  phone_digits = EXCLUDED.phone_digits,
+  name_phonetic = EXCLUDED.name_phonetic;
 
 -- Analyze for query optimization
 ANALYZE search_index;
@@ -259,7 +330,49 @@ BEGIN
 END;
 $$;
 
-RAISE NOTICE 'Step 7 complete: quick_search function created';
+-- Phonetic search (matchMode=phonetic): every query word must share a phonetic key
+-- with the name ("mohamad laxmi" finds "Muhammad Lakshmi")
+DROP FUNCTION IF EXISTS phonetic_search(TEXT, INT);
+
+CREATE OR REPLACE FUNCTION phonetic_search(
+  search_term TEXT,
+  max_results INT DEFAULT 500
+)
+RETURNS TABLE(matching_id BIGINT)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET statement_timeout = '8s'
+AS $$
+DECLARE
+  tokens TEXT[];
+BEGIN
+  tokens := ARRAY(
+    SELECT token FROM REGEXP_SPLIT_TO_TABLE(LOWER(TRIM(search_term)), '\s+') AS token
+    WHERE token <> ''
+  );
+  
+  IF COALESCE(ARRAY_LENGTH(tokens, 1), 0) = 0 THEN
+    RETURN;
+  END IF;
+  
+  -- The first word uses the GIN index; the other words are checked on its matches
+  RETURN QUERY
+  SELECT si.id as matching_id
+  FROM search_index si
+  WHERE si.name_phonetic && phonetic_keys(tokens[1])
+    AND NOT EXISTS (
+      SELECT 1 FROM UNNEST(tokens[2:]) AS token
+      WHERE NOT (si.name_phonetic && phonetic_keys(token))
+    )
+  ORDER BY si.id
+  LIMIT max_results;
+  
+  RETURN;
+END;
+$$;
+
+RAISE NOTICE 'Step 7 complete: quick_search and phonetic_search functions created';
 
 -- =====================================================
 -- STEP 8: Grant permissions
@@ -269,6 +382,7 @@ GRANT SELECT ON search_index TO anon, authenticated;
 GRANT EXECUTE ON FUNCTION fast_search TO anon, authenticated;
 GRANT EXECUTE ON FUNCTION search_with_ids TO anon, authenticated;
 GRANT EXECUTE ON FUNCTION quick_search TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION phonetic_search TO anon, authenticated;
 
 RAISE NOTICE 'Step 8 complete: Permissions granted';
 
@@ -283,17 +397,19 @@ SECURITY DEFINER
 AS $$
 BEGIN
   IF TG_OP = 'INSERT' OR TG_OP = 'UPDATE' THEN
-    INSERT INTO search_index (id, name_lower, first_name, phone_digits)
+    INSERT INTO search_index (id, name_lower, first_name, phone_digits, name_phonetic)
     VALUES (
       NEW.id,
       LOWER(NEW.customer_name),
       LOWER(SPLIT_PART(NEW.customer_name, ' ', 1)),
-      REGEXP_REPLACE(COALESCE(NEW.phone_number, ''), '[^0-9]', '', 'g')
+      REGEXP_REPLACE(COALESCE(NEW.phone_number, ''), '[^0-9]', '', 'g'),
+      phonetic_keys(NEW.customer_name)
     )
     ON CONFLICT (id) DO UPDATE SET
       name_lower = EXCLUDED.name_lower,
       first_name = EXCLUDED.first_name,
-      phone_digits = EXCLUDED.phone_digits;
+      phone_digits = EXCLUDED.phone_digits,
+      name_phonetic = EXCLUDED.name_phonetic;
     RETURN NEW;
   ELSIF TG_OP = 'DELETE' THEN
     DELETE FROM search_index WHERE id = OLD.id;
@@ -334,6 +450,7 @@ BEGIN
   RAISE NOTICE '  - fast_search(search_term, max_results)';
   RAISE NOTICE '  - search_with_ids(search_term, max_results)';
   RAISE NOTICE '  - quick_search(search_term, max_results)';
+  RAISE NOTICE '  - phonetic_search(search_term, max_results)';
   RAISE NOTICE '';
   RAISE NOTICE 'To test, run:';
   RAISE NOTICE '  SELECT * FROM fast_search(''arjun'', 10);';
@@ -348,4 +465,6 @@ $$;
 -- SELECT * FROM fast_search('arjun', 10);
 -- SELECT * FROM fast_search('9876', 10);
 -- SELECT * FROM search_with_ids('sharma', 10);
+-- SELECT * FROM phonetic_search('laxmi', 10);
+-- SELECT indic_phonetic_key('Lakshmi'), indic_phonetic_key('Laxmi');
 -- SELECT COUNT(*) FROM search_index;
@@ -0,0 +1,262 @@
+/**
+ * CSV Mapping Profiles
+ * A profile describes how a CSV export maps onto sales records: which source column
+ * feeds each field, the column delimiter, the date format and the number locale.
+ * Profiles are JSON files in backend/profiles (CSV_PROFILES_DIR overrides) and are
+ * referenced by file name; CSV_PROFILE picks the profile of the sales CSV file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { toIsoDate } = require('./dataUtils');
+
+const DEFAULT_PROFILE = 'default';
+
+// Sales record fields a profile can map columns to
+const CANONICAL_FIELDS = [
+  'transactionId', 'date', 'customerId', 'customerName', 'phoneNumber', 'gender',
+  'age', 'customerRegion', 'customerType', 'productId', 'productName', 'brand',
+  'productCategory', 'tags', 'quantity', 'pricePerUnit', 'discountPercentage',
+  'totalAmount', 'finalAmount', 'paymentMethod', 'orderStatus', 'deliveryType',
+  'storeId', 'storeLocation', 'salespersonId', 'employeeName'
+];
+
+// Date format tokens -> capture pattern and date part
+const DATE_TOKENS = {
+  YYYY: { pattern: '(\\d{4})', part: 'year' },
+  YY: { pattern: '(\\d{2})', part: 'shortYear' },
+  MMM: { pattern: '([A-Za-z]{3})', part: 'monthName' },
+  MM: { pattern: '(\\d{2})', part: 'month' },
+  M: { pattern: '(\\d{1,2})', part: 'month' },
+  DD: { pattern: '(\\d{2})', part: 'day' },
+  D: { pattern: '(\\d{1,2})', part: 'day' }
+};
+const DATE_TOKEN_SPLIT = /(YYYY|YY|MMM|MM|M|DD|D)/;
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const profileCache = new Map();
+
+/**
+ * Directory holding the profile JSON files
+ */
+const getProfilesDir = () => {
+  return process.env.CSV_PROFILES_DIR || path.join(__dirname, '../../profiles');
+};
+
+/**
+ * Names of the available profiles
+ */
+const listProfiles = () => {
+  const dir = getProfilesDir();
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'))
+    .sort();
+};
+
+/**
+ * Compile a date format such as DD/MM/YYYY into a matcher
+ * Trailing time parts (" 10:30", "T10:30:00") are ignored when parsing
+ */
+const compileDateFormat = (format) => {
+  const tokens = format.split(DATE_TOKEN_SPLIT).filter(Boolean);
+  const parts = [];
+  const pattern = tokens.map(token => {
+    if (DATE_TOKENS[token]) {
+      parts.push(DATE_TOKENS[token].part);
+      return DATE_TOKENS[token].pattern;
+    }
+    return token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }).join('');
+
+  const hasYear = parts.includes('year') || parts.includes('shortYear');
+  const hasMonth = parts.includes('month') || parts.includes('monthName');
+  if (!hasYear || !hasMonth || !parts.includes('day')) {
+    throw new Error(`Date format "${format}" needs a day, month and year`);
+  }
+
+  return { tokens, parts, regex: new RegExp(`^${pattern}(?:[ T].*)?$`) };
+};
+
+/**
+ * Group and decimal separators of a number locale (e.g. de-DE -> "." and ",")
+ */
+const getNumberSeparators = (locale) => {
+  const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+  const group = parts.find(part => part.type === 'group');
+  const decimal = parts.find(part => part.type === 'decimal');
+  return { group: group ? group.value : '', decimal: decimal ? decimal.value : '.' };
+};
+
+/**
+ * Validate a profile definition and precompute its lookups
+ */
+const compileProfile = (name, definition) => {
+  const columns = definition.columns || {};
+  const fieldSources = {};
+  const headers = {};
+
+  for (const [column, field] of Object.entries(columns)) {
+    if (!CANONICAL_FIELDS.includes(field)) {
+      throw new Error(`CSV profile "${name}" maps column "${column}" to unknown field "${field}"`);
+    }
+    (fieldSources[field] = fieldSources[field] || []).push(column);
+    if (!headers[field]) headers[field] = column;
+  }
+
+  const dateFormat = definition.dateFormat || 'auto';
+  const numberLocale = definition.numberLocale || 'en-US';
+  let separators;
+  try {
+    separators = getNumberSeparators(numberLocale);
+  } catch (error) {
+    throw new Error(`CSV profile "${name}" has an invalid numberLocale "${numberLocale}"`);
+  }
+
+  return {
+    name,
+    description: definition.description || '',
+    delimiter: definition.delimiter || ',',
+    columns,
+    fieldSources,
+    headers,
+    dateFormat,
+    datePattern: dateFormat === 'auto' ? null : compileDateFormat(dateFormat),
+    numberLocale,
+    groupSeparator: separators.group,
+    decimalSeparator: separators.decimal
+  };
+};
+
+/**
+ * Get a compiled profile by name (CSV_PROFILE, then "default", when no name is given)
+ * Profiles are read once and cached for the life of the process
+ */
+const getProfile = (name) => {
+  const profileName = name || process.env.CSV_PROFILE || DEFAULT_PROFILE;
+  if (profileCache.has(profileName)) {
+    return profileCache.get(profileName);
+  }
+
+  const filePath = path.join(getProfilesDir(), `${profileName}.json`);
+  if (!/^[\w-]+$/.test(profileName) || !fs.existsSync(filePath)) {
+    throw new Error(`Unknown CSV profile "${profileName}". Available: ${listProfiles().join(', ')}`);
+  }
+
+  let definition;
+  try {
+    definition = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`CSV profile "${profileName}" is not valid JSON: ${error.message}`);
+  }
+
+  const profile = compileProfile(profileName, definition);
+  profileCache.set(profileName, profile);
+  return profile;
+};
+
+/**
+ * Read a field from a CSV row: the profile's source columns first, then the camelCase key
+ * @returns {*} The raw value ('' when missing)
+ */
+const getFieldValue = (record, field, profile) => {
+  const sources = profile.fieldSources[field];
+  if (sources) {
+    for (const source of sources) {
+      if (record[source]) return record[source];
+    }
+  }
+  return record[field] || '';
+};
+
+/**
+ * Rewrite a number in the profile's locale into JavaScript notation ("1.234,5" -> "1234.5")
+ * Numbers are returned unchanged
+ */
+const delocalizeNumber = (value, profile) => {
+  if (typeof value === 'number') return value;
+
+  let str = String(value).trim();
+  const { groupSeparator, decimalSeparator } = profile;
+  if (groupSeparator && str.includes(groupSeparator)) {
+    str = str.split(groupSeparator).join('');
+  }
+  if (/\s/.test(groupSeparator)) {
+    str = str.replace(/\s/g, '');
+  }
+  if (decimalSeparator !== '.') {
+    str = str.replace(decimalSeparator, '.');
+  }
+  return str;
+};
+
+/**
+ * Parse a date in the profile's format into YYYY-MM-DD
+ * ISO dates are always accepted; "auto" profiles fall back to the Date parser
+ * @returns {string} ISO date, or '' when the value cannot be parsed
+ */
+const parseDate = (value, profile) => {
+  if (!value) return '';
+  const str = String(value).trim();
+  if (!profile.datePattern || /^\d{4}-\d{2}-\d{2}/.test(str)) return toIsoDate(str);
+
+  const match = profile.datePattern.regex.exec(str);
+  if (!match) return '';
+
+  let year = 0, month = 0, day = 0;
+  profile.datePattern.parts.forEach((part, index) => {
+    const token = match[index + 1];
+    if (part === 'year') year = parseInt(token, 10);
+    else if (part === 'shortYear') year = 2000 + parseInt(token, 10);
+    else if (part === 'monthName') month = MONTH_NAMES.indexOf(token.toLowerCase()) + 1;
+    else if (part === 'month') month = parseInt(token, 10);
+    else day = parseInt(token, 10);
+  });
+
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  if (month < 1 || month > 12 || day < 1 || day > daysInMonth) return '';
+
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Format an ISO date in the profile's date format
+ */
+const formatDate = (isoDate, profile) => {
+  const [year, month, day] = isoDate.split('-');
+  const values = {
+    YYYY: year,
+    YY: year.slice(-2),
+    MMM: MONTH_NAMES[parseInt(month, 10) - 1].replace(/^./, ch => ch.toUpperCase()),
+    MM: month,
+    M: String(parseInt(month, 10)),
+    DD: day,
+    D: String(parseInt(day, 10))
+  };
+  return profile.datePattern.tokens.map(token => values[token] ?? token).join('');
+};
+
+/**
+ * Format a normalized record value for a CSV file written with this profile
+ */
+const formatValue = (value, field, profile) => {
+  if (field === 'date' && profile.datePattern && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return formatDate(value, profile);
+  }
+  if (typeof value === 'number' && profile.decimalSeparator !== '.') {
+    return String(value).replace('.', profile.decimalSeparator);
+  }
+  return value;
+};
+
+module.exports = {
+  DEFAULT_PROFILE,
+  CANONICAL_FIELDS,
+  getProfile,
+  listProfiles,
+  getFieldValue,
+  delocalizeNumber,
+  parseDate,
+  formatValue
+};
@@ -3,6 +3,13 @@
  */
 
 const { searchIndex } = require('./searchIndex');
+const {
+  LIST_FILTER_FIELDS,
+  EXCLUDE_FILTER_KEYS,
+  getRangePredicates,
+  getListExclusions,
+  normalizeTags
+} = require('./queryParser');
 
 /**
  * Build search index for faster search (call once after data load)
@@ -19,13 +26,15 @@ const clearSearchIndex = () => {
 };
 
 /**
- * Apply case-insensitive search on Customer Name and Phone Number
+ * Apply case-insensitive search: every word must match one of SEARCH_FIELDS
  * Uses Trie-based index for O(m) search instead of O(n) linear scan
+ * @param {SearchIndex} index - Index built for `data` (defaults to the shared index)
+ * @param {string} matchMode - 'default' or 'phonetic'
  */
-const applySearch = (data, searchTerm) => {
+const applySearch = (data, searchTerm, index = searchIndex, matchMode = 'default') => {
   if (!searchTerm || searchTerm.trim().length === 0) return data;
   
-  const matchingIndices = searchIndex.search(searchTerm, data);
+  const matchingIndices = index.search(searchTerm, data, { matchMode });
   
   // If null returned, return all data (empty query)
   if (matchingIndices === null) return data;
@@ -35,25 +44,86 @@ const applySearch = (data, searchTerm) => {
 };
 
 /**
- * Apply all filters to data - OPTIMIZED SINGLE PASS
- * Instead of multiple filter() calls, we iterate once and check all conditions
+ * Compile a search predicate ({ field, op, value }) into a record test
+ * Text comparisons ignore case; the date field is compared as YYYY-MM-DD. Records without a
+ * value (null, or an empty / non-numeric number) never match, like NULL in the SQL data sources
  */
-const applyFilters = (data, filters) => {
+const compilePredicate = ({ field, op, value }) => {
+  let read;
+  let target = value;
+
+  if (field === 'date') {
+    read = (item) => toIsoDate(item.date) || null;
+  } else if (typeof value === 'number') {
+    read = (item) => parseNumber(item[field], null);
+  } else {
+    target = String(value).toLowerCase();
+    read = (item) => (item[field] === null || item[field] === undefined ? null : String(item[field]).toLowerCase());
+  }
+
+  let compare;
+  switch (op) {
+    case 'eq': compare = (actual) => actual === target; break;
+    case 'contains': compare = (actual) => actual.includes(target); break;
+    case 'gt': compare = (actual) => actual > target; break;
+    case 'gte': compare = (actual) => actual >= target; break;
+    case 'lt': compare = (actual) => actual < target; break;
+    case 'lte': compare = (actual) => actual <= target; break;
+    default: throw new Error(`Unsupported predicate operator "${op}"`);
+  }
+
+  return (item) => {
+    const actual = read(item);
+    return actual !== null && compare(actual);
+  };
+};
+
+/**
+ * Compile a normalized filter expression (see utils/filterExpression) into a record test
+ */
+const compileExpression = (node) => {
+  if (node.type === 'and' || node.type === 'or') {
+    const tests = node.nodes.map(compileExpression);
+    return node.type === 'and'
+      ? (item) => tests.every(test => test(item))
+      : (item) => tests.some(test => test(item));
+  }
+
+  const test = node.type === 'tags'
+    ? (item) => normalizeTags(item.tags).some(tag => node.tags.includes(tag))
+    : compilePredicate(node);
+  return node.negated ? (item) => !test(item) : test;
+};
+
+/**
+ * Compile all filters into one record test - checks every condition in a single call
+ * @returns {Function|null} (item) => boolean, or null when no filter is active
+ */
+const createRecordFilter = (filters) => {
   // Pre-process filter values for faster comparison
-  const hasRegions = filters.regions && filters.regions.length > 0;
-  const hasGenders = filters.genders && filters.genders.length > 0;
-  const hasCategories = filters.categories && filters.categories.length > 0;
-  const hasTags = filters.tags && filters.tags.length > 0;
-  const hasPaymentMethods = filters.paymentMethods && filters.paymentMethods.length > 0;
+  const selectedTags = normalizeTags(filters.tags || []);
+  const hasTags = selectedTags.length > 0;
+  const tagsMode = filters.tagsMode || 'any';
+  const excludedTags = normalizeTags(filters.excludeTags || []);
+  const hasExcludedTags = excludedTags.length > 0;
   const hasMinAge = filters.minAge !== null && !isNaN(filters.minAge);
   const hasMaxAge = filters.maxAge !== null && !isNaN(filters.maxAge);
+  // Amount, quantity, discount and unit price ranges are checked with the search query predicates
+  const predicateTests = [...getRangePredicates(filters), ...(filters.predicates || [])].map(compilePredicate);
+  const hasPredicates = predicateTests.length > 0;
+  // JSON filter expression (POST /api/sales/query)
+  const expressionTest = filters.expression ? compileExpression(filters.expression) : null;
   
   // Pre-normalize filter values to lowercase Sets for O(1) lookup
-  const regionsSet = hasRegions ? new Set(filters.regions.map(r => r.toLowerCase())) : null;
-  const gendersSet = hasGenders ? new Set(filters.genders.map(g => g.toLowerCase())) : null;
-  const categoriesSet = hasCategories ? new Set(filters.categories.map(c => c.toLowerCase())) : null;
-  const tagsSet = hasTags ? new Set(filters.tags.map(t => t.toLowerCase())) : null;
-  const paymentMethodsSet = hasPaymentMethods ? new Set(filters.paymentMethods.map(m => m.toLowerCase())) : null;
+  // (multi-select filters become [record field, Set of selected values])
+  const listFilters = Object.entries(LIST_FILTER_FIELDS)
+    .filter(([key]) => filters[key] && filters[key].length > 0)
+    .map(([key, field]) => [field, new Set(filters[key].map(value => String(value).toLowerCase()))]);
+  const hasListFilters = listFilters.length > 0;
+  // Exclude lists: [record field, Set of excluded values] (records without a value are kept)
+  const listExclusions = getListExclusions(filters)
+    .map(([field, values]) => [field, new Set(values.map(value => String(value).toLowerCase()))]);
+  const hasListExclusions = listExclusions.length > 0;
   
   // Pre-parse date filters
   let startDateTime = null;
@@ -75,30 +145,29 @@ const applyFilters = (data, filters) => {
   }
   
   // Check if any filters are active
-  const hasAnyFilter = hasRegions || hasGenders || hasCategories || hasTags || 
-                       hasPaymentMethods || hasMinAge || hasMaxAge || 
+  const hasAnyFilter = hasListFilters || hasListExclusions || hasTags || hasExcludedTags || hasMinAge ||
+                       hasMaxAge || hasPredicates || expressionTest !== null ||
                        startDateTime !== null || endDateTime !== null;
   
-  // If no filters, return data as-is
-  if (!hasAnyFilter) return data;
+  // If no filters, there is nothing to test
+  if (!hasAnyFilter) return null;
   
-  // Single pass filter
-  const results = [];
-  
-  for (let i = 0; i < data.length; i++) {
-    const item = data[i];
+  return (item) => {
     let match = true;
     
-    // Check Region
-    if (match && hasRegions) {
-      const region = (item.customerRegion || '').toLowerCase();
-      match = regionsSet.has(region);
+    // Check Region, Gender, Category, Payment Method, Brand, Order Status, Delivery Type,
+    // Store, Customer Type and Salesperson (selected values, then excluded values)
+    if (hasListFilters) {
+      for (let i = 0; match && i < listFilters.length; i++) {
+        const [field, values] = listFilters[i];
+        match = values.has(String(item[field] ?? '').toLowerCase());
+      }
     }
-    
-    // Check Gender
-    if (match && hasGenders) {
-      const gender = (item.gender || '').toLowerCase();
-      match = gendersSet.has(gender);
+    if (match && hasListExclusions) {
+      for (let i = 0; match && i < listExclusions.length; i++) {
+        const [field, values] = listExclusions[i];
+        match = !values.has(String(item[field] ?? '').toLowerCase());
+      }
     }
     
     // Check Age Range
@@ -109,26 +178,20 @@ const applyFilters = (data, filters) => {
       match = item.age <= filters.maxAge;
     }
     
-    // Check Category
-    if (match && hasCategories) {
-      const category = (item.productCategory || '').toLowerCase();
-      match = categoriesSet.has(category);
-    }
-    
-    // Check Tags
+    // Check Tags (whole tags; the record has any, all or none of the selected ones)
     if (match && hasTags) {
-      if (!item.tags) {
-        match = false;
+      const itemTags = normalizeTags(item.tags);
+      if (tagsMode === 'all') {
+        match = selectedTags.every(tag => itemTags.includes(tag));
       } else {
-        const itemTags = item.tags.split(',').map(t => t.trim().toLowerCase());
-        match = itemTags.some(tag => tagsSet.has(tag));
+        const hasAny = selectedTags.some(tag => itemTags.includes(tag));
+        match = tagsMode === 'none' ? !hasAny : hasAny;
       }
     }
-    
-    // Check Payment Method
-    if (match && hasPaymentMethods) {
-      const method = (item.paymentMethod || '').toLowerCase();
-      match = paymentMethodsSet.has(method);
+    // Check Excluded Tags (the record has none of them)
+    if (match && hasExcludedTags) {
+      const itemTags = normalizeTags(item.tags);
+      match = !excludedTags.some(tag => itemTags.includes(tag));
     }
     
     // Check Date Range
@@ -147,8 +210,34 @@ const applyFilters = (data, filters) => {
       }
     }
     
-    if (match) {
-      results.push(item);
+    // Check numeric ranges and search query predicates (all must match)
+    if (match && hasPredicates) {
+      match = predicateTests.every(test => test(item));
+    }
+    
+    // Check the filter expression
+    if (match && expressionTest) {
+      match = expressionTest(item);
+    }
+    
+    return match;
+  };
+};
+
+/**
+ * Apply all filters to data - OPTIMIZED SINGLE PASS
+ * Instead of multiple filter() calls, we iterate once and check all conditions
+ */
+const applyFilters = (data, filters) => {
+  const matches = createRecordFilter(filters);
+  
+  // If no filters, return data as-is
+  if (!matches) return data;
+  
+  const results = [];
+  for (let i = 0; i < data.length; i++) {
+    if (matches(data[i])) {
+      results.push(data[i]);
     }
   }
   
@@ -220,6 +309,99 @@ const extractUniqueValues = (data, field) => {
   return Array.from(values).sort();
 };
 
+/**
+ * Check if any filters (other than search) are active
+ */
+const hasActiveFilters = (filters) => {
+  return !!(
+    Object.keys(LIST_FILTER_FIELDS).some(key => filters[key] && filters[key].length > 0) ||
+    Object.values(EXCLUDE_FILTER_KEYS).some(key => filters[key] && filters[key].length > 0) ||
+    (filters.tags && filters.tags.length > 0) ||
+    (filters.minAge !== null && filters.minAge !== undefined && !isNaN(filters.minAge)) ||
+    (filters.maxAge !== null && filters.maxAge !== undefined && !isNaN(filters.maxAge)) ||
+    filters.startDate ||
+    filters.endDate ||
+    getRangePredicates(filters).length > 0 ||
+    (filters.predicates && filters.predicates.length > 0) ||
+    filters.expression
+  );
+};
+
+/**
+ * Add records to running stats totals (a new set without `totals`), for stats of records
+ * read in batches; toStats turns them into the summary statistics
+ */
+const addStatsTotals = (data, totals = { count: 0, sales: 0, quantity: 0, discount: 0 }) => {
+  for (let i = 0; i < data.length; i++) {
+    const item = data[i];
+    totals.count++;
+    totals.sales += item.finalAmount || 0;
+    totals.quantity += item.quantity || 0;
+    totals.discount += (item.totalAmount || 0) - (item.finalAmount || 0);
+  }
+  return totals;
+};
+
+/**
+ * Summary statistics of stats totals (addStatsTotals)
+ */
+const toStats = (totals) => {
+  const averageOrderValue = totals.count > 0 ? totals.sales / totals.count : 0;
+  
+  return {
+    totalRecords: totals.count,
+    totalSales: Math.round(totals.sales * 100) / 100,
+    totalQuantity: totals.quantity,
+    totalDiscount: Math.round(totals.discount * 100) / 100,
+    averageOrderValue: Math.round(averageOrderValue * 100) / 100
+  };
+};
+
+/**
+ * Compute summary statistics (totals, discount, average order value) for records
+ */
+const computeStats = (data) => toStats(addStatsTotals(data));
+
+/**
+ * Normalize a date string to ISO 'YYYY-MM-DD' (returns '' when unparseable)
+ */
+const toIsoDate = (value) => {
+  if (!value) return '';
+  const str = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}/.test(str)) return str.substring(0, 10);
+  
+  const date = new Date(str);
+  if (isNaN(date.getTime())) return '';
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Convert snake_case to camelCase
+ */
+const snakeToCamel = (str) => str.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+
+/**
+ * Transform database row (snake_case) to API format (camelCase)
+ */
+const transformRow = (row) => {
+  if (!row) return row;
+  const transformed = {};
+  for (const [key, value] of Object.entries(row)) {
+    transformed[snakeToCamel(key)] = value;
+  }
+  return transformed;
+};
+
+/**
+ * Transform array of rows
+ */
+const transformRows = (rows) => {
+  if (!Array.isArray(rows)) return rows;
+  return rows.map(transformRow);
+};
+
 /**
  * Parse numeric value safely
  */
@@ -236,14 +418,31 @@ const parseInt = (value, defaultValue = 0) => {
   return isNaN(parsed) ? defaultValue : parsed;
 };
 
+/**
+ * Parse a database row id (positive integer) from a route parameter, null when invalid
+ */
+const toRowId = (value) => {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
 module.exports = {
   applySearch,
   applyFilters,
+  createRecordFilter,
   applySorting,
   applyPagination,
   extractUniqueValues,
+  hasActiveFilters,
+  addStatsTotals,
+  toStats,
+  computeStats,
+  toIsoDate,
+  transformRow,
+  transformRows,
   parseNumber,
   parseInt,
+  toRowId,
   buildSearchIndex,
   clearSearchIndex
 };
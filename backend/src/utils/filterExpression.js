@@ -0,0 +1,183 @@
+/**
+ * Filter Expressions
+ * Validates the JSON filter tree of POST /api/sales/query, e.g.
+ *   { and: [{ or: [{ field: 'region', in: ['North', 'East'] }, { field: 'finalAmount', gt: 1000 }] },
+ *           { not: { field: 'orderStatus', eq: 'Cancelled' } }] }
+ *
+ * - Groups: { and: [...] }, { or: [...] }, { not: {...} }
+ * - Conditions: { field, <op>: value } with op eq, ne, in, nin (lists), gt, gte, lt, lte
+ *   (numbers and dates) or contains (text). Fields are record fields (finalAmount) or search
+ *   query fields (region, amount); text compares ignore case, tags match whole tags
+ *
+ * The result is a normalized tree every data source compiles (dataUtils, sqlBuilder,
+ * databaseService): NOT is pushed down to the conditions, so a negated condition also keeps
+ * records without a value, and ne / in / nin become eq conditions.
+ *   { type: 'and' | 'or', nodes: [...] }
+ *   { type: 'predicate', field, op: 'eq' | 'contains' | 'gt' | 'gte' | 'lt' | 'lte', value, negated }
+ *   { type: 'tags', tags: [...], negated } - the record has any of the (normalized) tags
+ */
+
+const { QUERY_FIELDS, FIELD_ALIASES, convertValue, normalizeTags } = require('./queryParser');
+
+// Record fields an expression can test, with their value type
+const EXPRESSION_FIELDS = {
+  transactionId: 'text',
+  date: 'date',
+  customerId: 'text',
+  customerName: 'text',
+  phoneNumber: 'text',
+  gender: 'text',
+  age: 'number',
+  customerRegion: 'text',
+  customerType: 'text',
+  productId: 'text',
+  productName: 'text',
+  brand: 'text',
+  productCategory: 'text',
+  tags: 'tags',
+  quantity: 'number',
+  pricePerUnit: 'number',
+  discountPercentage: 'number',
+  totalAmount: 'number',
+  finalAmount: 'number',
+  paymentMethod: 'text',
+  orderStatus: 'text',
+  deliveryType: 'text',
+  storeId: 'text',
+  storeLocation: 'text',
+  salespersonId: 'text',
+  employeeName: 'text'
+};
+
+// Operators allowed per value type
+const TYPE_OPERATORS = {
+  text: ['eq', 'ne', 'in', 'nin', 'contains'],
+  number: ['eq', 'ne', 'in', 'nin', 'gt', 'gte', 'lt', 'lte'],
+  date: ['eq', 'ne', 'in', 'nin', 'gt', 'gte', 'lt', 'lte'],
+  tags: ['eq', 'ne', 'in', 'nin']
+};
+const OPERATORS = ['eq', 'ne', 'in', 'nin', 'gt', 'gte', 'lt', 'lte', 'contains'];
+
+// Limits keep the compiled SQL / PostgREST filter a reasonable size
+const MAX_DEPTH = 16;
+const MAX_CONDITIONS = 200;
+
+/**
+ * Record field of an expression field name (finalAmount, or a search query field like amount)
+ */
+const resolveField = (name) => {
+  if (typeof name !== 'string') return null;
+  if (EXPRESSION_FIELDS[name]) return name;
+  const queryField = QUERY_FIELDS[FIELD_ALIASES[name] || name];
+  return queryField ? queryField.field : null;
+};
+
+/**
+ * Validate a filter expression and normalize it for the compilers
+ * @param {Object} expression - Filter tree from the request body (null / undefined for none)
+ * @returns {Object|null} Normalized tree, or null without an expression
+ * @throws {Error} With expressionErrors ([{ path, message }]) when the tree is invalid
+ */
+const parseFilterExpression = (expression) => {
+  if (expression === null || expression === undefined) return null;
+
+  const errors = [];
+  let conditions = 0;
+
+  const fail = (path, message) => {
+    errors.push({ path: path || '(root)', message });
+    return null;
+  };
+
+  // negated: an odd number of NOTs above this node
+  const visit = (node, path, negated, depth) => {
+    if (depth > MAX_DEPTH) return fail(path, `Expression is nested deeper than ${MAX_DEPTH} levels`);
+    if (!node || typeof node !== 'object' || Array.isArray(node)) return fail(path, 'Expected an object');
+
+    const keys = Object.keys(node);
+    const groupKey = ['and', 'or', 'not'].find(key => key in node);
+    if (groupKey) {
+      if (keys.length !== 1) return fail(path, `"${groupKey}" must be the only key of its object`);
+      const childPath = path ? `${path}.${groupKey}` : groupKey;
+
+      if (groupKey === 'not') return visit(node.not, childPath, !negated, depth + 1);
+
+      const children = node[groupKey];
+      if (!Array.isArray(children) || children.length === 0) {
+        return fail(childPath, `"${groupKey}" must be a non-empty array`);
+      }
+      const nodes = children.map((child, i) => visit(child, `${childPath}[${i}]`, negated, depth + 1));
+      // NOT (a AND b) = NOT a OR NOT b, NOT (a OR b) = NOT a AND NOT b
+      const type = (groupKey === 'and') !== negated ? 'and' : 'or';
+      return { type, nodes };
+    }
+
+    if (!('field' in node)) return fail(path, 'Expected "and", "or", "not" or a "field" condition');
+    const field = resolveField(node.field);
+    if (!field) return fail(path, `Unknown field "${node.field}"`);
+    const ops = keys.filter(key => key !== 'field');
+    if (ops.length !== 1 || !OPERATORS.includes(ops[0])) {
+      return fail(path, `Expected one operator (${OPERATORS.join(', ')}) next to "field"`);
+    }
+
+    const [op] = ops;
+    const type = EXPRESSION_FIELDS[field];
+    const opPath = `${path ? `${path}.` : ''}${op}`;
+    if (!TYPE_OPERATORS[type].includes(op)) return fail(opPath, `"${op}" does not apply to ${field}`);
+
+    const isList = op === 'in' || op === 'nin';
+    const raw = node[op];
+    if (isList && (!Array.isArray(raw) || raw.length === 0)) return fail(opPath, `"${op}" takes a non-empty array`);
+    const rawValues = isList ? raw : [raw];
+
+    const values = [];
+    for (const value of rawValues) {
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        return fail(opPath, 'Values must be strings or numbers');
+      }
+      const converted = type === 'tags' ? { value: String(value) } : convertValue(String(value), type);
+      if (converted.error) return fail(opPath, converted.error);
+      values.push(converted.value);
+    }
+
+    conditions += values.length;
+    if (conditions > MAX_CONDITIONS) return fail(opPath, `Expression has more than ${MAX_CONDITIONS} conditions`);
+
+    // ne and nin are negated eq and in
+    const isNegated = negated !== (op === 'ne' || op === 'nin');
+    if (type === 'tags') {
+      const tags = normalizeTags(values);
+      if (tags.length === 0) return fail(opPath, 'Tags must not be empty');
+      return { type: 'tags', tags, negated: isNegated };
+    }
+
+    const predicateOp = isList || op === 'ne' ? 'eq' : op;
+    const predicates = values.map(value => ({ type: 'predicate', field, op: predicateOp, value, negated: isNegated }));
+    if (predicates.length === 1) return predicates[0];
+    // A list matches one of its values; negated, none of them
+    return { type: isNegated ? 'and' : 'or', nodes: predicates };
+  };
+
+  const tree = visit(expression, '', false, 0);
+  if (errors.length > 0) {
+    const [first] = errors;
+    const error = new Error(`Invalid filter expression: ${first.message} at ${first.path}`);
+    error.expressionErrors = errors;
+    throw error;
+  }
+  return tree;
+};
+
+/**
+ * Whether a normalized expression has a tags condition (Supabase checks for tag_list first)
+ */
+const hasTagsCondition = (node) => {
+  if (!node) return false;
+  return node.type === 'tags' || (node.nodes || []).some(hasTagsCondition);
+};
+
+module.exports = {
+  EXPRESSION_FIELDS,
+  parseFilterExpression,
+  hasTagsCondition
+};
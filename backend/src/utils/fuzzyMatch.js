@@ -0,0 +1,228 @@
+/**
+ * Typo-tolerant word matching for the in-memory search indexes
+ * A BK-tree over the indexed name words finds every word within a Levenshtein distance
+ * of a query word, so "Rajsh Kumr" still finds "Rajesh Kumar".
+ *
+ * Match scores (lower ranks first): exact word 0, word prefix 1, typo 1 + edit distance
+ * (phonetic matches, see phonetic.js, also score 1).
+ * SEARCH_FUZZY_DISTANCE sets the maximum edit distance (default 2, 0 disables typo matching).
+ */
+
+const DEFAULT_MAX_DISTANCE = 2;
+
+const MATCH_SCORE = {
+  exact: 0,
+  prefix: 1,
+  fuzzy: 1,
+  phonetic: 1
+};
+
+/**
+ * Maximum edit distance from SEARCH_FUZZY_DISTANCE
+ */
+const getMaxDistance = () => {
+  const value = parseInt(process.env.SEARCH_FUZZY_DISTANCE, 10);
+  return Number.isNaN(value) || value < 0 ? DEFAULT_MAX_DISTANCE : value;
+};
+
+/**
+ * Edits allowed for one query word: short words must match exactly,
+ * medium words allow one typo, longer words the full maximum
+ */
+const getWordDistance = (word, maxDistance) => {
+  if (word.length < 4) return 0;
+  if (word.length < 7) return Math.min(1, maxDistance);
+  return maxDistance;
+};
+
+/**
+ * Levenshtein distance between two strings
+ * @param {number} limit - Stop early and return limit + 1 once the distance exceeds limit
+ */
+const levenshtein = (a, b, limit = Infinity) => {
+  if (a === b) return 0;
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+  let previous = new Array(b.length + 1);
+  let current = new Array(b.length + 1);
+  for (let j = 0; j <= b.length; j++) previous[j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    current[0] = i;
+    let rowMin = current[0];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (current[j] < rowMin) rowMin = current[j];
+    }
+    if (rowMin > limit) return limit + 1;
+    [previous, current] = [current, previous];
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Burkhard-Keller tree: a metric tree over words keyed by edit distance
+ * Lookups only visit children whose distance can still be within range (triangle inequality)
+ */
+class BKTree {
+  constructor() {
+    this.root = null;
+    this.size = 0;
+  }
+
+  /**
+   * Add a word (duplicates are ignored)
+   */
+  add(word) {
+    if (!this.root) {
+      this.root = { word, children: new Map() };
+      this.size = 1;
+      return;
+    }
+
+    let node = this.root;
+    while (true) {
+      const distance = levenshtein(word, node.word);
+      if (distance === 0) return;
+
+      const child = node.children.get(distance);
+      if (!child) {
+        node.children.set(distance, { word, children: new Map() });
+        this.size++;
+        return;
+      }
+      node = child;
+    }
+  }
+
+  /**
+   * Find the words within maxDistance edits of word
+   * @returns {Array<{ word: string, distance: number }>}
+   */
+  search(word, maxDistance) {
+    const results = [];
+    if (!this.root) return results;
+
+    const stack = [this.root];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      const distance = levenshtein(word, node.word);
+      if (distance <= maxDistance) {
+        results.push({ word: node.word, distance });
+      }
+      for (const [childDistance, child] of node.children) {
+        if (childDistance >= distance - maxDistance && childDistance <= distance + maxDistance) {
+          stack.push(child);
+        }
+      }
+    }
+
+    return results;
+  }
+}
+
+/**
+ * Find the indexed words matching one query word
+ * Exact and prefix hits are one contiguous range of the sorted dictionary;
+ * typo matches are only looked up when the word itself is not indexed
+ * @param {string} queryWord - Lowercase query word
+ * @param {TermDictionary} dictionary - Word -> record keys
+ * @param {BKTree} tree - BK-tree over the dictionary terms
+ * @returns {Map<string, number>} Matching word -> score
+ */
+const findWordMatches = (queryWord, dictionary, tree, maxDistance) => {
+  const matches = new Map();
+
+  const [start, end] = dictionary.prefixRange(queryWord);
+  for (let i = start; i < end; i++) {
+    const word = dictionary.terms[i];
+    matches.set(word, word === queryWord ? MATCH_SCORE.exact : MATCH_SCORE.prefix);
+  }
+
+  // An exact hit sorts first in the prefix range
+  const isIndexed = start < end && dictionary.terms[start] === queryWord;
+  const allowed = getWordDistance(queryWord, maxDistance);
+  if (allowed > 0 && !isIndexed) {
+    for (const { word, distance } of tree.search(queryWord, allowed)) {
+      if (!matches.has(word)) {
+        matches.set(word, MATCH_SCORE.fuzzy + distance);
+      }
+    }
+  }
+
+  return matches;
+};
+
+/**
+ * Score records against every query word (all words must match a name word)
+ * A record's score is the sum of its best score per query word
+ * @param {Array<string>} queryWords - Lowercase query words
+ * @param {TermDictionary} dictionary - Word -> record keys
+ * @param {Function} findMatches - (queryWord) => Map of matching word -> score
+ * @returns {Map<*, number>} Record key -> score
+ */
+const combineWordScores = (queryWords, dictionary, findMatches) => {
+  let scores = null;
+
+  for (const queryWord of queryWords) {
+    const wordScores = new Map();
+    for (const [word, score] of findMatches(queryWord)) {
+      for (const key of dictionary.get(word)) {
+        const best = wordScores.get(key);
+        if (best === undefined || score < best) {
+          wordScores.set(key, score);
+        }
+      }
+    }
+
+    if (scores === null) {
+      scores = wordScores;
+    } else {
+      const combined = new Map();
+      for (const [key, score] of scores) {
+        const wordScore = wordScores.get(key);
+        if (wordScore !== undefined) {
+          combined.set(key, score + wordScore);
+        }
+      }
+      scores = combined;
+    }
+
+    if (scores.size === 0) break;
+  }
+
+  return scores || new Map();
+};
+
+/**
+ * Score records against every query word with exact, prefix and typo matches
+ * @returns {Map<*, number>} Record key -> score
+ */
+const scoreWordMatches = (queryWords, dictionary, tree, maxDistance) => {
+  return combineWordScores(queryWords, dictionary, queryWord => findWordMatches(queryWord, dictionary, tree, maxDistance));
+};
+
+/**
+ * Order scored record keys: best score first, then by key
+ */
+const rankByScore = (scores) => {
+  return Array.from(scores.keys()).sort((a, b) => {
+    const diff = scores.get(a) - scores.get(b);
+    if (diff !== 0) return diff;
+    return a < b ? -1 : a > b ? 1 : 0;
+  });
+};
+
+module.exports = {
+  MATCH_SCORE,
+  getMaxDistance,
+  getWordDistance,
+  levenshtein,
+  BKTree,
+  findWordMatches,
+  combineWordScores,
+  scoreWordMatches,
+  rankByScore
+};
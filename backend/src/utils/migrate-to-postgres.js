@@ -0,0 +1,100 @@
+const { Pool } = require('pg');
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+const { toSalesRow, getCsvPath } = require('../services/dataService');
+const { buildInsert } = require('./sqlBuilder');
+const { getProfile } = require('./csvProfiles');
+
+// Get connection string from command line or environment
+const connectionString = process.env.DATABASE_URL || process.argv[2];
+const csvPath = process.argv[3] || getCsvPath();
+// Mapping profile of the CSV file (falls back to CSV_PROFILE, then "default")
+const profile = getProfile(process.argv[4]);
+
+if (!connectionString) {
+  console.error('Usage: node migrate-to-postgres.js <DATABASE_URL> [CSV_PATH] [PROFILE]');
+  console.error('Or set the DATABASE_URL environment variable');
+  process.exit(1);
+}
+
+const pool = new Pool({ connectionString });
+
+const BATCH_SIZE = 1000;
+
+/**
+ * Create the sales table and indexes
+ */
+async function createSchema() {
+  console.log('Creating sales table and indexes...');
+  const schema = fs.readFileSync(path.join(__dirname, 'postgres-schema.sql'), 'utf8');
+  await pool.query(schema);
+}
+
+/**
+ * Insert one batch with a single multi-row parameterized INSERT
+ */
+async function insertBatch(rows) {
+  const { text, params } = buildInsert('sales', rows, (index) => `$${index}`);
+  await pool.query(text, params);
+}
+
+/**
+ * Stream the CSV file into the sales table in batches
+ */
+async function uploadCSVData() {
+  if (!fs.existsSync(csvPath)) {
+    console.error('CSV file not found:', csvPath);
+    process.exit(1);
+  }
+
+  console.log(`Reading CSV file (profile: ${profile.name})...`);
+  let batch = [];
+  let uploaded = 0;
+
+  for await (const row of fs.createReadStream(csvPath).pipe(csv({ separator: profile.delimiter }))) {
+    batch.push(toSalesRow(row, profile));
+
+    if (batch.length >= BATCH_SIZE) {
+      await insertBatch(batch);
+      uploaded += batch.length;
+      batch = [];
+
+      if (uploaded % 50000 === 0) {
+        console.log(`Progress: ${uploaded} records`);
+      }
+    }
+  }
+
+  if (batch.length > 0) {
+    await insertBatch(batch);
+    uploaded += batch.length;
+  }
+
+  await pool.query('ANALYZE sales');
+  console.log(`\n✅ Uploaded ${uploaded} records`);
+}
+
+/**
+ * Main migration function
+ */
+async function migrate() {
+  try {
+    console.log('🚀 Starting PostgreSQL migration...\n');
+
+    await createSchema();
+    await uploadCSVData();
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\nStart the backend with DATA_SOURCE=postgres and DATABASE_URL set.');
+
+    await pool.end();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    await pool.end();
+    process.exit(1);
+  }
+}
+
+migrate();
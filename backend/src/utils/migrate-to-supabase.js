@@ -1,14 +1,17 @@
 const { createClient } = require('@supabase/supabase-js');
 const fs = require('fs');
-const path = require('path');
 const csv = require('csv-parser');
+const { toSalesRow, getCsvPath } = require('../services/dataService');
+const { getProfile } = require('./csvProfiles');
 
 // Get Supabase credentials from command line or environment
 const supabaseUrl = process.env.SUPABASE_URL || process.argv[2];
 const supabaseKey = process.env.SUPABASE_KEY || process.argv[3];
+// Mapping profile of the CSV file (falls back to CSV_PROFILE, then "default")
+const profile = getProfile(process.argv[4]);
 
 if (!supabaseUrl || !supabaseKey) {
-  console.error('Usage: node migrate-to-supabase.js <SUPABASE_URL> <SUPABASE_KEY>');
+  console.error('Usage: node migrate-to-supabase.js <SUPABASE_URL> <SUPABASE_KEY> [PROFILE]');
   console.error('Or set SUPABASE_URL and SUPABASE_KEY environment variables');
   process.exit(1);
 }
@@ -91,48 +94,21 @@ $$ LANGUAGE plpgsql;
  * Read and upload CSV data
  */
 async function uploadCSVData() {
-  const csvPath = path.join(__dirname, '../../data/sales_data.csv');
+  const csvPath = getCsvPath();
   
   if (!fs.existsSync(csvPath)) {
     console.error('CSV file not found:', csvPath);
     process.exit(1);
   }
   
-  console.log('Reading CSV file...');
+  console.log(`Reading CSV file (profile: ${profile.name})...`);
   const records = [];
   
   return new Promise((resolve, reject) => {
     fs.createReadStream(csvPath)
-      .pipe(csv())
+      .pipe(csv({ separator: profile.delimiter }))
       .on('data', (row) => {
-        records.push({
-          transaction_id: row['Transaction ID'],
-          date: row['Date'],
-          customer_id: row['Customer ID'],
-          customer_name: row['Customer Name'],
-          phone_number: row['Phone Number'],
-          gender: row['Gender'],
-          age: parseInt(row['Age']) || null,
-          customer_region: row['Customer Region'],
-          customer_type: row['Customer Type'],
-          product_id: row['Product ID'],
-          product_name: row['Product Name'],
-          brand: row['Brand'],
-          product_category: row['Product Category'],
-          tags: row['Tags'],
-          quantity: parseInt(row['Quantity']) || 0,
-          price_per_unit: parseFloat(row['Price per Unit']) || 0,
-          discount_percentage: parseFloat(row['Discount Percentage']) || 0,
-          total_amount: parseFloat(row['Total Amount']) || 0,
-          final_amount: parseFloat(row['Final Amount']) || 0,
-          payment_method: row['Payment Method'],
-          order_status: row['Order Status'],
-          delivery_type: row['Delivery Type'],
-          store_id: row['Store ID'],
-          store_location: row['Store Location'],
-          salesperson_id: row['Salesperson ID'],
-          employee_name: row['Employee Name']
-        });
+        records.push(toSalesRow(row, profile));
       })
       .on('end', async () => {
         console.log(`Parsed ${records.length} records from CSV`);
@@ -0,0 +1,223 @@
+/**
+ * N-gram Substring Index
+ * Maps every n-gram (default: trigram) of the indexed texts to a posting list of record
+ * indices, so arbitrary substring queries ("esh" in "mahesh", "5119" in a phone number)
+ * are answered by intersecting posting lists instead of scanning every record.
+ *
+ * All posting lists live in one Uint32Array (sorted record indices per gram, addressed
+ * through an offsets array) to keep 1M+ records compact. Posting hits are candidates:
+ * callers confirm them with includes(), because grams can match out of order.
+ */
+
+// Rough per-entry cost of the gram -> id Map (key string + Map slot), for memory reporting
+const DICTIONARY_ENTRY_BYTES = 64;
+
+/**
+ * Intersect two sorted index arrays
+ * Uses binary search in the longer list when the lengths are far apart
+ */
+const intersectSorted = (a, b) => {
+  if (a.length > b.length) [a, b] = [b, a];
+  const result = new Uint32Array(a.length);
+  let size = 0;
+
+  if (b.length > a.length * 8) {
+    let low = 0;
+    for (let i = 0; i < a.length; i++) {
+      const value = a[i];
+      let high = b.length;
+      while (low < high) {
+        const mid = (low + high) >>> 1;
+        if (b[mid] < value) low = mid + 1;
+        else high = mid;
+      }
+      if (low < b.length && b[low] === value) result[size++] = value;
+    }
+  } else {
+    let i = 0, j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] < b[j]) i++;
+      else if (a[i] > b[j]) j++;
+      else {
+        result[size++] = a[i];
+        i++;
+        j++;
+      }
+    }
+  }
+
+  return result.subarray(0, size);
+};
+
+/**
+ * Merge two sorted index arrays, dropping duplicates
+ */
+const unionSorted = (a, b) => {
+  const result = new Uint32Array(a.length + b.length);
+  let size = 0, i = 0, j = 0;
+  while (i < a.length || j < b.length) {
+    if (j >= b.length || (i < a.length && a[i] < b[j])) {
+      result[size++] = a[i++];
+    } else if (i >= a.length || b[j] < a[i]) {
+      result[size++] = b[j++];
+    } else {
+      result[size++] = a[i];
+      i++;
+      j++;
+    }
+  }
+  return result.subarray(0, size);
+};
+
+class NgramIndex {
+  /**
+   * @param {number} n - Gram length
+   */
+  constructor(n = 3) {
+    this.n = n;
+    this.clear();
+  }
+
+  /**
+   * Call fn for every gram of the texts
+   */
+  forEachGram(texts, fn) {
+    for (const text of texts) {
+      if (!text) continue;
+      for (let i = 0; i + this.n <= text.length; i++) {
+        fn(text.substring(i, i + this.n));
+      }
+    }
+  }
+
+  /**
+   * Build the index
+   * @param {number} count - Number of records
+   * @param {Function} getTexts - (index) => Array<string> of normalized texts to index for that record
+   */
+  build(count, getTexts) {
+    const gramIds = new Map();
+    const counts = [];
+    const lastSeen = [];
+
+    // Pass 1: assign gram ids and count postings (one per record per gram)
+    for (let i = 0; i < count; i++) {
+      this.forEachGram(getTexts(i), (gram) => {
+        let id = gramIds.get(gram);
+        if (id === undefined) {
+          id = counts.length;
+          gramIds.set(gram, id);
+          counts.push(0);
+          lastSeen.push(-1);
+        }
+        if (lastSeen[id] !== i) {
+          lastSeen[id] = i;
+          counts[id]++;
+        }
+      });
+    }
+
+    // Pass 2: fill the posting lists in record order (so each list is sorted)
+    const offsets = new Uint32Array(counts.length + 1);
+    for (let id = 0; id < counts.length; id++) {
+      offsets[id + 1] = offsets[id] + counts[id];
+    }
+    const postings = new Uint32Array(offsets[counts.length]);
+    const cursor = offsets.slice(0, counts.length);
+    lastSeen.fill(-1);
+
+    for (let i = 0; i < count; i++) {
+      this.forEachGram(getTexts(i), (gram) => {
+        const id = gramIds.get(gram);
+        if (lastSeen[id] !== i) {
+          lastSeen[id] = i;
+          postings[cursor[id]++] = i;
+        }
+      });
+    }
+
+    this.gramIds = gramIds;
+    this.offsets = offsets;
+    this.postings = postings;
+    this.isBuilt = true;
+  }
+
+  /**
+   * Posting list of one gram (empty when the gram is not indexed)
+   */
+  getPostings(gram) {
+    const id = this.gramIds.get(gram);
+    if (id === undefined) return new Uint32Array(0);
+    return this.postings.subarray(this.offsets[id], this.offsets[id + 1]);
+  }
+
+  /**
+   * Candidate record indices (sorted) that may contain the query as a substring
+   * Queries of n or more characters intersect the postings of their grams; shorter
+   * queries (down to 2 characters) take the union of every gram containing them.
+   * @returns {Uint32Array|null} Candidates, or null when the query is too short for the index
+   */
+  candidates(query) {
+    if (!this.isBuilt || query.length < 2) return null;
+
+    if (query.length < this.n) {
+      const marked = new Set();
+      for (const [gram, id] of this.gramIds) {
+        if (!gram.includes(query)) continue;
+        for (let p = this.offsets[id]; p < this.offsets[id + 1]; p++) {
+          marked.add(this.postings[p]);
+        }
+      }
+      return Uint32Array.from(marked).sort();
+    }
+
+    const lists = [];
+    const seen = new Set();
+    for (let i = 0; i + this.n <= query.length; i++) {
+      const gram = query.substring(i, i + this.n);
+      if (seen.has(gram)) continue;
+      seen.add(gram);
+      lists.push(this.getPostings(gram));
+    }
+
+    // Shortest lists first keeps the intermediate results small
+    lists.sort((a, b) => a.length - b.length);
+    let result = lists[0];
+    for (let i = 1; i < lists.length && result.length > 0; i++) {
+      result = intersectSorted(result, lists[i]);
+    }
+    return result;
+  }
+
+  /**
+   * Size of the index
+   */
+  getMemoryUsage() {
+    const postingsBytes = this.postings.byteLength + this.offsets.byteLength;
+    const dictionaryBytes = this.gramIds.size * DICTIONARY_ENTRY_BYTES;
+    return {
+      gramLength: this.n,
+      grams: this.gramIds.size,
+      postings: this.postings.length,
+      postingsBytes,
+      dictionaryBytesEstimate: dictionaryBytes,
+      totalMB: Math.round(((postingsBytes + dictionaryBytes) / (1024 * 1024)) * 100) / 100
+    };
+  }
+
+  /**
+   * Clear the index
+   */
+  clear() {
+    this.gramIds = new Map();
+    this.offsets = new Uint32Array(1);
+    this.postings = new Uint32Array(0);
+    this.isBuilt = false;
+  }
+}
+
+module.exports = {
+  NgramIndex,
+  intersectSorted,
+  unionSorted
+};
@@ -0,0 +1,432 @@
+/**
+ * Phonetic name matching
+ * Spellings of the same name ("Mohammad", "Mohammed", "Muhammad"; "Lakshmi", "Laxmi")
+ * share a phonetic key, so matchMode=phonetic finds them all.
+ *
+ * Every name word gets up to three keys:
+ * - Double Metaphone primary and alternate codes ("M:" prefix), for English spellings.
+ *   This is a condensed version: the Slavic, Spanish and Italian special cases are left out.
+ * - An Indic key ("I:" prefix) that folds common transliteration variants
+ *   (aspirates kh/gh/th/dh/bh, sh/s, ksh/x, w/v, z/j, y/i) and drops the vowels after the
+ *   first letter. COMPLETE_SEARCH_SETUP.sql mirrors it in indic_phonetic_key().
+ */
+
+const { TermDictionary } = require('./termDictionary');
+const { MATCH_SCORE, combineWordScores } = require('./fuzzyMatch');
+
+// Search matchMode values (default: exact, prefix and typo matching)
+const MATCH_MODES = ['default', 'phonetic'];
+
+const METAPHONE_KEY_LENGTH = 4;
+
+// Indic transliteration variants, applied in order (x before ksh, chh before ch, ksh before sh)
+const INDIC_REPLACEMENTS = [
+  ['x', 'ks'], ['ksh', 'ks'], ['chh', 'c'], ['ch', 'c'], ['ph', 'f'], ['kh', 'k'],
+  ['gh', 'g'], ['jh', 'j'], ['th', 't'], ['dh', 'd'], ['bh', 'b'], ['sh', 's'],
+  ['ck', 'k'], ['q', 'k'], ['z', 'j'], ['w', 'v']
+];
+
+/**
+ * Matching mode from the matchMode query parameter (unknown values use the default)
+ */
+const parseMatchMode = (value) => {
+  const mode = String(value || '').trim().toLowerCase();
+  return MATCH_MODES.includes(mode) ? mode : 'default';
+};
+
+/**
+ * Letters of a word without accents
+ */
+const toLetters = (word) => {
+  return String(word).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z]/g, '');
+};
+
+const isVowel = (ch) => ch !== undefined && 'AEIOUY'.includes(ch);
+
+/**
+ * Double Metaphone codes of a word
+ * @returns {[string, string]} Primary and alternate code (equal when the word has one pronunciation)
+ */
+const doubleMetaphone = (word) => {
+  const value = toLetters(word).toUpperCase();
+  const last = value.length - 1;
+  const at = (start, ...subs) => start >= 0 && subs.some(sub => value.startsWith(sub, start));
+  let primary = '';
+  let alternate = '';
+  const add = (main, alt = main) => {
+    primary += main;
+    alternate += alt;
+  };
+
+  let pos = 0;
+  if (at(0, 'GN', 'KN', 'PN', 'WR', 'PS')) pos = 1;
+  if (value[0] === 'X') {
+    add('S');
+    pos = 1;
+  }
+
+  while (pos < value.length && (primary.length < METAPHONE_KEY_LENGTH || alternate.length < METAPHONE_KEY_LENGTH)) {
+    const next = value[pos + 1];
+
+    switch (value[pos]) {
+      case 'A': case 'E': case 'I': case 'O': case 'U': case 'Y':
+        if (pos === 0) add('A');
+        pos += 1;
+        break;
+
+      case 'B':
+        add('P');
+        pos += next === 'B' ? 2 : 1;
+        break;
+
+      case 'C':
+        if (next === 'H') {
+          if (pos === 0 && at(0, 'CHARAC', 'CHARIS', 'CHOR', 'CHYM', 'CHEM', 'CHIA')) add('K');
+          else if (pos > 0 && at(0, 'MC')) add('K');
+          else if (pos > 0) add('X', 'K');
+          else add('X');
+          pos += 2;
+        } else if (next === 'Z') {
+          add('S', 'X');
+          pos += 2;
+        } else if (at(pos + 1, 'IA')) {
+          add('X');
+          pos += 3;
+        } else if (next === 'C' && 'IEH'.includes(value[pos + 2] || '-') && !at(pos + 2, 'HU')) {
+          add('KS');
+          pos += 3;
+        } else if ('KGQ'.includes(next || '-')) {
+          add('K');
+          pos += 2;
+        } else if ('IEY'.includes(next || '-')) {
+          if (at(pos, 'CIO', 'CIE')) add('S', 'X');
+          else add('S');
+          pos += 2;
+        } else {
+          add('K');
+          pos += next === 'C' || next === 'Q' ? 2 : 1;
+        }
+        break;
+
+      case 'D':
+        if (next === 'G' && 'IEY'.includes(value[pos + 2] || '-')) {
+          add('J');
+          pos += 3;
+        } else if (next === 'G') {
+          add('TK');
+          pos += 2;
+        } else {
+          add('T');
+          pos += next === 'T' || next === 'D' ? 2 : 1;
+        }
+        break;
+
+      case 'F':
+        add('F');
+        pos += next === 'F' ? 2 : 1;
+        break;
+
+      case 'G':
+        if (next === 'H') {
+          if (pos > 0 && !isVowel(value[pos - 1])) {
+            add('K');
+          } else if (pos === 0) {
+            add(value[2] === 'I' ? 'J' : 'K');
+          } else if (at(pos - 2, 'B', 'H', 'D') || at(pos - 3, 'B', 'H', 'D') || at(pos - 4, 'B', 'H')) {
+            // Silent: "hugh", "bough", "broughton"
+          } else if (pos > 2 && value[pos - 1] === 'U' && 'CGLRT'.includes(value[pos - 3])) {
+            add('F'); // "laugh", "cough", "tough"
+          } else if (value[pos - 1] !== 'I') {
+            add('K');
+          }
+          pos += 2;
+        } else if (next === 'N') {
+          if (pos === 1 && isVowel(value[0])) add('KN', 'N');
+          else if (!at(pos + 2, 'EY') && value[pos + 2] !== 'Y') add('N', 'KN');
+          else add('KN');
+          pos += 2;
+        } else if (at(pos + 1, 'LI')) {
+          add('KL', 'L');
+          pos += 2;
+        } else if (pos === 0 && (next === 'Y' || at(1, 'ES', 'EP', 'EB', 'EL', 'EY', 'IB', 'IL', 'IN', 'IE', 'EI', 'ER'))) {
+          add('K', 'J');
+          pos += 2;
+        } else if ((at(pos + 1, 'ER') || next === 'Y') && !at(0, 'DANGER', 'RANGER', 'MANGER') &&
+          !at(pos - 1, 'E', 'I', 'RGY', 'OGY')) {
+          add('K', 'J');
+          pos += 2;
+        } else if ('EIY'.includes(next || '-') || at(pos - 1, 'AGGI', 'OGGI')) {
+          if (at(0, 'SCH') || at(pos + 1, 'ET')) add('K');
+          else add('J', 'K');
+          pos += 2;
+        } else {
+          add('K');
+          pos += next === 'G' ? 2 : 1;
+        }
+        break;
+
+      case 'H':
+        // Only sounded at the start or between vowels
+        if ((pos === 0 || isVowel(value[pos - 1])) && isVowel(next)) {
+          add('H');
+          pos += 2;
+        } else {
+          pos += 1;
+        }
+        break;
+
+      case 'J':
+        if (pos === 0) add('J', 'A');
+        else add('J');
+        pos += next === 'J' ? 2 : 1;
+        break;
+
+      case 'K':
+        add('K');
+        pos += next === 'K' ? 2 : 1;
+        break;
+
+      case 'L':
+        add('L');
+        pos += next === 'L' ? 2 : 1;
+        break;
+
+      case 'M':
+        add('M');
+        pos += next === 'M' || (at(pos - 1, 'UMB') && (pos + 1 === last || at(pos + 2, 'ER'))) ? 2 : 1;
+        break;
+
+      case 'N':
+        add('N');
+        pos += next === 'N' ? 2 : 1;
+        break;
+
+      case 'P':
+        if (next === 'H') {
+          add('F');
+          pos += 2;
+        } else {
+          add('P');
+          pos += next === 'P' || next === 'B' ? 2 : 1;
+        }
+        break;
+
+      case 'Q':
+        add('K');
+        pos += next === 'Q' ? 2 : 1;
+        break;
+
+      case 'R':
+        add('R');
+        pos += next === 'R' ? 2 : 1;
+        break;
+
+      case 'S':
+        if (at(pos - 1, 'ISL', 'YSL')) {
+          pos += 1; // "island", "carlysle"
+        } else if (pos === 0 && at(0, 'SUGAR')) {
+          add('X', 'S');
+          pos += 1;
+        } else if (next === 'H') {
+          add(at(pos + 1, 'HEIM', 'HOEK', 'HOLM', 'HOLZ') ? 'S' : 'X');
+          pos += 2;
+        } else if (at(pos, 'SIO', 'SIA')) {
+          add('S', 'X');
+          pos += 3;
+        } else if ((pos === 0 && 'MNLW'.includes(next || '-')) || next === 'Z') {
+          add('S', 'X');
+          pos += next === 'Z' ? 2 : 1;
+        } else if (next === 'C') {
+          if (value[pos + 2] === 'H') {
+            if (at(pos + 3, 'ER', 'EN')) add('X', 'SK');
+            else if (at(pos + 3, 'OO', 'UY', 'ED', 'EM')) add('SK');
+            else if (pos === 0 && !isVowel(value[3]) && value[3] !== 'W') add('X', 'S');
+            else add('X');
+          } else if ('IEY'.includes(value[pos + 2] || '-')) {
+            add('S');
+          } else {
+            add('SK');
+          }
+          pos += 3;
+        } else if (pos === last && at(pos - 2, 'AI', 'OI')) {
+          add('', 'S'); // French "-ais", "-ois"
+          pos += 1;
+        } else {
+          add('S');
+          pos += next === 'S' ? 2 : 1;
+        }
+        break;
+
+      case 'T':
+        if (at(pos, 'TION', 'TIA', 'TCH')) {
+          add('X');
+          pos += 3;
+        } else if (next === 'H' || at(pos, 'TTH')) {
+          if (at(pos + 2, 'OM', 'AM') || at(0, 'SCH')) add('T');
+          else add('0', 'T');
+          pos += 2;
+        } else {
+          add('T');
+          pos += next === 'T' || next === 'D' ? 2 : 1;
+        }
+        break;
+
+      case 'V':
+        add('F');
+        pos += next === 'V' ? 2 : 1;
+        break;
+
+      case 'W':
+        if (next === 'R') {
+          add('R');
+          pos += 2;
+        } else if (pos === 0 && (isVowel(next) || next === 'H')) {
+          if (isVowel(next)) add('A', 'F');
+          else add('A');
+          pos += 1;
+        } else if ((pos === last && isVowel(value[pos - 1])) || at(pos - 1, 'EWSKI', 'EWSKY', 'OWSKI', 'OWSKY')) {
+          add('', 'F');
+          pos += 1;
+        } else if (at(pos, 'WICZ', 'WITZ')) {
+          add('TS', 'FX');
+          pos += 4;
+        } else {
+          pos += 1;
+        }
+        break;
+
+      case 'X':
+        if (!(pos === last && (at(pos - 3, 'IAU', 'EAU') || at(pos - 2, 'AU', 'OU')))) add('KS');
+        pos += next === 'C' || next === 'X' ? 2 : 1;
+        break;
+
+      case 'Z':
+        if (next === 'H') {
+          add('J');
+          pos += 2;
+        } else {
+          if (at(pos + 1, 'ZO', 'ZI', 'ZA')) add('S', 'TS');
+          else add('S');
+          pos += next === 'Z' ? 2 : 1;
+        }
+        break;
+
+      default:
+        pos += 1;
+    }
+  }
+
+  return [primary.slice(0, METAPHONE_KEY_LENGTH), alternate.slice(0, METAPHONE_KEY_LENGTH)];
+};
+
+/**
+ * Indic transliteration key of a word ("Lakshmi" and "Laxmi" -> "LKSM")
+ */
+const indicKey = (word) => {
+  let key = toLetters(word);
+  if (!key) return '';
+
+  key = key[0] + key.slice(1).replace(/y/g, 'i');
+  for (const [from, to] of INDIC_REPLACEMENTS) {
+    key = key.split(from).join(to);
+  }
+  key = key[0] + key.slice(1).replace(/h/g, '');
+  key = key.replace(/(.)\1+/g, '$1');
+
+  const first = 'aeiou'.includes(key[0]) ? 'a' : key[0];
+  return (first + key.slice(1).replace(/[aeiou]/g, '')).toUpperCase();
+};
+
+/**
+ * Phonetic keys of one word (Double Metaphone codes and the Indic key, without duplicates)
+ */
+const getPhoneticKeys = (word) => {
+  const keys = new Set();
+  for (const code of doubleMetaphone(word)) {
+    if (code) keys.add(`M:${code}`);
+  }
+  const indic = indicKey(word);
+  if (indic) keys.add(`I:${indic}`);
+  return Array.from(keys);
+};
+
+/**
+ * Phonetic key -> indexed words sharing it
+ * Records are found through the word dictionary, so the index only grows with new words
+ */
+class PhoneticIndex {
+  constructor() {
+    this.keys = new TermDictionary();
+  }
+
+  /**
+   * Build from the distinct indexed words
+   */
+  build(words) {
+    const keys = new Map();
+    for (const word of words) {
+      for (const key of getPhoneticKeys(word)) {
+        if (!keys.has(key)) keys.set(key, new Set());
+        keys.get(key).add(word);
+      }
+    }
+    this.keys = TermDictionary.fromMap(keys);
+  }
+
+  /**
+   * Add a newly indexed word
+   */
+  addWord(word) {
+    for (const key of getPhoneticKeys(word)) {
+      this.keys.add(key, word);
+    }
+  }
+
+  /**
+   * Find the indexed words matching one query word: the word itself and prefix hits
+   * (as in the default mode), plus every word that sounds the same
+   * @param {string} queryWord - Lowercase query word
+   * @param {TermDictionary} dictionary - Word -> record keys
+   * @returns {Map<string, number>} Matching word -> score
+   */
+  findWordMatches(queryWord, dictionary) {
+    const matches = new Map();
+
+    const [start, end] = dictionary.prefixRange(queryWord);
+    for (let i = start; i < end; i++) {
+      const word = dictionary.terms[i];
+      matches.set(word, word === queryWord ? MATCH_SCORE.exact : MATCH_SCORE.prefix);
+    }
+
+    for (const key of getPhoneticKeys(queryWord)) {
+      for (const word of this.keys.get(key) || []) {
+        if (!matches.has(word)) {
+          matches.set(word, MATCH_SCORE.phonetic);
+        }
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Score records against every query word (see fuzzyMatch.scoreWordMatches)
+   * @returns {Map<*, number>} Record key -> score
+   */
+  scoreWordMatches(queryWords, dictionary) {
+    return combineWordScores(queryWords, dictionary, queryWord => this.findWordMatches(queryWord, dictionary));
+  }
+
+  get size() {
+    return this.keys.size;
+  }
+}
+
+module.exports = {
+  MATCH_MODES,
+  parseMatchMode,
+  doubleMetaphone,
+  indicKey,
+  getPhoneticKeys,
+  PhoneticIndex
+};
@@ -0,0 +1,78 @@
+-- ============================================
+-- POSTGRESQL SCHEMA (plain / on-prem PostgreSQL)
+-- Used by migrate-to-postgres.js and the postgres data source adapter
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS sales (
+  id SERIAL PRIMARY KEY,
+  transaction_id TEXT,
+  date DATE,
+  customer_id TEXT,
+  customer_name TEXT,
+  phone_number TEXT,
+  gender TEXT,
+  age INTEGER,
+  customer_region TEXT,
+  customer_type TEXT,
+  product_id TEXT,
+  product_name TEXT,
+  brand TEXT,
+  product_category TEXT,
+  tags TEXT,
+  quantity INTEGER,
+  price_per_unit DECIMAL,
+  discount_percentage DECIMAL,
+  total_amount DECIMAL,
+  final_amount DECIMAL,
+  payment_method TEXT,
+  order_status TEXT,
+  delivery_type TEXT,
+  store_id TEXT,
+  store_location TEXT,
+  salesperson_id TEXT,
+  employee_name TEXT,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Tags as a normalized array (lowercase, trimmed, empty for no tags), kept in sync with the
+-- comma-separated tags column; adding it to an existing table fills it for every row
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS tag_list TEXT[] GENERATED ALWAYS AS (
+  array_remove(regexp_split_to_array(lower(btrim(COALESCE(tags, ''))), '\s*,\s*'), '')
+) STORED;
+
+-- Sorting
+CREATE INDEX IF NOT EXISTS idx_sales_date ON sales(date DESC);
+CREATE INDEX IF NOT EXISTS idx_sales_final_amount ON sales(final_amount DESC);
+CREATE INDEX IF NOT EXISTS idx_sales_quantity ON sales(quantity);
+
+-- Filters
+CREATE INDEX IF NOT EXISTS idx_sales_customer_region ON sales(customer_region);
+CREATE INDEX IF NOT EXISTS idx_sales_gender ON sales(gender);
+CREATE INDEX IF NOT EXISTS idx_sales_product_category ON sales(product_category);
+CREATE INDEX IF NOT EXISTS idx_sales_payment_method ON sales(payment_method);
+CREATE INDEX IF NOT EXISTS idx_sales_age ON sales(age);
+CREATE INDEX IF NOT EXISTS idx_sales_brand ON sales(brand);
+CREATE INDEX IF NOT EXISTS idx_sales_store_location ON sales(store_location);
+CREATE INDEX IF NOT EXISTS idx_sales_store_id ON sales(store_id);
+CREATE INDEX IF NOT EXISTS idx_sales_employee_name ON sales(employee_name);
+CREATE INDEX IF NOT EXISTS idx_sales_tag_list ON sales USING gin(tag_list);
+
+-- Multi-select filters compare LOWER(column) IN (...) so they ignore case
+CREATE INDEX IF NOT EXISTS idx_sales_customer_region_lower ON sales(LOWER(customer_region));
+CREATE INDEX IF NOT EXISTS idx_sales_gender_lower ON sales(LOWER(gender));
+CREATE INDEX IF NOT EXISTS idx_sales_product_category_lower ON sales(LOWER(product_category));
+CREATE INDEX IF NOT EXISTS idx_sales_payment_method_lower ON sales(LOWER(payment_method));
+CREATE INDEX IF NOT EXISTS idx_sales_brand_lower ON sales(LOWER(brand));
+CREATE INDEX IF NOT EXISTS idx_sales_store_location_lower ON sales(LOWER(store_location));
+CREATE INDEX IF NOT EXISTS idx_sales_store_id_lower ON sales(LOWER(store_id));
+CREATE INDEX IF NOT EXISTS idx_sales_employee_name_lower ON sales(LOWER(employee_name));
+
+-- Search: each word is LOWER(column) LIKE '%word%' on the name, product, brand, customer id
+-- and employee, or phone_number LIKE '%word%'
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+CREATE INDEX IF NOT EXISTS idx_sales_customer_name_lower_trgm ON sales USING gin(LOWER(customer_name) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_sales_phone_trgm ON sales USING gin(phone_number gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_sales_product_name_lower_trgm ON sales USING gin(LOWER(product_name) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_sales_brand_lower_trgm ON sales USING gin(LOWER(brand) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_sales_customer_id_lower_trgm ON sales USING gin(LOWER(customer_id) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_sales_employee_name_lower_trgm ON sales USING gin(LOWER(employee_name) gin_trgm_ops);
@@ -0,0 +1,329 @@
+/**
+ * Search Query Parser
+ * Turns the search box text into filters, e.g.
+ *   region:North category:"Home & Kitchen" amount>5000 brand:Sony rajesh
+ *
+ * - Fields with a filter dropdown (region, gender, category, tag, payment, brand, status,
+ *   delivery, store, type) fill the regular filters object; comma-separated values select
+ *   several (region:North,South)
+ * - Other fields become predicates { field, op, value } with op eq, contains, gt, gte, lt or lte
+ * - Remaining words are the free-text search: every word must match one of SEARCH_FIELDS
+ * Errors carry the character position (0-based) so the UI can point at them.
+ */
+
+// Query field -> record field, value type, and the filters key it fills (if any)
+const QUERY_FIELDS = {
+  region: { field: 'customerRegion', type: 'text', filter: 'regions' },
+  gender: { field: 'gender', type: 'text', filter: 'genders' },
+  category: { field: 'productCategory', type: 'text', filter: 'categories' },
+  tag: { field: 'tags', type: 'text', filter: 'tags' },
+  payment: { field: 'paymentMethod', type: 'text', filter: 'paymentMethods' },
+  customer: { field: 'customerName', type: 'text', match: 'contains' },
+  phone: { field: 'phoneNumber', type: 'text', match: 'contains' },
+  product: { field: 'productName', type: 'text', match: 'contains' },
+  employee: { field: 'employeeName', type: 'text', match: 'contains' },
+  brand: { field: 'brand', type: 'text', filter: 'brands' },
+  status: { field: 'orderStatus', type: 'text', filter: 'orderStatuses' },
+  delivery: { field: 'deliveryType', type: 'text', filter: 'deliveryTypes' },
+  store: { field: 'storeLocation', type: 'text', filter: 'storeLocations' },
+  type: { field: 'customerType', type: 'text', filter: 'customerTypes' },
+  amount: { field: 'finalAmount', type: 'number' },
+  total: { field: 'totalAmount', type: 'number' },
+  quantity: { field: 'quantity', type: 'number' },
+  price: { field: 'pricePerUnit', type: 'number' },
+  discount: { field: 'discountPercentage', type: 'number' },
+  age: { field: 'age', type: 'number' },
+  date: { field: 'date', type: 'date' }
+};
+
+// Multi-select filters: filters key -> record field (a record matches one of the selected
+// values, ignoring case; tags are matched per tag and are not listed here)
+const LIST_FILTER_FIELDS = {
+  regions: 'customerRegion',
+  genders: 'gender',
+  categories: 'productCategory',
+  paymentMethods: 'paymentMethod',
+  brands: 'brand',
+  orderStatuses: 'orderStatus',
+  deliveryTypes: 'deliveryType',
+  storeLocations: 'storeLocation',
+  storeIds: 'storeId',
+  customerTypes: 'customerType',
+  employeeNames: 'employeeName'
+};
+
+// Exclude lists: multi-select filters key -> the key of its exclude list (excludeRegions=Central
+// keeps every region but Central; excludeTags drops records with any of the listed tags)
+const EXCLUDE_FILTER_KEYS = Object.fromEntries(
+  [...Object.keys(LIST_FILTER_FIELDS), 'tags'].map(key => [key, `exclude${key[0].toUpperCase()}${key.slice(1)}`])
+);
+
+// Numeric range filters: record field -> its [min, max] filters keys (age keeps minAge / maxAge)
+const RANGE_FILTER_FIELDS = {
+  finalAmount: ['minFinalAmount', 'maxFinalAmount'],
+  totalAmount: ['minTotalAmount', 'maxTotalAmount'],
+  quantity: ['minQuantity', 'maxQuantity'],
+  discountPercentage: ['minDiscountPercentage', 'maxDiscountPercentage'],
+  pricePerUnit: ['minPricePerUnit', 'maxPricePerUnit']
+};
+
+// How the selected tags combine: a record has any of them, all of them, or none of them
+const TAGS_MODES = ['any', 'all', 'none'];
+
+// Record fields the free-text search looks in (a search word may match any of them)
+const SEARCH_FIELDS = ['customerName', 'phoneNumber', 'productName', 'brand', 'customerId', 'employeeName'];
+
+// Alternative spellings of query fields
+const FIELD_ALIASES = {
+  regions: 'region',
+  categories: 'category',
+  brands: 'brand',
+  tags: 'tag',
+  name: 'customer',
+  qty: 'quantity'
+};
+
+// Query operator -> predicate op
+const OPERATORS = {
+  ':': 'eq',
+  '=': 'eq',
+  '>': 'gt',
+  '>=': 'gte',
+  '<': 'lt',
+  '<=': 'lte'
+};
+
+const FIELD_PATTERN = /([A-Za-z]+)(>=|<=|:|=|>|<)/y;
+const WORD_PATTERN = /\S*/y;
+
+/**
+ * Read a value at pos: a "quoted string" or everything up to the next space
+ * @returns {{ value: string, end: number, quoted: boolean, error?: Object }}
+ */
+const readValue = (input, pos) => {
+  if (input[pos] === '"') {
+    const close = input.indexOf('"', pos + 1);
+    if (close === -1) {
+      return {
+        value: input.slice(pos + 1),
+        end: input.length,
+        quoted: true,
+        error: { message: 'Unterminated quote', position: pos, length: input.length - pos }
+      };
+    }
+    return { value: input.slice(pos + 1, close), end: close + 1, quoted: true };
+  }
+
+  WORD_PATTERN.lastIndex = pos;
+  const [value] = WORD_PATTERN.exec(input);
+  return { value, end: pos + value.length, quoted: false };
+};
+
+/**
+ * Convert a query value to the field's type
+ * @returns {{ value: *, error?: string }}
+ */
+const convertValue = (raw, type) => {
+  if (type === 'number') {
+    const value = Number(raw);
+    return Number.isFinite(value) && raw.trim() !== '' ? { value } : { error: `"${raw}" is not a number` };
+  }
+  if (type === 'date') {
+    const valid = /^\d{4}-\d{2}-\d{2}$/.test(raw) && !isNaN(new Date(raw).getTime());
+    return valid ? { value: raw } : { error: `"${raw}" is not a date (use YYYY-MM-DD)` };
+  }
+  return { value: raw };
+};
+
+/**
+ * Parse search box text
+ * @param {string} input - Raw search text
+ * @returns {{ search: string, filters: Object, predicates: Array, terms: Array, errors: Array }}
+ *   terms describe each parsed part (for chips): { type, key, op, value, label, start, end }
+ */
+const parseSearchQuery = (input = '') => {
+  const filters = {};
+  const predicates = [];
+  const terms = [];
+  const errors = [];
+  const words = [];
+  let pos = 0;
+
+  while (pos < input.length) {
+    if (/\s/.test(input[pos])) {
+      pos++;
+      continue;
+    }
+
+    const start = pos;
+    FIELD_PATTERN.lastIndex = pos;
+    const fieldMatch = FIELD_PATTERN.exec(input);
+
+    // Free text (a word or a "quoted phrase")
+    if (!fieldMatch) {
+      const { value, end, error } = readValue(input, pos);
+      if (error) errors.push(error);
+      if (value.trim()) {
+        words.push(value.trim());
+        terms.push({ type: 'text', value: value.trim(), label: value.trim(), start, end });
+      }
+      pos = end;
+      continue;
+    }
+
+    const [, name, operator] = fieldMatch;
+    const key = FIELD_ALIASES[name.toLowerCase()] || name.toLowerCase();
+    const definition = QUERY_FIELDS[key];
+    const valueStart = FIELD_PATTERN.lastIndex;
+    const { value: raw, end, quoted, error } = readValue(input, valueStart);
+    pos = end;
+
+    if (error) {
+      errors.push(error);
+      continue;
+    }
+    if (!definition) {
+      errors.push({ message: `Unknown field "${name}"`, position: start, length: name.length });
+      continue;
+    }
+    if (!raw.trim()) {
+      errors.push({ message: `Missing value for "${name}"`, position: valueStart, length: 1 });
+      continue;
+    }
+
+    let op = OPERATORS[operator];
+    if (op !== 'eq' && definition.type === 'text') {
+      errors.push({
+        message: `"${name}" only supports ":"`,
+        position: start + name.length,
+        length: operator.length
+      });
+      continue;
+    }
+
+    const label = op === 'eq' ? `${key}: ${raw}` : `${key} ${operator} ${raw}`;
+    const term = { key, op, value: raw, label, start, end };
+
+    if (definition.filter) {
+      const values = quoted ? [raw.trim()] : raw.split(',').map(v => v.trim()).filter(Boolean);
+      filters[definition.filter] = [...(filters[definition.filter] || []), ...values];
+      terms.push({ type: 'filter', ...term });
+      continue;
+    }
+
+    const converted = convertValue(raw.trim(), definition.type);
+    if (converted.error) {
+      errors.push({ message: converted.error, position: valueStart, length: end - valueStart });
+      continue;
+    }
+
+    if (op === 'eq' && definition.match) op = definition.match;
+    predicates.push({ field: definition.field, op, value: converted.value });
+    terms.push({ type: 'predicate', ...term, op });
+  }
+
+  // The search is the free-text words without their quotes (the adapters match every word)
+  const search = words.join(' ');
+
+  return { search, filters, predicates, terms, errors };
+};
+
+/**
+ * Parse filters.search and merge the result into the filters object
+ * Dropdown selections and query values for the same filter are combined.
+ * @param {Object} filters - Filters object with the raw search text
+ * @param {Object} filterOptions - Option lists (from getFilterOptions); query values are
+ *   matched to their spelling case-insensitively, so region:north selects "North"
+ * @returns {{ filters: Object, query: { search: string, terms: Array } }}
+ * @throws {Error} 'Invalid search query' with queryErrors when the text cannot be parsed
+ */
+const applySearchQuery = (filters, filterOptions = null) => {
+  const parsed = parseSearchQuery(filters.search || '');
+
+  if (parsed.errors.length > 0) {
+    const [first] = parsed.errors;
+    const error = new Error(`Invalid search query: ${first.message} at position ${first.position}`);
+    error.queryErrors = parsed.errors;
+    throw error;
+  }
+
+  const merged = { ...filters, search: parsed.search };
+  for (const [key, values] of Object.entries(parsed.filters)) {
+    const options = (filterOptions && filterOptions[key]) || [];
+    const resolved = values.map(value => options.find(option => option.toLowerCase() === value.toLowerCase()) || value);
+    merged[key] = [...new Set([...(filters[key] || []), ...resolved])];
+  }
+  if (parsed.predicates.length > 0) {
+    merged.predicates = [...(filters.predicates || []), ...parsed.predicates];
+  }
+
+  return {
+    filters: merged,
+    query: { search: parsed.search, terms: parsed.terms }
+  };
+};
+
+/**
+ * Active numeric range filters as predicates ({ field, op: 'gte' | 'lte', value }), so every
+ * data source applies them like search query predicates
+ */
+const getRangePredicates = (filters) => {
+  const predicates = [];
+  for (const [field, [minKey, maxKey]] of Object.entries(RANGE_FILTER_FIELDS)) {
+    if (Number.isFinite(filters[minKey])) predicates.push({ field, op: 'gte', value: filters[minKey] });
+    if (Number.isFinite(filters[maxKey])) predicates.push({ field, op: 'lte', value: filters[maxKey] });
+  }
+  return predicates;
+};
+
+/**
+ * Active exclude lists of the multi-select filters as [record field, values] pairs
+ * (excludeTags is matched per tag and is not included)
+ */
+const getListExclusions = (filters) => {
+  return Object.entries(LIST_FILTER_FIELDS)
+    .map(([key, field]) => [field, filters[EXCLUDE_FILTER_KEYS[key]]])
+    .filter(([, values]) => Array.isArray(values) && values.length > 0);
+};
+
+/**
+ * Read the tagsMode parameter (unknown values fall back to 'any')
+ */
+const parseTagsMode = (value) => {
+  const mode = String(value || '').trim().toLowerCase();
+  return TAGS_MODES.includes(mode) ? mode : 'any';
+};
+
+/**
+ * Tag tokens of a comma-separated tags value or a list of tags: trimmed, lowercase, without
+ * duplicates (tags match as whole tokens, so "Sale" does not match "Wholesale")
+ */
+const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+};
+
+/**
+ * Split free-text search into lowercase words (the search terms combined with AND)
+ */
+const tokenizeSearch = (search) => {
+  return String(search || '').toLowerCase().trim().split(/\s+/).filter(Boolean);
+};
+
+module.exports = {
+  QUERY_FIELDS,
+  FIELD_ALIASES,
+  LIST_FILTER_FIELDS,
+  EXCLUDE_FILTER_KEYS,
+  RANGE_FILTER_FIELDS,
+  TAGS_MODES,
+  SEARCH_FIELDS,
+  tokenizeSearch,
+  convertValue,
+  getRangePredicates,
+  getListExclusions,
+  parseTagsMode,
+  normalizeTags,
+  parseSearchQuery,
+  applySearchQuery
+};
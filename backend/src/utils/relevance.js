@@ -0,0 +1,259 @@
+/**
+ * Search Relevance
+ * Scores how well a record matches the free-text search, for sortBy=relevance and for
+ * highlighting: each result row carries `_score` and `_matches` (matched character ranges
+ * per field).
+ *
+ * Tiers, best first: exact full name, exact name words, name word prefixes, name substring,
+ * exact phone number, phone suffix, phone substring, typo / phonetic word matches.
+ */
+
+const { getMaxDistance, getWordDistance, levenshtein } = require('./fuzzyMatch');
+const { getPhoneticKeys } = require('./phonetic');
+const { LOCAL_PHONE_DIGITS } = require('./suggestionIndex');
+const { SEARCH_FIELDS, tokenizeSearch } = require('./queryParser');
+
+// Searched fields that are reported in the matches but not scored
+const TERM_FIELDS = SEARCH_FIELDS.filter(field => field !== 'customerName' && field !== 'phoneNumber');
+
+const RELEVANCE_SCORES = {
+  exactName: 100,
+  exactToken: 80,
+  prefix: 60,
+  substring: 40,
+  phoneExact: 30,
+  phoneSuffix: 20,
+  phoneSubstring: 10,
+  similar: 5
+};
+
+/**
+ * Words of a lowercase text with their character ranges
+ */
+const tokenize = (text) => {
+  const words = [];
+  const pattern = /\S+/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    words.push({ word: match[0], start: match.index, end: match.index + match[0].length });
+  }
+  return words;
+};
+
+/**
+ * Whether a name word is a typo (default mode) or sound-alike (phonetic mode) of a query word
+ */
+const isSimilarWord = (queryWord, word, options) => {
+  if (options.matchMode === 'phonetic') {
+    const keys = getPhoneticKeys(word);
+    return getPhoneticKeys(queryWord).some(key => keys.includes(key));
+  }
+  const allowed = getWordDistance(queryWord, options.maxDistance);
+  return allowed > 0 && levenshtein(queryWord, word, allowed) <= allowed;
+};
+
+/**
+ * Best name word match of one query word
+ * @returns {{ score: number, range: [number, number] }|null}
+ */
+const matchQueryWord = (queryWord, words, options) => {
+  let best = null;
+  for (const { word, start, end } of words) {
+    let match = null;
+    if (word === queryWord) {
+      match = { score: RELEVANCE_SCORES.exactToken, range: [start, end] };
+    } else if (word.startsWith(queryWord)) {
+      match = { score: RELEVANCE_SCORES.prefix, range: [start, start + queryWord.length] };
+    } else if (isSimilarWord(queryWord, word, options)) {
+      match = { score: RELEVANCE_SCORES.similar, range: [start, end] };
+    }
+    if (match && (!best || match.score > best.score)) best = match;
+  }
+  return best;
+};
+
+/**
+ * Score the customer name: the whole name, every query word, or the query as a substring
+ * @returns {{ score: number, ranges: Array<[number, number]> }|null}
+ */
+const scoreName = (name, query, options) => {
+  const text = String(name || '').toLowerCase();
+  const trimmed = text.trim();
+  if (!trimmed) return null;
+
+  if (trimmed === query) {
+    const start = text.indexOf(trimmed);
+    return { score: RELEVANCE_SCORES.exactName, ranges: [[start, start + trimmed.length]] };
+  }
+
+  // A multi-word query ranks by its weakest word
+  const words = tokenize(text);
+  let wordMatch = { score: Infinity, ranges: [] };
+  for (const queryWord of query.split(/\s+/)) {
+    const match = matchQueryWord(queryWord, words, options);
+    if (!match) {
+      wordMatch = null;
+      break;
+    }
+    wordMatch.score = Math.min(wordMatch.score, match.score);
+    wordMatch.ranges.push(match.range);
+  }
+
+  const index = text.indexOf(query);
+  if (index !== -1 && (!wordMatch || wordMatch.score < RELEVANCE_SCORES.substring)) {
+    return { score: RELEVANCE_SCORES.substring, ranges: [[index, index + query.length]] };
+  }
+  return wordMatch;
+};
+
+/**
+ * Character range in a formatted phone number of the digits [digitStart, digitEnd)
+ */
+const toPhoneRange = (phone, digitStart, digitEnd) => {
+  let seen = 0;
+  let start = -1;
+  for (let i = 0; i < phone.length; i++) {
+    if (phone[i] < '0' || phone[i] > '9') continue;
+    if (seen === digitStart) start = i;
+    seen++;
+    if (seen === digitEnd) return [start, i + 1];
+  }
+  return [start, phone.length];
+};
+
+/**
+ * Score the phone number by its digits (with or without the country code)
+ * @returns {{ score: number, ranges: Array<[number, number]> }|null}
+ */
+const scorePhone = (phoneNumber, queryDigits) => {
+  const phone = String(phoneNumber || '');
+  const digits = phone.replace(/\D/g, '');
+  if (queryDigits.length < 3 || !digits) return null;
+
+  const local = digits.slice(-LOCAL_PHONE_DIGITS);
+  if (digits === queryDigits || local === queryDigits) {
+    return {
+      score: RELEVANCE_SCORES.phoneExact,
+      ranges: [toPhoneRange(phone, digits.length - queryDigits.length, digits.length)]
+    };
+  }
+  if (digits.endsWith(queryDigits)) {
+    return {
+      score: RELEVANCE_SCORES.phoneSuffix,
+      ranges: [toPhoneRange(phone, digits.length - queryDigits.length, digits.length)]
+    };
+  }
+  const index = digits.indexOf(queryDigits);
+  if (index !== -1) {
+    return {
+      score: RELEVANCE_SCORES.phoneSubstring,
+      ranges: [toPhoneRange(phone, index, index + queryDigits.length)]
+    };
+  }
+  return null;
+};
+
+/**
+ * Sort and merge overlapping [start, end) ranges
+ */
+const mergeRanges = (ranges) => {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const range of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+    else merged.push([...range]);
+  }
+  return merged;
+};
+
+/**
+ * Ranges of each search word inside a lowercase field value (substring matches)
+ */
+const findWordRanges = (value, words) => {
+  const text = String(value || '').toLowerCase();
+  const ranges = [];
+  for (const word of words) {
+    const index = text.indexOf(word);
+    if (index !== -1) ranges.push([index, index + word.length]);
+  }
+  return ranges;
+};
+
+/**
+ * Score a record against the free-text search
+ * The whole search is scored against the name and phone first; words found in different
+ * fields ("priya 9876") are scored one by one and the weakest name / phone word counts.
+ * Product name, brand, customer id and employee name matches are reported in `matches`
+ * but do not add to the score.
+ * @param {Object} options
+ * @param {string} options.matchMode - 'default' or 'phonetic'
+ * @param {number} options.maxDistance - Typo distance (defaults to SEARCH_FUZZY_DISTANCE)
+ * @returns {{ score: number, matches: Object }} Best tier (0 when nothing matches) and the
+ *   matched ranges per field, e.g. { customerName: [[0, 4]] }
+ */
+const scoreRelevance = (record, search, options = {}) => {
+  const words = tokenizeSearch(search);
+  const query = words.join(' ');
+  const result = { score: 0, matches: {} };
+  if (!query) return result;
+
+  const settings = { matchMode: options.matchMode, maxDistance: options.maxDistance ?? getMaxDistance() };
+  let name = scoreName(record.customerName, query, settings);
+  // Letters make it a name query ("priya 9876" is scored word by word below)
+  let phone = /[a-z]/.test(query) ? null : scorePhone(record.phoneNumber, query.replace(/\D/g, ''));
+
+  if (!name && !phone && words.length > 1) {
+    let weakest = Infinity;
+    for (const word of words) {
+      const wordName = scoreName(record.customerName, word, settings);
+      const wordPhone = scorePhone(record.phoneNumber, word.replace(/\D/g, ''));
+      if (wordName) name = { score: 0, ranges: [...(name ? name.ranges : []), ...wordName.ranges] };
+      if (wordPhone) phone = { score: 0, ranges: [...(phone ? phone.ranges : []), ...wordPhone.ranges] };
+      if (wordName || wordPhone) {
+        weakest = Math.min(weakest, Math.max(wordName ? wordName.score : 0, wordPhone ? wordPhone.score : 0));
+      }
+    }
+    result.score = weakest === Infinity ? 0 : weakest;
+  } else {
+    result.score = Math.max(name ? name.score : 0, phone ? phone.score : 0);
+  }
+
+  if (name) result.matches.customerName = mergeRanges(name.ranges);
+  if (phone) result.matches.phoneNumber = mergeRanges(phone.ranges);
+  for (const field of TERM_FIELDS) {
+    const ranges = findWordRanges(record[field], words);
+    if (ranges.length > 0) result.matches[field] = mergeRanges(ranges);
+  }
+  return result;
+};
+
+/**
+ * Order records by relevance, best first; equal scores keep the newest date first
+ */
+const rankByRelevance = (records, search, options = {}) => {
+  const ranked = records.map(record => ({
+    record,
+    score: scoreRelevance(record, search, options).score,
+    time: new Date(record.date).getTime() || 0
+  }));
+  ranked.sort((a, b) => b.score - a.score || b.time - a.time);
+  return ranked.map(item => item.record);
+};
+
+/**
+ * Copies of result rows with `_score` and `_matches` for the search
+ */
+const annotateMatches = (rows, search, options = {}) => {
+  return rows.map((row) => {
+    const { score, matches } = scoreRelevance(row, search, options);
+    return { ...row, _score: score, _matches: matches };
+  });
+};
+
+module.exports = {
+  RELEVANCE_SCORES,
+  scoreRelevance,
+  rankByRelevance,
+  annotateMatches
+};
@@ -2,22 +2,76 @@
  * Lightweight Search Cache for Supabase
  * Loads customer names and phone numbers for fast in-memory search
  * Works with 1M+ records by only loading searchable fields
+ * The records are saved to a local snapshot, so a restart only fetches rows added since
+ * A periodic sync fetches new rows by id, and updated / deleted rows by updated_at
+ * (see step11-search-cache-sync.sql), re-reading a window before the last change seen
  */
 
 const { createClient } = require('@supabase/supabase-js');
+const { BKTree, getMaxDistance, scoreWordMatches, rankByScore } = require('./fuzzyMatch');
+const { TermDictionary } = require('./termDictionary');
+const { SuggestionIndex, toDisplayName } = require('./suggestionIndex');
+const { PhoneticIndex } = require('./phonetic');
+const { getSnapshotPath, writeSnapshot, readSnapshot } = require('./searchCacheSnapshot');
+
+// Changes made through the API are saved to the snapshot after this delay (ms)
+const SNAPSHOT_SAVE_DELAY = 5000;
+
+// Rows fetched per request when syncing changes (Supabase default limit)
+const SYNC_BATCH_SIZE = 1000;
+
+// Changes are re-read from this long (ms) before the newest updated_at applied: updated_at is
+// the transaction start time, so a transaction committing after a sync can carry an older
+// one (re-read rows are applied idempotently)
+const SYNC_OVERLAP = 5 * 60 * 1000;
+
+// PostgREST / Postgres error codes of a missing updated_at column or sales_deleted table
+const MISSING_SCHEMA_CODES = ['42703', '42P01', 'PGRST204', 'PGRST205'];
+
+/**
+ * Milliseconds between background syncs (SEARCH_CACHE_SYNC_INTERVAL, default 60000; 0 disables)
+ */
+const getSyncInterval = () => {
+  const value = parseInt(process.env.SEARCH_CACHE_SYNC_INTERVAL, 10);
+  return Number.isNaN(value) || value < 0 ? 60000 : value;
+};
 
 class SearchCache {
   constructor() {
     this.records = []; // Array of { id, name (lowercase), phone (digits only) }
+    this.nameWords = new TermDictionary(); // sorted name words -> Set of record IDs
+    this.wordTree = new BKTree(); // BK-tree over nameWords terms (typo-tolerant lookups)
+    this.phoneticIndex = new PhoneticIndex(); // phonetic keys of nameWords terms (matchMode=phonetic)
+    this.suggestionIndexes = {}; // customerName / phoneNumber autocomplete (rebuilt with the cache)
+    this.maxDistance = getMaxDistance();
     this.isReady = false;
     this.isLoading = false;
     this.lastBuildTime = null;
     this.loadProgress = 0;
+    this.lastId = 0; // Highest sales id loaded (rows above it are fetched on the next start)
+    this.source = ''; // Supabase URL the records came from (snapshots of other projects are ignored)
+    this.snapshotPath = getSnapshotPath();
+    this.snapshotLoadedAt = null;
+    this.snapshotSavedAt = null;
+    this.snapshotTimer = null;
+    this.supabase = null;
+    this.syncInterval = getSyncInterval();
+    this.syncTimer = null;
+    this.isSyncing = false;
+    this.tracksChanges = true; // false when the updated_at column / sales_deleted table are missing
+    this.updatedThrough = null; // Newest updated_at applied (rows changed after it are synced)
+    this.lastSyncAt = null;
+    this.version = 0; // Bumped whenever the records change (keys results derived from them)
+    this.rowsAdded = 0; // Totals of the syncs since startup
+    this.rowsUpdated = 0;
+    this.rowsDeleted = 0;
   }
 
   /**
    * Initialize the cache by loading searchable data from Supabase
-   * First tries search_index table (faster), then falls back to sales table
+   * Starts from the local snapshot when there is one (search is ready right away) and
+   * syncs the changes since it was saved; otherwise first tries search_index
+   * table (faster), then falls back to sales table. Then starts the periodic sync.
    */
   async build(supabaseUrl, supabaseKey) {
     if (this.isLoading) {
@@ -35,18 +89,36 @@ class SearchCache {
     console.log('[SearchCache] Starting to build search cache...');
     const startTime = Date.now();
 
+    this.source = supabaseUrl;
+    const fromSnapshot = this.loadSnapshot();
+
     try {
       const supabase = createClient(supabaseUrl, supabaseKey);
+      this.supabase = supabase;
       
-      // Try loading from search_index first (smaller, faster)
-      const loadedFromIndex = await this.loadFromSearchIndex(supabase);
-      
-      if (!loadedFromIndex) {
-        // Fall back to loading from sales table
-        await this.loadFromSalesTable(supabase);
+      if (fromSnapshot) {
+        // Only rows inserted, updated or deleted since the snapshot was saved
+        await this.sync();
+      } else {
+        // Changes made while the rows load are synced afterwards
+        this.updatedThrough = null;
+        await this.syncChanges();
+
+        // Try loading from search_index first (smaller, faster)
+        const loadedFromIndex = await this.loadFromSearchIndex(supabase);
+        
+        if (!loadedFromIndex) {
+          // Fall back to loading from sales table
+          await this.loadFromSalesTable(supabase);
+        }
+
+        this.buildWordIndex();
+        this.buildSuggestionIndexes();
+        this.saveSnapshot();
       }
 
       this.isReady = true;
+      this.version++;
       this.lastBuildTime = new Date();
       const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
       console.log(`[SearchCache] Built cache with ${this.records.length} records in ${elapsed}s`);
@@ -54,11 +126,13 @@ class SearchCache {
       // Memory usage estimate: ~80 bytes per record = ~80MB for 1M records
       const memoryMB = Math.round((this.records.length * 80) / (1024 * 1024));
       console.log(`[SearchCache] Estimated memory usage: ~${memoryMB}MB`);
+
+      this.startSync();
       
     } catch (error) {
       console.error('[SearchCache] Failed to build cache:', error.message);
-      // Mark as ready even if failed - we'll use other search methods
-      this.isReady = false;
+      // A loaded snapshot keeps serving searches; otherwise we'll use other search methods
+      this.isReady = fromSnapshot;
     } finally {
       this.isLoading = false;
     }
@@ -125,6 +199,7 @@ class SearchCache {
 
       if (this.records.length >= 10000) {
         // Only use search_index if it has substantial data
+        this.lastId = lastId;
         console.log(`[SearchCache] Successfully loaded ${this.records.length} from search_index`);
         return true;
       } else if (this.records.length > 0) {
@@ -141,16 +216,21 @@ class SearchCache {
   }
 
   /**
-   * Load from sales table (fallback)
+   * Load from sales table (fallback), or only the rows with an id above afterId
+   * (appended to the records loaded from a snapshot)
+   * @returns {number} Number of records added
    */
-  async loadFromSalesTable(supabase) {
-    console.log('[SearchCache] Loading from sales table (this may take a few minutes for 1M records)...');
+  async loadFromSalesTable(supabase, afterId = 0) {
+    if (afterId === 0) {
+      console.log('[SearchCache] Loading from sales table (this may take a few minutes for 1M records)...');
+      this.records = [];
+    }
     
     // Use 1000-record batches (Supabase default limit)
     const BATCH_SIZE = 1000;
-    let lastId = 0;
+    let lastId = afterId;
     let hasMore = true;
-    this.records = [];
+    const startCount = this.records.length;
 
     while (hasMore) {
       const { data, error } = await supabase
@@ -180,6 +260,7 @@ class SearchCache {
       }
 
       lastId = data[data.length - 1].id;
+      this.lastId = lastId;
       this.loadProgress = this.records.length;
       
       // Log progress every 50000 records
@@ -196,13 +277,324 @@ class SearchCache {
         hasMore = false;
       }
     }
+
+    return this.records.length - startCount;
+  }
+
+  /**
+   * Load the records and watermark from the snapshot file
+   * @returns {boolean} Whether a snapshot was loaded (the cache is then ready to search)
+   */
+  loadSnapshot() {
+    if (!this.snapshotPath) return false;
+
+    try {
+      const startTime = Date.now();
+      const snapshot = readSnapshot(this.snapshotPath, this.source);
+      if (!snapshot) return false;
+
+      this.records = snapshot.records;
+      this.lastId = snapshot.lastId;
+      this.updatedThrough = snapshot.updatedThrough;
+      this.loadProgress = this.records.length;
+      this.buildWordIndex(snapshot.nameWords);
+      this.suggestionIndexes = {};
+      this.isReady = true;
+      this.version++;
+      this.lastBuildTime = new Date();
+      this.snapshotLoadedAt = new Date();
+      console.log(`[SearchCache] Loaded ${this.records.length} records from snapshot (saved ${snapshot.savedAt.toISOString()}, lastId ${this.lastId}) in ${Date.now() - startTime}ms`);
+
+      // Search is ready now; suggestions come from the database until these are built
+      setImmediate(() => this.buildSuggestionIndexes());
+      return true;
+    } catch (error) {
+      console.error('[SearchCache] Failed to load snapshot:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Write the records and watermark to the snapshot file
+   */
+  saveSnapshot() {
+    if (!this.snapshotPath) return;
+
+    clearTimeout(this.snapshotTimer);
+    this.snapshotTimer = null;
+    try {
+      const startTime = Date.now();
+      writeSnapshot(this.snapshotPath, {
+        source: this.source,
+        lastId: this.lastId,
+        updatedThrough: this.updatedThrough,
+        records: this.records,
+        nameWords: this.nameWords
+      });
+      this.snapshotSavedAt = new Date();
+      console.log(`[SearchCache] Saved snapshot of ${this.records.length} records in ${Date.now() - startTime}ms`);
+    } catch (error) {
+      console.error('[SearchCache] Failed to save snapshot:', error.message);
+    }
+  }
+
+  /**
+   * Save the snapshot shortly after a change (several changes are saved together)
+   */
+  scheduleSnapshot() {
+    if (!this.snapshotPath || this.snapshotTimer) return;
+
+    this.snapshotTimer = setTimeout(() => this.saveSnapshot(), SNAPSHOT_SAVE_DELAY);
+    this.snapshotTimer.unref();
+  }
+
+  /**
+   * Start the periodic sync (every syncInterval ms; 0 disables it)
+   */
+  startSync() {
+    if (this.syncTimer || this.syncInterval === 0) return;
+
+    console.log(`[SearchCache] Syncing changes every ${this.syncInterval / 1000}s`);
+    this.syncTimer = setInterval(() => this.sync(), this.syncInterval);
+    this.syncTimer.unref();
+  }
+
+  /**
+   * Fetch rows inserted since the last sync (id above lastId) and rows inserted, updated or
+   * deleted since then (updated_at from SYNC_OVERLAP before updatedThrough), and apply them
+   * to the cache
+   */
+  async sync() {
+    if (!this.isReady || !this.supabase || this.isSyncing) return;
+
+    this.isSyncing = true;
+    const startTime = Date.now();
+    try {
+      const inserted = await this.loadFromSalesTable(this.supabase, this.lastId);
+      for (const record of inserted > 0 ? this.records.slice(-inserted) : []) {
+        this.indexName(record.id, record.name);
+      }
+      const changes = await this.syncChanges();
+      const added = inserted + changes.added;
+      const { updated, deleted } = changes;
+
+      this.rowsAdded += added;
+      this.rowsUpdated += updated;
+      this.rowsDeleted += deleted;
+      this.lastSyncAt = new Date();
+
+      if (added > 0 || updated > 0 || deleted > 0) {
+        this.version++;
+        this.buildSuggestionIndexes();
+        this.saveSnapshot();
+        console.log(`[SearchCache] Synced ${added} new, ${updated} updated and ${deleted} deleted rows in ${Date.now() - startTime}ms`);
+      }
+    } catch (error) {
+      console.error('[SearchCache] Sync failed:', error.message);
+    } finally {
+      this.isSyncing = false;
+    }
+  }
+
+  /**
+   * Fetch the rows of a table with updated_at at or after `since`, oldest first
+   * @returns {Array|null} Rows, or null when the table has no change tracking
+   */
+  async fetchChangedRows(table, columns, since) {
+    const rows = [];
+    for (let offset = 0; ; offset += SYNC_BATCH_SIZE) {
+      let query = this.supabase.from(table).select(columns);
+      if (since) query = query.gte('updated_at', since);
+      const { data, error } = await query
+        .order('updated_at', { ascending: true })
+        .order('id', { ascending: true })
+        .range(offset, offset + SYNC_BATCH_SIZE - 1);
+
+      if (error) {
+        if (MISSING_SCHEMA_CODES.includes(error.code)) return null;
+        throw new Error(error.message);
+      }
+      rows.push(...data);
+      if (data.length < SYNC_BATCH_SIZE) return rows;
+    }
+  }
+
+  /**
+   * Newest updated_at of a table (null when it is empty), or undefined without change tracking
+   */
+  async fetchLatestChange(table) {
+    const { data, error } = await this.supabase
+      .from(table)
+      .select('updated_at')
+      .order('updated_at', { ascending: false })
+      .limit(1);
+
+    if (error) {
+      if (MISSING_SCHEMA_CODES.includes(error.code)) return undefined;
+      throw new Error(error.message);
+    }
+    return data.length > 0 ? data[0].updated_at : null;
+  }
+
+  /**
+   * Apply the sales rows inserted, updated and deleted since updatedThrough (less
+   * SYNC_OVERLAP), then move it forward
+   * Without updatedThrough yet, it is only set to the newest change (nothing is fetched)
+   * updated_at values are compared as strings: PostgREST formats them alike (UTC ISO)
+   * @returns {Object} { added, updated, deleted } counts
+   */
+  async syncChanges() {
+    const none = { added: 0, updated: 0, deleted: 0 };
+    if (!this.tracksChanges) return none;
+
+    const stopTracking = () => {
+      console.log('[SearchCache] No updated_at tracking (run step11-search-cache-sync.sql); only new rows are synced');
+      this.tracksChanges = false;
+      return none;
+    };
+    const newest = (...values) => values.filter(Boolean).sort().pop() || null;
+
+    if (this.updatedThrough === null) {
+      const latestUpdate = await this.fetchLatestChange('sales');
+      const latestDeletion = await this.fetchLatestChange('sales_deleted');
+      if (latestUpdate === undefined || latestDeletion === undefined) return stopTracking();
+      this.updatedThrough = newest(latestUpdate, latestDeletion);
+      return none;
+    }
+
+    const since = new Date(Date.parse(this.updatedThrough) - SYNC_OVERLAP).toISOString();
+    const updatedRows = await this.fetchChangedRows('sales', 'id, customer_name, phone_number, updated_at', since);
+    const deletedRows = await this.fetchChangedRows('sales_deleted', 'id, updated_at', since);
+    if (updatedRows === null || deletedRows === null) return stopTracking();
+    if (updatedRows.length === 0 && deletedRows.length === 0) return none;
+
+    const updates = new Map(updatedRows.map(row => [row.id, row]));
+    const deletions = new Set(deletedRows.map(row => row.id));
+    const kept = [];
+    let updated = 0;
+
+    // One pass over the records; rows already applied by an earlier sync are unchanged
+    for (const record of this.records) {
+      const row = updates.get(record.id);
+      updates.delete(record.id);
+
+      if (deletions.has(record.id)) {
+        this.unindexName(record.id, record.name);
+        continue;
+      }
+
+      if (row) {
+        const name = (row.customer_name || '').toLowerCase();
+        const phone = (row.phone_number || '').replace(/\D/g, '');
+        if (name !== record.name || phone !== record.phone) {
+          this.unindexName(record.id, record.name);
+          record.name = name;
+          record.phone = phone;
+          this.indexName(record.id, record.name);
+          updated++;
+        }
+      }
+      kept.push(record);
+    }
+
+    const deleted = this.records.length - kept.length;
+    if (deleted > 0) this.records = kept;
+
+    // Rows not cached yet: inserts that committed after a sync had moved past their id
+    let added = 0;
+    for (const row of updates.values()) {
+      if (deletions.has(row.id)) continue;
+      const record = {
+        id: row.id,
+        name: (row.customer_name || '').toLowerCase(),
+        phone: (row.phone_number || '').replace(/\D/g, '')
+      };
+      this.records.push(record);
+      this.indexName(record.id, record.name);
+      if (record.id > this.lastId) this.lastId = record.id;
+      added++;
+    }
+    if (added > 0) this.records.sort((a, b) => a.id - b.id);
+
+    this.updatedThrough = newest(
+      this.updatedThrough,
+      updatedRows.length > 0 ? updatedRows[updatedRows.length - 1].updated_at : null,
+      deletedRows.length > 0 ? deletedRows[deletedRows.length - 1].updated_at : null
+    );
+    return { added, updated, deleted };
+  }
+
+  /**
+   * Add a record's name words to the word index
+   */
+  indexName(id, name) {
+    for (const word of name.split(/\s+/)) {
+      if (!word) continue;
+      if (this.nameWords.add(word, id)) {
+        this.wordTree.add(word);
+        this.phoneticIndex.addWord(word);
+      }
+    }
+  }
+
+  /**
+   * Remove a record's name words from the word index
+   * (words stay in the BK-tree and phonetic index; they simply have no records left)
+   */
+  unindexName(id, name) {
+    for (const word of name.split(/\s+/)) {
+      this.nameWords.remove(word, id);
+    }
+  }
+
+  /**
+   * Rebuild the word index, BK-tree and phonetic index from the loaded records
+   * (suggestion indexes are built separately)
+   * @param {TermDictionary} nameWords - Word index read from a snapshot (skips the records scan)
+   */
+  buildWordIndex(nameWords = null) {
+    if (nameWords) {
+      this.nameWords = nameWords;
+    } else {
+      const words = new Map();
+      for (const record of this.records) {
+        for (const word of record.name.split(/\s+/)) {
+          if (!word) continue;
+          if (!words.has(word)) words.set(word, new Set());
+          words.get(word).add(record.id);
+        }
+      }
+      this.nameWords = TermDictionary.fromMap(words);
+    }
+
+    this.wordTree = new BKTree();
+    for (const word of this.nameWords.terms) {
+      this.wordTree.add(word);
+    }
+    this.phoneticIndex.build(this.nameWords.terms);
+    console.log(`[SearchCache] Indexed ${this.nameWords.size} unique name words`);
+  }
+
+  /**
+   * Rebuild the customerName / phoneNumber suggestion indexes from the loaded records
+   */
+  buildSuggestionIndexes() {
+    // Names are cached in lowercase, so suggestions show them capitalized
+    this.suggestionIndexes = {
+      customerName: new SuggestionIndex('customerName'),
+      phoneNumber: new SuggestionIndex('phoneNumber')
+    };
+    this.suggestionIndexes.customerName.build(this.records.map(record => record.name), toDisplayName);
+    this.suggestionIndexes.phoneNumber.build(this.records.map(record => record.phone));
   }
 
   /**
    * Search for matching IDs using name or phone number
-   * Returns array of matching record IDs (limited to maxResults)
+   * Returns array of matching record IDs ranked best first (limited to maxResults):
+   * exact and prefix name-word, phone and substring hits first, then typo matches
+   * (or, with matchMode 'phonetic', names that sound the same)
    */
-  search(query, maxResults = 100) {
+  search(query, maxResults = 100, matchMode = 'default') {
     if (!this.isReady || !query || query.length < 2) {
       return null; // Return null to indicate cache not available
     }
@@ -210,38 +602,29 @@ class SearchCache {
     const startTime = Date.now();
     const normalizedQuery = query.toLowerCase().trim();
     const queryDigits = query.replace(/\D/g, ''); // Extract digits for phone search
-    const results = [];
+    const queryWords = normalizedQuery.split(/\s+/);
 
-    // Strategy 1: Prefix search on name (fastest)
-    for (let i = 0; i < this.records.length && results.length < maxResults; i++) {
-      if (this.records[i].name.startsWith(normalizedQuery)) {
-        results.push(this.records[i].id);
-      }
-    }
+    // Strategy 1: Every query word matches a name word (exact, prefix or within maxDistance typos,
+    // or by sound in phonetic mode)
+    const scores = matchMode === 'phonetic'
+      ? this.phoneticIndex.scoreWordMatches(queryWords, this.nameWords)
+      : scoreWordMatches(queryWords, this.nameWords, this.wordTree, this.maxDistance);
 
     // Strategy 2: Phone number search (if query has 3+ digits)
-    if (queryDigits.length >= 3 && results.length < maxResults) {
-      for (let i = 0; i < this.records.length && results.length < maxResults; i++) {
-        const id = this.records[i].id;
-        if (results.includes(id)) continue; // Skip if already found
-        
-        if (this.records[i].phone.includes(queryDigits)) {
-          results.push(id);
+    // Strategy 3: Contains search on name, ranked like an all-prefix word match
+    const checkPhone = queryDigits.length >= 3;
+    const checkContains = normalizedQuery.length >= 3;
+    if (checkPhone || checkContains) {
+      for (const record of this.records) {
+        if (checkPhone && record.phone.includes(queryDigits)) {
+          scores.set(record.id, 0);
+        } else if (checkContains && !scores.has(record.id) && record.name.includes(normalizedQuery)) {
+          scores.set(record.id, queryWords.length);
         }
       }
     }
 
-    // Strategy 3: Contains search on name (if few results so far)
-    if (normalizedQuery.length >= 3 && results.length < maxResults) {
-      for (let i = 0; i < this.records.length && results.length < maxResults; i++) {
-        const id = this.records[i].id;
-        if (results.includes(id)) continue;
-        
-        if (this.records[i].name.includes(normalizedQuery)) {
-          results.push(id);
-        }
-      }
-    }
+    const results = rankByScore(scores).slice(0, maxResults);
 
     const elapsed = Date.now() - startTime;
     console.log(`[SearchCache] Found ${results.length} matches for "${query}" in ${elapsed}ms`);
@@ -249,6 +632,63 @@ class SearchCache {
     return results;
   }
 
+  /**
+   * Autocomplete suggestions for one cached field (customerName or phoneNumber)
+   * Returns null when the cache is not ready
+   */
+  suggest(prefix, field, limit) {
+    if (!this.isReady || !this.suggestionIndexes[field]) return null;
+    return this.suggestionIndexes[field].suggest(prefix, limit);
+  }
+
+  /**
+   * Add newly inserted sales rows ({ id, customer_name, phone_number }) to the cache
+   */
+  addRecords(rows) {
+    if (!this.isReady) return;
+
+    for (const row of rows) {
+      const record = {
+        id: row.id,
+        name: (row.customer_name || '').toLowerCase(),
+        phone: (row.phone_number || '').replace(/\D/g, '')
+      };
+      this.records.push(record);
+      this.indexName(record.id, record.name);
+      if (record.id > this.lastId) this.lastId = record.id;
+    }
+    this.version++;
+    this.scheduleSnapshot();
+  }
+
+  /**
+   * Update the cached name / phone of a sales row ({ id, customer_name, phone_number })
+   */
+  updateRecord(row) {
+    const record = this.records.find(item => item.id === row.id);
+    if (!record) return;
+
+    this.unindexName(record.id, record.name);
+    record.name = (row.customer_name || '').toLowerCase();
+    this.indexName(record.id, record.name);
+    record.phone = (row.phone_number || '').replace(/\D/g, '');
+    this.version++;
+    this.scheduleSnapshot();
+  }
+
+  /**
+   * Remove a deleted sales row from the cache
+   */
+  removeRecord(id) {
+    const index = this.records.findIndex(item => item.id === id);
+    if (index !== -1) {
+      this.unindexName(id, this.records[index].name);
+      this.records.splice(index, 1);
+      this.version++;
+      this.scheduleSnapshot();
+    }
+  }
+
   /**
    * Get cache status
    */
@@ -257,8 +697,27 @@ class SearchCache {
       isReady: this.isReady,
       isLoading: this.isLoading,
       recordCount: this.records.length,
+      uniqueWords: this.nameWords.size,
+      phoneticKeys: this.phoneticIndex.size,
+      maxDistance: this.maxDistance,
       loadProgress: this.loadProgress,
-      lastBuildTime: this.lastBuildTime
+      lastBuildTime: this.lastBuildTime,
+      version: this.version,
+      snapshot: {
+        enabled: !!this.snapshotPath,
+        lastId: this.lastId,
+        loadedAt: this.snapshotLoadedAt,
+        savedAt: this.snapshotSavedAt
+      },
+      syncInterval: this.syncInterval,
+      tracksChanges: this.tracksChanges,
+      updatedThrough: this.updatedThrough,
+      lastSyncAt: this.lastSyncAt,
+      // Milliseconds since the last successful sync (how stale the cache can be)
+      lag: this.lastSyncAt ? Date.now() - this.lastSyncAt.getTime() : null,
+      rowsAdded: this.rowsAdded,
+      rowsUpdated: this.rowsUpdated,
+      rowsDeleted: this.rowsDeleted
     };
   }
 }
@@ -266,4 +725,4 @@ class SearchCache {
 // Singleton instance
 const searchCache = new SearchCache();
 
-module.exports = { searchCache };
+module.exports = { searchCache, MISSING_SCHEMA_CODES };
@@ -0,0 +1,191 @@
+/**
+ * Search Cache Snapshots
+ * Saves the Supabase search cache (records { id, name, phone } and the name word index) to a
+ * local binary file, so a restart loads it in under a second and only fetches rows added since.
+ *
+ * Layout (little-endian):
+ *   header: magic "TSSC" | uint32 version | uint32 record count | uint32 source length
+ *           uint32 term count | uint32 posting count | float64 lastId watermark | float64 saved at (ms)
+ *           uint32 updatedThrough length | 4 unused bytes
+ *   source (utf8) | updatedThrough (utf8, newest updated_at synced)
+ *   float64 ids[records] | uint16 name lengths[records] | uint16 phone lengths[records]
+ *   uint16 term lengths[terms] | uint32 posting lengths[terms] | uint32 postings (record positions)
+ *   text (utf8): every name, then every phone, then every term (lengths are in UTF-16 units)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TermDictionary } = require('./termDictionary');
+
+const MAGIC = 'TSSC';
+const VERSION = 2;
+const HEADER_SIZE = 48;
+// Longer values are cut to this length (lengths are stored as uint16)
+const MAX_TEXT_LENGTH = 0xffff;
+
+/**
+ * Path of the snapshot file: SEARCH_CACHE_SNAPSHOT overrides the default, 'false' disables
+ * snapshots (as does Vercel, whose file system is read-only)
+ */
+const getSnapshotPath = () => {
+  const configured = process.env.SEARCH_CACHE_SNAPSHOT;
+  if (configured === 'false' || process.env.VERCEL === '1') return null;
+  return configured || path.join(__dirname, '../../data/search-cache.bin');
+};
+
+const toText = (value) => (value || '').slice(0, MAX_TEXT_LENGTH);
+
+/**
+ * Copy `length` numbers starting at byte `start` into a typed array
+ * (much faster than a read call per number; Node runs on little-endian platforms)
+ */
+const readArray = (buffer, ArrayType, start, length) => {
+  const begin = buffer.byteOffset + start;
+  return new ArrayType(buffer.buffer.slice(begin, begin + length * ArrayType.BYTES_PER_ELEMENT));
+};
+
+/**
+ * Write a snapshot; the file is replaced atomically (written next to it, then renamed)
+ * @param {Object} snapshot - { source, lastId, updatedThrough, records: [{ id, name, phone }],
+ *   nameWords } where nameWords is a TermDictionary of name word -> Set of record ids
+ */
+const writeSnapshot = (filePath, { source, lastId, updatedThrough, records, nameWords }) => {
+  const positions = new Map(records.map((record, position) => [record.id, position]));
+  const names = records.map(record => toText(record.name));
+  const phones = records.map(record => toText(record.phone));
+  const terms = nameWords.terms.map(toText);
+  const postings = nameWords.postings.map(ids => {
+    const list = [];
+    for (const id of ids) {
+      if (positions.has(id)) list.push(positions.get(id));
+    }
+    return list;
+  });
+  const postingCount = postings.reduce((sum, list) => sum + list.length, 0);
+
+  const sourceBytes = Buffer.from(source || '', 'utf8');
+  const updatedThroughBytes = Buffer.from(updatedThrough || '', 'utf8');
+  const textBytes = Buffer.from(names.join('') + phones.join('') + terms.join(''), 'utf8');
+  const fixed = Buffer.alloc(HEADER_SIZE + sourceBytes.length + updatedThroughBytes.length + records.length * 12 +
+    terms.length * 6 + postingCount * 4);
+
+  fixed.write(MAGIC, 0, 'ascii');
+  fixed.writeUInt32LE(VERSION, 4);
+  fixed.writeUInt32LE(records.length, 8);
+  fixed.writeUInt32LE(sourceBytes.length, 12);
+  fixed.writeUInt32LE(terms.length, 16);
+  fixed.writeUInt32LE(postingCount, 20);
+  fixed.writeDoubleLE(lastId, 24);
+  fixed.writeDoubleLE(Date.now(), 32);
+  fixed.writeUInt32LE(updatedThroughBytes.length, 40);
+  sourceBytes.copy(fixed, HEADER_SIZE);
+  updatedThroughBytes.copy(fixed, HEADER_SIZE + sourceBytes.length);
+
+  let offset = HEADER_SIZE + sourceBytes.length + updatedThroughBytes.length;
+  for (const record of records) offset = fixed.writeDoubleLE(record.id, offset);
+  for (const name of names) offset = fixed.writeUInt16LE(name.length, offset);
+  for (const phone of phones) offset = fixed.writeUInt16LE(phone.length, offset);
+  for (const term of terms) offset = fixed.writeUInt16LE(term.length, offset);
+  for (const list of postings) offset = fixed.writeUInt32LE(list.length, offset);
+  for (const list of postings) {
+    for (const position of list) offset = fixed.writeUInt32LE(position, offset);
+  }
+
+  const tempPath = `${filePath}.tmp`;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(tempPath, Buffer.concat([fixed, textBytes]));
+  fs.renameSync(tempPath, filePath);
+};
+
+/**
+ * Read a snapshot written for `source`
+ * @returns {Object|null} { lastId, updatedThrough, savedAt, records, nameWords }, or null when the file is
+ *   missing, was written for another source or is not a valid snapshot
+ */
+const readSnapshot = (filePath, source) => {
+  if (!fs.existsSync(filePath)) return null;
+
+  const buffer = fs.readFileSync(filePath);
+  if (buffer.length < HEADER_SIZE || buffer.toString('ascii', 0, 4) !== MAGIC ||
+      buffer.readUInt32LE(4) !== VERSION) {
+    console.log('[SearchCache] Ignoring snapshot with an unknown format');
+    return null;
+  }
+
+  const count = buffer.readUInt32LE(8);
+  const sourceLength = buffer.readUInt32LE(12);
+  const termCount = buffer.readUInt32LE(16);
+  const postingCount = buffer.readUInt32LE(20);
+  const updatedThroughStart = HEADER_SIZE + sourceLength;
+  const idsStart = updatedThroughStart + buffer.readUInt32LE(40);
+  const textStart = idsStart + count * 12 + termCount * 6 + postingCount * 4;
+  if (buffer.length < textStart) {
+    console.log('[SearchCache] Ignoring truncated snapshot');
+    return null;
+  }
+  if (buffer.toString('utf8', HEADER_SIZE, updatedThroughStart) !== (source || '')) {
+    console.log('[SearchCache] Ignoring snapshot of another database');
+    return null;
+  }
+
+  const text = buffer.toString('utf8', textStart);
+  let offset = idsStart;
+  const next = (ArrayType, length) => {
+    const array = readArray(buffer, ArrayType, offset, length);
+    offset += length * ArrayType.BYTES_PER_ELEMENT;
+    return array;
+  };
+  const ids = next(Float64Array, count);
+  const nameLengths = next(Uint16Array, count);
+  const phoneLengths = next(Uint16Array, count);
+  const termLengths = next(Uint16Array, termCount);
+  const postingLengths = next(Uint32Array, termCount);
+  const postings = next(Uint32Array, postingCount);
+
+  // Names, phones and terms follow each other in the text
+  let nameOffset = 0;
+  let phoneOffset = nameLengths.reduce((sum, length) => sum + length, 0);
+  const records = new Array(count);
+  for (let i = 0; i < count; i++) {
+    const nameEnd = nameOffset + nameLengths[i];
+    const phoneEnd = phoneOffset + phoneLengths[i];
+    records[i] = {
+      id: ids[i],
+      name: text.substring(nameOffset, nameEnd),
+      phone: text.substring(phoneOffset, phoneEnd)
+    };
+    nameOffset = nameEnd;
+    phoneOffset = phoneEnd;
+  }
+
+  const nameWords = new TermDictionary();
+  let termOffset = phoneOffset;
+  let position = 0;
+  for (let i = 0; i < termCount; i++) {
+    nameWords.terms.push(text.substring(termOffset, termOffset += termLengths[i]));
+    const termIds = new Set();
+    for (const end = position + postingLengths[i]; position < end; position++) {
+      termIds.add(ids[postings[position]]);
+    }
+    nameWords.postings.push(termIds);
+  }
+
+  if (termOffset !== text.length || position !== postingCount) {
+    console.log('[SearchCache] Ignoring corrupt snapshot');
+    return null;
+  }
+
+  return {
+    lastId: buffer.readDoubleLE(24),
+    updatedThrough: buffer.toString('utf8', updatedThroughStart, idsStart) || null,
+    savedAt: new Date(buffer.readDoubleLE(32)),
+    records,
+    nameWords
+  };
+};
+
+module.exports = {
+  getSnapshotPath,
+  writeSnapshot,
+  readSnapshot
+};
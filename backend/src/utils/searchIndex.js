@@ -1,19 +1,68 @@
 /**
  * High-Performance Search Index using Inverted Index
- * Optimized for searching Customer Name and Phone Number on 1M+ records
- * Memory-efficient implementation without full substring indexing
+ * Optimized for searching Customer Name and Phone Number on 1M+ records; every search word
+ * must match the name, phone, product name, brand, customer id or employee name
+ * Memory-efficient implementation: sorted word dictionary, phone prefixes and trigram
+ * posting lists (Uint32Array) instead of full substring indexing
  */
 
+const { BKTree, MATCH_SCORE, getMaxDistance, findWordMatches, rankByScore } = require('./fuzzyMatch');
+const { NgramIndex, unionSorted } = require('./ngramIndex');
+const { TermDictionary, mergeSorted, intersectIterators } = require('./termDictionary');
+const { SUGGEST_FIELDS, SuggestionIndex, getSuggestFields } = require('./suggestionIndex');
+const { PhoneticIndex } = require('./phonetic');
+const { SEARCH_FIELDS, tokenizeSearch } = require('./queryParser');
+
+// Searched fields besides name and phone: their words share one dictionary
+// (exact, prefix and substring matches; typo and phonetic matching is for names)
+const TERM_FIELDS = SEARCH_FIELDS.filter(field => field !== 'customerName' && field !== 'phoneNumber');
+
+/**
+ * Add the words of a lowercase text to a word -> record indices map
+ * Records are visited in order, so each list stays sorted ("Raj Raj" adds the index once)
+ */
+const addWords = (words, text, index) => {
+  for (const word of text.split(/\s+/)) {
+    if (!word) continue;
+    let indices = words.get(word);
+    if (!indices) {
+      indices = [];
+      words.set(word, indices);
+    }
+    if (indices[indices.length - 1] !== index) {
+      indices.push(index);
+    }
+  }
+};
+
 /**
  * High-Performance Search Index using Inverted Index + Word Tokenization
  */
 class SearchIndex {
-  constructor() {
-    // Word-based inverted index: word -> Set of record indices
-    this.nameWordIndex = new Map();
+  /**
+   * @param {Object} options
+   * @param {number} options.maxDistance - Maximum edit distance for typo matches
+   *   (defaults to SEARCH_FUZZY_DISTANCE; 0 disables typo matching)
+   */
+  constructor(options = {}) {
+    this.maxDistance = options.maxDistance ?? getMaxDistance();
+    // Word-based inverted index: sorted word dictionary -> sorted Uint32Array of record indices
+    this.nameWordIndex = new TermDictionary();
+    // Words of the TERM_FIELDS values -> sorted Uint32Array of record indices
+    this.termIndex = new TermDictionary();
+    // BK-tree over the nameWordIndex terms for typo-tolerant lookups
+    this.wordTree = new BKTree();
+    // Phonetic keys of the nameWordIndex terms (matchMode=phonetic)
+    this.phoneticIndex = new PhoneticIndex();
     // Phone prefix index: normalized phone digits -> Set of record indices  
     this.phoneIndex = new Map();
-    // Store normalized data for fast linear fallback
+    // Trigram posting lists over names and phones for substring matches
+    this.ngramIndex = new NgramIndex();
+    // Trigram posting lists over the termIndex terms (term positions, not records)
+    this.termNgramIndex = new NgramIndex();
+    // Distinct values per suggested field (autocomplete)
+    this.suggestionIndexes = {};
+    // Store normalized data to confirm substring candidates
     this.normalizedData = [];
     this.dataLength = 0;
     this.isBuilt = false;
@@ -26,7 +75,8 @@ class SearchIndex {
   build(data) {
     console.time('SearchIndex: Build time');
     
-    this.nameWordIndex = new Map();
+    const nameWords = new Map();
+    const termWords = new Map();
     this.phoneIndex = new Map();
     this.normalizedData = new Array(data.length);
     this.dataLength = data.length;
@@ -45,15 +95,10 @@ class SearchIndex {
         phoneDigits: phoneDigits
       };
       
-      // Index words from customer name
-      if (normalizedName) {
-        const words = normalizedName.split(/\s+/).filter(w => w.length > 0);
-        for (const word of words) {
-          if (!this.nameWordIndex.has(word)) {
-            this.nameWordIndex.set(word, new Set());
-          }
-          this.nameWordIndex.get(word).add(i);
-        }
+      // Index words from customer name and the other searched fields
+      addWords(nameWords, normalizedName, i);
+      for (const field of TERM_FIELDS) {
+        addWords(termWords, String(record[field] || '').toLowerCase(), i);
       }
       
       // Index phone number prefixes (first 3, 4, 5+ digits for quick lookup)
@@ -76,95 +121,256 @@ class SearchIndex {
       }
     }
     
+    for (const words of [nameWords, termWords]) {
+      for (const [word, indices] of words) {
+        words.set(word, Uint32Array.from(indices));
+      }
+    }
+    this.nameWordIndex = TermDictionary.fromMap(nameWords);
+    this.termIndex = TermDictionary.fromMap(termWords);
+    this.termNgramIndex.build(this.termIndex.size, i => [this.termIndex.terms[i]]);
+    
+    this.wordTree = new BKTree();
+    for (const word of this.nameWordIndex.terms) {
+      this.wordTree.add(word);
+    }
+    this.phoneticIndex.build(this.nameWordIndex.terms);
+    
+    this.ngramIndex.build(data.length, (i) => {
+      const item = this.normalizedData[i];
+      return [item.name, item.phone, item.phoneDigits];
+    });
+    
+    this.suggestionIndexes = {};
+    for (const field of SUGGEST_FIELDS) {
+      this.suggestionIndexes[field] = new SuggestionIndex(field);
+      this.suggestionIndexes[field].build(data.map(record => record[field]));
+    }
+    
     this.isBuilt = true;
     console.timeEnd('SearchIndex: Build time');
-    console.log(`SearchIndex: Indexed ${data.length} records, ${this.nameWordIndex.size} unique words, ${this.phoneIndex.size} phone prefixes`);
+    console.log(`SearchIndex: Indexed ${data.length} records, ${this.nameWordIndex.size} unique words, ${this.termIndex.size} field terms, ${this.phoneIndex.size} phone prefixes, ${this.ngramIndex.gramIds.size} trigrams`);
+  }
+
+  /**
+   * Word matcher for a match mode: (queryWord) => Map of matching name word -> score
+   * Both modes match exact words and prefixes; the default mode adds typo matches,
+   * the phonetic mode words that sound the same
+   */
+  getWordMatcher(matchMode) {
+    if (matchMode === 'phonetic') {
+      return queryWord => this.phoneticIndex.findWordMatches(queryWord, this.nameWordIndex);
+    }
+    return queryWord => findWordMatches(queryWord, this.nameWordIndex, this.wordTree, this.maxDistance);
+  }
+
+  /**
+   * Sorted posting lists of the records one search word matches, each with a match score
+   * (lower is better): name words (exact, prefix, typo / phonetic), phone digits and words
+   * of the other searched fields; substrings of any of them when none of these match
+   * @returns {Array<{ postings: ArrayLike<number>, score: number }>}
+   */
+  findTokenPostings(token, findNameMatches) {
+    const lists = [];
+    
+    for (const [word, score] of findNameMatches(token)) {
+      lists.push({ postings: this.nameWordIndex.get(word), score });
+    }
+    
+    // Phone number index: phones starting with the digits or ending in them; longer numbers
+    // than the indexed prefixes are confirmed on the digits. Phones with the digits further
+    // in ("+91 98765...") come from the trigram postings and rank after them (words with
+    // letters, like "cust0151", are not phone numbers)
+    const tokenDigits = /[a-z]/.test(token) ? '' : token.replace(/\D/g, '');
+    if (tokenDigits.length >= 3) {
+      const hasDigits = index => this.normalizedData[index].phoneDigits.includes(tokenDigits);
+      const indices = this.phoneIndex.get(tokenDigits.substring(0, 6));
+      if (indices) {
+        const postings = Uint32Array.from(indices).filter(hasDigits).sort();
+        if (postings.length > 0) lists.push({ postings, score: MATCH_SCORE.exact });
+      }
+      const postings = this.ngramIndex.candidates(tokenDigits).filter(hasDigits);
+      if (postings.length > 0) lists.push({ postings, score: MATCH_SCORE.prefix });
+    }
+    
+    // Field terms (products, brands, ids, employees) equal to or starting with the word
+    const [start, end] = this.termIndex.prefixRange(token);
+    for (let i = start; i < end; i++) {
+      const score = this.termIndex.terms[i] === token ? MATCH_SCORE.exact : MATCH_SCORE.prefix;
+      lists.push({ postings: this.termIndex.postings[i], score });
+    }
+    
+    // Substring matches that don't start words (e.g., "esh" in "Mahesh"), only when the
+    // word and phone indices found nothing
+    if (lists.length === 0) {
+      lists.push({ postings: this.substringSearch(token), score: MATCH_SCORE.prefix });
+      for (const postings of this.termSubstringPostings(token)) {
+        lists.push({ postings, score: MATCH_SCORE.prefix });
+      }
+    }
+    
+    return lists;
+  }
+
+  /**
+   * Posting lists of the field terms containing the word
+   * The term n-gram index narrows the terms down; single characters scan the terms
+   */
+  termSubstringPostings(token) {
+    const terms = this.termIndex.terms;
+    const candidates = this.termNgramIndex.candidates(token);
+    const ids = candidates === null ? terms.keys() : candidates;
+    const lists = [];
+    for (const id of ids) {
+      if (terms[id].includes(token)) {
+        lists.push(this.termIndex.postings[id]);
+      }
+    }
+    return lists;
   }
 
   /**
    * Search for records matching the query
-   * Returns array of matching record indices, or null for empty query
+   * Every query word must match one of the searched fields (words combine with AND)
+   * Returns array of matching record indices ranked best first
+   * (exact and prefix word hits, then typo or phonetic matches), or null for empty query
+   * @param {Object} options
+   * @param {string} options.matchMode - 'default' or 'phonetic'
    */
-  search(query, data) {
+  search(query, data, options = {}) {
     if (!query || query.trim().length === 0) {
       return null; // Return null to indicate "return all data"
     }
     
     const normalizedQuery = query.toLowerCase().trim();
     
-    // If index is not built or data length changed, fall back to linear search
+    // If index is not built or data length changed, fall back to substring search
     if (!this.isBuilt || this.dataLength !== data.length) {
-      console.log('SearchIndex: Falling back to linear search (index not ready)');
-      return this.linearSearch(normalizedQuery);
+      console.log('SearchIndex: Falling back to substring search (index not ready)');
+      return this.substringSearch(normalizedQuery);
     }
     
     console.time('SearchIndex: Search time');
     
-    const resultSet = new Set();
-    const queryDigits = normalizedQuery.replace(/\D/g, '');
-    
-    // Strategy 1: Word-based matching (fast path)
-    // Check if query matches any indexed word as prefix or exact match
-    let foundInWordIndex = false;
-    for (const [word, indices] of this.nameWordIndex) {
-      if (word.startsWith(normalizedQuery) || word === normalizedQuery) {
-        foundInWordIndex = true;
-        for (const idx of indices) {
-          resultSet.add(idx);
-        }
-      }
-    }
+    // A record's score is the sum of its best score per query word
+    const findNameMatches = this.getWordMatcher(options.matchMode);
+    const tokens = tokenizeSearch(normalizedQuery);
+    let scores = null;
     
-    // Strategy 2: Phone number index (fast path)
-    if (queryDigits.length >= 3) {
-      if (this.phoneIndex.has(queryDigits)) {
-        for (const idx of this.phoneIndex.get(queryDigits)) {
-          resultSet.add(idx);
+    for (const token of tokens) {
+      const tokenScores = new Map();
+      for (const { postings, score } of this.findTokenPostings(token, findNameMatches)) {
+        for (const index of postings) {
+          const best = tokenScores.get(index);
+          if (best === undefined || score < best) {
+            tokenScores.set(index, score);
+          }
         }
       }
-      // Check prefixes of the query digits
-      for (let len = 3; len <= Math.min(queryDigits.length, 6); len++) {
-        const prefix = queryDigits.substring(0, len);
-        if (this.phoneIndex.has(prefix)) {
-          for (const idx of this.phoneIndex.get(prefix)) {
-            resultSet.add(idx);
+      
+      if (scores === null) {
+        scores = tokenScores;
+      } else {
+        const combined = new Map();
+        for (const [index, score] of scores) {
+          const tokenScore = tokenScores.get(index);
+          if (tokenScore !== undefined) {
+            combined.set(index, score + tokenScore);
           }
         }
+        scores = combined;
       }
+      
+      if (scores.size === 0) break;
     }
     
-    // Strategy 3: Linear scan ONLY if no results found from indices
-    // This is for substring matches that don't start words (e.g., "esh" in "Mahesh")
-    if (resultSet.size === 0) {
-      console.log('SearchIndex: No index matches, doing linear scan for substring');
-      for (let i = 0; i < this.normalizedData.length; i++) {
-        const item = this.normalizedData[i];
-        if (item.name.includes(normalizedQuery) || 
-            item.phone.includes(normalizedQuery) ||
-            (queryDigits.length >= 3 && item.phoneDigits.includes(queryDigits))) {
-          resultSet.add(i);
-        }
-      }
+    // Words that only match together as one substring ("sh ku" in "Rajesh Kumar")
+    let results;
+    if (scores.size === 0 && tokens.length > 1) {
+      console.log('SearchIndex: No word matches every field, doing n-gram substring search');
+      results = this.substringSearch(normalizedQuery);
+    } else {
+      results = rankByScore(scores);
     }
     
     console.timeEnd('SearchIndex: Search time');
-    console.log(`SearchIndex: Found ${resultSet.size} matches for "${query}"`);
+    console.log(`SearchIndex: Found ${results.length} matches for "${query}"`);
+    
+    return results;
+  }
+
+  /**
+   * Iterate the records matching the query in record order (the same records as search(),
+   * unranked). Posting lists are merged and intersected lazily, so a caller that
+   * walks the pre-sorted records can stop after the page it needs.
+   * @param {Object} options - Same as search()
+   * @returns {Iterator<number>|null} Ascending record indices, or null for empty query
+   */
+  matchIterator(query, data, options = {}) {
+    if (!query || query.trim().length === 0) {
+      return null;
+    }
+    
+    // A stale index goes through search() and is put back in record order
+    if (!this.isBuilt || this.dataLength !== data.length) {
+      return Uint32Array.from(this.search(query, data, options)).sort()[Symbol.iterator]();
+    }
+    
+    return this.iterateTokenMatches(query.toLowerCase().trim(), options.matchMode);
+  }
+
+  /**
+   * Lazily intersect, per query word, the merged posting lists it matches
+   * Falls back to the substring search when no record matches every word
+   */
+  *iterateTokenMatches(normalizedQuery, matchMode) {
+    const findNameMatches = this.getWordMatcher(matchMode);
+    const tokens = tokenizeSearch(normalizedQuery);
+    const streams = tokens.map((token) => {
+      const lists = this.findTokenPostings(token, findNameMatches);
+      return mergeSorted(lists.map(list => list.postings));
+    });
     
-    return Array.from(resultSet);
+    let found = false;
+    for (const index of intersectIterators(streams)) {
+      found = true;
+      yield index;
+    }
+    
+    if (!found && tokens.length > 1) {
+      yield* this.substringSearch(normalizedQuery);
+    }
   }
 
   /**
-   * Linear search on pre-normalized data (faster than normalizing on each search)
+   * Substring search on names and phone numbers
+   * The n-gram index narrows the records down to candidates, which are confirmed on the
+   * pre-normalized data; single characters (too short for the index) scan every record
    */
-  linearSearch(query) {
+  substringSearch(query) {
     const results = [];
-    const queryDigits = query.replace(/\D/g, '');
+    const queryDigits = /[a-z]/.test(query) ? '' : query.replace(/\D/g, '');
+    const matches = (item) => item.name.includes(query) || 
+      item.phone.includes(query) ||
+      (queryDigits.length >= 3 && item.phoneDigits.includes(queryDigits));
     
-    for (let i = 0; i < this.normalizedData.length; i++) {
-      const item = this.normalizedData[i];
-      if (item.name.includes(query) || 
-          item.phone.includes(query) ||
-          (queryDigits.length >= 3 && item.phoneDigits.includes(queryDigits))) {
+    let candidates = this.ngramIndex.candidates(query);
+    if (candidates === null) {
+      for (let i = 0; i < this.normalizedData.length; i++) {
+        if (matches(this.normalizedData[i])) {
+          results.push(i);
+        }
+      }
+      return results;
+    }
+    
+    // Digits typed with separators ("98-765") match the digits-only phone
+    if (queryDigits.length >= 3 && queryDigits !== query) {
+      candidates = unionSorted(candidates, this.ngramIndex.candidates(queryDigits));
+    }
+    
+    for (const i of candidates) {
+      if (matches(this.normalizedData[i])) {
         results.push(i);
       }
     }
@@ -172,12 +378,44 @@ class SearchIndex {
     return results;
   }
 
+  /**
+   * Autocomplete: top values per suggested field starting with prefix, with record counts
+   * @returns {Array<{ type: string, value: string, count: number }>}
+   */
+  suggest(prefix, limit) {
+    if (!this.isBuilt || !prefix || !prefix.trim()) return [];
+    
+    return getSuggestFields(prefix).flatMap(field => this.suggestionIndexes[field].suggest(prefix, limit));
+  }
+
+  /**
+   * Index sizes and memory footprint (for /api/sales/search-status)
+   */
+  getStats() {
+    return {
+      isBuilt: this.isBuilt,
+      recordCount: this.dataLength,
+      uniqueWords: this.nameWordIndex.size,
+      fieldTerms: this.termIndex.size,
+      phoneticKeys: this.phoneticIndex.size,
+      phonePrefixes: this.phoneIndex.size,
+      maxDistance: this.maxDistance,
+      ngram: this.ngramIndex.getMemoryUsage()
+    };
+  }
+
   /**
    * Clear the index
    */
   clear() {
-    this.nameWordIndex = new Map();
+    this.nameWordIndex = new TermDictionary();
+    this.termIndex = new TermDictionary();
+    this.wordTree = new BKTree();
+    this.phoneticIndex = new PhoneticIndex();
     this.phoneIndex = new Map();
+    this.ngramIndex.clear();
+    this.termNgramIndex.clear();
+    this.suggestionIndexes = {};
     this.normalizedData = [];
     this.dataLength = 0;
     this.isBuilt = false;
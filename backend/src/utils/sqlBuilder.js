@@ -0,0 +1,357 @@
+/**
+ * SQL query building helpers shared by the SQL-backed adapters
+ * Produces parameterized WHERE / ORDER BY clauses from the API filters object
+ * Placeholder style is supplied by the caller ($1, $2 ... for Postgres, ? for SQLite)
+ */
+
+const { LOCAL_PHONE_DIGITS } = require('./suggestionIndex');
+const { RELEVANCE_SCORES } = require('./relevance');
+const {
+  LIST_FILTER_FIELDS,
+  SEARCH_FIELDS,
+  tokenizeSearch,
+  getRangePredicates,
+  getListExclusions,
+  normalizeTags
+} = require('./queryParser');
+
+// Sortable fields: sortBy value -> sales table column
+const SORT_COLUMNS = {
+  date: 'date',
+  quantity: 'quantity',
+  customerName: 'customer_name',
+  finalAmount: 'final_amount'
+};
+
+// Columns selected for API rows (everything except bookkeeping columns)
+const SALES_COLUMNS = [
+  'id', 'transaction_id', 'date', 'customer_id', 'customer_name', 'phone_number',
+  'gender', 'age', 'customer_region', 'customer_type', 'product_id', 'product_name',
+  'brand', 'product_category', 'tags', 'quantity', 'price_per_unit',
+  'discount_percentage', 'total_amount', 'final_amount', 'payment_method',
+  'order_status', 'delivery_type', 'store_id', 'store_location', 'salesperson_id',
+  'employee_name'
+];
+
+// Columns written on insert (id is generated by the database)
+const INSERT_COLUMNS = SALES_COLUMNS.filter(column => column !== 'id');
+
+// Search predicate ops -> SQL comparison operators
+const PREDICATE_OPERATORS = {
+  eq: '=',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<='
+};
+
+/**
+ * Sales table column for a record field (customerRegion -> customer_region), whitelisted
+ */
+const toColumn = (field) => {
+  const column = String(field).replace(/[A-Z]/g, (ch) => `_${ch.toLowerCase()}`);
+  if (column === 'id' || !SALES_COLUMNS.includes(column)) {
+    throw new Error(`Unknown predicate field "${field}"`);
+  }
+  return column;
+};
+
+// Categorical filters: filters key -> sales table column
+const IN_FILTER_COLUMNS = Object.fromEntries(
+  Object.entries(LIST_FILTER_FIELDS).map(([key, field]) => [key, toColumn(field)])
+);
+
+// Column expressions the free-text search looks in (phone numbers have no letters to lower,
+// which keeps the phone_number trigram index usable)
+const SEARCH_EXPRESSIONS = SEARCH_FIELDS.map(field => {
+  const column = toColumn(field);
+  return column === 'phone_number' ? column : `LOWER(${column})`;
+});
+
+/**
+ * Escape LIKE wildcards in user input (used with ESCAPE '\')
+ */
+const escapeLike = (value) => String(value).replace(/[\\%_]/g, (ch) => `\\${ch}`);
+
+/**
+ * Create a parameter collector
+ * @param {Function} placeholder - Maps a 1-based parameter index to its SQL placeholder
+ * @param {Array} values - Existing parameter values to append to
+ */
+const createParams = (placeholder, values = []) => {
+  return {
+    values,
+    add(value) {
+      values.push(value);
+      return placeholder(values.length);
+    }
+  };
+};
+
+/**
+ * Build the SQL condition for a search predicate ({ field, op, value })
+ * Text comparisons ignore case; numbers and the date column compare natively; NULL never matches
+ */
+const buildPredicate = ({ field, op, value }, params) => {
+  const column = toColumn(field);
+
+  if (op === 'contains') {
+    const pattern = params.add(`%${escapeLike(String(value).toLowerCase())}%`);
+    return `LOWER(${column}) LIKE ${pattern} ESCAPE '\\'`;
+  }
+
+  const operator = PREDICATE_OPERATORS[op];
+  if (!operator) {
+    throw new Error(`Unsupported predicate operator "${op}"`);
+  }
+
+  if (typeof value === 'string' && column !== 'date') {
+    return `LOWER(${column}) ${operator} ${params.add(value.toLowerCase())}`;
+  }
+  return `${column} ${operator} ${params.add(value)}`;
+};
+
+/**
+ * Build the tags condition for the selected (normalized) tags and tagsMode
+ * 'array' storage is the Postgres tag_list TEXT[] column (GIN indexed); 'table' storage is the
+ * SQLite sale_tags (tag, sale_id) table
+ */
+const buildTagsCondition = (tags, mode, tagStorage, params) => {
+  if (tagStorage === 'array') {
+    const list = params.add(tags);
+    if (mode === 'all') return `tag_list @> ${list}::text[]`;
+    if (mode === 'none') return `NOT (tag_list && ${list}::text[])`;
+    return `tag_list && ${list}::text[]`;
+  }
+
+  const list = tags.map(tag => params.add(tag)).join(', ');
+  const taggedIds = `SELECT sale_id FROM sale_tags WHERE tag IN (${list})`;
+  if (mode === 'all') return `id IN (${taggedIds} GROUP BY sale_id HAVING COUNT(*) = ${params.add(tags.length)})`;
+  if (mode === 'none') return `id NOT IN (${taggedIds})`;
+  return `id IN (${taggedIds})`;
+};
+
+/**
+ * Build the SQL condition for a normalized filter expression (see utils/filterExpression)
+ * Negated conditions keep rows without a value, like the in-memory filter
+ */
+const buildExpression = (node, tagStorage, params) => {
+  if (node.type === 'and' || node.type === 'or') {
+    const joiner = node.type === 'and' ? ' AND ' : ' OR ';
+    return `(${node.nodes.map(child => buildExpression(child, tagStorage, params)).join(joiner)})`;
+  }
+
+  if (node.type === 'tags') {
+    return buildTagsCondition(node.tags, node.negated ? 'none' : 'any', tagStorage, params);
+  }
+
+  const condition = buildPredicate(node, params);
+  if (!node.negated) return condition;
+  const column = toColumn(node.field);
+  return `(${column} IS NULL OR NOT (${condition}))`;
+};
+
+/**
+ * Build a parameterized WHERE clause for the filters object
+ * @param {Object} filters - Filter criteria (same shape as the CSV applyFilters input)
+ * @param {Function} placeholder - Maps a 1-based parameter index to its SQL placeholder
+ * @param {Object} [options] - { tagStorage: 'table' (sale_tags table, default) or 'array' (tag_list column) }
+ * @returns {{ where: string, params: Array }} Clause (empty string when unfiltered) and values
+ */
+const buildWhereClause = (filters = {}, placeholder, { tagStorage = 'table' } = {}) => {
+  const params = createParams(placeholder);
+  const conditions = [];
+
+  // Search - every word is a case-insensitive contains on one of the searched columns
+  for (const word of tokenizeSearch(filters.search)) {
+    const pattern = `%${escapeLike(word)}%`;
+    const matches = SEARCH_EXPRESSIONS.map(expression => `${expression} LIKE ${params.add(pattern)} ESCAPE '\\'`);
+    conditions.push(`(${matches.join(' OR ')})`);
+  }
+
+  // Multi-select filters ignore case like the in-memory filter (LOWER(column) is indexed)
+  for (const [key, column] of Object.entries(IN_FILTER_COLUMNS)) {
+    const values = filters[key];
+    if (Array.isArray(values) && values.length > 0) {
+      const list = values.map(value => params.add(String(value).toLowerCase())).join(', ');
+      conditions.push(`LOWER(${column}) IN (${list})`);
+    }
+  }
+
+  // Exclude lists ignore case too, and keep rows without a value (NOT IN alone would drop NULLs)
+  for (const [field, values] of getListExclusions(filters)) {
+    const column = toColumn(field);
+    const list = values.map(value => params.add(String(value).toLowerCase())).join(', ');
+    conditions.push(`(${column} IS NULL OR LOWER(${column}) NOT IN (${list}))`);
+  }
+
+  // Tags match as whole tokens against the normalized tag storage
+  const tags = normalizeTags(filters.tags || []);
+  if (tags.length > 0) {
+    conditions.push(buildTagsCondition(tags, filters.tagsMode, tagStorage, params));
+  }
+  const excludedTags = normalizeTags(filters.excludeTags || []);
+  if (excludedTags.length > 0) {
+    conditions.push(buildTagsCondition(excludedTags, 'none', tagStorage, params));
+  }
+
+  if (filters.minAge !== null && filters.minAge !== undefined && !isNaN(filters.minAge)) {
+    conditions.push(`age >= ${params.add(filters.minAge)}`);
+  }
+  if (filters.maxAge !== null && filters.maxAge !== undefined && !isNaN(filters.maxAge)) {
+    conditions.push(`age <= ${params.add(filters.maxAge)}`);
+  }
+  if (filters.startDate) {
+    conditions.push(`date >= ${params.add(filters.startDate)}`);
+  }
+  if (filters.endDate) {
+    conditions.push(`date <= ${params.add(filters.endDate)}`);
+  }
+
+  // Numeric ranges (amount, quantity, ...) compile like search query predicates
+  for (const predicate of [...getRangePredicates(filters), ...(filters.predicates || [])]) {
+    conditions.push(buildPredicate(predicate, params));
+  }
+
+  // JSON filter expression (POST /api/sales/query)
+  if (filters.expression) {
+    conditions.push(buildExpression(filters.expression, tagStorage, params));
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params: params.values
+  };
+};
+
+/**
+ * SQL expression for a phone column with its formatting characters stripped
+ */
+const phoneDigitsExpression = (column) => {
+  return `REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(${column}, '+', ''), ' ', ''), '-', ''), '(', ''), ')', '')`;
+};
+
+/**
+ * Build the sortBy=relevance score expression for a search (same tiers as utils/relevance:
+ * exact name, exact word, word prefix, substring, then phone exact / suffix / substring)
+ */
+const buildRelevanceExpression = (search, params) => {
+  const query = search.trim().toLowerCase().replace(/\s+/g, ' ');
+  const escaped = escapeLike(query);
+  const name = "LOWER(COALESCE(customer_name, ''))";
+  const tiers = [
+    `WHEN TRIM(${name}) = ${params.add(query)} THEN ${RELEVANCE_SCORES.exactName}`,
+    `WHEN ' ' || ${name} || ' ' LIKE ${params.add(`% ${escaped} %`)} ESCAPE '\\' THEN ${RELEVANCE_SCORES.exactToken}`,
+    `WHEN ${name} LIKE ${params.add(`${escaped}%`)} ESCAPE '\\'
+      OR ${name} LIKE ${params.add(`% ${escaped}%`)} ESCAPE '\\' THEN ${RELEVANCE_SCORES.prefix}`,
+    `WHEN ${name} LIKE ${params.add(`%${escaped}%`)} ESCAPE '\\' THEN ${RELEVANCE_SCORES.substring}`
+  ];
+
+  const queryDigits = query.replace(/\D/g, '');
+  if (queryDigits.length >= 3) {
+    const digits = phoneDigitsExpression("COALESCE(phone_number, '')");
+    const local = `SUBSTR(${digits}, LENGTH(${digits}) - ${LOCAL_PHONE_DIGITS - 1})`;
+    tiers.push(
+      `WHEN ${digits} = ${params.add(queryDigits)} OR ${local} = ${params.add(queryDigits)} THEN ${RELEVANCE_SCORES.phoneExact}`,
+      `WHEN ${digits} LIKE ${params.add(`%${queryDigits}`)} THEN ${RELEVANCE_SCORES.phoneSuffix}`,
+      `WHEN ${digits} LIKE ${params.add(`%${queryDigits}%`)} THEN ${RELEVANCE_SCORES.phoneSubstring}`
+    );
+  }
+
+  return `CASE ${tiers.join('\n      ')} ELSE 0 END`;
+};
+
+/**
+ * Build an ORDER BY clause (column names come from a whitelist, never from input)
+ * sortBy=relevance with a search adds its pattern values to params (the WHERE clause's
+ * values, so placeholders continue after them); without a search it sorts by date desc
+ * @param {Array} params - Parameter values of the statement
+ * @param {Function} placeholder - Maps a 1-based parameter index to its SQL placeholder
+ */
+const buildOrderBy = (sorting = {}, search = '', params = [], placeholder = null) => {
+  if (sorting.sortBy === 'relevance') {
+    if (search && search.trim()) {
+      const relevance = buildRelevanceExpression(search, createParams(placeholder, params));
+      return `ORDER BY ${relevance} DESC, date DESC, id DESC`;
+    }
+    return 'ORDER BY date DESC, id DESC';
+  }
+
+  const column = SORT_COLUMNS[sorting.sortBy] || 'date';
+  const direction = sorting.sortOrder === 'asc' ? 'ASC' : 'DESC';
+  return `ORDER BY ${column} ${direction}, id ${direction}`;
+};
+
+/**
+ * Build the autocomplete query for one field: distinct values starting with prefix
+ * (at any word start; phone numbers by digits, with or without the country code)
+ * @param {string} field - A suggest field (customerName, phoneNumber, productName, brand)
+ * @returns {{ text: string, params: Array }} Rows of { value, match_count }, most records first
+ */
+const buildSuggestQuery = (table, field, prefix, limit, placeholder) => {
+  const params = createParams(placeholder);
+  const column = toColumn(field);
+  let condition;
+
+  if (field === 'phoneNumber') {
+    const digits = phoneDigitsExpression(column);
+    const pattern = `${escapeLike(prefix.replace(/\D/g, ''))}%`;
+    condition = `${digits} LIKE ${params.add(pattern)} ESCAPE '\\'
+      OR SUBSTR(${digits}, LENGTH(${digits}) - ${LOCAL_PHONE_DIGITS - 1}) LIKE ${params.add(pattern)} ESCAPE '\\'`;
+  } else {
+    const escaped = escapeLike(prefix.toLowerCase().trim());
+    condition = `LOWER(${column}) LIKE ${params.add(`${escaped}%`)} ESCAPE '\\'
+      OR LOWER(${column}) LIKE ${params.add(`% ${escaped}%`)} ESCAPE '\\'`;
+  }
+
+  return {
+    text: `SELECT ${column} AS value, COUNT(*) AS match_count FROM ${table}
+      WHERE ${condition}
+      GROUP BY ${column}
+      ORDER BY match_count DESC, value
+      LIMIT ${params.add(limit)}`,
+    params: params.values
+  };
+};
+
+/**
+ * Build a multi-row parameterized INSERT for sales rows (snake_case objects, see toSalesRow)
+ * @returns {{ text: string, params: Array }}
+ */
+const buildInsert = (table, rows, placeholder) => {
+  const params = createParams(placeholder);
+  const tuples = rows.map(row => `(${INSERT_COLUMNS.map(column => params.add(row[column])).join(', ')})`);
+
+  return {
+    text: `INSERT INTO ${table} (${INSERT_COLUMNS.join(', ')}) VALUES ${tuples.join(', ')}`,
+    params: params.values
+  };
+};
+
+/**
+ * Build a parameterized UPDATE that replaces every column of one sales row by id
+ * @returns {{ text: string, params: Array }}
+ */
+const buildUpdate = (table, row, id, placeholder) => {
+  const params = createParams(placeholder);
+  const assignments = INSERT_COLUMNS.map(column => `${column} = ${params.add(row[column])}`);
+
+  return {
+    text: `UPDATE ${table} SET ${assignments.join(', ')} WHERE id = ${params.add(id)}`,
+    params: params.values
+  };
+};
+
+module.exports = {
+  SALES_COLUMNS,
+  INSERT_COLUMNS,
+  SORT_COLUMNS,
+  escapeLike,
+  createParams,
+  toColumn,
+  buildWhereClause,
+  buildOrderBy,
+  buildSuggestQuery,
+  buildInsert,
+  buildUpdate
+};
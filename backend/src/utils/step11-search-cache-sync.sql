@@ -0,0 +1,61 @@
+-- =====================================================
+-- STEP 11: SEARCH CACHE SYNC (updated_at change tracking)
+-- =====================================================
+-- Run this SQL in Supabase SQL Editor
+-- The backend search cache fetches new rows by id on every sync; this script lets it
+-- also pick up updated and deleted rows:
+--   sales.updated_at          - set on insert and on every update
+--   sales_deleted.updated_at  - one row per deleted sales id, with the deletion time
+-- Without it the cache only syncs new rows
+-- =====================================================
+
+-- Step 1: updated_at column (existing rows get the current time)
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+CREATE INDEX IF NOT EXISTS idx_sales_updated_at ON sales (updated_at, id);
+
+CREATE OR REPLACE FUNCTION touch_sales_updated_at()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  NEW.updated_at := NOW();
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS sales_touch_updated_at ON sales;
+CREATE TRIGGER sales_touch_updated_at
+  BEFORE UPDATE ON sales
+  FOR EACH ROW EXECUTE FUNCTION touch_sales_updated_at();
+
+-- Step 2: deleted ids, so caches can drop them
+CREATE TABLE IF NOT EXISTS sales_deleted (
+  id BIGINT PRIMARY KEY,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_sales_deleted_updated_at ON sales_deleted (updated_at, id);
+
+CREATE OR REPLACE FUNCTION record_sales_deletion()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  INSERT INTO sales_deleted (id) VALUES (OLD.id)
+  ON CONFLICT (id) DO UPDATE SET updated_at = NOW();
+  RETURN OLD;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS sales_record_deletion ON sales;
+CREATE TRIGGER sales_record_deletion
+  AFTER DELETE ON sales
+  FOR EACH ROW EXECUTE FUNCTION record_sales_deletion();
+
+GRANT SELECT ON sales_deleted TO anon, authenticated;
+
+-- Step 3: old deletions can be pruned once every backend has synced past them, e.g.
+-- DELETE FROM sales_deleted WHERE updated_at < NOW() - INTERVAL '30 days';
+
+-- ✅ Done! The search cache now syncs updates and deletions every
+-- SEARCH_CACHE_SYNC_INTERVAL milliseconds (default 60000)
@@ -0,0 +1,35 @@
+-- =====================================================
+-- STEP 12: NORMALIZED TAGS (tag_list array + GIN index)
+-- =====================================================
+-- Run this SQL in Supabase SQL Editor
+-- Adds sales.tag_list: the comma-separated tags column as an array of lowercase, trimmed
+-- tags, generated by Postgres (existing rows are filled when the column is added, and it
+-- stays in sync on every insert and update). The tags filter then matches whole tags
+-- (tagsMode any / all / none) through the GIN index:
+--   any  -> tag_list && '{sale,premium}'
+--   all  -> tag_list @> '{sale,premium}'
+--   none -> NOT (tag_list && '{sale,premium}')
+-- Without it the backend matches whole tags with ILIKE patterns (tags separated by
+-- "," or ", ")
+-- =====================================================
+
+-- Adding a stored column rewrites the table; allow it time on large tables
+SET statement_timeout = '10min';
+
+-- Step 1: tag_list column (lowercase, trimmed, empty array for no tags)
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS tag_list TEXT[] GENERATED ALWAYS AS (
+  array_remove(regexp_split_to_array(lower(btrim(COALESCE(tags, ''))), '\s*,\s*'), '')
+) STORED;
+
+-- Step 2: GIN index for the &&, @> operators
+CREATE INDEX IF NOT EXISTS idx_sales_tag_list ON sales USING GIN (tag_list);
+
+ANALYZE sales;
+
+-- Step 3: verify (tag counts)
+SELECT tag, COUNT(*) AS sales
+FROM sales, UNNEST(tag_list) AS tag
+GROUP BY tag
+ORDER BY sales DESC;
+
+-- ✅ Done! Restart the backend so it picks up tag_list
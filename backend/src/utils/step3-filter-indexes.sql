@@ -8,6 +8,10 @@ CREATE INDEX IF NOT EXISTS idx_sales_product_category ON sales(product_category)
 CREATE INDEX IF NOT EXISTS idx_sales_payment_method ON sales(payment_method);
 CREATE INDEX IF NOT EXISTS idx_sales_gender ON sales(gender);
 CREATE INDEX IF NOT EXISTS idx_sales_age ON sales(age);
+CREATE INDEX IF NOT EXISTS idx_sales_brand ON sales(brand);
+CREATE INDEX IF NOT EXISTS idx_sales_store_location ON sales(store_location);
+CREATE INDEX IF NOT EXISTS idx_sales_store_id ON sales(store_id);
+CREATE INDEX IF NOT EXISTS idx_sales_employee_name ON sales(employee_name);
 
 -- Composite indexes for common filter combinations
 CREATE INDEX IF NOT EXISTS idx_sales_date_region ON sales(date, customer_region);
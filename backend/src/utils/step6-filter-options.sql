@@ -1,6 +1,7 @@
 -- ============================================
 -- STEP 6: CREATE FILTER OPTIONS TABLE (Run this for instant filter loading)
 -- ============================================
+-- Safe to re-run: it adds missing columns and recomputes the options
 
 -- Create table to store pre-computed filter options
 CREATE TABLE IF NOT EXISTS filter_options (
@@ -16,17 +17,34 @@ CREATE TABLE IF NOT EXISTS filter_options (
     updated_at TIMESTAMP DEFAULT NOW()
 );
 
+-- Brand, order status, delivery type, store, customer type and salesperson filters
+ALTER TABLE filter_options ADD COLUMN IF NOT EXISTS brands TEXT[];
+ALTER TABLE filter_options ADD COLUMN IF NOT EXISTS order_statuses TEXT[];
+ALTER TABLE filter_options ADD COLUMN IF NOT EXISTS delivery_types TEXT[];
+ALTER TABLE filter_options ADD COLUMN IF NOT EXISTS store_locations TEXT[];
+ALTER TABLE filter_options ADD COLUMN IF NOT EXISTS store_ids TEXT[];
+ALTER TABLE filter_options ADD COLUMN IF NOT EXISTS customer_types TEXT[];
+ALTER TABLE filter_options ADD COLUMN IF NOT EXISTS employee_names TEXT[];
+
 -- Delete existing data
 DELETE FROM filter_options WHERE id = 1;
 
 -- Compute and store filter options (runs once)
-INSERT INTO filter_options (id, regions, genders, categories, payment_methods, min_age, max_age, min_date, max_date)
+INSERT INTO filter_options (id, regions, genders, categories, payment_methods, brands, order_statuses,
+    delivery_types, store_locations, store_ids, customer_types, employee_names, min_age, max_age, min_date, max_date)
 SELECT 
     1 as id,
     ARRAY(SELECT DISTINCT customer_region FROM sales WHERE customer_region IS NOT NULL ORDER BY customer_region) as regions,
     ARRAY(SELECT DISTINCT gender FROM sales WHERE gender IS NOT NULL ORDER BY gender) as genders,
     ARRAY(SELECT DISTINCT product_category FROM sales WHERE product_category IS NOT NULL ORDER BY product_category) as categories,
     ARRAY(SELECT DISTINCT payment_method FROM sales WHERE payment_method IS NOT NULL ORDER BY payment_method) as payment_methods,
+    ARRAY(SELECT DISTINCT brand FROM sales WHERE brand IS NOT NULL ORDER BY brand) as brands,
+    ARRAY(SELECT DISTINCT order_status FROM sales WHERE order_status IS NOT NULL ORDER BY order_status) as order_statuses,
+    ARRAY(SELECT DISTINCT delivery_type FROM sales WHERE delivery_type IS NOT NULL ORDER BY delivery_type) as delivery_types,
+    ARRAY(SELECT DISTINCT store_location FROM sales WHERE store_location IS NOT NULL ORDER BY store_location) as store_locations,
+    ARRAY(SELECT DISTINCT store_id FROM sales WHERE store_id IS NOT NULL ORDER BY store_id) as store_ids,
+    ARRAY(SELECT DISTINCT customer_type FROM sales WHERE customer_type IS NOT NULL ORDER BY customer_type) as customer_types,
+    ARRAY(SELECT DISTINCT employee_name FROM sales WHERE employee_name IS NOT NULL ORDER BY employee_name) as employee_names,
     (SELECT MIN(age) FROM sales) as min_age,
     (SELECT MAX(age) FROM sales) as max_age,
     (SELECT MIN(date) FROM sales) as min_date,
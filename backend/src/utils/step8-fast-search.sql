@@ -89,6 +89,10 @@ END;
 $$;
 
 -- Create a simpler version for filtered searches
+-- (the version without the numeric range parameters is dropped first, so re-running this
+-- script upgrades it instead of adding an overload)
+DROP FUNCTION IF EXISTS search_sales_with_filters(TEXT, TEXT[], TEXT[], TEXT[], TEXT[], INT, INT, DATE, DATE, INT, INT, TEXT, BOOLEAN);
+
 CREATE OR REPLACE FUNCTION search_sales_with_filters(
   p_search TEXT DEFAULT NULL,
   p_regions TEXT[] DEFAULT NULL,
@@ -99,6 +103,16 @@ CREATE OR REPLACE FUNCTION search_sales_with_filters(
   p_max_age INT DEFAULT NULL,
   p_start_date DATE DEFAULT NULL,
   p_end_date DATE DEFAULT NULL,
+  p_min_final_amount NUMERIC DEFAULT NULL,
+  p_max_final_amount NUMERIC DEFAULT NULL,
+  p_min_total_amount NUMERIC DEFAULT NULL,
+  p_max_total_amount NUMERIC DEFAULT NULL,
+  p_min_quantity NUMERIC DEFAULT NULL,
+  p_max_quantity NUMERIC DEFAULT NULL,
+  p_min_discount_percentage NUMERIC DEFAULT NULL,
+  p_max_discount_percentage NUMERIC DEFAULT NULL,
+  p_min_price_per_unit NUMERIC DEFAULT NULL,
+  p_max_price_per_unit NUMERIC DEFAULT NULL,
   p_page_offset INT DEFAULT 0,
   p_page_limit INT DEFAULT 25,
   p_sort_column TEXT DEFAULT 'date',
@@ -130,38 +144,45 @@ SET statement_timeout = '30s'
 AS $$
 DECLARE
   clean_search TEXT;
+  search_word TEXT;
   total BIGINT := 0;
   base_query TEXT;
   count_query TEXT;
   where_clauses TEXT[] := ARRAY[]::TEXT[];
 BEGIN
-  -- Clean search term
+  -- Clean search term: every word must match the customer name (at a word start) or be
+  -- contained in the phone number, product name, brand, customer id or employee name
   IF p_search IS NOT NULL AND LENGTH(TRIM(p_search)) >= 3 THEN
     clean_search := LOWER(TRIM(p_search));
-    where_clauses := array_append(where_clauses, 
-      format('(LOWER(customer_name) LIKE %L OR phone_number LIKE %L)', 
-             clean_search || '%', '%' || clean_search || '%'));
+    FOREACH search_word IN ARRAY regexp_split_to_array(clean_search, '\s+') LOOP
+      search_word := replace(replace(replace(search_word, '\', '\\'), '%', '\%'), '_', '\_');
+      where_clauses := array_append(where_clauses, 
+        format('(LOWER(customer_name) LIKE %1$L OR LOWER(customer_name) LIKE %2$L
+                 OR phone_number LIKE %3$L OR LOWER(product_name) LIKE %3$L OR LOWER(brand) LIKE %3$L
+                 OR LOWER(customer_id) LIKE %3$L OR LOWER(employee_name) LIKE %3$L)', 
+               search_word || '%', '% ' || search_word || '%', '%' || search_word || '%'));
+    END LOOP;
   END IF;
   
-  -- Add filter conditions
+  -- Add filter conditions (list filters ignore case like the other data sources)
   IF p_regions IS NOT NULL AND array_length(p_regions, 1) > 0 THEN
     where_clauses := array_append(where_clauses, 
-      format('customer_region = ANY(%L)', p_regions));
+      format('LOWER(customer_region) = ANY(%L)', LOWER(p_regions::TEXT)::TEXT[]));
   END IF;
   
   IF p_genders IS NOT NULL AND array_length(p_genders, 1) > 0 THEN
     where_clauses := array_append(where_clauses, 
-      format('gender = ANY(%L)', p_genders));
+      format('LOWER(gender) = ANY(%L)', LOWER(p_genders::TEXT)::TEXT[]));
   END IF;
   
   IF p_categories IS NOT NULL AND array_length(p_categories, 1) > 0 THEN
     where_clauses := array_append(where_clauses, 
-      format('product_category = ANY(%L)', p_categories));
+      format('LOWER(product_category) = ANY(%L)', LOWER(p_categories::TEXT)::TEXT[]));
   END IF;
   
   IF p_payment_methods IS NOT NULL AND array_length(p_payment_methods, 1) > 0 THEN
     where_clauses := array_append(where_clauses, 
-      format('payment_method = ANY(%L)', p_payment_methods));
+      format('LOWER(payment_method) = ANY(%L)', LOWER(p_payment_methods::TEXT)::TEXT[]));
   END IF;
   
   IF p_min_age IS NOT NULL THEN
@@ -180,6 +201,47 @@ BEGIN
     where_clauses := array_append(where_clauses, format('date <= %L', p_end_date));
   END IF;
   
+  -- Numeric range filters (amount, total amount, quantity, discount, unit price)
+  IF p_min_final_amount IS NOT NULL THEN
+    where_clauses := array_append(where_clauses, format('final_amount >= %s', p_min_final_amount));
+  END IF;
+  
+  IF p_max_final_amount IS NOT NULL THEN
+    where_clauses := array_append(where_clauses, format('final_amount <= %s', p_max_final_amount));
+  END IF;
+  
+  IF p_min_total_amount IS NOT NULL THEN
+    where_clauses := array_append(where_clauses, format('total_amount >= %s', p_min_total_amount));
+  END IF;
+  
+  IF p_max_total_amount IS NOT NULL THEN
+    where_clauses := array_append(where_clauses, format('total_amount <= %s', p_max_total_amount));
+  END IF;
+  
+  IF p_min_quantity IS NOT NULL THEN
+    where_clauses := array_append(where_clauses, format('quantity >= %s', p_min_quantity));
+  END IF;
+  
+  IF p_max_quantity IS NOT NULL THEN
+    where_clauses := array_append(where_clauses, format('quantity <= %s', p_max_quantity));
+  END IF;
+  
+  IF p_min_discount_percentage IS NOT NULL THEN
+    where_clauses := array_append(where_clauses, format('discount_percentage >= %s', p_min_discount_percentage));
+  END IF;
+  
+  IF p_max_discount_percentage IS NOT NULL THEN
+    where_clauses := array_append(where_clauses, format('discount_percentage <= %s', p_max_discount_percentage));
+  END IF;
+  
+  IF p_min_price_per_unit IS NOT NULL THEN
+    where_clauses := array_append(where_clauses, format('price_per_unit >= %s', p_min_price_per_unit));
+  END IF;
+  
+  IF p_max_price_per_unit IS NOT NULL THEN
+    where_clauses := array_append(where_clauses, format('price_per_unit <= %s', p_max_price_per_unit));
+  END IF;
+  
   -- Build WHERE clause
   IF array_length(where_clauses, 1) > 0 THEN
     base_query := 'SELECT * FROM sales WHERE ' || array_to_string(where_clauses, ' AND ');
@@ -0,0 +1,185 @@
+/**
+ * Search Suggestions
+ * Prefix autocomplete over distinct field values (customer names, phone numbers,
+ * product names, brands) with the number of records holding each value.
+ * Values are found by any word start ("kum" suggests "Rajesh Kumar"); phone numbers
+ * by their digits, with or without the country code.
+ */
+
+const { TermDictionary } = require('./termDictionary');
+
+// Suggested record fields, in display order
+const SUGGEST_FIELDS = ['customerName', 'phoneNumber', 'productName', 'brand'];
+
+const DEFAULT_SUGGEST_LIMIT = 5;
+const MAX_SUGGEST_LIMIT = 20;
+
+// Digits of a local phone number (the country code is anything before these)
+const LOCAL_PHONE_DIGITS = 10;
+
+/**
+ * Whether a prefix looks like a phone number (digits and separators only)
+ */
+const isPhonePrefix = (prefix) => /^[\d\s+()-]+$/.test(prefix) && /\d/.test(prefix);
+
+/**
+ * Fields to suggest for a prefix (phone numbers only for digit prefixes)
+ */
+const getSuggestFields = (prefix) => {
+  return SUGGEST_FIELDS.filter(field => field !== 'phoneNumber' || isPhonePrefix(prefix));
+};
+
+/**
+ * Lookup keys of a value: every word start of a text, or the digits of a phone number
+ */
+const getSuggestKeys = (value, field) => {
+  if (field === 'phoneNumber') {
+    const digits = value.replace(/\D/g, '');
+    return digits.length > LOCAL_PHONE_DIGITS ? [digits, digits.slice(-LOCAL_PHONE_DIGITS)] : [digits];
+  }
+
+  const text = value.toLowerCase().trim();
+  const keys = [text];
+  for (let i = 1; i < text.length; i++) {
+    if (/\s/.test(text[i - 1]) && !/\s/.test(text[i])) {
+      keys.push(text.slice(i));
+    }
+  }
+  return keys;
+};
+
+/**
+ * Normalize a typed prefix for lookup (lowercase, or digits for phone fields)
+ */
+const normalizePrefix = (prefix, field) => {
+  return field === 'phoneNumber' ? prefix.replace(/\D/g, '') : prefix.toLowerCase().trim();
+};
+
+/**
+ * Whether a value starts with prefix at a word start (phone numbers: by digits)
+ */
+const matchesSuggestPrefix = (value, field, prefix) => {
+  const key = normalizePrefix(prefix, field);
+  if (!value || !key) return false;
+  return getSuggestKeys(String(value).toLowerCase(), field).some(valueKey => valueKey.startsWith(key));
+};
+
+/**
+ * Display form of a name stored in lowercase ("rajesh kumar" -> "Rajesh Kumar")
+ */
+const toDisplayName = (name) => name.replace(/(^|\s)(\S)/g, (match, space, ch) => space + ch.toUpperCase());
+
+/**
+ * Order suggestions: most records first, then alphabetically
+ */
+const compareSuggestions = (a, b) => b.count - a.count || a.value.localeCompare(b.value);
+
+/**
+ * Count value occurrences into top-N suggestions (used for rows fetched from a database)
+ * Values that do not start with prefix at a word start are skipped
+ * @param {Array<string>} values - One value per fetched record
+ */
+const countSuggestions = (values, field, prefix, limit) => {
+  const counts = new Map();
+  for (const value of values) {
+    if (!matchesSuggestPrefix(value, field, prefix)) continue;
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return Array.from(counts, ([value, count]) => ({ type: field, value, count }))
+    .sort(compareSuggestions)
+    .slice(0, limit);
+};
+
+/**
+ * Distinct values of one field, looked up by prefix through a sorted key dictionary
+ */
+class SuggestionIndex {
+  constructor(field) {
+    this.field = field;
+    this.values = [];
+    this.counts = [];
+    this.dictionary = new TermDictionary();
+  }
+
+  /**
+   * Build from the field values of every record
+   * @param {Iterable<string>} values - One value per record (empty values are skipped)
+   * @param {Function} format - Display form of a value (defaults to the first spelling seen)
+   */
+  build(values, format = value => value) {
+    const valueIds = new Map();
+    const keys = new Map();
+    this.values = [];
+    this.counts = [];
+
+    for (const raw of values) {
+      if (!raw) continue;
+      const normalized = String(raw).trim().toLowerCase();
+      if (!normalized) continue;
+
+      let id = valueIds.get(normalized);
+      if (id === undefined) {
+        id = this.values.length;
+        valueIds.set(normalized, id);
+        this.values.push(format(String(raw).trim()));
+        this.counts.push(0);
+
+        for (const key of getSuggestKeys(normalized, this.field)) {
+          if (!key) continue;
+          if (!keys.has(key)) keys.set(key, []);
+          keys.get(key).push(id);
+        }
+      }
+      this.counts[id]++;
+    }
+
+    this.dictionary = TermDictionary.fromMap(keys);
+  }
+
+  /**
+   * Top values starting with prefix (at any word start)
+   * @returns {Array<{ type: string, value: string, count: number }>}
+   */
+  suggest(prefix, limit = DEFAULT_SUGGEST_LIMIT) {
+    const key = normalizePrefix(prefix, this.field);
+    if (!key) return [];
+
+    const ids = new Set();
+    const [start, end] = this.dictionary.prefixRange(key);
+    for (let i = start; i < end; i++) {
+      for (const id of this.dictionary.postings[i]) {
+        ids.add(id);
+      }
+    }
+
+    return Array.from(ids, id => ({ type: this.field, value: this.values[id], count: this.counts[id] }))
+      .sort(compareSuggestions)
+      .slice(0, limit);
+  }
+
+  get size() {
+    return this.values.length;
+  }
+}
+
+/**
+ * Clamp the requested number of suggestions per field
+ */
+const parseSuggestLimit = (limit) => {
+  const value = parseInt(limit, 10);
+  if (Number.isNaN(value) || value < 1) return DEFAULT_SUGGEST_LIMIT;
+  return Math.min(value, MAX_SUGGEST_LIMIT);
+};
+
+module.exports = {
+  SUGGEST_FIELDS,
+  DEFAULT_SUGGEST_LIMIT,
+  LOCAL_PHONE_DIGITS,
+  SuggestionIndex,
+  getSuggestFields,
+  isPhonePrefix,
+  matchesSuggestPrefix,
+  toDisplayName,
+  countSuggestions,
+  parseSuggestLimit
+};
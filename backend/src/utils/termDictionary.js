@@ -0,0 +1,177 @@
+/**
+ * Sorted Term Dictionary
+ * Keeps a search vocabulary in a sorted array, so a prefix query is a binary search to a
+ * contiguous range of terms instead of a startsWith() call on every term.
+ * Each term has a posting list of record keys: sorted Uint32Arrays for indexes built once
+ * (these can be merged lazily with mergeSorted), or Sets for indexes updated in place.
+ */
+
+class TermDictionary {
+  constructor() {
+    this.terms = [];
+    this.postings = [];
+  }
+
+  /**
+   * Build a dictionary from a term -> postings Map (postings are stored as given)
+   */
+  static fromMap(map) {
+    const dictionary = new TermDictionary();
+    dictionary.terms = Array.from(map.keys()).sort();
+    dictionary.postings = dictionary.terms.map(term => map.get(term));
+    return dictionary;
+  }
+
+  get size() {
+    return this.terms.length;
+  }
+
+  /**
+   * Position of the first term >= term
+   */
+  lowerBound(term) {
+    let low = 0;
+    let high = this.terms.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (this.terms[mid] < term) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  }
+
+  /**
+   * Position of a term, or -1
+   */
+  indexOf(term) {
+    const index = this.lowerBound(term);
+    return this.terms[index] === term ? index : -1;
+  }
+
+  has(term) {
+    return this.indexOf(term) !== -1;
+  }
+
+  /**
+   * Postings of a term (undefined when the term is not in the dictionary)
+   */
+  get(term) {
+    const index = this.indexOf(term);
+    return index === -1 ? undefined : this.postings[index];
+  }
+
+  /**
+   * Range [start, end) of the terms starting with prefix
+   */
+  prefixRange(prefix) {
+    const start = this.lowerBound(prefix);
+    let low = start;
+    let high = this.terms.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (this.terms[mid].startsWith(prefix)) low = mid + 1;
+      else high = mid;
+    }
+    return [start, low];
+  }
+
+  /**
+   * Add a key to a term's Set postings, inserting the term in order when it is new
+   * @returns {boolean} True when the term was new
+   */
+  add(term, key) {
+    const index = this.lowerBound(term);
+    if (this.terms[index] === term) {
+      this.postings[index].add(key);
+      return false;
+    }
+    this.terms.splice(index, 0, term);
+    this.postings.splice(index, 0, new Set([key]));
+    return true;
+  }
+
+  /**
+   * Remove a key from a term's Set postings (the term itself stays)
+   */
+  remove(term, key) {
+    const postings = this.get(term);
+    if (postings) postings.delete(key);
+  }
+}
+
+/**
+ * Lazily merge sorted posting lists into one ascending sequence without duplicates
+ * (k-way merge over a min-heap of list cursors)
+ * @param {Array<Uint32Array>} lists
+ */
+function* mergeSorted(lists) {
+  const heap = lists.filter(list => list.length > 0).map(list => ({ list, pos: 0 }));
+  const valueOf = (cursor) => cursor.list[cursor.pos];
+
+  const siftDown = (i) => {
+    while (true) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let smallest = i;
+      if (left < heap.length && valueOf(heap[left]) < valueOf(heap[smallest])) smallest = left;
+      if (right < heap.length && valueOf(heap[right]) < valueOf(heap[smallest])) smallest = right;
+      if (smallest === i) return;
+      [heap[i], heap[smallest]] = [heap[smallest], heap[i]];
+      i = smallest;
+    }
+  };
+
+  for (let i = (heap.length >> 1) - 1; i >= 0; i--) siftDown(i);
+
+  let last = -1;
+  while (heap.length > 0) {
+    const cursor = heap[0];
+    const value = valueOf(cursor);
+    if (value !== last) {
+      last = value;
+      yield value;
+    }
+
+    cursor.pos++;
+    if (cursor.pos >= cursor.list.length) {
+      heap[0] = heap[heap.length - 1];
+      heap.pop();
+    }
+    siftDown(0);
+  }
+}
+
+/**
+ * Lazily intersect ascending sequences (values present in every sequence)
+ * @param {Array<Iterator<number>>} iterators
+ */
+function* intersectIterators(iterators) {
+  if (iterators.length === 0) return;
+  const current = iterators.map(iterator => iterator.next());
+
+  while (current.every(result => !result.done)) {
+    const max = Math.max(...current.map(result => result.value));
+    let aligned = true;
+
+    for (let i = 0; i < iterators.length; i++) {
+      while (!current[i].done && current[i].value < max) {
+        current[i] = iterators[i].next();
+      }
+      if (current[i].done) return;
+      if (current[i].value !== max) aligned = false;
+    }
+
+    if (aligned) {
+      yield max;
+      for (let i = 0; i < iterators.length; i++) {
+        current[i] = iterators[i].next();
+      }
+    }
+  }
+}
+
+module.exports = {
+  TermDictionary,
+  mergeSorted,
+  intersectIterators
+};
@@ -0,0 +1,260 @@
+/**
+ * Data Source Adapter Contract
+ * The behavior every adapter must share (see src/adapters/index.js), checked against the
+ * fixture records: listing and paging, multi-select / exclude / range / tag filters,
+ * free-text search, stats, exports, filter expressions and single-record changes
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { RECORD_COUNT, createFilters } = require('./fixtures');
+const { SEARCH_FIELDS, tokenizeSearch, normalizeTags, applySearchQuery } = require('../src/utils/queryParser');
+const { parseFilterExpression } = require('../src/utils/filterExpression');
+const { computeStats } = require('../src/utils/dataUtils');
+
+const DATE_DESC = { sortBy: 'date', sortOrder: 'desc' };
+const ALL = { page: 1, limit: RECORD_COUNT };
+
+const lower = (value) => String(value ?? '').toLowerCase();
+
+/**
+ * Whether every search word is contained in one of the searched fields
+ */
+const matchesSearch = (record, search) => tokenizeSearch(search)
+  .every(word => SEARCH_FIELDS.some(field => lower(record[field]).includes(word)));
+
+/**
+ * Transaction ids of records, newest first
+ */
+const idsByDateDesc = (records) => [...records]
+  .sort((a, b) => b.date.localeCompare(a.date))
+  .map(record => record.transactionId);
+
+const transactionIds = (data) => data.map(record => record.transactionId);
+
+/**
+ * Register the contract tests of an adapter
+ * @param {Object} adapter - Initialized adapter
+ * @param {Array} records - Fixture records the adapter was loaded with
+ * @param {Object} options - exactCounts: false when count() may estimate multi-filter
+ *   counts (Supabase); the totals of the listed pages must still be exact
+ */
+const describeAdapterContract = (adapter, records, { exactCounts = true } = {}) => {
+  /**
+   * Ids of every record matching the filters, newest first (checks count() agrees)
+   */
+  const queryIds = async (filters) => {
+    const result = await adapter.query(filters, DATE_DESC, ALL);
+    assert.equal(result.totalItems, result.data.length);
+    if (exactCounts) assert.equal(await adapter.count(filters), result.totalItems);
+    return transactionIds(result.data);
+  };
+
+  const expectIds = async (overrides, test) => {
+    assert.deepEqual(await queryIds(createFilters(overrides)), idsByDateDesc(records.filter(test)));
+  };
+
+  describe('list', () => {
+    it('pages through every record newest first', async () => {
+      const expected = idsByDateDesc(records);
+      const first = await adapter.query(createFilters(), DATE_DESC, { page: 1, limit: 25 });
+      const last = await adapter.query(createFilters(), DATE_DESC, { page: 3, limit: 25 });
+
+      assert.equal(first.totalItems, RECORD_COUNT);
+      assert.equal(first.totalPages, 3);
+      assert.equal(first.hasNextPage, true);
+      assert.equal(first.hasPrevPage, false);
+      assert.deepEqual(transactionIds(first.data), expected.slice(0, 25));
+      assert.deepEqual(transactionIds(last.data), expected.slice(50));
+      assert.equal(last.hasNextPage, false);
+    });
+
+    it('sorts by final amount', async () => {
+      const result = await adapter.query(createFilters(), { sortBy: 'finalAmount', sortOrder: 'asc' }, ALL);
+      const expected = [...records].sort((a, b) => a.finalAmount - b.finalAmount);
+      assert.deepEqual(transactionIds(result.data), transactionIds(expected));
+    });
+
+    it('returns the filter options of the records', async () => {
+      const options = await adapter.getFilterOptions();
+      assert.deepEqual([...options.regions].sort(), ['East', 'North', 'South', 'West']);
+      assert.deepEqual([...options.paymentMethods].sort(), ['Cash', 'Credit Card', 'UPI']);
+      for (const tag of ['Premium', 'Trending', 'Wholesale']) {
+        assert.ok(options.tags.includes(tag), `tags include ${tag}`);
+      }
+    });
+  });
+
+  describe('filters', () => {
+    it('matches multi-select values ignoring case', async () => {
+      await expectIds({ regions: ['north', 'EAST'] }, record => ['North', 'East'].includes(record.customerRegion));
+    });
+
+    it('combines different multi-select filters with AND', async () => {
+      await expectIds(
+        { genders: ['Female'], categories: ['Books', 'Clothing'] },
+        record => record.gender === 'Female' && ['Books', 'Clothing'].includes(record.productCategory)
+      );
+    });
+
+    it('leaves out excluded values ignoring case', async () => {
+      await expectIds(
+        { regions: ['North', 'South'], excludeEmployeeNames: ['RAVI KUMAR'] },
+        record => ['North', 'South'].includes(record.customerRegion) && record.employeeName !== 'Ravi Kumar'
+      );
+    });
+
+    it('applies age, date and amount ranges', async () => {
+      await expectIds(
+        { minAge: 30, maxAge: 50, startDate: '2023-03-01', endDate: '2023-12-31', minFinalAmount: 1000 },
+        record => record.age >= 30 && record.age <= 50 && record.date >= '2023-03-01' &&
+          record.date <= '2023-12-31' && record.finalAmount >= 1000
+      );
+    });
+  });
+
+  describe('tags', () => {
+    const hasTag = (record, tag) => normalizeTags(record.tags).includes(tag);
+
+    it('matches whole tags, not parts of tags', async () => {
+      await expectIds({ tags: ['sale'] }, record => hasTag(record, 'sale'));
+    });
+
+    it('matches all of the selected tags', async () => {
+      await expectIds({ tags: ['Sale', 'premium'], tagsMode: 'all' }, record => hasTag(record, 'sale') && hasTag(record, 'premium'));
+    });
+
+    it('matches none of the selected tags', async () => {
+      await expectIds({ tags: ['sale', 'budget'], tagsMode: 'none' }, record => !hasTag(record, 'sale') && !hasTag(record, 'budget'));
+    });
+
+    it('leaves out excluded tags', async () => {
+      await expectIds({ tags: ['sale'], excludeTags: ['BUDGET'] }, record => hasTag(record, 'sale') && !hasTag(record, 'budget'));
+    });
+  });
+
+  describe('search', () => {
+    for (const search of ['kumar', 'priya sharma', 'esh', '9800']) {
+      it(`finds every record matching "${search}"`, async () => {
+        const expected = records.filter(record => matchesSearch(record, search));
+        assert.ok(expected.length > 0);
+        await expectIds({ search }, record => matchesSearch(record, search));
+      });
+    }
+
+    it('finds the same records for quoted and unquoted text', async () => {
+      for (const [quoted, plain] of [['"Priya Sharma"', 'Priya Sharma'], ['"kumar" laptop', 'kumar laptop']]) {
+        const { filters } = applySearchQuery(createFilters({ search: quoted }));
+        const expected = await queryIds(createFilters({ search: plain }));
+        assert.ok(expected.length > 0);
+        assert.deepEqual(await queryIds(filters), expected, quoted);
+      }
+    });
+
+    it('combines search with filters', async () => {
+      await expectIds(
+        { search: 'kumar', regions: ['West'] },
+        record => matchesSearch(record, 'kumar') && record.customerRegion === 'West'
+      );
+    });
+  });
+
+  describe('stats and export', () => {
+    const assertStats = (actual, expected) => {
+      assert.equal(actual.totalRecords, expected.totalRecords);
+      assert.equal(actual.totalQuantity, expected.totalQuantity);
+      for (const key of ['totalSales', 'totalDiscount', 'averageOrderValue']) {
+        assert.ok(Math.abs(actual[key] - expected[key]) < 0.011, `${key}: ${actual[key]} vs ${expected[key]}`);
+      }
+    };
+
+    it('adds up every record', async () => {
+      assertStats(await adapter.aggregate(createFilters()), computeStats(records));
+    });
+
+    it('adds up the records matching the filters', async () => {
+      const filters = createFilters({ search: 'kumar', regions: ['south', 'East'] });
+      const expected = records.filter(record => matchesSearch(record, 'kumar') &&
+        ['South', 'East'].includes(record.customerRegion));
+      assertStats(await adapter.aggregate(filters), computeStats(expected));
+    });
+
+    it('exports the matching records in sort order', async () => {
+      const exported = [];
+      const total = await adapter.exportStream(createFilters({ excludeRegions: ['West'] }), DATE_DESC,
+        async (batch) => { exported.push(...batch); });
+
+      const expected = idsByDateDesc(records.filter(record => record.customerRegion !== 'West'));
+      assert.equal(total, expected.length);
+      assert.deepEqual(transactionIds(exported), expected);
+    });
+  });
+
+  describe('filter expressions', () => {
+    it('evaluates AND, OR and NOT groups', async () => {
+      const expression = parseFilterExpression({
+        and: [
+          { or: [{ field: 'region', in: ['north', 'East'] }, { field: 'finalAmount', gt: 4000 }] },
+          { not: { field: 'paymentMethod', eq: 'CASH' } }
+        ]
+      });
+      await expectIds(
+        { expression },
+        record => (['North', 'East'].includes(record.customerRegion) || record.finalAmount > 4000) &&
+          record.paymentMethod !== 'Cash'
+      );
+    });
+
+    it('matches text, dates and whole tags', async () => {
+      const expression = parseFilterExpression({
+        or: [
+          { and: [{ field: 'productName', contains: 'CASE' }, { field: 'date', gte: '2023-06-01' }] },
+          { field: 'tags', eq: 'premium' }
+        ]
+      });
+      await expectIds(
+        { expression },
+        record => (record.productName === 'Phone Case' && record.date >= '2023-06-01') ||
+          normalizeTags(record.tags).includes('premium')
+      );
+    });
+
+    it('excludes tags with a negated tags condition', async () => {
+      const expression = parseFilterExpression({ field: 'tags', nin: ['sale', 'budget'] });
+      await expectIds({ expression }, record => !normalizeTags(record.tags).some(tag => ['sale', 'budget'].includes(tag)));
+    });
+  });
+
+  describe('single records', () => {
+    const newRecord = { ...records[0], transactionId: 'TXN9000', customerName: 'Zoya Fernandes', date: '2025-01-15' };
+
+    it('creates, reads, updates and removes a record', async () => {
+      const created = await adapter.create(newRecord);
+      const id = String(created.id);
+      assert.equal(created.customerName, 'Zoya Fernandes');
+      assert.equal((await adapter.getById(id)).transactionId, 'TXN9000');
+      assert.equal(await adapter.count(createFilters()), RECORD_COUNT + 1);
+      assert.deepEqual(await queryIds(createFilters({ search: 'zoya' })), ['TXN9000']);
+
+      const updated = await adapter.update(id, { ...newRecord, customerRegion: 'Central' });
+      assert.equal(updated.customerRegion, 'Central');
+      assert.equal(String(updated.id), id);
+      assert.deepEqual(await queryIds(createFilters({ regions: ['central'] })), ['TXN9000']);
+
+      assert.equal(await adapter.remove(id), true);
+      assert.equal(await adapter.getById(id), null);
+      assert.equal(await adapter.remove(id), false);
+      assert.equal(await adapter.count(createFilters()), RECORD_COUNT);
+    });
+
+    it('reports unknown ids', async () => {
+      assert.equal(await adapter.getById('999999'), null);
+      assert.equal(await adapter.update('999999', newRecord), null);
+      assert.equal(await adapter.remove('999999'), false);
+    });
+  });
+};
+
+module.exports = {
+  describeAdapterContract
+};
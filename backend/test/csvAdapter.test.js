@@ -0,0 +1,20 @@
+const { before, after } = require('node:test');
+const fs = require('fs');
+const { writeFixtureCsv } = require('./fixtures');
+const { describeAdapterContract } = require('./adapterContract');
+
+const { dir, csvPath, records } = writeFixtureCsv();
+process.env.SALES_CSV_PATH = csvPath;
+process.env.CSV_WATCH = 'false';
+
+const adapter = require('../src/adapters/csvAdapter');
+
+before(async () => {
+  await adapter.init();
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describeAdapterContract(adapter, records);
@@ -0,0 +1,130 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+const { parseFilterExpression, hasTagsCondition } = require('../src/utils/filterExpression');
+const { createRecordFilter } = require('../src/utils/dataUtils');
+const { buildWhereClause, toColumn } = require('../src/utils/sqlBuilder');
+
+// Records with and without values: conditions never match a missing value, negated ones keep it
+const RECORDS = [
+  { id: 1, customerRegion: 'North', finalAmount: 100, date: '2023-01-05', productName: 'Laptop', orderStatus: 'Completed' },
+  { id: 2, customerRegion: null, finalAmount: null, date: null, productName: null, orderStatus: null },
+  { id: 3, customerRegion: 'south', finalAmount: 5000, date: '2023-06-01', productName: 'Phone Case', orderStatus: 'Cancelled' },
+  { id: 4, customerRegion: 'East', finalAmount: 2500.5, date: '2023-03-10', productName: 'novel', orderStatus: null }
+];
+const FIELDS = ['customerRegion', 'finalAmount', 'date', 'productName', 'orderStatus'];
+
+/**
+ * Ids of the records the in-memory compiler matches
+ */
+const matchInMemory = (expression) => {
+  const test = createRecordFilter({ expression: parseFilterExpression(expression) });
+  return RECORDS.filter(test).map(record => record.id);
+};
+
+/**
+ * Ids of the records the SQL compiler matches (SQLite)
+ */
+const matchInSql = (expression) => {
+  const db = new Database(':memory:');
+  try {
+    const columns = FIELDS.map(toColumn);
+    db.exec(`CREATE TABLE sales (id INTEGER PRIMARY KEY, ${columns.join(', ')})`);
+    const insert = db.prepare(`INSERT INTO sales (id, ${columns.join(', ')}) VALUES (${['?', ...columns.map(() => '?')].join(', ')})`);
+    for (const record of RECORDS) insert.run(record.id, ...FIELDS.map(field => record[field]));
+
+    const { where, params } = buildWhereClause({ expression: parseFilterExpression(expression) }, () => '?');
+    return db.prepare(`SELECT id FROM sales ${where} ORDER BY id`).all(params).map(row => row.id);
+  } finally {
+    db.close();
+  }
+};
+
+describe('parseFilterExpression', () => {
+  it('returns null without an expression', () => {
+    assert.equal(parseFilterExpression(null), null);
+    assert.equal(parseFilterExpression(undefined), null);
+  });
+
+  it('pushes NOT down to the conditions', () => {
+    const tree = parseFilterExpression({ not: { and: [{ field: 'region', eq: 'North' }, { field: 'amount', gt: 5 }] } });
+    assert.deepEqual(tree, {
+      type: 'or',
+      nodes: [
+        { type: 'predicate', field: 'customerRegion', op: 'eq', value: 'North', negated: true },
+        { type: 'predicate', field: 'finalAmount', op: 'gt', value: 5, negated: true }
+      ]
+    });
+  });
+
+  it('turns ne and nin into negated eq conditions', () => {
+    assert.deepEqual(parseFilterExpression({ field: 'region', nin: ['A', 'B'] }), {
+      type: 'and',
+      nodes: [
+        { type: 'predicate', field: 'customerRegion', op: 'eq', value: 'A', negated: true },
+        { type: 'predicate', field: 'customerRegion', op: 'eq', value: 'B', negated: true }
+      ]
+    });
+    assert.deepEqual(parseFilterExpression({ not: { field: 'age', ne: 30 } }),
+      { type: 'predicate', field: 'age', op: 'eq', value: 30, negated: false });
+  });
+
+  it('normalizes tags', () => {
+    const tree = parseFilterExpression({ field: 'tags', in: [' Sale', 'PREMIUM', 'sale'] });
+    assert.deepEqual(tree, { type: 'tags', tags: ['sale', 'premium'], negated: false });
+    assert.equal(hasTagsCondition({ type: 'and', nodes: [tree] }), true);
+    assert.equal(hasTagsCondition(parseFilterExpression({ field: 'age', gt: 1 })), false);
+  });
+
+  it('reports every invalid condition with its path', () => {
+    assert.throws(
+      () => parseFilterExpression({
+        and: [{ field: 'nope', eq: 1 }, { field: 'finalAmount', contains: 'x' }, { field: 'region', in: [] }]
+      }),
+      (error) => {
+        assert.deepEqual(error.expressionErrors.map(({ path }) => path), ['and[0]', 'and[1].contains', 'and[2].in']);
+        assert.match(error.message, /Unknown field "nope" at and\[0\]/);
+        return true;
+      }
+    );
+  });
+
+  it('rejects invalid values, empty groups and oversized trees', () => {
+    const invalid = [
+      { field: 'date', gte: '2023-13-45' },
+      { or: [] },
+      { field: 'region', eq: 'a', ne: 'b' },
+      { field: 'region', eq: { nested: true } },
+      { field: 'region', in: Array(201).fill('x') }
+    ];
+    let deep = { field: 'age', eq: 1 };
+    for (let i = 0; i < 17; i++) deep = { not: deep };
+
+    for (const expression of [...invalid, deep]) {
+      assert.throws(() => parseFilterExpression(expression), /Invalid filter expression/, JSON.stringify(expression).slice(0, 60));
+    }
+  });
+});
+
+describe('compiled filter expressions', () => {
+  const cases = [
+    [{ field: 'region', eq: 'SOUTH' }, [3]],
+    [{ field: 'region', ne: 'north' }, [2, 3, 4]],
+    [{ field: 'region', nin: ['North', 'East'] }, [2, 3]],
+    [{ field: 'finalAmount', gte: 2500.5 }, [3, 4]],
+    [{ not: { field: 'finalAmount', lt: 1000 } }, [2, 3, 4]],
+    [{ field: 'date', lt: '2023-06-01' }, [1, 4]],
+    [{ field: 'productName', contains: 'CASE' }, [3]],
+    [{ not: { field: 'productName', contains: 'top' } }, [2, 3, 4]],
+    [{ field: 'orderStatus', eq: 'cancelled' }, [3]],
+    [{ or: [{ field: 'region', in: ['north', 'east'] }, { field: 'finalAmount', gt: 4000 }] }, [1, 3, 4]],
+    [{ and: [{ not: { field: 'orderStatus', eq: 'Completed' } }, { field: 'date', gte: '2023-01-01' }] }, [3, 4]]
+  ];
+
+  for (const [expression, expected] of cases) {
+    it(`matches ${JSON.stringify(expression)} alike in memory and in SQL`, () => {
+      assert.deepEqual(matchInMemory(expression), expected);
+      assert.deepEqual(matchInSql(expression), expected);
+    });
+  }
+});
@@ -0,0 +1,117 @@
+/**
+ * Test Fixtures
+ * A small sales dataset written to a temporary CSV file (default profile headers), and the
+ * empty filters object the controllers build, for the adapter tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getProfile } = require('../src/utils/csvProfiles');
+const {
+  LIST_FILTER_FIELDS,
+  EXCLUDE_FILTER_KEYS,
+  RANGE_FILTER_FIELDS
+} = require('../src/utils/queryParser');
+
+const RECORD_COUNT = 60;
+
+const NAMES = ['Priya Sharma', 'Rahul Verma', 'Anita Kumar', 'Mahesh Iyer', 'Neha Gupta', 'Vikram Singh'];
+const REGIONS = ['North', 'South', 'East', 'West'];
+const CATEGORIES = ['Electronics', 'Clothing', 'Books'];
+const PRODUCTS = ['Laptop', 'Phone Case', 'Novel', 'Jacket'];
+const BRANDS = ['Acme', 'Globex', 'Initech'];
+const PAYMENT_METHODS = ['UPI', 'Cash', 'Credit Card'];
+const ORDER_STATUSES = ['Completed', 'Cancelled', 'Pending'];
+const EMPLOYEES = ['Ravi Kumar', 'Sunil Rao'];
+// Comma-separated tags as exported: mixed case, stray spaces, "Sale" inside "Wholesale"
+const TAGS = ['Sale', 'Wholesale, Premium', 'Premium, Sale', 'SALE,budget', ' Sale ,  Trending ', '', 'Budget'];
+
+/**
+ * The fixture records (normalized field names); every date and final amount is distinct,
+ * so each sort order is unambiguous
+ */
+const createRecords = () => Array.from({ length: RECORD_COUNT }, (_, i) => {
+  const finalAmount = ((i * 7919) % 5000) + 100.25;
+  const date = new Date(Date.UTC(2023, 0, 1) + i * 3 * 24 * 60 * 60 * 1000);
+  return {
+    transactionId: `TXN${1000 + i}`,
+    date: date.toISOString().slice(0, 10),
+    customerId: `CUST${100 + (i % 12)}`,
+    customerName: NAMES[i % NAMES.length],
+    phoneNumber: `98${String((i * 104729) % 100000000).padStart(8, '0')}`,
+    gender: i % 2 === 0 ? 'Male' : 'Female',
+    age: 18 + ((i * 7) % 50),
+    customerRegion: REGIONS[i % REGIONS.length],
+    customerType: i % 3 === 0 ? 'Premium' : 'Regular',
+    productId: `PROD${i % PRODUCTS.length}`,
+    productName: PRODUCTS[i % PRODUCTS.length],
+    brand: BRANDS[i % BRANDS.length],
+    productCategory: CATEGORIES[i % CATEGORIES.length],
+    tags: TAGS[i % TAGS.length],
+    quantity: 1 + (i % 5),
+    pricePerUnit: finalAmount,
+    discountPercentage: (i % 4) * 5,
+    totalAmount: finalAmount + (i % 7) * 10,
+    finalAmount,
+    paymentMethod: PAYMENT_METHODS[i % PAYMENT_METHODS.length],
+    orderStatus: ORDER_STATUSES[i % ORDER_STATUSES.length],
+    deliveryType: i % 2 === 0 ? 'Standard' : 'Express',
+    storeId: `ST${i % 4}`,
+    storeLocation: i % 2 === 0 ? 'Pune' : 'Delhi',
+    salespersonId: `EMP${i % EMPLOYEES.length}`,
+    employeeName: EMPLOYEES[i % EMPLOYEES.length]
+  };
+});
+
+/**
+ * Quote a CSV value when it has a comma, quote or surrounding space
+ */
+const toCsvValue = (value) => {
+  const text = String(value);
+  return /[",]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write the records to a CSV file in a new temporary directory
+ * @returns {Object} { dir, csvPath, records }
+ */
+const writeFixtureCsv = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sales-test-'));
+  const csvPath = path.join(dir, 'sales.csv');
+  const records = createRecords();
+  const { headers } = getProfile('default');
+  const fields = Object.keys(headers);
+
+  const lines = [
+    fields.map(field => toCsvValue(headers[field])).join(','),
+    ...records.map(record => fields.map(field => toCsvValue(record[field])).join(','))
+  ];
+  fs.writeFileSync(csvPath, `${lines.join('\n')}\n`);
+  return { dir, csvPath, records };
+};
+
+/**
+ * Filters with nothing selected (as the controllers build them), with overrides
+ */
+const createFilters = (overrides = {}) => ({
+  search: '',
+  matchMode: 'default',
+  ...Object.fromEntries([...Object.keys(LIST_FILTER_FIELDS), ...Object.values(EXCLUDE_FILTER_KEYS)]
+    .map(key => [key, []])),
+  ...Object.fromEntries(Object.values(RANGE_FILTER_FIELDS).flat().map(key => [key, null])),
+  minAge: null,
+  maxAge: null,
+  tags: [],
+  tagsMode: 'any',
+  startDate: null,
+  endDate: null,
+  ...overrides
+});
+
+module.exports = {
+  RECORD_COUNT,
+  createRecords,
+  writeFixtureCsv,
+  createFilters
+};
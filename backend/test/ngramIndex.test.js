@@ -0,0 +1,40 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { NgramIndex, intersectSorted, unionSorted } = require('../src/utils/ngramIndex');
+
+describe('sorted posting lists', () => {
+  it('intersects with both the merge and the binary search strategy', () => {
+    assert.deepEqual([...intersectSorted(Uint32Array.of(1, 3, 5, 7), Uint32Array.of(3, 4, 5, 8))], [3, 5]);
+
+    const long = Uint32Array.from({ length: 100 }, (_, i) => i * 2);
+    assert.deepEqual([...intersectSorted(Uint32Array.of(4, 5, 198, 300), long)], [4, 198]);
+  });
+
+  it('unions without duplicates', () => {
+    assert.deepEqual([...unionSorted(Uint32Array.of(1, 3, 5), Uint32Array.of(2, 3, 6))], [1, 2, 3, 5, 6]);
+  });
+});
+
+describe('NgramIndex', () => {
+  const texts = ['rajesh kumar', 'mahesh iyer', 'priya sharma'];
+  const index = new NgramIndex();
+  index.build(texts.length, i => [texts[i]]);
+
+  it('narrows substring queries to the records with every gram', () => {
+    assert.deepEqual([...index.candidates('esh')], [0, 1]);
+    assert.deepEqual([...index.candidates('hesh')], [1]);
+    assert.deepEqual([...index.candidates('xyz')], []);
+  });
+
+  it('answers two-character queries from the grams containing them', () => {
+    assert.deepEqual([...index.candidates('ar')], [0, 2]);
+    assert.equal(index.candidates('a'), null);
+  });
+
+  it('reports its size', () => {
+    const usage = index.getMemoryUsage();
+    assert.equal(usage.gramLength, 3);
+    assert.equal(usage.grams, index.gramIds.size);
+    assert.ok(usage.postingsBytes > 0);
+  });
+});
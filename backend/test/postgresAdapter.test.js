@@ -0,0 +1,42 @@
+const { describe, before, after } = require('node:test');
+const fs = require('fs');
+const path = require('path');
+const { Client } = require('pg');
+const { createRecords } = require('./fixtures');
+const { describeAdapterContract } = require('./adapterContract');
+
+// Runs against the database in DATABASE_URL, in a schema of its own that is dropped afterwards
+const schema = `sales_test_${process.pid}`;
+process.env.PGOPTIONS = `-c search_path=${schema},public`;
+
+const adapter = require('../src/adapters/postgresAdapter');
+const records = createRecords();
+
+/**
+ * Run statements on a connection of their own
+ */
+const execute = async (sql) => {
+  const client = new Client({ connectionString: process.env.DATABASE_URL });
+  await client.connect();
+  try {
+    await client.query(sql);
+  } finally {
+    await client.end();
+  }
+};
+
+describe('postgres adapter', { skip: !process.env.DATABASE_URL && 'set DATABASE_URL to run' }, () => {
+  before(async () => {
+    await execute(`CREATE SCHEMA ${schema}`);
+    await execute(fs.readFileSync(path.join(__dirname, '../src/utils/postgres-schema.sql'), 'utf8'));
+    await adapter.init();
+    await adapter.append(records);
+  });
+
+  after(async () => {
+    await adapter.close();
+    await execute(`DROP SCHEMA IF EXISTS ${schema} CASCADE`);
+  });
+
+  describeAdapterContract(adapter, records);
+});
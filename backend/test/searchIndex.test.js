@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SearchIndex } = require('../src/utils/searchIndex');
+
+const RECORDS = [
+  { customerName: 'Rajesh Kumar', phoneNumber: '+91 98765 43210', productName: 'Laptop', brand: 'Acme', customerId: 'CUST1', employeeName: 'Sunil Rao' },
+  { customerName: 'Mahesh Iyer', phoneNumber: '9123456789', productName: 'Novel', brand: 'Globex', customerId: 'CUST2', employeeName: 'Ravi Kumar' },
+  { customerName: 'Priya Sharma', phoneNumber: '9988776655', productName: 'Phone Case', brand: 'Acme', customerId: 'CUST3', employeeName: 'Sunil Rao' },
+  { customerName: 'Amit Shah', phoneNumber: '9876500000', productName: 'Jacket', brand: 'Initech', customerId: 'CUST4', employeeName: 'Sunil Rao' },
+  { customerName: 'Amitabh Rao', phoneNumber: '9000043210', productName: 'Laptop', brand: 'Globex', customerId: 'CUST5', employeeName: 'Ravi Kumar' }
+];
+
+const buildIndex = () => {
+  const index = new SearchIndex({ maxDistance: 0 });
+  index.build(RECORDS);
+  return index;
+};
+
+describe('SearchIndex', () => {
+  const index = buildIndex();
+  const search = (query, options) => [...index.search(query, RECORDS, options)].sort();
+
+  it('matches word prefixes and substrings inside words', () => {
+    assert.deepEqual(search('amit'), [3, 4]);
+    assert.deepEqual(search('esh'), [0, 1]);
+  });
+
+  it('matches words of the other fields by prefix, and inside words when nothing else does', () => {
+    assert.deepEqual(search('acm'), [0, 2]);
+    assert.deepEqual(search('lobe'), [1, 4]);
+    assert.deepEqual(search('top'), [0, 4]);
+    assert.deepEqual(search('cust3'), [2]);
+  });
+
+  it('matches phone digits typed with or without separators', () => {
+    assert.deepEqual(search('98765'), [0, 3]);
+    assert.deepEqual(search('43210'), [0, 4]);
+    assert.deepEqual(search('98-765-432'), [0]);
+  });
+
+  it('only matches phones containing every digit of the query', () => {
+    assert.deepEqual(search('98760'), []);
+  });
+
+  it('needs every word to match one of the searched fields', () => {
+    assert.deepEqual(search('kumar laptop'), [0, 4]);
+    assert.deepEqual(search('rajesh laptop'), [0]);
+    assert.deepEqual(search('rao globex'), [4]);
+    assert.deepEqual(search('sunil acme'), [0, 2]);
+  });
+
+  it('falls back to one substring across words', () => {
+    assert.deepEqual(search('sh ku'), [0]);
+  });
+
+  it('walks the same matches lazily in record order', () => {
+    for (const query of ['amit', 'esh', 'kumar', '98765', 'sunil acme', 'lobe', 'sh ku']) {
+      assert.deepEqual([...index.matchIterator(query, RECORDS)], search(query), query);
+    }
+
+    const matches = index.matchIterator('sunil', RECORDS);
+    assert.equal(matches.next().value, 0);
+  });
+
+  it('returns null for an empty query', () => {
+    assert.equal(index.search('  ', RECORDS), null);
+    assert.equal(index.matchIterator('', RECORDS), null);
+  });
+
+  it('reports its index sizes', () => {
+    const stats = index.getStats();
+    assert.equal(stats.isBuilt, true);
+    assert.equal(stats.recordCount, RECORDS.length);
+    assert.ok(stats.ngram.grams > 0);
+  });
+});
@@ -0,0 +1,21 @@
+const { before, after } = require('node:test');
+const fs = require('fs');
+const path = require('path');
+const { writeFixtureCsv } = require('./fixtures');
+const { describeAdapterContract } = require('./adapterContract');
+
+const { dir, csvPath, records } = writeFixtureCsv();
+process.env.SALES_CSV_PATH = csvPath;
+process.env.SQLITE_PATH = path.join(dir, 'sales.db');
+
+const adapter = require('../src/adapters/sqliteAdapter');
+
+before(async () => {
+  await adapter.init();
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describeAdapterContract(adapter, records);
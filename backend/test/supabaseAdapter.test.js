@@ -0,0 +1,26 @@
+const { before } = require('node:test');
+const { createRecords } = require('./fixtures');
+const { describeAdapterContract } = require('./adapterContract');
+const { installSupabaseStub } = require('./supabaseStub');
+
+// databaseService reads the credentials when it loads; the client is the in-memory stub
+process.env.SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_KEY = 'test-key';
+process.env.SEARCH_CACHE_SNAPSHOT = 'false';
+process.env.SEARCH_CACHE_SYNC_INTERVAL = '0';
+installSupabaseStub();
+
+const adapter = require('../src/adapters/supabaseAdapter');
+const records = createRecords();
+
+before(async () => {
+  await adapter.init();
+  await adapter.append(records);
+
+  // The search cache starts building a second after init
+  while (!adapter.getStatus().isReady) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+});
+
+describeAdapterContract(adapter, records, { exactCounts: false });
@@ -0,0 +1,398 @@
+/**
+ * In-memory Supabase Client
+ * Answers the PostgREST queries of databaseService and the search cache from a sales table
+ * held in memory, so the Supabase adapter runs the contract suite without a project.
+ * Covers the query builder calls the app makes (filters, or() logic trees, order, range,
+ * counts, insert / update / delete). sales has the tag_list column of step12-tag-list.sql
+ * and sales_stats is computed from the rows on every read; other tables and RPC functions
+ * answer with PostgREST's "not found" errors, like a project without those setup scripts
+ */
+
+const Module = require('module');
+const { SALES_COLUMNS } = require('../src/utils/sqlBuilder');
+
+const SALES_TABLE_COLUMNS = [...SALES_COLUMNS, 'tag_list'];
+
+/**
+ * Lowercased tags of a comma-separated tags value (the tag_list generated column)
+ */
+const toTagList = (tags) => (tags || '').trim().toLowerCase().split(/\s*,\s*/).filter(Boolean);
+
+/**
+ * Read-only sales_stats row (step2-rpc-function.sql) of the sales rows
+ */
+const computeSalesStats = (rows) => {
+  const round = (value) => Math.round(value * 100) / 100;
+  const sum = (column) => rows.reduce((total, row) => total + (Number(row[column]) || 0), 0);
+  return {
+    id: 1,
+    total_records: rows.length,
+    total_sales: round(sum('final_amount')),
+    total_quantity: sum('quantity'),
+    total_discount: round(sum('total_amount') - sum('final_amount')),
+    average_order_value: rows.length > 0 ? round(sum('final_amount') / rows.length) : 0
+  };
+};
+
+/**
+ * Split a PostgREST list on the commas outside quotes, parentheses and braces
+ */
+const splitList = (text) => {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '\\') i++;
+      else if (ch === '"') quoted = false;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === '(' || ch === '{') {
+      depth++;
+    } else if (ch === ')' || ch === '}') {
+      depth--;
+    } else if (ch === ',' && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts;
+};
+
+/**
+ * A PostgREST value, without its double quotes and backslash escapes
+ */
+const unquote = (text) => {
+  if (!text.startsWith('"') || !text.endsWith('"')) return text;
+  return text.slice(1, -1).replace(/\\(.)/g, '$1');
+};
+
+/**
+ * Value of a condition written in PostgREST syntax: in.(a,b) and {a,b} lists, is.null
+ */
+const parseValue = (op, text) => {
+  if (op === 'in') return splitList(text.slice(1, -1)).map(unquote);
+  if (op === 'cs' || op === 'ov') return splitList(text.slice(1, -1)).filter(Boolean).map(unquote);
+  if (op === 'is') return text === 'null' ? null : text === 'true';
+  return unquote(text);
+};
+
+/**
+ * Condition tree of a PostgREST logic tree item: "column.[not.]op.value" or "and(...)" / "or(...)"
+ */
+const parseCondition = (text) => {
+  const group = text.match(/^(not\.)?(and|or)\((.*)\)$/s);
+  if (group) {
+    return { type: group[2], negated: !!group[1], nodes: splitList(group[3]).map(parseCondition) };
+  }
+
+  const [column, ...rest] = text.split('.');
+  const negated = rest[0] === 'not';
+  if (negated) rest.shift();
+  const [op, ...value] = rest;
+  return { type: 'condition', column, op, negated, value: parseValue(op, value.join('.')) };
+};
+
+/**
+ * LIKE pattern as a regular expression (% and _ wildcards, backslash escapes)
+ */
+const likeToRegExp = (pattern, flags) => {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '\\' && i + 1 < pattern.length) source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    else if (ch === '%') source += '.*';
+    else if (ch === '_') source += '.';
+    else source += ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+  return new RegExp(`^${source}$`, `s${flags}`);
+};
+
+/**
+ * Compare a cell with a condition value: numbers as numbers, everything else as text
+ */
+const compareValues = (cell, value) => {
+  const other = typeof cell === 'number' ? Number(value) : String(value);
+  if (cell === other) return 0;
+  return cell < other ? -1 : 1;
+};
+
+/**
+ * Evaluate a condition on a row like SQL: true, false or null (unknown, e.g. a NULL cell)
+ */
+const evaluate = (node, row) => {
+  if (node.type === 'and' || node.type === 'or') {
+    const results = node.nodes.map(child => evaluate(child, row));
+    const decisive = node.type === 'and' ? false : true;
+    let result = results.includes(decisive) ? decisive : results.includes(null) ? null : !decisive;
+    if (node.negated && result !== null) result = !result;
+    return result;
+  }
+
+  const cell = row[node.column];
+  let result;
+  if (node.op === 'is') {
+    result = node.value === null ? cell === null || cell === undefined : cell === node.value;
+  } else if (cell === null || cell === undefined) {
+    return null;
+  } else if (node.op === 'eq') {
+    result = compareValues(cell, node.value) === 0;
+  } else if (node.op === 'neq') {
+    result = compareValues(cell, node.value) !== 0;
+  } else if (node.op === 'gt') {
+    result = compareValues(cell, node.value) > 0;
+  } else if (node.op === 'gte') {
+    result = compareValues(cell, node.value) >= 0;
+  } else if (node.op === 'lt') {
+    result = compareValues(cell, node.value) < 0;
+  } else if (node.op === 'lte') {
+    result = compareValues(cell, node.value) <= 0;
+  } else if (node.op === 'like' || node.op === 'ilike') {
+    result = likeToRegExp(String(node.value), node.op === 'ilike' ? 'i' : '').test(String(cell));
+  } else if (node.op === 'in') {
+    result = node.value.some(value => compareValues(cell, value) === 0);
+  } else if (node.op === 'cs') {
+    result = node.value.every(value => cell.includes(value));
+  } else if (node.op === 'ov') {
+    result = node.value.some(value => cell.includes(value));
+  } else {
+    throw new Error(`Unsupported filter operator "${node.op}"`);
+  }
+  return node.negated ? !result : result;
+};
+
+/**
+ * Compare rows like ORDER BY: NULL last ascending and first descending (as in Postgres)
+ */
+const compareByOrders = (orders) => (a, b) => {
+  for (const { column, ascending, nullsFirst } of orders) {
+    const x = a[column];
+    const y = b[column];
+    if (x === y) continue;
+    const xNull = x === null || x === undefined;
+    const yNull = y === null || y === undefined;
+    if (xNull || yNull) return xNull === nullsFirst ? -1 : 1;
+    return (x < y ? -1 : 1) * (ascending ? 1 : -1);
+  }
+  return 0;
+};
+
+const missingTable = (table) => ({
+  code: 'PGRST205',
+  message: `Could not find the table 'public.${table}' in the schema cache`
+});
+
+/**
+ * Query builder of one request (chained calls add to it; awaiting it runs it)
+ */
+class StubQuery {
+  constructor(database, table) {
+    this.database = database;
+    this.table = table;
+    this.action = 'select';
+    this.columns = null;
+    this.countOption = null;
+    this.head = false;
+    this.conditions = [];
+    this.orders = [];
+    this.offset = 0;
+    this.rowLimit = Infinity;
+    this.returnOne = null;
+  }
+
+  select(columns = '*', { count = null, head = false } = {}) {
+    this.columns = columns;
+    this.countOption = count;
+    this.head = head;
+    return this;
+  }
+
+  insert(rows) {
+    this.action = 'insert';
+    this.values = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.values = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  where(column, op, value, negated = false) {
+    this.conditions.push({ type: 'condition', column, op, negated, value });
+    return this;
+  }
+
+  eq(column, value) { return this.where(column, 'eq', value); }
+  neq(column, value) { return this.where(column, 'neq', value); }
+  gt(column, value) { return this.where(column, 'gt', value); }
+  gte(column, value) { return this.where(column, 'gte', value); }
+  lt(column, value) { return this.where(column, 'lt', value); }
+  lte(column, value) { return this.where(column, 'lte', value); }
+  like(column, pattern) { return this.where(column, 'like', pattern); }
+  ilike(column, pattern) { return this.where(column, 'ilike', pattern); }
+  in(column, values) { return this.where(column, 'in', values); }
+  is(column, value) { return this.where(column, 'is', value); }
+
+  filter(column, op, value) {
+    return this.where(column, op, parseValue(op, String(value)));
+  }
+
+  not(column, op, value) {
+    return this.where(column, op, parseValue(op, String(value)), true);
+  }
+
+  or(conditions) {
+    this.conditions.push({ type: 'or', negated: false, nodes: splitList(conditions).map(parseCondition) });
+    return this;
+  }
+
+  order(column, { ascending = true, nullsFirst = !ascending } = {}) {
+    this.orders.push({ column, ascending, nullsFirst });
+    return this;
+  }
+
+  range(from, to) {
+    this.offset = from;
+    this.rowLimit = to - from + 1;
+    return this;
+  }
+
+  limit(count) {
+    this.rowLimit = count;
+    return this;
+  }
+
+  single() {
+    this.returnOne = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.returnOne = 'maybe';
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.run()).then(resolve, reject);
+  }
+
+  /**
+   * Columns of a select list ('*' is every column)
+   */
+  selectedColumns(columns) {
+    return columns === '*' ? null : columns.split(',').map(column => column.trim());
+  }
+
+  run() {
+    const table = this.database.tables[this.table];
+    if (!table) return { data: null, error: missingTable(this.table), count: null };
+
+    const columns = this.selectedColumns(this.columns || '*');
+    const unknown = [...(columns || []), ...this.conditions.map(node => node.column).filter(Boolean)]
+      .find(column => !table.columns.includes(column));
+    if (unknown) {
+      return { data: null, error: { code: '42703', message: `column ${this.table}.${unknown} does not exist` }, count: null };
+    }
+
+    let rows;
+    if (this.action === 'insert') {
+      rows = this.values.map(values => table.insert(values));
+    } else {
+      rows = table.read().filter(row => this.conditions.every(node => evaluate(node, row) === true));
+      if (this.action === 'update') rows = rows.map(row => table.update(row.id, this.values));
+      if (this.action === 'delete') rows.forEach(row => table.remove(row.id));
+    }
+
+    const count = this.countOption ? rows.length : null;
+    if (this.action === 'select') {
+      rows = [...rows].sort(compareByOrders(this.orders)).slice(this.offset, this.offset + this.rowLimit);
+    } else if (this.columns === null) {
+      return { data: null, error: null, count };
+    }
+
+    const data = this.head ? null : rows.map(row =>
+      Object.fromEntries((columns || table.columns).map(column => [column, row[column] ?? null])));
+
+    if (this.returnOne) {
+      if (data.length > 1 || (data.length === 0 && this.returnOne === 'single')) {
+        return { data: null, error: { code: 'PGRST116', message: `JSON object requested, ${data.length} rows returned` }, count };
+      }
+      return { data: data[0] || null, error: null, count };
+    }
+    return { data, error: null, count };
+  }
+}
+
+/**
+ * The sales table: ids are generated, tag_list follows tags
+ */
+const createSalesTable = () => {
+  const rows = new Map();
+  let lastId = 0;
+
+  const store = (id, values) => {
+    const row = { ...Object.fromEntries(SALES_COLUMNS.map(column => [column, null])), ...values, id };
+    row.tag_list = toTagList(row.tags);
+    rows.set(id, row);
+    return row;
+  };
+
+  return {
+    columns: SALES_TABLE_COLUMNS,
+    read: () => [...rows.values()],
+    insert: (values) => store(++lastId, values),
+    update: (id, values) => store(id, { ...rows.get(id), ...values }),
+    remove: (id) => rows.delete(id)
+  };
+};
+
+/**
+ * Create an in-memory database and a Supabase client factory over it
+ * @returns {Object} { createClient, sales } - sales is the sales table (read() lists its rows)
+ */
+const createSupabaseStub = () => {
+  const sales = createSalesTable();
+  const salesStats = {
+    columns: Object.keys(computeSalesStats([])),
+    read: () => [computeSalesStats(sales.read())]
+  };
+  const database = { tables: { sales, sales_stats: salesStats } };
+
+  const client = {
+    from: (table) => new StubQuery(database, table),
+    rpc: async (name) => ({
+      data: null,
+      error: { code: 'PGRST202', message: `Could not find the function public.${name} in the schema cache` }
+    })
+  };
+
+  return { createClient: () => client, sales };
+};
+
+/**
+ * Make require('@supabase/supabase-js') return the stub (call before requiring the app)
+ */
+const installSupabaseStub = () => {
+  const stub = createSupabaseStub();
+  const id = require.resolve('@supabase/supabase-js');
+  const module = new Module(id);
+  module.loaded = true;
+  module.exports = { createClient: stub.createClient };
+  require.cache[id] = module;
+  return stub;
+};
+
+module.exports = {
+  createSupabaseStub,
+  installSupabaseStub
+};
@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { TermDictionary, mergeSorted, intersectIterators } = require('../src/utils/termDictionary');
+
+describe('lazy posting list streams', () => {
+  it('merges and intersects lazily', () => {
+    const merged = mergeSorted([Uint32Array.of(1, 4, 9), Uint32Array.of(2, 4), Uint32Array.of()]);
+    assert.equal(merged.next().value, 1);
+    assert.deepEqual([...merged], [2, 4, 9]);
+
+    const streams = [mergeSorted([Uint32Array.of(1, 5, 8)]), mergeSorted([Uint32Array.of(2, 5), Uint32Array.of(8, 9)])];
+    assert.deepEqual([...intersectIterators(streams)], [5, 8]);
+    assert.deepEqual([...intersectIterators([])], []);
+  });
+});
+
+describe('TermDictionary', () => {
+  const dictionary = TermDictionary.fromMap(new Map([
+    ['kumar', Uint32Array.of(0)],
+    ['amit', Uint32Array.of(3)],
+    ['amitabh', Uint32Array.of(4)],
+    ['rajesh', Uint32Array.of(0)]
+  ]));
+
+  it('keeps the terms sorted and finds prefix ranges', () => {
+    assert.deepEqual(dictionary.terms, ['amit', 'amitabh', 'kumar', 'rajesh']);
+    assert.deepEqual(dictionary.prefixRange('ami'), [0, 2]);
+    assert.deepEqual(dictionary.prefixRange('k'), [2, 3]);
+    const [start, end] = dictionary.prefixRange('zed');
+    assert.equal(start, end);
+    assert.deepEqual([...dictionary.get('kumar')], [0]);
+    assert.equal(dictionary.get('kum'), undefined);
+  });
+
+  it('inserts new terms in order', () => {
+    const words = new TermDictionary();
+    assert.equal(words.add('rao', 1), true);
+    assert.equal(words.add('amit', 2), true);
+    assert.equal(words.add('rao', 3), false);
+    words.remove('rao', 1);
+    assert.deepEqual(words.terms, ['amit', 'rao']);
+    assert.deepEqual([...words.get('rao')], [3]);
+  });
+});
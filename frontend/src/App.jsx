@@ -29,7 +29,18 @@ function App() {
   } = useFilters();
 
   // Sales data hook
-  const { data, loading, error, totalItems, totalPages, refetch, fetchFilterOptions } = useSalesData();
+  const {
+    data,
+    loading,
+    error,
+    totalItems,
+    countIsEstimate,
+    totalPages,
+    query,
+    queryErrors,
+    refetch,
+    fetchFilterOptions
+  } = useSalesData();
 
   // Fetch filter options on mount
   useEffect(() => {
@@ -96,6 +107,8 @@ function App() {
           <SearchBar 
             value={filters.search} 
             onSearch={handleSearch} 
+            terms={query?.terms}
+            errors={queryErrors}
           />
         </div>
       </header>
@@ -105,6 +118,7 @@ function App() {
         <StatsCards 
           filters={filters}
           totalItems={totalItems} 
+          countIsEstimate={countIsEstimate}
         />
 
         {/* Filter Panel */}
@@ -129,7 +143,7 @@ function App() {
           data={data} 
           loading={loading} 
           error={error}
-          searchTerm={filters.search}
+          searchTerm={query ? query.search : filters.search}
         />
 
         {/* Pagination Controls */}
@@ -137,6 +151,7 @@ function App() {
           currentPage={pagination.page}
           totalPages={totalPages}
           totalItems={totalItems}
+          countIsEstimate={countIsEstimate}
           onPageChange={handlePageChange}
           disabled={loading}
         />
@@ -1,4 +1,5 @@
 import { useState } from 'react';
+import { getRangeParams, getExcludeParams } from '../utils/helpers';
 import '../styles/ExportButton.css';
 
 // API base URL for export - use environment variable for production
@@ -33,12 +34,28 @@ function buildExportUrl(filters, sorting) {
   
   if (Array.isArray(filters.tags) && filters.tags.length > 0) {
     params.set('tags', filters.tags.join(','));
+    if (filters.tagsMode) {
+      params.set('tagsMode', filters.tagsMode);
+    }
   }
   
   if (Array.isArray(filters.paymentMethods) && filters.paymentMethods.length > 0) {
     params.set('paymentMethods', filters.paymentMethods.join(','));
   }
   
+  // Order, store and salesperson filters
+  ['brands', 'orderStatuses', 'deliveryTypes', 'storeLocations', 'storeIds', 'customerTypes', 'employeeNames']
+    .forEach(key => {
+      if (Array.isArray(filters[key]) && filters[key].length > 0) {
+        params.set(key, filters[key].join(','));
+      }
+    });
+  
+  // Exclude lists - excludeRegions, excludeBrands, ...
+  Object.entries(getExcludeParams(filters)).forEach(([key, value]) => {
+    params.set(key, value);
+  });
+  
   // Numeric filters - minAge, maxAge
   if (filters.minAge !== null && filters.minAge !== undefined && filters.minAge !== '') {
     params.set('minAge', String(filters.minAge));
@@ -48,6 +65,11 @@ function buildExportUrl(filters, sorting) {
     params.set('maxAge', String(filters.maxAge));
   }
   
+  // Amount, quantity, discount and unit price ranges
+  Object.entries(getRangeParams(filters)).forEach(([key, value]) => {
+    params.set(key, value);
+  });
+  
   // Date filters
   if (filters.startDate) {
     params.set('startDate', filters.startDate);
@@ -99,7 +121,15 @@ function ExportButton({ filters, sorting }) {
       maxAge: null,
       categories: [],
       tags: [],
+      tagsMode: 'any',
       paymentMethods: [],
+      brands: [],
+      orderStatuses: [],
+      deliveryTypes: [],
+      storeLocations: [],
+      storeIds: [],
+      customerTypes: [],
+      employeeNames: [],
       startDate: null,
       endDate: null
     };
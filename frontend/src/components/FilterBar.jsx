@@ -1,6 +1,28 @@
 import { useState, useRef, useEffect } from 'react';
+import { RANGE_FILTERS, EXCLUDABLE_FILTERS, getExcludeKey } from '../utils/helpers';
 import '../styles/FilterBar.css';
 
+// Order, store and salesperson filters (multi-select, options from the filters API)
+const LIST_FILTERS = [
+  { name: 'brands', label: 'Brand' },
+  { name: 'orderStatuses', label: 'Order Status' },
+  { name: 'deliveryTypes', label: 'Delivery Type' },
+  { name: 'storeLocations', label: 'Store' },
+  { name: 'storeIds', label: 'Store ID' },
+  { name: 'customerTypes', label: 'Customer Type' },
+  { name: 'employeeNames', label: 'Salesperson' }
+];
+
+// How selected tags are matched: sales with any of them, all of them, or none of them
+const TAGS_MODES = [
+  { value: 'any', label: 'Any' },
+  { value: 'all', label: 'All' },
+  { value: 'none', label: 'None' }
+];
+
+// Option lists longer than this get a filter box (there can be hundreds of salespeople)
+const OPTION_FILTER_THRESHOLD = 10;
+
 function FilterBar({ 
   options, 
   filters, 
@@ -10,6 +32,9 @@ function FilterBar({
   onClearFilters 
 }) {
   const [activeDropdown, setActiveDropdown] = useState(null);
+  // Dropdowns switched to Exclude (filter name -> true / false); without a choice, a dropdown
+  // with excluded values shows them
+  const [excludeModes, setExcludeModes] = useState({});
 
   if (!options) {
     return <div className="filter-bar-loading">Loading filters...</div>;
@@ -19,14 +44,50 @@ function FilterBar({
     setActiveDropdown(activeDropdown === filterName ? null : filterName);
   };
 
+  const isExcluding = (filterName) =>
+    excludeModes[filterName] ?? filters[getExcludeKey(filterName)]?.length > 0;
+
+  // Filters key the checkboxes of a dropdown edit: its include list or its exclude list
+  const getSelectionKey = (filterName) =>
+    EXCLUDABLE_FILTERS.includes(filterName) && isExcluding(filterName) ? getExcludeKey(filterName) : filterName;
+
+  const getSelected = (filterName) => filters[getSelectionKey(filterName)] || [];
+
+  const hasListSelection = (filterName) =>
+    filters[filterName]?.length > 0 || filters[getExcludeKey(filterName)]?.length > 0;
+
   const handleOptionSelect = (filterName, value) => {
-    const currentValues = filters[filterName] || [];
+    const key = getSelectionKey(filterName);
+    const currentValues = filters[key] || [];
     const newValues = currentValues.includes(value)
       ? currentValues.filter(v => v !== value)
       : [...currentValues, value];
-    onFilterChange(filterName, newValues);
+    onFilterChange(key, newValues);
+  };
+
+  // Switching between Include and Exclude keeps the checked values
+  const handleExcludeChange = (filterName, exclude) => {
+    if (exclude === isExcluding(filterName)) return;
+    const from = exclude ? filterName : getExcludeKey(filterName);
+    const to = exclude ? getExcludeKey(filterName) : filterName;
+    onFilterChange(to, filters[from] || []);
+    onFilterChange(from, []);
+    setExcludeModes(prev => ({ ...prev, [filterName]: exclude }));
+  };
+
+  const handleClearFilters = () => {
+    setExcludeModes({});
+    onClearFilters();
+  };
+
+  const handleRangeChange = (filterName, value) => {
+    const number = parseFloat(value);
+    onFilterChange(filterName, Number.isFinite(number) ? number : null);
   };
 
+  const hasRange = ({ minKey, maxKey }) =>
+    (filters[minKey] ?? null) !== null || (filters[maxKey] ?? null) !== null;
+
   const getFilterLabel = (filterName, defaultLabel) => {
     const values = filters[filterName] || [];
     if (values.length === 0) return defaultLabel;
@@ -40,6 +101,9 @@ function FilterBar({
     filters.categories?.length > 0 ||
     filters.tags?.length > 0 ||
     filters.paymentMethods?.length > 0 ||
+    LIST_FILTERS.some(({ name }) => filters[name]?.length > 0) ||
+    EXCLUDABLE_FILTERS.some(name => filters[getExcludeKey(name)]?.length > 0) ||
+    RANGE_FILTERS.some(hasRange) ||
     filters.minAge !== null ||
     filters.maxAge !== null ||
     filters.startDate !== null ||
@@ -49,7 +113,7 @@ function FilterBar({
     <div className="filter-bar">
       <button 
         className={`filter-reset-btn ${hasActiveFilters ? 'active' : ''}`}
-        onClick={onClearFilters}
+        onClick={handleClearFilters}
         title="Reset all filters"
       >
         ↻
@@ -60,14 +124,19 @@ function FilterBar({
         label="Customer Region"
         isOpen={activeDropdown === 'regions'}
         onToggle={() => handleDropdownToggle('regions')}
-        hasSelection={filters.regions?.length > 0}
+        hasSelection={hasListSelection('regions')}
+        isExcluding={isExcluding('regions')}
       >
+        <ExcludeToggle
+          excluding={isExcluding('regions')}
+          onChange={(exclude) => handleExcludeChange('regions', exclude)}
+        />
         <div className="dropdown-options">
           {(options.regions || []).map(region => (
             <label key={region} className="dropdown-option">
               <input
                 type="checkbox"
-                checked={filters.regions?.includes(region)}
+                checked={getSelected('regions').includes(region)}
                 onChange={() => handleOptionSelect('regions', region)}
               />
               <span>{region}</span>
@@ -81,14 +150,19 @@ function FilterBar({
         label="Gender"
         isOpen={activeDropdown === 'genders'}
         onToggle={() => handleDropdownToggle('genders')}
-        hasSelection={filters.genders?.length > 0}
+        hasSelection={hasListSelection('genders')}
+        isExcluding={isExcluding('genders')}
       >
+        <ExcludeToggle
+          excluding={isExcluding('genders')}
+          onChange={(exclude) => handleExcludeChange('genders', exclude)}
+        />
         <div className="dropdown-options">
           {(options.genders || []).map(gender => (
             <label key={gender} className="dropdown-option">
               <input
                 type="checkbox"
-                checked={filters.genders?.includes(gender)}
+                checked={getSelected('genders').includes(gender)}
                 onChange={() => handleOptionSelect('genders', gender)}
               />
               <span>{gender}</span>
@@ -132,14 +206,19 @@ function FilterBar({
         label="Product Category"
         isOpen={activeDropdown === 'categories'}
         onToggle={() => handleDropdownToggle('categories')}
-        hasSelection={filters.categories?.length > 0}
+        hasSelection={hasListSelection('categories')}
+        isExcluding={isExcluding('categories')}
       >
+        <ExcludeToggle
+          excluding={isExcluding('categories')}
+          onChange={(exclude) => handleExcludeChange('categories', exclude)}
+        />
         <div className="dropdown-options">
           {(options.categories || []).map(category => (
             <label key={category} className="dropdown-option">
               <input
                 type="checkbox"
-                checked={filters.categories?.includes(category)}
+                checked={getSelected('categories').includes(category)}
                 onChange={() => handleOptionSelect('categories', category)}
               />
               <span>{category}</span>
@@ -155,6 +234,18 @@ function FilterBar({
         onToggle={() => handleDropdownToggle('tags')}
         hasSelection={filters.tags?.length > 0}
       >
+        <div className="filter-mode" role="group" aria-label="Tag matching">
+          {TAGS_MODES.map(({ value, label }) => (
+            <button
+              key={value}
+              type="button"
+              className={`filter-mode-btn ${(filters.tagsMode || 'any') === value ? 'active' : ''}`}
+              onClick={() => onFilterChange('tagsMode', value)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
         <div className="dropdown-options">
           {(options.tags || []).map(tag => (
             <label key={tag} className="dropdown-option">
@@ -174,14 +265,19 @@ function FilterBar({
         label="Payment Method"
         isOpen={activeDropdown === 'paymentMethods'}
         onToggle={() => handleDropdownToggle('paymentMethods')}
-        hasSelection={filters.paymentMethods?.length > 0}
+        hasSelection={hasListSelection('paymentMethods')}
+        isExcluding={isExcluding('paymentMethods')}
       >
+        <ExcludeToggle
+          excluding={isExcluding('paymentMethods')}
+          onChange={(exclude) => handleExcludeChange('paymentMethods', exclude)}
+        />
         <div className="dropdown-options">
           {(options.paymentMethods || []).map(method => (
             <label key={method} className="dropdown-option">
               <input
                 type="checkbox"
-                checked={filters.paymentMethods?.includes(method)}
+                checked={getSelected('paymentMethods').includes(method)}
                 onChange={() => handleOptionSelect('paymentMethods', method)}
               />
               <span>{method}</span>
@@ -190,6 +286,62 @@ function FilterBar({
         </div>
       </FilterDropdown>
 
+      {/* Brand, Order Status, Delivery Type, Store, Customer Type and Salesperson Filters */}
+      {LIST_FILTERS.map(({ name, label }) => (
+        <FilterDropdown
+          key={name}
+          label={label}
+          isOpen={activeDropdown === name}
+          onToggle={() => handleDropdownToggle(name)}
+          hasSelection={hasListSelection(name)}
+          isExcluding={isExcluding(name)}
+        >
+          <ExcludeToggle
+            excluding={isExcluding(name)}
+            onChange={(exclude) => handleExcludeChange(name, exclude)}
+          />
+          <OptionList
+            name={name}
+            options={options[name] || []}
+            selected={getSelected(name)}
+            onSelect={handleOptionSelect}
+          />
+        </FilterDropdown>
+      ))}
+
+      {/* Amount, Total Amount, Quantity, Discount and Unit Price Range Filters */}
+      {RANGE_FILTERS.map(range => (
+        <FilterDropdown
+          key={range.minKey}
+          label={range.label}
+          isOpen={activeDropdown === range.minKey}
+          onToggle={() => handleDropdownToggle(range.minKey)}
+          hasSelection={hasRange(range)}
+        >
+          <div className="range-filter-content">
+            <div className="range-inputs">
+              <input
+                type="number"
+                placeholder="Min"
+                value={filters[range.minKey] ?? ''}
+                onChange={(e) => handleRangeChange(range.minKey, e.target.value)}
+                min={0}
+                step="any"
+              />
+              <span>to</span>
+              <input
+                type="number"
+                placeholder="Max"
+                value={filters[range.maxKey] ?? ''}
+                onChange={(e) => handleRangeChange(range.maxKey, e.target.value)}
+                min={0}
+                step="any"
+              />
+            </div>
+          </div>
+        </FilterDropdown>
+      ))}
+
       {/* Date Range Filter */}
       <FilterDropdown
         label="Date"
@@ -225,11 +377,71 @@ function FilterBar({
   );
 }
 
-function FilterDropdown({ label, isOpen, onToggle, hasSelection, children }) {
+function ExcludeToggle({ excluding, onChange }) {
+  return (
+    <div className="filter-mode" role="group" aria-label="Include or exclude">
+      <button
+        type="button"
+        className={`filter-mode-btn ${excluding ? '' : 'active'}`}
+        onClick={() => onChange(false)}
+      >
+        Include
+      </button>
+      <button
+        type="button"
+        className={`filter-mode-btn ${excluding ? 'active excluding' : ''}`}
+        onClick={() => onChange(true)}
+      >
+        Exclude
+      </button>
+    </div>
+  );
+}
+
+function OptionList({ name, options, selected, onSelect }) {
+  const [query, setQuery] = useState('');
+  const needle = query.trim().toLowerCase();
+  const visibleOptions = needle
+    ? options.filter(option => option.toLowerCase().includes(needle))
+    : options;
+
+  return (
+    <>
+      {options.length > OPTION_FILTER_THRESHOLD && (
+        <input
+          className="dropdown-search"
+          type="text"
+          placeholder="Filter options..."
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          autoFocus
+        />
+      )}
+      <div className="dropdown-options">
+        {visibleOptions.map(option => (
+          <label key={option} className="dropdown-option">
+            <input
+              type="checkbox"
+              checked={selected.includes(option)}
+              onChange={() => onSelect(name, option)}
+            />
+            <span>{option}</span>
+          </label>
+        ))}
+        {visibleOptions.length === 0 && (
+          <span className="dropdown-empty">No matches</span>
+        )}
+      </div>
+    </>
+  );
+}
+
+function FilterDropdown({ label, isOpen, onToggle, hasSelection, isExcluding, children }) {
   const dropdownRef = useRef(null);
+  const selectionClass = hasSelection ? `has-selection ${isExcluding ? 'has-exclusion' : ''}` : '';
 
   return (
-    <div className={`filter-dropdown ${isOpen ? 'open' : ''} ${hasSelection ? 'has-selection' : ''}`} ref={dropdownRef}>
+    <div className={`filter-dropdown ${isOpen ? 'open' : ''} ${selectionClass}`} ref={dropdownRef}>
       <button className="filter-dropdown-trigger" onClick={onToggle}>
         <span>{label}</span>
         <span className="dropdown-arrow">
@@ -1,6 +1,6 @@
 import '../styles/Pagination.css';
 
-function Pagination({ currentPage, totalPages, totalItems, onPageChange, disabled }) {
+function Pagination({ currentPage, totalPages, totalItems, countIsEstimate, onPageChange, disabled }) {
   const handlePrevious = () => {
     if (currentPage > 1) {
       onPageChange(currentPage - 1);
@@ -97,7 +97,7 @@ function Pagination({ currentPage, totalPages, totalItems, onPageChange, disable
       </button>
 
       <span className="page-info">
-        Page {currentPage} of {totalPages} ({totalItems?.toLocaleString() || 0} records)
+        Page {currentPage} of {totalPages} ({countIsEstimate ? 'about ' : ''}{totalItems?.toLocaleString() || 0} records)
       </span>
     </div>
   );
@@ -1,9 +1,33 @@
 import { useState, useEffect, useMemo, useRef } from 'react';
+import { useSuggestions } from '../hooks/useSuggestions';
 import '../styles/SearchBar.css';
 
-function SearchBar({ value, onSearch }) {
+// Suggestion types as shown in the dropdown
+const SUGGESTION_LABELS = {
+  customerName: 'Customer',
+  phoneNumber: 'Phone',
+  productName: 'Product',
+  brand: 'Brand'
+};
+
+// Products and brands are searched as field terms, names and phones as text
+const SUGGESTION_FIELDS = {
+  productName: 'product',
+  brand: 'brand'
+};
+
+function SearchBar({ value, onSearch, terms = [], errors = [] }) {
   const [inputValue, setInputValue] = useState(value || '');
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
   const timeoutRef = useRef(null);
+  const suggestions = useSuggestions(showSuggestions ? inputValue : '');
+  const isOpen = showSuggestions && suggestions.length > 0;
+
+  // Nothing is highlighted until the user moves through a new list
+  useEffect(() => {
+    setActiveIndex(-1);
+  }, [suggestions]);
 
   // Update local state when prop changes
   useEffect(() => {
@@ -22,6 +46,7 @@ function SearchBar({ value, onSearch }) {
   const handleChange = (e) => {
     const newValue = e.target.value;
     setInputValue(newValue);
+    setShowSuggestions(true);
     
     // Clear existing timeout
     if (timeoutRef.current) {
@@ -40,18 +65,56 @@ function SearchBar({ value, onSearch }) {
 
   const handleClear = () => {
     setInputValue('');
+    setShowSuggestions(false);
     if (timeoutRef.current) {
       clearTimeout(timeoutRef.current);
     }
     onSearch('');
   };
 
+  // Remove one parsed term from the query (positions refer to the trimmed search text)
+  const handleRemoveTerm = (term) => {
+    const source = (value || '').trim();
+    const newValue = `${source.slice(0, term.start)} ${source.slice(term.end)}`.replace(/\s+/g, ' ').trim();
+    setInputValue(newValue);
+    if (timeoutRef.current) {
+      clearTimeout(timeoutRef.current);
+    }
+    onSearch(newValue);
+  };
+
+  const chips = useMemo(() => (terms || []).filter(term => term.type !== 'text'), [terms]);
+
+  const handleSelectSuggestion = (suggestion) => {
+    const field = SUGGESTION_FIELDS[suggestion.type];
+    const newValue = field ? `${field}:"${suggestion.value}"` : suggestion.value;
+    setInputValue(newValue);
+    setShowSuggestions(false);
+    if (timeoutRef.current) {
+      clearTimeout(timeoutRef.current);
+    }
+    onSearch(newValue);
+  };
+
   const handleKeyDown = (e) => {
-    if (e.key === 'Enter') {
+    if (isOpen && e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex(index => (index + 1) % suggestions.length);
+    } else if (isOpen && e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(index => (index <= 0 ? suggestions.length - 1 : index - 1));
+    } else if (e.key === 'Escape') {
+      setShowSuggestions(false);
+    } else if (e.key === 'Enter') {
+      if (isOpen && activeIndex >= 0) {
+        handleSelectSuggestion(suggestions[activeIndex]);
+        return;
+      }
       // Clear debounce and search immediately on Enter
       if (timeoutRef.current) {
         clearTimeout(timeoutRef.current);
       }
+      setShowSuggestions(false);
       onSearch(inputValue);
     }
   };
@@ -66,10 +129,16 @@ function SearchBar({ value, onSearch }) {
         <input
           type="text"
           className="search-input"
-          placeholder="Search name (min 2 chars)"
+          placeholder="Search name, product, brand, or region:North amount>5000"
           value={inputValue}
           onChange={handleChange}
           onKeyDown={handleKeyDown}
+          onBlur={() => setShowSuggestions(false)}
+          role="combobox"
+          aria-expanded={isOpen}
+          aria-controls="search-suggestions"
+          aria-autocomplete="list"
+          aria-activedescendant={activeIndex >= 0 ? `search-suggestion-${activeIndex}` : undefined}
         />
         {inputValue && (
           <button 
@@ -82,7 +151,55 @@ function SearchBar({ value, onSearch }) {
             </svg>
           </button>
         )}
+        {isOpen && (
+          <ul id="search-suggestions" className="search-suggestions" role="listbox">
+            {suggestions.map((suggestion, index) => (
+              <li
+                key={`${suggestion.type}-${suggestion.value}`}
+                id={`search-suggestion-${index}`}
+                className={`search-suggestion${index === activeIndex ? ' active' : ''}`}
+                role="option"
+                aria-selected={index === activeIndex}
+                onMouseDown={(e) => {
+                  // mousedown fires before the input's blur closes the list
+                  e.preventDefault();
+                  handleSelectSuggestion(suggestion);
+                }}
+                onMouseEnter={() => setActiveIndex(index)}
+              >
+                <span className="search-suggestion-value">{suggestion.value}</span>
+                <span className="search-suggestion-type">{SUGGESTION_LABELS[suggestion.type]}</span>
+                <span className="search-suggestion-count">{suggestion.count}</span>
+              </li>
+            ))}
+          </ul>
+        )}
       </div>
+      {chips.length > 0 && (
+        <div className="search-chips">
+          {chips.map(term => (
+            <span key={`${term.start}-${term.end}`} className={`search-chip search-chip-${term.type}`}>
+              {term.label}
+              <button
+                className="search-chip-remove"
+                onClick={() => handleRemoveTerm(term)}
+                title="Remove"
+              >
+                ×
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+      {errors && errors.length > 0 && (
+        <ul className="search-errors">
+          {errors.map(error => (
+            <li key={`${error.position}-${error.message}`}>
+              {error.message} (at character {error.position + 1})
+            </li>
+          ))}
+        </ul>
+      )}
     </div>
   );
 }
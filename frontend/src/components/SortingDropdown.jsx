@@ -1,6 +1,7 @@
 import '../styles/SortingDropdown.css';
 
 const SORT_OPTIONS = [
+  { value: 'relevance-desc', label: 'Relevance (Best Match)', sortBy: 'relevance', sortOrder: 'desc' },
   { value: 'date-desc', label: 'Date (Newest First)', sortBy: 'date', sortOrder: 'desc' },
   { value: 'date-asc', label: 'Date (Oldest First)', sortBy: 'date', sortOrder: 'asc' },
   { value: 'quantity-desc', label: 'Quantity (High to Low)', sortBy: 'quantity', sortOrder: 'desc' },
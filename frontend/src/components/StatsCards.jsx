@@ -1,8 +1,9 @@
 import { useState, useEffect } from 'react';
 import { salesApi } from '../services/api';
+import { getRangeParams, getExcludeParams } from '../utils/helpers';
 import '../styles/StatsCards.css';
 
-function StatsCards({ filters, totalItems }) {
+function StatsCards({ filters, totalItems, countIsEstimate }) {
   const [stats, setStats] = useState(null);
   const [loading, setLoading] = useState(true);
 
@@ -12,9 +13,20 @@ function StatsCards({ filters, totalItems }) {
   const genders = filters?.genders?.join(',') || '';
   const categories = filters?.categories?.join(',') || '';
   const tags = filters?.tags?.join(',') || '';
+  const tagsMode = tags ? filters?.tagsMode || 'any' : '';
   const paymentMethods = filters?.paymentMethods?.join(',') || '';
+  const brands = filters?.brands?.join(',') || '';
+  const orderStatuses = filters?.orderStatuses?.join(',') || '';
+  const deliveryTypes = filters?.deliveryTypes?.join(',') || '';
+  const storeLocations = filters?.storeLocations?.join(',') || '';
+  const storeIds = filters?.storeIds?.join(',') || '';
+  const customerTypes = filters?.customerTypes?.join(',') || '';
+  const employeeNames = filters?.employeeNames?.join(',') || '';
   const minAge = filters?.minAge || '';
   const maxAge = filters?.maxAge || '';
+  // Set exclude lists and range bounds as query strings (one dependency each)
+  const exclusions = new URLSearchParams(getExcludeParams(filters)).toString();
+  const ranges = new URLSearchParams(getRangeParams(filters)).toString();
   const startDate = filters?.startDate || '';
   const endDate = filters?.endDate || '';
 
@@ -26,7 +38,8 @@ function StatsCards({ filters, totalItems }) {
         // Check if any filters are active (excluding search - it's too slow for stats)
         const hasNonSearchFilters = regions || genders || categories || 
                           tags || paymentMethods || minAge || maxAge || 
-                          startDate || endDate;
+                          startDate || endDate || brands || orderStatuses || deliveryTypes ||
+                          storeLocations || storeIds || customerTypes || employeeNames || exclusions || ranges;
 
         let response;
         
@@ -47,7 +60,17 @@ function StatsCards({ filters, totalItems }) {
             maxAge,
             categories,
             tags,
+            tagsMode,
             paymentMethods,
+            brands,
+            orderStatuses,
+            deliveryTypes,
+            storeLocations,
+            storeIds,
+            customerTypes,
+            employeeNames,
+            ...Object.fromEntries(new URLSearchParams(exclusions)),
+            ...Object.fromEntries(new URLSearchParams(ranges)),
             startDate,
             endDate
           });
@@ -69,9 +92,12 @@ function StatsCards({ filters, totalItems }) {
     };
     
     fetchStats();
-  }, [search, regions, genders, categories, tags, paymentMethods, minAge, maxAge, startDate, endDate]);
+  }, [search, regions, genders, categories, tags, tagsMode, paymentMethods, minAge, maxAge, startDate, endDate,
+      brands, orderStatuses, deliveryTypes, storeLocations, storeIds, customerTypes, employeeNames, exclusions, ranges]);
 
   const filteredCount = totalItems || stats?.totalRecords || 0;
+  // Estimated counts (large Supabase queries) are marked as such
+  const countPrefix = countIsEstimate && totalItems ? 'about ' : '';
 
   return (
     <div className="stats-cards">
@@ -91,7 +117,7 @@ function StatsCards({ filters, totalItems }) {
         <div className="stat-value">
           {loading ? '...' : `₹${(stats?.totalSales || 0).toLocaleString('en-IN', { maximumFractionDigits: 0 })}`}
         </div>
-        <div className="stat-subtext">{filteredCount.toLocaleString()} records</div>
+        <div className="stat-subtext">{countPrefix}{filteredCount.toLocaleString()} records</div>
       </div>
       
       <div className="stat-card highlight">
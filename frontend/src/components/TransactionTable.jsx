@@ -1,11 +1,12 @@
-import { formatCurrency, formatDate, highlightText } from '../utils/helpers';
+import { formatCurrency, formatDate, highlightText, highlightRanges } from '../utils/helpers';
 import '../styles/TransactionTable.css';
 
 /**
  * Render text with search term highlighted
+ * Uses the matched ranges from the API (sale._matches) when present
  */
-const HighlightedText = ({ text, searchTerm }) => {
-  const parts = highlightText(text, searchTerm);
+const HighlightedText = ({ text, searchTerm, ranges }) => {
+  const parts = ranges ? highlightRanges(text, ranges) : highlightText(text, searchTerm);
   return (
     <>
       {parts.map((part, i) => 
@@ -80,16 +81,24 @@ function TransactionTable({ data, loading, error, searchTerm = '' }) {
             </tr>
           </thead>
           <tbody>
-            {data.map((sale, index) => (
-              <tr key={`${sale.customerId}-${sale.productId}-${index}`}>
+            {data.map((sale) => (
+              <tr key={sale.id}>
                 <td className="date-cell">{formatDate(sale.date)}</td>
                 <td className="customer-cell">
                   <div className="customer-info">
                     <span className="customer-name">
-                      <HighlightedText text={sale.customerName} searchTerm={searchTerm} />
+                      <HighlightedText
+                        text={sale.customerName}
+                        searchTerm={searchTerm}
+                        ranges={sale._matches && (sale._matches.customerName || [])}
+                      />
                     </span>
                     <span className="customer-phone" onClick={() => handleCopyPhone(sale.phoneNumber)} title="Click to copy">
-                      <HighlightedText text={sale.phoneNumber} searchTerm={searchTerm} />
+                      <HighlightedText
+                        text={sale.phoneNumber}
+                        searchTerm={searchTerm}
+                        ranges={sale._matches && (sale._matches.phoneNumber || [])}
+                      />
                     </span>
                   </div>
                 </td>
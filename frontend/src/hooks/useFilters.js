@@ -11,7 +11,36 @@ const initialFilters = {
   maxAge: null,
   categories: [],
   tags: [],
+  tagsMode: 'any',
   paymentMethods: [],
+  brands: [],
+  orderStatuses: [],
+  deliveryTypes: [],
+  storeLocations: [],
+  storeIds: [],
+  customerTypes: [],
+  employeeNames: [],
+  excludeRegions: [],
+  excludeGenders: [],
+  excludeCategories: [],
+  excludePaymentMethods: [],
+  excludeBrands: [],
+  excludeOrderStatuses: [],
+  excludeDeliveryTypes: [],
+  excludeStoreLocations: [],
+  excludeStoreIds: [],
+  excludeCustomerTypes: [],
+  excludeEmployeeNames: [],
+  minFinalAmount: null,
+  maxFinalAmount: null,
+  minTotalAmount: null,
+  maxTotalAmount: null,
+  minQuantity: null,
+  maxQuantity: null,
+  minDiscountPercentage: null,
+  maxDiscountPercentage: null,
+  minPricePerUnit: null,
+  maxPricePerUnit: null,
   startDate: null,
   endDate: null
 };
@@ -1,5 +1,6 @@
 import { useState, useCallback } from 'react';
 import { salesApi } from '../services/api';
+import { getRangeParams, getExcludeParams } from '../utils/helpers';
 
 /**
  * Custom hook for managing sales data fetching
@@ -9,7 +10,10 @@ export function useSalesData() {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [totalItems, setTotalItems] = useState(0);
+  const [countIsEstimate, setCountIsEstimate] = useState(false);
   const [totalPages, setTotalPages] = useState(0);
+  const [query, setQuery] = useState(null);
+  const [queryErrors, setQueryErrors] = useState([]);
 
   /**
    * Fetch sales data with filters, sorting, and pagination
@@ -27,7 +31,17 @@ export function useSalesData() {
         maxAge: filters.maxAge,
         categories: filters.categories.join(','),
         tags: filters.tags.join(','),
+        tagsMode: filters.tagsMode,
         paymentMethods: filters.paymentMethods.join(','),
+        brands: filters.brands.join(','),
+        orderStatuses: filters.orderStatuses.join(','),
+        deliveryTypes: filters.deliveryTypes.join(','),
+        storeLocations: filters.storeLocations.join(','),
+        storeIds: filters.storeIds.join(','),
+        customerTypes: filters.customerTypes.join(','),
+        employeeNames: filters.employeeNames.join(','),
+        ...getExcludeParams(filters),
+        ...getRangeParams(filters),
         startDate: filters.startDate,
         endDate: filters.endDate,
         sortBy: sorting.sortBy,
@@ -39,7 +53,10 @@ export function useSalesData() {
       if (response.success) {
         setData(response.data);
         setTotalItems(response.pagination.totalItems);
+        setCountIsEstimate(!!response.pagination.countIsEstimate);
         setTotalPages(response.pagination.totalPages);
+        setQuery(response.query || null);
+        setQueryErrors([]);
       } else {
         throw new Error(response.error || 'Failed to fetch data');
       }
@@ -51,6 +68,9 @@ export function useSalesData() {
       }
       
       console.error('Error fetching sales data:', err);
+      // Search query syntax errors are shown at the search box
+      setQuery(null);
+      setQueryErrors(err.details?.errors || []);
       // Provide user-friendly error messages
       let errorMessage = err.message || 'An error occurred while fetching data';
       if (errorMessage.toLowerCase().includes('timeout')) {
@@ -61,6 +81,7 @@ export function useSalesData() {
       setError(errorMessage);
       setData([]);
       setTotalItems(0);
+      setCountIsEstimate(false);
       setTotalPages(0);
     } finally {
       setLoading(false);
@@ -88,7 +109,10 @@ export function useSalesData() {
     loading,
     error,
     totalItems,
+    countIsEstimate,
     totalPages,
+    query,
+    queryErrors,
     refetch,
     fetchFilterOptions
   };
@@ -0,0 +1,47 @@
+import { useState, useEffect, useRef } from 'react';
+import { salesApi } from '../services/api';
+
+// Wait this long after the last keystroke before asking for suggestions
+const SUGGEST_DELAY = 200;
+const MIN_SUGGEST_LENGTH = 2;
+
+// Text with field terms (region:North, amount>5000) is a query, not a prefix
+const FIELD_TERM_PATTERN = /\w+(>=|<=|:|=|>|<)/;
+
+/**
+ * Custom hook for fetching search suggestions as the user types
+ * Only the latest request's response is kept
+ */
+export function useSuggestions(text) {
+  const [suggestions, setSuggestions] = useState([]);
+  const requestRef = useRef(0);
+
+  useEffect(() => {
+    const prefix = (text || '').trim();
+    const requestId = ++requestRef.current;
+
+    if (prefix.length < MIN_SUGGEST_LENGTH || FIELD_TERM_PATTERN.test(prefix)) {
+      setSuggestions([]);
+      return undefined;
+    }
+
+    const timeout = setTimeout(async () => {
+      try {
+        const response = await salesApi.getSuggestions(prefix);
+        if (requestId === requestRef.current && response.success) {
+          setSuggestions(response.data.suggestions);
+        }
+      } catch (err) {
+        // Suggestions are optional (not every data source supports them)
+        console.error('Error fetching suggestions:', err);
+        if (requestId === requestRef.current) {
+          setSuggestions([]);
+        }
+      }
+    }, SUGGEST_DELAY);
+
+    return () => clearTimeout(timeout);
+  }, [text]);
+
+  return suggestions;
+}
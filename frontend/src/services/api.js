@@ -38,9 +38,11 @@ apiClient.interceptors.response.use(
     console.error('[API] Response error:', error);
     
     if (error.response) {
-      // Server responded with error status
+      // Server responded with error status (details keeps the body, e.g. search query errors)
       const errorMessage = error.response.data?.message || error.response.statusText;
-      return Promise.reject(new Error(errorMessage));
+      const responseError = new Error(errorMessage);
+      responseError.details = error.response.data;
+      return Promise.reject(responseError);
     } else if (error.request) {
       // Request made but no response
       return Promise.reject(new Error('No response from server. Please check your connection.'));
@@ -98,6 +100,13 @@ export const salesApi = {
     return apiClient.get('/sales/filters');
   },
 
+  /**
+   * Get search suggestions (customer names, phones, products, brands) for a prefix
+   */
+  getSuggestions: async (q, limit) => {
+    return apiClient.get('/sales/suggest', { params: { q, limit } });
+  },
+
   /**
    * Get sales statistics
    */
@@ -148,3 +148,87 @@ export const highlightText = (text, searchTerm) => {
   
   return parts.length > 0 ? parts : [{ text: normalizedText, highlighted: false }];
 };
+
+/**
+ * Split text at matched [start, end) character ranges (sorted, non-overlapping)
+ * Returns an array of { text, highlighted } objects for rendering
+ */
+export const highlightRanges = (text, ranges) => {
+  if (!text || !ranges || ranges.length === 0) {
+    return [{ text, highlighted: false }];
+  }
+
+  const normalizedText = String(text);
+  const parts = [];
+  let lastIndex = 0;
+
+  ranges.forEach(([start, end]) => {
+    if (start < lastIndex || end <= start) return;
+    if (start > lastIndex) {
+      parts.push({ text: normalizedText.slice(lastIndex, start), highlighted: false });
+    }
+    parts.push({ text: normalizedText.slice(start, end), highlighted: true });
+    lastIndex = end;
+  });
+
+  if (lastIndex < normalizedText.length) {
+    parts.push({ text: normalizedText.slice(lastIndex), highlighted: false });
+  }
+
+  return parts;
+};
+
+/**
+ * Numeric range filters: dropdown label and the filters keys of the lower and upper bound
+ */
+export const RANGE_FILTERS = [
+  { label: 'Amount', minKey: 'minFinalAmount', maxKey: 'maxFinalAmount' },
+  { label: 'Total Amount', minKey: 'minTotalAmount', maxKey: 'maxTotalAmount' },
+  { label: 'Quantity', minKey: 'minQuantity', maxKey: 'maxQuantity' },
+  { label: 'Discount %', minKey: 'minDiscountPercentage', maxKey: 'maxDiscountPercentage' },
+  { label: 'Unit Price', minKey: 'minPricePerUnit', maxKey: 'maxPricePerUnit' }
+];
+
+/**
+ * Query parameters for the range bounds that are set (minFinalAmount, maxQuantity, ...)
+ */
+export const getRangeParams = (filters) => {
+  const params = {};
+  RANGE_FILTERS.forEach(({ minKey, maxKey }) => {
+    [minKey, maxKey].forEach(key => {
+      const value = filters?.[key];
+      if (value !== null && value !== undefined && value !== '') {
+        params[key] = String(value);
+      }
+    });
+  });
+  return params;
+};
+
+/**
+ * Multi-select filters that also take an exclude list (excludeRegions, excludeBrands, ...)
+ */
+export const EXCLUDABLE_FILTERS = [
+  'regions', 'genders', 'categories', 'paymentMethods', 'brands', 'orderStatuses',
+  'deliveryTypes', 'storeLocations', 'storeIds', 'customerTypes', 'employeeNames'
+];
+
+/**
+ * Filters key of a multi-select filter's exclude list (regions -> excludeRegions)
+ */
+export const getExcludeKey = (filterName) =>
+  `exclude${filterName.charAt(0).toUpperCase()}${filterName.slice(1)}`;
+
+/**
+ * Query parameters for the exclude lists that have values (excludeRegions=Central, ...)
+ */
+export const getExcludeParams = (filters) => {
+  const params = {};
+  EXCLUDABLE_FILTERS.forEach(filterName => {
+    const key = getExcludeKey(filterName);
+    if (Array.isArray(filters?.[key]) && filters[key].length > 0) {
+      params[key] = filters[key].join(',');
+    }
+  });
+  return params;
+};